@@ -0,0 +1,3 @@
+export function registerAuditHandlers(eventBus, auditLog) {
+  eventBus.subscribeAll((event) => auditLog.record(event));
+}
@@ -0,0 +1,49 @@
+import { DomainEventType } from '../../domain/events/domainEvent.js';
+
+export function registerNotificationHandlers(eventBus, notificationService) {
+  eventBus.subscribe(DomainEventType.APPOINTMENT_SCHEDULED, ({ payload }) => {
+    // Occurrences of a series are announced together with the series
+    if (payload.appointment.seriesId) {
+      return;
+    }
+    notificationService.notifyAppointmentScheduled(payload.appointment);
+  });
+
+  eventBus.subscribe(
+    DomainEventType.APPOINTMENT_SERIES_SCHEDULED,
+    ({ payload }) =>
+      notificationService.notifySeriesScheduled(
+        payload.series,
+        payload.appointments
+      )
+  );
+
+  eventBus.subscribe(DomainEventType.WAITLIST_SLOT_OFFERED, ({ payload }) =>
+    notificationService.notifyWaitlistOffer(payload.entry, payload.doctor));
+
+  eventBus.subscribe(DomainEventType.EXAMINATION_ORDERED, ({ payload }) => {
+    // Exams of a panel are announced together with the panel
+    if (payload.examination.panel) {
+      return;
+    }
+    notificationService.notifyExaminationOrdered(payload.examination);
+  });
+
+  eventBus.subscribe(DomainEventType.EXAMINATION_PANEL_ORDERED, ({ payload }) =>
+    notificationService.notifyPanelOrdered(
+      payload.panel,
+      payload.examinations
+    ));
+
+  eventBus.subscribe(DomainEventType.CRITICAL_RESULT_RAISED, ({ payload }) =>
+    notificationService.notifyCriticalResult(
+      payload.examination,
+      payload.observations
+    ));
+
+  eventBus.subscribe(DomainEventType.CRITICAL_RESULT_ESCALATED, ({ payload }) =>
+    notificationService.notifyCriticalResultEscalated(
+      payload.examination,
+      payload.contact
+    ));
+}
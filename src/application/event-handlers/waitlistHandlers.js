@@ -0,0 +1,56 @@
+import { DomainEventType } from '../../domain/events/domainEvent.js';
+
+const endOf = (start, duration) => new Date(start.getTime() + duration * 60000);
+
+// Whenever a doctor's time frees up, it is offered to the waitlist. The
+// handlers return the offer so the bus waits for it to be saved.
+export function registerWaitlistHandlers(eventBus, waitlistService) {
+  eventBus.subscribe(DomainEventType.APPOINTMENT_CANCELLED, ({ payload }) => {
+    const { appointment } = payload;
+    const start = appointment.getStartDate();
+
+    return waitlistService.offerSlot(
+      appointment.doctor.id,
+      start,
+      endOf(start, appointment.duration)
+    );
+  });
+
+  eventBus.subscribe(DomainEventType.APPOINTMENT_RESCHEDULED, ({ payload }) => {
+    const { appointment, previousDate } = payload;
+
+    return waitlistService.offerSlot(
+      appointment.doctor.id,
+      previousDate,
+      endOf(previousDate, appointment.duration)
+    );
+  });
+
+  eventBus.subscribe(
+    DomainEventType.SCHEDULE_EXCEPTION_ADDED,
+    ({ payload }) => {
+      const { doctor, exception } = payload;
+      if (!exception.isUnavailability()) {
+        return waitlistService.offerSlot(
+          doctor.id,
+          exception.start,
+          exception.end
+        );
+      }
+    }
+  );
+
+  eventBus.subscribe(
+    DomainEventType.SCHEDULE_EXCEPTION_REMOVED,
+    ({ payload }) => {
+      const { doctor, exception } = payload;
+      if (exception.isUnavailability()) {
+        return waitlistService.offerSlot(
+          doctor.id,
+          exception.start,
+          exception.end
+        );
+      }
+    }
+  );
+}
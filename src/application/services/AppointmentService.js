@@ -1,29 +1,298 @@
+import { Appointment, AppointmentStatus } from '../../domain/entities/appointment.js';
+import { AppointmentSeries, SeriesScope } from '../../domain/entities/appointmentSeries.js';
+import { UnitOfWork } from '../../domain/repositories/unitOfWork.js';
+import { TimeZone } from '../../domain/value-objects/timeZone.js';
+
+const byStartDate = (a, b) => a.getStartDate() - b.getStartDate();
+
 export class AppointmentService {
   constructor(
     patientService,
     doctorService,
     appointmentRepository,
     doctorAvailabilityService,
-    notificationService
+    appointmentSeriesRepository,
+    waitlistRepository,
+    unitOfWork = new UnitOfWork()
   ) {
     this.patientService = patientService;
     this.doctorService = doctorService;
     this.appointmentRepository = appointmentRepository;
     this.doctorAvailabilityService = doctorAvailabilityService;
-    this.notificationService = notificationService;
+    this.appointmentSeriesRepository = appointmentSeriesRepository;
+    this.waitlistRepository = waitlistRepository;
+    this.unitOfWork = unitOfWork;
   }
 
+  // Checking the slot and booking it run as one unit of work, so no other
+  // booking can take the slot in between and the notification only goes out
+  // once the appointment is stored.
   execute(appointmentData) {
-    const date =
-      typeof appointmentData.date === 'string'
-        ? new Date(appointmentData.date)
-        : appointmentData.date;
+    return this.unitOfWork.run(async () => {
+      const { patient, doctor } = await this.findParticipants(appointmentData);
 
-    if (!(date instanceof Date) || isNaN(date.getTime())) {
-      throw new Error('Invalid appointment date');
+      // Dates without an offset are wall-clock time in the doctor's zone
+      const timeZone = this.doctorAvailabilityService.getTimeZone(doctor);
+      const date = this.checkDate(appointmentData.date, timeZone);
+
+      // New appointments always enter the lifecycle as scheduled
+      const appointment = new Appointment(
+        this.appointmentRepository.nextId(),
+        date,
+        patient,
+        doctor,
+        appointmentData.reason,
+        null,
+        appointmentData.observations || '',
+        appointmentData.duration,
+        appointmentData.type,
+        timeZone.name
+      );
+
+      await this.ensureSlotIsFree(appointment, date);
+      appointment.book();
+
+      await this.appointmentRepository.add(appointment.id, appointment);
+
+      return appointment;
+    });
+  }
+
+  // Every occurrence is checked like a single booking; the ones that cannot
+  // be booked are reported back instead of failing the whole series.
+  scheduleSeries(seriesData) {
+    return this.unitOfWork.run(async () => {
+      const { patient, doctor } = await this.findParticipants(seriesData);
+      const timeZone = this.doctorAvailabilityService.getTimeZone(doctor);
+      const startDate = this.checkDate(seriesData.date, timeZone);
+
+      const series = new AppointmentSeries(
+        this.appointmentSeriesRepository.nextId(),
+        startDate,
+        patient,
+        doctor,
+        seriesData.recurrence,
+        seriesData.reason,
+        seriesData.duration,
+        seriesData.type,
+        timeZone.name
+      );
+
+      const appointments = [];
+      const unbooked = [];
+
+      const dates = series.recurrence.occurrences(startDate, timeZone);
+      for (const date of dates) {
+        const appointment = new Appointment(
+          this.appointmentRepository.nextId(),
+          date,
+          patient,
+          doctor,
+          series.reason,
+          null,
+          seriesData.observations || '',
+          series.duration,
+          series.type,
+          series.timeZone
+        );
+        appointment.seriesId = series.id;
+
+        try {
+          await this.ensureSlotIsFree(appointment, date);
+        } catch (error) {
+          unbooked.push({
+            date,
+            localDate: appointment.getLocalDate(),
+            reason: error.message,
+          });
+          continue;
+        }
+
+        appointment.book();
+        await this.appointmentRepository.add(appointment.id, appointment);
+        appointments.push(appointment);
+      }
+
+      if (appointments.length === 0) {
+        throw new Error('No occurrence of the series could be booked');
+      }
+
+      series.book(appointments, unbooked);
+      await this.appointmentSeriesRepository.add(series.id, series);
+
+      return {
+        series,
+        appointments,
+        unbooked,
+      };
+    });
+  }
+
+  async findSeriesById(seriesId) {
+    const series = await this.appointmentSeriesRepository.findById(seriesId);
+    if (!series) {
+      throw new Error('Appointment series not found');
+    }
+
+    const appointments =
+      await this.appointmentRepository.findBySeriesId(seriesId);
+    return {
+      series,
+      appointments: appointments.sort(byStartDate),
+    };
+  }
+
+  async findById(id) {
+    const appointment = await this.appointmentRepository.findById(id);
+    if (!appointment) {
+      throw new Error('Appointment not found');
+    }
+    return appointment;
+  }
+
+  async findAll() {
+    return this.appointmentRepository.findAll();
+  }
+
+  confirm(id, changedBy) {
+    return this.changeStatus(id, (appointment) =>
+      appointment.confirm(changedBy));
+  }
+
+  checkIn(id, changedBy) {
+    return this.changeStatus(id, (appointment) =>
+      appointment.checkIn(changedBy));
+  }
+
+  start(id, changedBy) {
+    return this.changeStatus(id, (appointment) => appointment.start(changedBy));
+  }
+
+  complete(id, changedBy) {
+    return this.changeStatus(id, (appointment) =>
+      appointment.complete(changedBy));
+  }
+
+  cancel(id, changedBy, reason) {
+    return this.changeStatus(id, (appointment) =>
+      appointment.cancel(changedBy, reason));
+  }
+
+  cancelSeries(id, scope, changedBy, reason) {
+    return this.unitOfWork.run(async () => {
+      const appointment = await this.findById(id);
+      const occurrences = await this.findOccurrencesInScope(appointment, scope);
+
+      for (const occurrence of occurrences) {
+        occurrence.cancel(changedBy, reason);
+        await this.save(occurrence);
+      }
+      return occurrences;
+    });
+  }
+
+  markNoShow(id, changedBy) {
+    return this.changeStatus(id, (appointment) =>
+      appointment.markNoShow(changedBy));
+  }
+
+  reschedule(id, newDate, changedBy, reason) {
+    return this.unitOfWork.run(async () => {
+      const appointment = await this.findById(id);
+      const date = this.checkDate(newDate, new TimeZone(appointment.timeZone));
+
+      if (!appointment.canTransitionTo(AppointmentStatus.RESCHEDULED)) {
+        throw new Error('Cannot reschedule an appointment that is ' +
+          appointment.status);
+      }
+
+      await this.ensureSlotIsFree(appointment, date);
+
+      appointment.reschedule(date, changedBy, reason);
+      return this.save(appointment);
+    });
+  }
+
+  // Moves every occurrence in scope by the same change in wall-clock day and
+  // time as the chosen one, so a weekly 09:00 visit stays at 09:00 across DST.
+  rescheduleSeries(id, scope, newDate, changedBy, reason) {
+    return this.unitOfWork.run(async () => {
+      const appointment = await this.findById(id);
+      const timeZone = new TimeZone(appointment.timeZone);
+      const date = this.checkDate(newDate, timeZone);
+      const occurrences = await this.findOccurrencesInScope(appointment, scope);
+
+      // Moving later, the last occurrence goes first so none collides with an
+      // occurrence that has not moved yet.
+      if (date > appointment.getStartDate()) {
+        occurrences.reverse();
+      }
+
+      const from = timeZone.getParts(appointment.getStartDate());
+      const to = timeZone.getParts(date);
+      const utcDay = ({ year, month, day }) => Date.UTC(year, month - 1, day);
+      const dayShift = Math.round((utcDay(to) - utcDay(from)) / 86400000);
+
+      const rescheduled = [];
+      const unbooked = [];
+
+      for (const occurrence of occurrences) {
+        const start = occurrence.getStartDate();
+        const { year, month, day } = timeZone.getParts(start);
+        const target = timeZone.toInstant(
+          year,
+          month,
+          day + dayShift,
+          to.hour * 60 + to.minute
+        );
+
+        try {
+          if (!occurrence.canTransitionTo(AppointmentStatus.RESCHEDULED)) {
+            throw new Error('Cannot reschedule an appointment that is ' +
+              occurrence.status);
+          }
+          await this.ensureSlotIsFree(occurrence, target);
+        } catch (error) {
+          unbooked.push({
+            id: occurrence.id,
+            date: target,
+            localDate: timeZone.formatISO(target),
+            reason: error.message,
+          });
+          continue;
+        }
+
+        occurrence.reschedule(target, changedBy, reason);
+        rescheduled.push(occurrence);
+      }
+
+      // Saved only once every occurrence has moved, so none of their old
+      // slots is handed to someone else while a later occurrence still needs it
+      for (const occurrence of rescheduled) {
+        await this.save(occurrence);
+      }
+
+      return {
+        rescheduled: rescheduled.sort(byStartDate),
+        unbooked,
+      };
+    });
+  }
+
+  async findOccurrencesInScope(appointment, scope) {
+    const seriesScope = AppointmentSeries.parseScope(scope);
+    if (seriesScope === SeriesScope.OCCURRENCE || !appointment.seriesId) {
+      return [appointment];
     }
 
-    // Handle both formats: {patientId, doctorId} or {patient: {id}, doctor: {id}}
+    const { series, appointments } =
+      await this.findSeriesById(appointment.seriesId);
+    return series.selectOccurrences(appointments, appointment, seriesScope);
+  }
+
+  async findParticipants(appointmentData) {
+    // Handle both formats: {patientId, doctorId} or
+    // {patient: {id}, doctor: {id}}
     const patientId = appointmentData.patientId || appointmentData.patient?.id;
     const doctorId = appointmentData.doctorId || appointmentData.doctor?.id;
 
@@ -31,63 +300,79 @@ export class AppointmentService {
       throw new Error('Patient ID and Doctor ID are required');
     }
 
-    const patient = this.patientService.findPatientById(patientId);
+    const patient = await this.patientService.findPatientById(patientId);
     if (!patient) {
       throw new Error('Patient not found');
     }
 
-    const doctor = this.doctorService.findDoctorById(doctorId);
+    const doctor = await this.doctorService.findDoctorById(doctorId);
     if (!doctor) {
       throw new Error('Doctor not found');
     }
 
-    const isDoctorAvailable = this.doctorAvailabilityService.isDoctorAvailable(
-      doctorId,
-      date
-    );
+    return {
+      patient,
+      doctor,
+    };
+  }
+
+  async ensureSlotIsFree(appointment, date) {
+    const isDoctorAvailable =
+      await this.doctorAvailabilityService.isDoctorAvailable(
+        appointment.doctor.id,
+        date,
+        appointment.duration,
+        appointment.id
+      );
     if (!isDoctorAvailable) {
       throw new Error('Doctor is not available at the requested time');
     }
 
-    // Create appointment with the provided data
-    const appointment = {
-      id: appointmentData.id,
-      date: date,
-      patient: patient,
-      doctor: doctor,
-      reason: appointmentData.reason,
-      status: appointmentData.status || 'scheduled',
-      observations: appointmentData.observations || '',
-    };
-
-    this.appointmentRepository.add(appointment.id, appointment);
-    this.notificationService.notifyAppointmentScheduled(appointment);
-
-    return appointment;
-  }
+    const hasPatientConflict =
+      await this.doctorAvailabilityService.hasPatientConflict(
+        appointment.patient.id,
+        date,
+        appointment.duration,
+        appointment.id
+      );
+    if (hasPatientConflict) {
+      throw new Error('Patient already has an appointment at the requested time');
+    }
 
-  findById(id) {
-    const appointment = this.appointmentRepository.findById(id);
-    if (!appointment) {
-      throw new Error('Appointment not found');
+    const end = new Date(date.getTime() + appointment.duration * 60000);
+    const isHeld = await this.waitlistRepository?.hasHoldOverlapping(
+      appointment.doctor.id,
+      date,
+      end,
+      appointment.patient.id
+    );
+    if (isHeld) {
+      throw new Error('The requested time is on hold for a waitlisted patient');
     }
-    return appointment;
   }
 
-  findAll() {
-    return this.appointmentRepository.findAll();
+  changeStatus(id, transition) {
+    return this.unitOfWork.run(async () => {
+      const appointment = await this.findById(id);
+      transition(appointment);
+      return this.save(appointment);
+    });
   }
 
-  checkDate(appointment) {
-    const date =
-      typeof appointment.date === 'string'
-        ? new Date(appointment.date)
-        : appointment.date;
+  async save(appointment) {
+    await this.appointmentRepository.update(appointment.id, appointment);
+    return appointment;
+  }
 
-    if (!(date instanceof Date) || isNaN(date.getTime())) {
+  checkDate(date, timeZone) {
+    if (!date) {
       throw new Error('Invalid appointment date');
     }
 
-    return date;
+    try {
+      return timeZone.parse(date);
+    } catch {
+      throw new Error('Invalid appointment date');
+    }
   }
 }
@@ -0,0 +1,229 @@
+import { WaitlistEntry, WaitlistStatus } from '../../domain/entities/waitlistEntry.js';
+import { UnitOfWork } from '../../domain/repositories/unitOfWork.js';
+
+export const DEFAULT_HOLD_MINUTES = 15;
+
+export class WaitlistService {
+  constructor(
+    waitlistRepository,
+    appointmentService,
+    doctorAvailabilityService,
+    doctorService,
+    patientService,
+    unitOfWork = new UnitOfWork(),
+    holdMinutes = DEFAULT_HOLD_MINUTES,
+    clock = () => new Date()
+  ) {
+    this.waitlistRepository = waitlistRepository;
+    this.appointmentService = appointmentService;
+    this.doctorAvailabilityService = doctorAvailabilityService;
+    this.doctorService = doctorService;
+    this.patientService = patientService;
+    this.unitOfWork = unitOfWork;
+    this.holdMinutes = holdMinutes;
+    this.clock = clock;
+  }
+
+  joinWaitlist(entryData) {
+    return this.unitOfWork.run(async () => {
+      const { patientId } = entryData;
+      const patient = await this.patientService.findPatientById(patientId);
+      if (!patient) {
+        throw new Error('Patient not found');
+      }
+
+      let doctor = null;
+      if (entryData.doctorId) {
+        doctor = await this.doctorService.findDoctorById(entryData.doctorId);
+        if (!doctor) {
+          throw new Error('Doctor not found');
+        }
+      }
+
+      const { start, end } = this.doctorAvailabilityService.checkSearchRange(
+        entryData.from,
+        entryData.to,
+        this.doctorAvailabilityService.getTimeZone(doctor)
+      );
+
+      const entry = new WaitlistEntry(
+        this.waitlistRepository.nextId(),
+        patient,
+        entryData.doctorId,
+        entryData.specialty,
+        start,
+        end,
+        entryData.duration,
+        entryData.reason,
+        this.clock()
+      );
+
+      await this.waitlistRepository.add(entry.id, entry);
+      return entry;
+    });
+  }
+
+  async findEntryById(entryId) {
+    const entry = await this.waitlistRepository.findById(entryId);
+    if (!entry) {
+      throw new Error('Waitlist entry not found');
+    }
+    return entry;
+  }
+
+  // A hold that lapsed is left out until expireHolds puts its entry back in
+  // line; listing never changes the waitlist
+  async listWaitlist({ doctorId, specialty } = {}) {
+    const now = this.clock();
+    const offered = await this.waitlistRepository.findOffered();
+
+    const held = offered.filter((entry) => entry.hasActiveHold(now));
+    const waiting = await this.waitlistRepository.findWaiting();
+
+    return [...held, ...waiting].filter((entry) =>
+      (!doctorId || entry.doctorId === doctorId) &&
+      (!specialty || entry.specialty === specialty));
+  }
+
+  leaveWaitlist(entryId, expectedVersion) {
+    return this.unitOfWork.run(async () => {
+      const entry = await this.findEntryById(entryId);
+      const hold = entry.status === WaitlistStatus.OFFERED ? entry.hold : null;
+
+      entry.cancel();
+      await this.waitlistRepository.update(entry.id, entry, expectedVersion);
+
+      if (hold) {
+        await this.offerSlot(hold.doctorId, hold.start, hold.end);
+      }
+      return entry;
+    });
+  }
+
+  // Called whenever a doctor's time frees up: the earliest matching entries
+  // get a time-limited hold on the first free slot in their preferred range.
+  offerSlot(doctorId, start, end) {
+    return this.unitOfWork.run(async () => {
+      const doctor = await this.doctorService.findDoctorById(doctorId);
+      if (!doctor) {
+        return [];
+      }
+
+      const offers = [];
+      const entries = await this.waitlistRepository.findWaiting();
+      const matching = entries.filter((entry) => entry.matchesDoctor(doctor));
+      for (const entry of matching) {
+        const slot = await this.findSlotFor(entry, doctor, start, end);
+        if (slot) {
+          await this.hold(entry, doctor, slot);
+          offers.push(entry);
+        }
+      }
+
+      return offers;
+    });
+  }
+
+  // Booking the appointment and marking the entry booked commit together
+  claimOffer(entryId) {
+    return this.unitOfWork.run(async () => {
+      const entry = await this.findEntryById(entryId);
+      if (!entry.hasActiveHold(this.clock())) {
+        throw new Error('Waitlist entry has no active hold');
+      }
+
+      const { doctorId, start, end } = entry.hold;
+      const appointment = await this.appointmentService.execute({
+        patientId: entry.patient.id,
+        doctorId,
+        date: start,
+        duration: Math.round((end - start) / 60000),
+        reason: entry.reason,
+      });
+
+      entry.book(appointment.id);
+      await this.waitlistRepository.update(entry.id, entry);
+      return appointment;
+    });
+  }
+
+  declineOffer(entryId) {
+    return this.unitOfWork.run(async () => {
+      const entry = await this.findEntryById(entryId);
+      if (!entry.hasActiveHold(this.clock())) {
+        throw new Error('Waitlist entry has no active hold');
+      }
+
+      const hold = entry.releaseHold();
+      await this.waitlistRepository.update(entry.id, entry);
+
+      await this.offerSlot(hold.doctorId, hold.start, hold.end);
+      return entry;
+    });
+  }
+
+  // Unclaimed holds go back to the pool and roll to the next person in line
+  expireHolds() {
+    return this.unitOfWork.run(async () => {
+      const now = this.clock();
+      const offered = await this.waitlistRepository.findOffered();
+      const expired = offered.filter((entry) => !entry.hasActiveHold(now));
+
+      for (const entry of expired) {
+        const hold = entry.releaseHold();
+        await this.waitlistRepository.update(entry.id, entry);
+
+        await this.offerSlot(hold.doctorId, hold.start, hold.end);
+      }
+      return expired;
+    });
+  }
+
+  async findSlotFor(entry, doctor, start, end) {
+    const from = new Date(Math.max(start, entry.preferredStart, this.clock()));
+    const to = new Date(Math.min(end, entry.preferredEnd));
+    if (from >= to) {
+      return null;
+    }
+
+    let slots;
+    try {
+      slots = await this.doctorAvailabilityService.findAvailableSlots(
+        doctor.id,
+        from,
+        to,
+        entry.duration
+      );
+    } catch {
+      return null;
+    }
+
+    for (const slot of slots) {
+      const isFree =
+        !entry.hasPassed(doctor.id, slot.start) &&
+        !(await this.waitlistRepository.hasHoldOverlapping(
+          doctor.id,
+          slot.start,
+          slot.end,
+          entry.patient.id
+        )) &&
+        !(await this.doctorAvailabilityService.hasPatientConflict(
+          entry.patient.id,
+          slot.start,
+          Math.round((slot.end - slot.start) / 60000)
+        ));
+      if (isFree) {
+        return slot;
+      }
+    }
+    return null;
+  }
+
+  async hold(entry, doctor, slot) {
+    const holdMs = this.holdMinutes * 60000;
+    const expiresAt = new Date(this.clock().getTime() + holdMs);
+
+    entry.offer(doctor, slot.start, slot.end, expiresAt);
+    await this.waitlistRepository.update(entry.id, entry);
+  }
+}
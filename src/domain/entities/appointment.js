@@ -1,11 +1,270 @@
-export class Appointment {
-  constructor(id, date, patient, doctor, reason, status, observations) {
+import { AggregateRoot } from '../events/aggregateRoot.js';
+import { DomainEventType } from '../events/domainEvent.js';
+import { DEFAULT_TIME_ZONE, TimeZone } from '../value-objects/timeZone.js';
+
+export const AppointmentStatus = Object.freeze({
+  SCHEDULED: 'scheduled',
+  CONFIRMED: 'confirmed',
+  CHECKED_IN: 'checked-in',
+  IN_PROGRESS: 'in-progress',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  NO_SHOW: 'no-show',
+  RESCHEDULED: 'rescheduled',
+});
+
+const {
+  SCHEDULED,
+  CONFIRMED,
+  CHECKED_IN,
+  IN_PROGRESS,
+  COMPLETED,
+  CANCELLED,
+  NO_SHOW,
+  RESCHEDULED,
+} = AppointmentStatus;
+
+// A rescheduled appointment is still active: it keeps its identity and moves
+// to a new slot, so it can follow the same path as a scheduled one.
+const TRANSITIONS = {
+  [SCHEDULED]: [
+    CONFIRMED,
+    CHECKED_IN,
+    CANCELLED,
+    NO_SHOW,
+    RESCHEDULED,
+  ],
+  [RESCHEDULED]: [
+    CONFIRMED,
+    CHECKED_IN,
+    CANCELLED,
+    NO_SHOW,
+    RESCHEDULED,
+  ],
+  [CONFIRMED]: [
+    CHECKED_IN,
+    CANCELLED,
+    NO_SHOW,
+    RESCHEDULED,
+  ],
+  [CHECKED_IN]: [IN_PROGRESS, CANCELLED],
+  [IN_PROGRESS]: [COMPLETED],
+  [COMPLETED]: [],
+  [CANCELLED]: [],
+  [NO_SHOW]: [],
+};
+
+const STATUS_EVENTS = {
+  [CONFIRMED]: DomainEventType.APPOINTMENT_CONFIRMED,
+  [CHECKED_IN]: DomainEventType.APPOINTMENT_CHECKED_IN,
+  [IN_PROGRESS]: DomainEventType.APPOINTMENT_STARTED,
+  [COMPLETED]: DomainEventType.APPOINTMENT_COMPLETED,
+  [CANCELLED]: DomainEventType.APPOINTMENT_CANCELLED,
+  [NO_SHOW]: DomainEventType.APPOINTMENT_NO_SHOW,
+  [RESCHEDULED]: DomainEventType.APPOINTMENT_RESCHEDULED,
+};
+
+export const DEFAULT_APPOINTMENT_DURATION = 30;
+
+// Durations in minutes. An explicit appointment type wins over the doctor's
+// specialty, which in turn wins over the clinic-wide default.
+const DURATION_BY_TYPE = {
+  'follow-up': 15,
+  consultation: 30,
+  therapy: 45,
+  procedure: 60,
+};
+
+const DURATION_BY_SPECIALTY = {
+  'General Medicine': 20,
+  Pediatrics: 20,
+  Cardiology: 30,
+  Physiotherapy: 45,
+  Psychiatry: 50,
+};
+
+const parseDate = (date, timeZone) => {
+  try {
+    return timeZone.parse(date);
+  } catch {
+    throw new Error('Invalid appointment date');
+  }
+};
+
+export class Appointment extends AggregateRoot {
+  constructor(
+    id,
+    date,
+    patient,
+    doctor,
+    reason,
+    status,
+    observations,
+    duration,
+    type,
+    timeZone
+  ) {
+    super();
+
+    const normalizedStatus = status ? status.toLowerCase() : SCHEDULED;
+
+    if (!TRANSITIONS[normalizedStatus]) {
+      throw new Error(`Invalid appointment status: ${status}`);
+    }
+
+    // The zone the appointment was booked in; dates are stored as instants and
+    // only rendered in it.
+    const zone = new TimeZone(timeZone || DEFAULT_TIME_ZONE);
+
     this.id = id;
-    this.date = date;
+    this.date = parseDate(date, zone);
+    this.timeZone = zone.name;
     this.patient = patient;
     this.doctor = doctor;
     this.reason = reason;
-    this.status = status;
+    this.status = normalizedStatus;
     this.observations = observations;
+    this.type = type || null;
+    this.duration =
+      duration ?? Appointment.defaultDuration(type, doctor?.specialty);
+
+    if (!Number.isInteger(this.duration) || this.duration <= 0) {
+      throw new Error('Appointment duration must be a positive number of minutes');
+    }
+
+    this.originalDate = null;
+    this.statusHistory = [];
+    // Set when the appointment is an occurrence of an AppointmentSeries
+    this.seriesId = null;
+  }
+
+  static defaultDuration(type, specialties = []) {
+    if (DURATION_BY_TYPE[type]) {
+      return DURATION_BY_TYPE[type];
+    }
+
+    const specialty = (specialties || []).find((name) =>
+      DURATION_BY_SPECIALTY[name]);
+    return specialty
+      ? DURATION_BY_SPECIALTY[specialty]
+      : DEFAULT_APPOINTMENT_DURATION;
+  }
+
+  getStartDate() {
+    return new Date(this.date);
+  }
+
+  getEndDate() {
+    return new Date(this.getStartDate().getTime() + this.duration * 60000);
+  }
+
+  getLocalDate() {
+    return new TimeZone(this.timeZone).formatISO(this.date);
+  }
+
+  overlaps(start, end) {
+    return this.getStartDate() < end && start < this.getEndDate();
+  }
+
+  hasConflict(otherAppointment) {
+    if (
+      this === otherAppointment ||
+      (this.id && this.id === otherAppointment.id) ||
+      this.status === CANCELLED ||
+      otherAppointment.status === CANCELLED
+    ) {
+      return false;
+    }
+
+    return this.overlaps(
+      otherAppointment.getStartDate(),
+      otherAppointment.getEndDate()
+    );
+  }
+
+  canTransitionTo(status) {
+    return TRANSITIONS[this.status].includes(status);
+  }
+
+  isActive() {
+    return TRANSITIONS[this.status].length > 0;
+  }
+
+  // Marks a new appointment as booked so subscribers hear about it on save
+  book() {
+    const appointment = this;
+    this.recordEvent(DomainEventType.APPOINTMENT_SCHEDULED, { appointment });
+  }
+
+  confirm(changedBy) {
+    this.changeStatus(CONFIRMED, changedBy);
+  }
+
+  checkIn(changedBy) {
+    this.changeStatus(CHECKED_IN, changedBy);
+  }
+
+  start(changedBy) {
+    this.changeStatus(IN_PROGRESS, changedBy);
+  }
+
+  complete(changedBy) {
+    this.changeStatus(COMPLETED, changedBy);
+  }
+
+  cancel(changedBy, reason) {
+    this.changeStatus(CANCELLED, changedBy, reason);
+  }
+
+  markNoShow(changedBy) {
+    this.changeStatus(NO_SHOW, changedBy);
+  }
+
+  reschedule(newDate, changedBy, reason) {
+    if (!(newDate instanceof Date) || isNaN(newDate.getTime())) {
+      throw new Error('Invalid appointment date');
+    }
+
+    const previousDate = this.date;
+    this.changeStatus(RESCHEDULED, changedBy, reason, {
+      previousDate,
+      newDate,
+    });
+
+    if (!this.originalDate) {
+      this.originalDate = previousDate;
+    }
+    this.date = newDate;
+  }
+
+  toJSON() {
+    return {
+      ...this,
+      localDate: this.getLocalDate(),
+    };
+  }
+
+  changeStatus(status, changedBy, reason, details = {}) {
+    if (!this.canTransitionTo(status)) {
+      throw new Error('Cannot change appointment status from ' +
+        `${this.status} to ${status}`);
+    }
+
+    this.statusHistory.push({
+      from: this.status,
+      to: status,
+      changedBy: changedBy || null,
+      changedAt: new Date(),
+      reason: reason || null,
+      ...details,
+    });
+    this.status = status;
+
+    this.recordEvent(STATUS_EVENTS[status], {
+      appointment: this,
+      changedBy: changedBy || null,
+      reason: reason || null,
+      ...details,
+    });
   }
 }
@@ -0,0 +1,71 @@
+import { AggregateRoot } from '../events/aggregateRoot.js';
+import { DomainEventType } from '../events/domainEvent.js';
+import { RecurrenceRule } from '../value-objects/recurrenceRule.js';
+
+// Which occurrences a cancel or reschedule applies to
+export const SeriesScope = Object.freeze({
+  OCCURRENCE: 'occurrence',
+  FOLLOWING: 'following',
+  SERIES: 'series',
+});
+
+export class AppointmentSeries extends AggregateRoot {
+  constructor(
+    id,
+    startDate,
+    patient,
+    doctor,
+    recurrence,
+    reason,
+    duration,
+    type,
+    timeZone
+  ) {
+    super();
+
+    this.id = id;
+    this.startDate = startDate;
+    this.patient = patient;
+    this.doctor = doctor;
+    this.recurrence =
+      recurrence instanceof RecurrenceRule
+        ? recurrence
+        : new RecurrenceRule(recurrence);
+    this.reason = reason;
+    this.duration = duration;
+    this.type = type || null;
+    this.timeZone = timeZone;
+  }
+
+  // Announced once for the whole series instead of once per occurrence
+  book(appointments, unbooked) {
+    this.recordEvent(DomainEventType.APPOINTMENT_SERIES_SCHEDULED, {
+      series: this,
+      appointments,
+      unbooked,
+    });
+  }
+
+  static parseScope(scope = SeriesScope.OCCURRENCE) {
+    if (!Object.values(SeriesScope).includes(scope)) {
+      throw new Error(`Invalid series scope: ${scope}`);
+    }
+    return scope;
+  }
+
+  // Active occurrences in chronological order, narrowed to the given scope
+  // around the chosen occurrence.
+  selectOccurrences(appointments, occurrence, scope) {
+    const selected = appointments
+      .filter((appointment) =>
+        appointment.seriesId === this.id && appointment.isActive())
+      .sort((a, b) => a.getStartDate() - b.getStartDate());
+
+    if (scope === SeriesScope.FOLLOWING) {
+      const from = occurrence.getStartDate();
+      return selected.filter((appointment) =>
+        appointment.getStartDate() >= from);
+    }
+    return selected;
+  }
+}
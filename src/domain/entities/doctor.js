@@ -1,19 +1,94 @@
+import { AggregateRoot } from '../events/aggregateRoot.js';
+import { DomainEventType } from '../events/domainEvent.js';
+import { ScheduleException } from '../value-objects/scheduleException.js';
+import { TimeZone } from '../value-objects/timeZone.js';
 import { WorkingHours } from '../value-objects/workingHours.js';
 
-export class Doctor {
+export class Doctor extends AggregateRoot {
   constructor(
     id,
     rcm = '',
     name = '',
     specialty = [],
     phoneNumber = '',
-    availableHours
+    availableHours,
+    timeZone = null
   ) {
+    super();
+
     this.id = id;
     this.rcm = rcm;
     this.name = name;
     this.specialty = Array.isArray(specialty) ? specialty : [];
     this.phoneNumber = phoneNumber;
-    this.workingHours = new WorkingHours();
+    this.workingHours =
+      availableHours instanceof WorkingHours
+        ? availableHours
+        : new WorkingHours(availableHours);
+    this.scheduleExceptions = [];
+    this.changeTimeZone(timeZone);
+  }
+
+  // Falls back to the clinic's zone when not set
+  changeTimeZone(timeZone) {
+    this.timeZone = timeZone ? new TimeZone(timeZone).name : null;
+  }
+
+  changeWorkingHours(workingHours) {
+    const previousWorkingHours = this.workingHours;
+    this.workingHours =
+      workingHours instanceof WorkingHours
+        ? workingHours
+        : new WorkingHours(workingHours);
+
+    this.recordEvent(DomainEventType.WORKING_HOURS_CHANGED, {
+      doctor: this,
+      previousWorkingHours,
+      workingHours: this.workingHours,
+    });
+  }
+
+  addScheduleException(exception) {
+    if (!(exception instanceof ScheduleException)) {
+      throw new Error('Invalid schedule exception');
+    }
+
+    if (
+      this.scheduleExceptions.some((existing) => existing.equals(exception))
+    ) {
+      throw new Error('Schedule exception already exists for this doctor');
+    }
+
+    this.scheduleExceptions.push(exception);
+    this.recordEvent(DomainEventType.SCHEDULE_EXCEPTION_ADDED, {
+      doctor: this,
+      exception,
+    });
+  }
+
+  removeScheduleException(exceptionId) {
+    const exception = this.scheduleExceptions.find((existing) =>
+      existing.id === exceptionId);
+    if (!exception) {
+      throw new Error('Schedule exception not found');
+    }
+
+    this.scheduleExceptions = this.scheduleExceptions.filter((existing) =>
+      existing !== exception);
+    this.recordEvent(DomainEventType.SCHEDULE_EXCEPTION_REMOVED, {
+      doctor: this,
+      exception,
+    });
+    return exception;
+  }
+
+  isUnavailableBetween(start, end) {
+    return this.scheduleExceptions.some((exception) =>
+      exception.isUnavailability() && exception.overlaps(start, end));
+  }
+
+  hasExtraShiftBetween(start, end) {
+    return this.scheduleExceptions.some((exception) =>
+      !exception.isUnavailability() && exception.covers(start, end));
   }
 }
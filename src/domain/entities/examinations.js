@@ -1,11 +1,319 @@
-export class Examinations {
-  constructor(id, type, result, date, local, responsibleDoctor, patient) {
+import { AggregateRoot } from '../events/aggregateRoot.js';
+import { DomainEventType } from '../events/domainEvent.js';
+import { sameId } from '../repositories/idStrategy.js';
+import { Observation } from '../value-objects/observation.js';
+
+export const ExaminationStatus = Object.freeze({
+  ORDERED: 'ordered',
+  SCHEDULED: 'scheduled',
+  SAMPLE_COLLECTED: 'sample-collected',
+  IN_ANALYSIS: 'in-analysis',
+  RESULTED: 'resulted',
+  REVIEWED: 'reviewed',
+  CANCELLED: 'cancelled',
+});
+
+const {
+  ORDERED,
+  SCHEDULED,
+  SAMPLE_COLLECTED,
+  IN_ANALYSIS,
+  RESULTED,
+  REVIEWED,
+  CANCELLED,
+} = ExaminationStatus;
+
+// A scheduled exam can be moved to another date. Once resulted it can no
+// longer be cancelled, only reviewed.
+const TRANSITIONS = {
+  [ORDERED]: [SCHEDULED, CANCELLED],
+  [SCHEDULED]: [SCHEDULED, SAMPLE_COLLECTED, CANCELLED],
+  [SAMPLE_COLLECTED]: [IN_ANALYSIS, CANCELLED],
+  [IN_ANALYSIS]: [RESULTED, CANCELLED],
+  [RESULTED]: [REVIEWED],
+  [REVIEWED]: [],
+  [CANCELLED]: [],
+};
+
+const STATUS_EVENTS = {
+  [SCHEDULED]: DomainEventType.EXAMINATION_SCHEDULED,
+  [SAMPLE_COLLECTED]: DomainEventType.EXAMINATION_SAMPLE_COLLECTED,
+  [IN_ANALYSIS]: DomainEventType.EXAMINATION_ANALYSIS_STARTED,
+  [RESULTED]: DomainEventType.EXAMINATION_RESULTED,
+  [REVIEWED]: DomainEventType.EXAMINATION_REVIEWED,
+  [CANCELLED]: DomainEventType.EXAMINATION_CANCELLED,
+};
+
+const referenceId = (reference) =>
+  reference && typeof reference === 'object' ? reference.id : reference;
+
+// An exam order followed from the request to the signed result. Every step
+// is kept in statusHistory with when it happened and who did it.
+export class Examinations extends AggregateRoot {
+  constructor(
+    id,
+    type,
+    result,
+    date,
+    local,
+    responsibleDoctor,
+    patient,
+    status = ORDERED,
+    orderedAt = new Date()
+  ) {
+    super();
+
+    if (!TRANSITIONS[status]) {
+      throw new Error(`Invalid examination status: ${status}`);
+    }
+
     this.id = id;
     this.type = type;
-    this.result = result;
-    this.date = date;
+    this.result = result ?? null;
+    this.date = date ?? null;
     this.local = local;
     this.responsibleDoctor = responsibleDoctor;
     this.patient = patient;
+    this.status = status;
+    this.orderedAt = orderedAt;
+    // Filled in from the exam catalog; exams ordered by free-text type have
+    // none of it
+    this.code = null;
+    this.specimen = null;
+    this.preparation = null;
+    this.turnaroundHours = null;
+    this.panel = null;
+    this.statusHistory = [];
+    // Lab results, one per analyte. result holds the text of the report, or
+    // the whole result of exams recorded before observations.
+    this.observations = [];
+    // Files stored with the exam, like imaging reports or ECG traces
+    this.attachments = [];
+    // Set when a result has critical values, until someone acknowledges it
+    this.criticalAlert = null;
+  }
+
+  canTransitionTo(status) {
+    return TRANSITIONS[this.status].includes(status);
+  }
+
+  // Only the type and place of an exam can change, and only until its
+  // sample is collected
+  isEditable() {
+    return this.status === ORDERED || this.status === SCHEDULED;
+  }
+
+  // Takes the name and lab details of a catalog exam, and the panel it was
+  // ordered as part of
+  describeWith(catalogExam, panel = null) {
+    this.type = catalogExam.name;
+    this.code = catalogExam.code;
+    this.specimen = catalogExam.specimen;
+    this.preparation = catalogExam.preparation;
+    this.turnaroundHours = catalogExam.turnaroundHours;
+    this.panel = panel
+      ? {
+        code: panel.code,
+        name: panel.name,
+      }
+      : null;
+  }
+
+  // Marks a new order so subscribers hear about it on save. The first exam of
+  // a panel also announces the whole panel, so the patient is told once.
+  order(panelExaminations = []) {
+    const examination = this;
+    this.recordEvent(DomainEventType.EXAMINATION_ORDERED, { examination });
+    if (panelExaminations.length > 0) {
+      this.recordEvent(DomainEventType.EXAMINATION_PANEL_ORDERED, {
+        panel: this.panel,
+        examinations: panelExaminations,
+      });
+    }
+  }
+
+  schedule(date, changedBy) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+      throw new Error('Invalid examination date');
+    }
+
+    this.changeStatus(SCHEDULED, changedBy, null, { date });
+    this.date = date;
+  }
+
+  collectSample(changedBy) {
+    this.changeStatus(SAMPLE_COLLECTED, changedBy);
+  }
+
+  startAnalysis(changedBy) {
+    this.changeStatus(IN_ANALYSIS, changedBy);
+  }
+
+  recordResult({ observations = [], result = null } = {}, changedBy) {
+    if (
+      observations.length === 0 &&
+      (typeof result !== 'string' || !result.trim())
+    ) {
+      throw new Error('Examination result is required');
+    }
+    if (
+      observations.some((observation) => !(observation instanceof Observation))
+    ) {
+      throw new Error('Invalid observation');
+    }
+
+    this.changeStatus(RESULTED, changedBy);
+    this.observations = observations;
+    this.result = result?.trim() || null;
+  }
+
+  hasResult() {
+    return this.status === RESULTED || this.status === REVIEWED;
+  }
+
+  // Exams resulted before the workflow only have their date
+  resultedAt() {
+    return (
+      this.statusHistory.find((change) => change.to === RESULTED)?.changedAt ??
+      this.date
+    );
+  }
+
+  findObservations(analyte) {
+    return this.observations.filter((observation) =>
+      observation.analyte.toLowerCase() === analyte.trim().toLowerCase());
+  }
+
+  hasCriticalObservations() {
+    return this.observations.some((observation) => observation.isCritical());
+  }
+
+  // Critical values have to be acknowledged by escalateAt, or the alert goes
+  // on to the fallback contact
+  raiseCriticalAlert(raisedAt, escalateAt) {
+    const observations = this.observations.filter((observation) =>
+      observation.isCritical());
+    if (observations.length === 0) {
+      throw new Error('Examination has no critical result');
+    }
+
+    this.criticalAlert = {
+      analytes: observations.map((observation) => observation.analyte),
+      raisedAt,
+      escalateAt,
+      escalatedAt: null,
+      escalatedTo: null,
+      acknowledgedBy: null,
+      acknowledgedAt: null,
+    };
+    this.recordEvent(DomainEventType.CRITICAL_RESULT_RAISED, {
+      examination: this,
+      observations,
+    });
+  }
+
+  isAwaitingAcknowledgement() {
+    return (
+      this.criticalAlert !== null && this.criticalAlert.acknowledgedAt === null
+    );
+  }
+
+  // An alert is escalated once; after that it waits for acknowledgement
+  needsEscalation(now) {
+    return (
+      this.isAwaitingAcknowledgement() &&
+      this.criticalAlert.escalatedAt === null &&
+      this.criticalAlert.escalateAt <= now
+    );
+  }
+
+  escalateCriticalAlert(contact, escalatedAt) {
+    if (!this.needsEscalation(escalatedAt)) {
+      throw new Error('Critical result cannot be escalated');
+    }
+
+    this.criticalAlert.escalatedAt = escalatedAt;
+    this.criticalAlert.escalatedTo = contact;
+    this.recordEvent(DomainEventType.CRITICAL_RESULT_ESCALATED, {
+      examination: this,
+      contact,
+    });
+  }
+
+  acknowledgeCriticalAlert(acknowledgedBy, acknowledgedAt) {
+    if (!this.criticalAlert) {
+      throw new Error('Examination has no critical result');
+    }
+    if (!this.isAwaitingAcknowledgement()) {
+      throw new Error('Critical result is already acknowledged');
+    }
+    if (!acknowledgedBy) {
+      throw new Error('Who acknowledged the critical result is required');
+    }
+
+    this.criticalAlert.acknowledgedBy = acknowledgedBy;
+    this.criticalAlert.acknowledgedAt = acknowledgedAt;
+    this.recordEvent(DomainEventType.CRITICAL_RESULT_ACKNOWLEDGED, {
+      examination: this,
+      acknowledgedBy,
+    });
+  }
+
+  // Files can be added at any step, except to a cancelled order
+  acceptsAttachments() {
+    return this.status !== CANCELLED;
+  }
+
+  attach(attachment) {
+    if (!this.acceptsAttachments()) {
+      throw new Error('Cannot attach files to a cancelled examination');
+    }
+
+    this.attachments.push(attachment);
+    this.recordEvent(DomainEventType.EXAMINATION_ATTACHMENT_ADDED, {
+      examination: this,
+      attachment,
+    });
+  }
+
+  findAttachment(attachmentId) {
+    return this.attachments.find((attachment) =>
+      sameId(attachment.id, attachmentId));
+  }
+
+  // The result is signed off by the doctor responsible for the exam
+  review(doctorId) {
+    if (!doctorId || !sameId(doctorId, referenceId(this.responsibleDoctor))) {
+      throw new Error('Only the responsible doctor can review the examination');
+    }
+
+    this.changeStatus(REVIEWED, doctorId);
+  }
+
+  cancel(changedBy, reason) {
+    this.changeStatus(CANCELLED, changedBy, reason);
+  }
+
+  changeStatus(status, changedBy, reason, details = {}) {
+    if (!this.canTransitionTo(status)) {
+      throw new Error('Cannot change examination status from ' +
+        `${this.status} to ${status}`);
+    }
+
+    this.statusHistory.push({
+      from: this.status,
+      to: status,
+      changedBy: changedBy || null,
+      changedAt: new Date(),
+      reason: reason || null,
+      ...details,
+    });
+    this.status = status;
+
+    this.recordEvent(STATUS_EVENTS[status], {
+      examination: this,
+      changedBy: changedBy || null,
+      reason: reason || null,
+    });
   }
 }
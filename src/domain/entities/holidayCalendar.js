@@ -0,0 +1,66 @@
+import { TimeZone } from '../value-objects/timeZone.js';
+
+// Holidays are calendar days, so the instant is read in the clinic's zone
+const toDayKey = (date, timeZone) => {
+  const { year, month, day } = timeZone.getParts(date);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// A YYYY-MM-DD string naming a day that exists; Date.UTC rolls 2026-02-31
+// over into March, so such a day does not come back unchanged
+const isCalendarDay = (date) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date));
+  if (!match) {
+    return false;
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const utc = new Date(Date.UTC(year, month - 1, day));
+  return utc.toISOString().slice(0, 10) === date;
+};
+
+// The clinic keeps a single calendar, stored under this id
+export const CLINIC_HOLIDAY_CALENDAR_ID = 'clinic';
+
+export class HolidayCalendar {
+  constructor(id = CLINIC_HOLIDAY_CALENDAR_ID) {
+    this.id = id;
+    this.holidays = new Map();
+  }
+
+  addHoliday(date, name) {
+    if (!isCalendarDay(date)) {
+      throw new Error(`Invalid date: ${date}`);
+    }
+
+    if (this.holidays.has(date)) {
+      throw new Error(`Holiday already exists on ${date}`);
+    }
+
+    this.holidays.set(date, name);
+    return {
+      date,
+      name,
+    };
+  }
+
+  removeHoliday(date) {
+    if (!this.holidays.has(date)) {
+      throw new Error(`Holiday not found on ${date}`);
+    }
+
+    this.holidays.delete(date);
+  }
+
+  isHoliday(date, timeZone = new TimeZone()) {
+    return this.holidays.has(toDayKey(date, timeZone));
+  }
+
+  listHolidays() {
+    return Array.from(this.holidays, ([date, name]) => ({
+      date,
+      name,
+    })).sort((a, b) => a.date.localeCompare(b.date));
+  }
+}
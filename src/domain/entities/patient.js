@@ -1,8 +1,12 @@
 import { Appointment } from './appointment.js';
 import { Examinations } from './examinations.js';
+import { Allergy } from './record/allergy.js';
 import { MedicalRecord } from './record/medicalRecord.js';
+import { AggregateRoot } from '../events/aggregateRoot.js';
+import { DomainEvent, DomainEventType } from '../events/domainEvent.js';
+import { TimeZone } from '../value-objects/timeZone.js';
 
-export class Patient {
+export class Patient extends AggregateRoot {
   constructor(
     id,
     identificationDocument,
@@ -13,8 +17,11 @@ export class Patient {
     address,
     phoneNumber,
     email,
-    emergencyContact
+    emergencyContact,
+    timeZone = null
   ) {
+    super();
+
     this.id = id;
     this.gender = gender;
     this.bloodType = bloodType;
@@ -26,13 +33,114 @@ export class Patient {
 
     this.identificationDocument = identificationDocument;
     this.emergencyContact = emergencyContact;
+    // Used to render appointment times in notifications
+    this.timeZone = timeZone ? new TimeZone(timeZone).name : null;
 
     this.allergies = [];
+    // Set once the patient was asked and has no allergies, which an empty
+    // list alone does not tell
+    this.noKnownAllergies = false;
     this.appointments = [];
     this.examinations = [];
     this.medicalRecord = new MedicalRecord();
   }
 
+  // Whole years on the given day (YYYY-MM-DD); null without a birth date
+  ageOn(day) {
+    const dateOfBirth = this.dateOfBirth instanceof Date
+      ? this.dateOfBirth.toISOString()
+      : String(this.dateOfBirth ?? '');
+    const birth = /^(\d{4})-\d{2}-\d{2}/.exec(dateOfBirth);
+    if (!birth) {
+      return null;
+    }
+
+    // Before the birthday comes round the year is not complete yet
+    const age = Number(day.slice(0, 4)) - Number(birth[1]);
+    return day.slice(5) < birth[0].slice(5) ? age - 1 : age;
+  }
+
+  addAllergy(allergy) {
+    if (!(allergy instanceof Allergy)) {
+      throw new Error('Invalid allergy');
+    }
+
+    if (this.allergies.some((existing) => existing.equals(allergy))) {
+      return false;
+    }
+
+    this.allergies.push(allergy);
+    this.noKnownAllergies = false;
+    this.recordEvent(DomainEventType.ALLERGY_ADDED, { allergy });
+    return true;
+  }
+
+  // Replaces an allergy with a revised one, for instance once it is
+  // confirmed or refuted
+  updateAllergy(allergyId, allergy) {
+    const index = this.findAllergyIndex(allergyId);
+    if (
+      this.allergies.some((existing, position) =>
+        position !== index && existing.equals(allergy))
+    ) {
+      throw new Error(`Allergy to ${allergy.substance} is already recorded`);
+    }
+
+    allergy.id = this.allergies[index].id;
+    this.allergies[index] = allergy;
+    this.recordEvent(DomainEventType.ALLERGY_UPDATED, { allergy });
+    return allergy;
+  }
+
+  removeAllergy(allergyId) {
+    const [allergy] = this.allergies.splice(
+      this.findAllergyIndex(allergyId),
+      1
+    );
+    this.recordEvent(DomainEventType.ALLERGY_REMOVED, { allergy });
+    return allergy;
+  }
+
+  findAllergyIndex(allergyId) {
+    const index = this.allergies.findIndex((allergy) =>
+      allergy.id === allergyId);
+    if (index === -1) {
+      throw new Error('Allergy not found');
+    }
+    return index;
+  }
+
+  // Allergies that were not refuted
+  activeAllergies() {
+    return this.allergies.filter((allergy) => !allergy.isRefuted());
+  }
+
+  recordNoKnownAllergies() {
+    if (this.activeAllergies().length > 0) {
+      throw new Error('Patient has recorded allergies');
+    }
+
+    this.noKnownAllergies = true;
+    this.recordEvent(DomainEventType.NO_KNOWN_ALLERGIES_RECORDED);
+  }
+
+  // The medical record is saved as part of the patient, so its events are
+  // published under the patient's id
+  pullDomainEvents() {
+    const recordEvents = this.medicalRecord.pullDomainEvents().map((event) =>
+      new DomainEvent(
+        event.type,
+        this.id,
+        {
+          ...event.payload,
+          patient: this,
+        },
+        event.occurredAt
+      ));
+
+    return [...super.pullDomainEvents(), ...recordEvents];
+  }
+
   addExamination(exam) {
     if (!(exam instanceof Examinations)) {
       throw new Error('Invalid examination');
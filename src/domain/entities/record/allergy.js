@@ -1,9 +1,86 @@
+export const AllergyCategory = Object.freeze({
+  DRUG: 'drug',
+  FOOD: 'food',
+  ENVIRONMENTAL: 'environmental',
+});
+
+export const AllergySeverity = Object.freeze({
+  MILD: 'mild',
+  MODERATE: 'moderate',
+  SEVERE: 'severe',
+});
+
+// Whether the allergy was confirmed, for instance by a challenge test, or is
+// only what the patient reported; refuted ones are kept so they are not
+// reported again
+export const VerificationStatus = Object.freeze({
+  UNCONFIRMED: 'unconfirmed',
+  CONFIRMED: 'confirmed',
+  REFUTED: 'refuted',
+});
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+const checkOneOf = (values, value, label) => {
+  if (!Object.values(values).includes(value)) {
+    throw new Error(`Unknown allergy ${label}: ${value}`);
+  }
+};
+
+// Allergies recorded before they were structured only have their substance
 export class Allergy {
-  constructor(type) {
-    this.type = type;
+  constructor(substance, details = {}) {
+    this.id = details.id ?? null;
+    this.substance = substance;
+    this.category = details.category ?? null;
+    this.reaction = details.reaction ?? null;
+    this.severity = details.severity ?? null;
+    this.onsetDate = details.onsetDate ?? null;
+    this.verificationStatus =
+      details.verificationStatus ?? VerificationStatus.UNCONFIRMED;
+  }
+
+  // Builds an allergy from request data
+  static create({
+    substance,
+    category,
+    reaction = null,
+    severity = null,
+    onsetDate = null,
+    verificationStatus = VerificationStatus.UNCONFIRMED,
+  } = {}) {
+    if (typeof substance !== 'string' || !substance.trim()) {
+      throw new Error('Allergy substance is required');
+    }
+    checkOneOf(AllergyCategory, category, 'category');
+    if (severity !== null) {
+      checkOneOf(AllergySeverity, severity, 'severity');
+    }
+    checkOneOf(VerificationStatus, verificationStatus, 'verification status');
+    if (reaction !== null && typeof reaction !== 'string') {
+      throw new Error('Allergy reaction must be text');
+    }
+    if (onsetDate !== null && !DAY.test(String(onsetDate))) {
+      throw new Error(`Invalid allergy onset date: ${onsetDate}`);
+    }
+
+    return new Allergy(substance.trim(), {
+      category,
+      reaction: reaction?.trim() || null,
+      severity,
+      onsetDate,
+      verificationStatus,
+    });
+  }
+
+  isRefuted() {
+    return this.verificationStatus === VerificationStatus.REFUTED;
   }
 
-  equals(otherAllergies) {
-    return this.type === otherAllergies.type;
+  // The same substance, whatever its case
+  equals(otherAllergy) {
+    return (
+      this.substance.toLowerCase() === otherAllergy.substance.toLowerCase()
+    );
   }
 }
@@ -1,9 +1,90 @@
-export class Diagnosis {
-  constructor(description) {
+import { RecordEntry } from './recordEntry.js';
+
+export const DiagnosisRank = Object.freeze({
+  PRIMARY: 'primary',
+  SECONDARY: 'secondary',
+});
+
+export const ClinicalStatus = Object.freeze({
+  ACTIVE: 'active',
+  RESOLVED: 'resolved',
+});
+
+const checkClassification = (rank, clinicalStatus) => {
+  if (!Object.values(DiagnosisRank).includes(rank)) {
+    throw new Error(`Unknown diagnosis rank: ${rank}`);
+  }
+  if (!Object.values(ClinicalStatus).includes(clinicalStatus)) {
+    throw new Error(`Unknown clinical status: ${clinicalStatus}`);
+  }
+};
+
+// A condition coded with ICD-10. Diagnoses recorded before codes were used
+// only have their description.
+export class Diagnosis extends RecordEntry {
+  constructor(description, details = {}) {
+    super(details);
+    this.code = details.code ?? null;
     this.description = description;
+    this.rank = details.rank ?? DiagnosisRank.SECONDARY;
+    this.clinicalStatus = details.clinicalStatus ?? ClinicalStatus.ACTIVE;
+  }
+
+  // Builds a diagnosis from request data. Whether the code exists is checked
+  // against the catalog when it is recorded.
+  static create({
+    code,
+    description = null,
+    rank = DiagnosisRank.SECONDARY,
+    clinicalStatus = ClinicalStatus.ACTIVE,
+    ...attribution
+  } = {}) {
+    if (typeof code !== 'string' || !code.trim()) {
+      throw new Error('Diagnosis code is required');
+    }
+    if (description !== null && typeof description !== 'string') {
+      throw new Error('Diagnosis description must be text');
+    }
+    checkClassification(rank, clinicalStatus);
+
+    return new Diagnosis(description?.trim() || null, {
+      ...RecordEntry.attribution(attribution),
+      code: code.trim().toUpperCase(),
+      rank,
+      clinicalStatus,
+    });
+  }
+
+  // The same diagnosis with another rank or clinical status, to amend this
+  // one with. It stays with this diagnosis's appointment unless told otherwise.
+  reclassified(
+    { rank = this.rank, clinicalStatus = this.clinicalStatus },
+    attribution
+  ) {
+    checkClassification(rank, clinicalStatus);
+    const { authorId, appointmentId } = RecordEntry.attribution(attribution);
+
+    return new Diagnosis(this.description, {
+      authorId,
+      appointmentId: appointmentId ?? this.appointmentId,
+      code: this.code,
+      rank,
+      clinicalStatus,
+    });
+  }
+
+  isPrimary() {
+    return this.rank === DiagnosisRank.PRIMARY;
+  }
+
+  isResolved() {
+    return this.clinicalStatus === ClinicalStatus.RESOLVED;
   }
 
   equals(otherDiagnosis) {
-    return this.description === otherDiagnosis.description;
+    return (
+      this.code === otherDiagnosis.code &&
+      this.description === otherDiagnosis.description
+    );
   }
 }
@@ -1,47 +1,112 @@
-import { Medication } from '../medication.js';
+import { AggregateRoot } from '../../events/aggregateRoot.js';
+import { DomainEventType } from '../../events/domainEvent.js';
 import { Diagnosis } from './diagnosis.js';
+import { Prescription } from './prescription.js';
+import { EntryStatus } from './recordEntry.js';
 import { Treatment } from './treatment.js';
 
-export class MedicalRecord {
+export class MedicalRecord extends AggregateRoot {
   constructor() {
+    super();
     this.diagnosis = [];
     this.treatments = [];
-    this.medications = [];
+    this.prescriptions = [];
   }
 
   addDiagnosis(diagnosis) {
     if (!(diagnosis instanceof Diagnosis)) throw new Error('Invalid diagnosis');
 
-    this.diagnosis.push(diagnosis);
-    console.log(`Diagnosis ${diagnosis} added to medical record`);
+    this.append(this.diagnosis, diagnosis);
+    this.recordEvent(DomainEventType.DIAGNOSIS_ADDED, { diagnosis });
   }
 
   addTreatment(treatment) {
     if (!(treatment instanceof Treatment)) throw new Error('Invalid treatment');
 
-    this.treatments.push(treatment);
-    console.log(`Treatment ${treatment} added to medical record`);
+    this.append(this.treatments, treatment);
+    this.recordEvent(DomainEventType.TREATMENT_ADDED, { treatment });
   }
 
-  addMedication(medication) {
-    if (!(medication instanceof Medication))
-      throw new Error('Invalid medication');
+  addPrescription(prescription) {
+    if (!(prescription instanceof Prescription))
+      throw new Error('Invalid prescription');
 
-    this.medications.push(medication);
-    console.log(`Medication ${medication} added to medical record`);
+    this.append(this.prescriptions, prescription);
+    this.recordEvent(DomainEventType.PRESCRIPTION_ADDED, { prescription });
+  }
+
+  // What the patient is taking on the given day (YYYY-MM-DD)
+  activePrescriptions(day) {
+    return this.prescriptions.filter((prescription) =>
+      prescription.isActiveOn(day));
+  }
+
+  // The record is append-only: a correction is a new entry that amends the
+  // original, which is kept and marked as amended
+  amendEntry(entryId, correction, reason = null) {
+    const entry = this.findEntry(entryId);
+    if (correction.constructor !== entry.constructor) {
+      throw new Error('An amendment must be of the same kind as the entry');
+    }
+
+    entry.close(EntryStatus.AMENDED, {
+      authorId: correction.authorId,
+      reason,
+      changedAt: correction.recordedAt,
+    });
+    correction.amends = entry.id;
+    this.append(this.entriesLike(entry), correction);
+    this.recordEvent(DomainEventType.RECORD_ENTRY_AMENDED, {
+      entry,
+      correction,
+    });
+    return correction;
+  }
+
+  markEnteredInError(entryId, authorId, reason = null) {
+    const entry = this.findEntry(entryId);
+    entry.close(EntryStatus.ENTERED_IN_ERROR, {
+      authorId,
+      reason,
+    });
+    this.recordEvent(DomainEventType.RECORD_ENTRY_ENTERED_IN_ERROR, { entry });
+    return entry;
+  }
+
+  findEntry(entryId) {
+    const { diagnosis, treatments, prescriptions } = this;
+    const entries = [...diagnosis, ...treatments, ...prescriptions];
+    const entry = entries.find((existing) => existing.id === entryId);
+    if (!entry) {
+      throw new Error('Record entry not found');
+    }
+    return entry;
+  }
+
+  entriesLike(entry) {
+    if (entry instanceof Diagnosis) return this.diagnosis;
+    if (entry instanceof Treatment) return this.treatments;
+    return this.prescriptions;
+  }
+
+  // Every entry must say who wrote it
+  append(entries, entry) {
+    if (!entry.authorId) throw new Error('Record entry author is required');
+
+    entries.push(entry);
   }
 
   equals(otherRecord) {
     return (
       this.diagnosis.length === otherRecord.diagnosis.length &&
       this.treatments.length === otherRecord.treatments.length &&
-      this.medications.length === otherRecord.medications.length &&
+      this.prescriptions.length === otherRecord.prescriptions.length &&
       this.diagnosis.every((item, index) =>
         item.equals(otherRecord.diagnosis[index])) &&
       this.treatments.every((item, index) =>
         item.equals(otherRecord.treatments[index])) &&
-      this.medications.every((item, index) =>
-        item.equals(otherRecord.medications[index]))
+      this.prescriptions.every((item, index) =>
+        item.equals(otherRecord.prescriptions[index]))
     );
   }
 }
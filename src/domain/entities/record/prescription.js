@@ -0,0 +1,232 @@
+import { RecordEntry } from './recordEntry.js';
+
+export const MedicationRoute = Object.freeze({
+  ORAL: 'oral',
+  SUBLINGUAL: 'sublingual',
+  TOPICAL: 'topical',
+  TRANSDERMAL: 'transdermal',
+  INHALED: 'inhaled',
+  NASAL: 'nasal',
+  OPHTHALMIC: 'ophthalmic',
+  OTIC: 'otic',
+  RECTAL: 'rectal',
+  VAGINAL: 'vaginal',
+  SUBCUTANEOUS: 'subcutaneous',
+  INTRAMUSCULAR: 'intramuscular',
+  INTRAVENOUS: 'intravenous',
+});
+
+export const AlertSeverity = Object.freeze({
+  SEVERE: 'severe',
+  MODERATE: 'moderate',
+});
+
+// Raised when a prescription conflicts with the patient's allergies or
+// current drugs and the prescriber gave no reason to go ahead
+export class PrescribingConflictError extends Error {
+  constructor(drug, alerts) {
+    const conflicts = alerts.map((alert) =>
+      alert.kind === 'allergy'
+        ? `an allergy to ${alert.allergy}`
+        : `${alert.drug} (${alert.effect})`);
+    super(`Prescribing ${drug} conflicts with ${conflicts.join(', ')}`);
+    this.name = 'PrescribingConflictError';
+    this.alerts = alerts;
+  }
+}
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+const requireText = (value, field) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`Prescription ${field} is required`);
+  }
+  return value.trim();
+};
+
+const optionalCount = (value, field, minimum) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value < minimum) {
+    throw new Error(`Prescription ${field} must be a whole number ` +
+      `from ${minimum}`);
+  }
+  return value;
+};
+
+const optionalDay = (value, field) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!DAY.test(String(value)) || isNaN(Date.parse(value))) {
+    throw new Error(`Invalid prescription ${field}: ${value}`);
+  }
+  return value;
+};
+
+const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// A drug prescribed to the patient. Start and end are calendar days; without
+// an end date the prescription lasts for its duration, or until discontinued.
+// Medications recorded before prescriptions were structured only have their
+// drug and, as instructions, the dosage they were written with.
+export class Prescription extends RecordEntry {
+  constructor(drug, details = {}) {
+    super(details);
+    this.drug = drug;
+    this.strength = details.strength ?? null;
+    this.form = details.form ?? null;
+    this.route = details.route ?? null;
+    this.frequency = details.frequency ?? null;
+    this.durationDays = details.durationDays ?? null;
+    this.quantity = details.quantity ?? null;
+    this.refills = details.refills ?? 0;
+    this.instructions = details.instructions ?? null;
+    this.prescriberId = details.prescriberId ?? this.authorId;
+    this.startDate = details.startDate ?? null;
+    this.endDate = details.endDate ?? null;
+    // Why and when it was stopped early
+    this.discontinuation = details.discontinuation ?? null;
+    // Allergy and interaction alerts found when it was prescribed, and why
+    // the prescriber went ahead despite severe ones
+    this.safetyAlerts = details.safetyAlerts ?? [];
+    this.overrideReason = details.overrideReason ?? null;
+  }
+
+  // Builds a prescription from request data; the author is the prescriber.
+  // Without a start date it starts on the day it is recorded.
+  static create({
+    drug,
+    strength,
+    form,
+    route,
+    frequency,
+    durationDays,
+    quantity,
+    refills = 0,
+    instructions = null,
+    startDate,
+    endDate,
+    overrideReason = null,
+    ...attribution
+  } = {}) {
+    if (!Object.values(MedicationRoute).includes(route)) {
+      throw new Error(`Unknown medication route: ${route}`);
+    }
+    if (instructions !== null && typeof instructions !== 'string') {
+      throw new Error('Prescription instructions must be text');
+    }
+    if (overrideReason !== null && typeof overrideReason !== 'string') {
+      throw new Error('Override reason must be text');
+    }
+    const start = optionalDay(startDate, 'start date');
+    const end = optionalDay(endDate, 'end date');
+    if (start && end && end < start) {
+      throw new Error('Prescription cannot end before it starts');
+    }
+
+    const { authorId, appointmentId } = RecordEntry.attribution(attribution);
+    return new Prescription(requireText(drug, 'drug'), {
+      authorId,
+      appointmentId,
+      strength: requireText(strength, 'strength'),
+      form: requireText(form, 'form'),
+      route,
+      frequency: requireText(frequency, 'frequency'),
+      durationDays: optionalCount(durationDays, 'duration', 1),
+      quantity: optionalCount(quantity, 'quantity', 1),
+      refills: optionalCount(refills, 'refills', 0) ?? 0,
+      instructions: instructions?.trim() || null,
+      prescriberId: authorId,
+      startDate: start,
+      endDate: end,
+      overrideReason: overrideReason?.trim() || null,
+    });
+  }
+
+  // Severe alerts block the prescription unless it carries an override
+  // reason; every alert is kept with it
+  recordSafetyAlerts(alerts) {
+    const severe = alerts.filter((alert) =>
+      alert.severity === AlertSeverity.SEVERE);
+    if (severe.length > 0 && !this.overrideReason) {
+      throw new PrescribingConflictError(this.drug, severe);
+    }
+    this.safetyAlerts = alerts;
+  }
+
+  // The last day the drug is taken, if the prescription has one
+  lastDay() {
+    if (this.endDate) {
+      return this.endDate;
+    }
+    if (this.startDate && this.durationDays) {
+      return addDays(this.startDate, this.durationDays - 1);
+    }
+    return null;
+  }
+
+  isDiscontinued() {
+    return this.discontinuation !== null;
+  }
+
+  isExpiredOn(day) {
+    const lastDay = this.lastDay();
+    return lastDay !== null && lastDay < day;
+  }
+
+  // Current entries that are neither discontinued nor past their last day
+  isActiveOn(day) {
+    return this.isActive() && !this.isDiscontinued() && !this.isExpiredOn(day);
+  }
+
+  // The same prescription, stopped, to amend this one with. The prescriber
+  // and appointment stay; the author is whoever stops it.
+  discontinued(reason, attribution, discontinuedAt = new Date()) {
+    if (this.isDiscontinued()) {
+      throw new Error('Prescription is already discontinued');
+    }
+    if (typeof reason !== 'string' || !reason.trim()) {
+      throw new Error('Discontinue reason is required');
+    }
+    const { authorId, appointmentId } = RecordEntry.attribution(attribution);
+
+    return new Prescription(this.drug, {
+      authorId,
+      appointmentId: appointmentId ?? this.appointmentId,
+      strength: this.strength,
+      form: this.form,
+      route: this.route,
+      frequency: this.frequency,
+      durationDays: this.durationDays,
+      quantity: this.quantity,
+      refills: this.refills,
+      instructions: this.instructions,
+      prescriberId: this.prescriberId,
+      startDate: this.startDate,
+      endDate: this.endDate,
+      safetyAlerts: this.safetyAlerts,
+      overrideReason: this.overrideReason,
+      discontinuation: {
+        reason: reason.trim(),
+        discontinuedAt,
+      },
+    });
+  }
+
+  equals(otherPrescription) {
+    return (
+      this.drug === otherPrescription.drug &&
+      this.strength === otherPrescription.strength &&
+      this.form === otherPrescription.form &&
+      this.route === otherPrescription.route &&
+      this.frequency === otherPrescription.frequency &&
+      this.startDate === otherPrescription.startDate
+    );
+  }
+}
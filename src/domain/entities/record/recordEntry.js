@@ -0,0 +1,62 @@
+export const EntryStatus = Object.freeze({
+  ACTIVE: 'active',
+  AMENDED: 'amended',
+  ENTERED_IN_ERROR: 'entered-in-error',
+});
+
+// What every medical record entry carries besides its content: the doctor who
+// wrote it, the appointment it belongs to and when it was recorded. Entries
+// are never edited or removed, so the record keeps its full history; only
+// their status changes, once, when they are amended or entered in error.
+export class RecordEntry {
+  constructor({
+    id = null,
+    authorId = null,
+    appointmentId = null,
+    recordedAt = new Date(),
+    status = EntryStatus.ACTIVE,
+    amends = null,
+    statusChange = null,
+  } = {}) {
+    this.id = id;
+    this.authorId = authorId;
+    this.appointmentId = appointmentId;
+    this.recordedAt = recordedAt ? new Date(recordedAt) : null;
+    this.status = status;
+    // Id of the entry this one corrects
+    this.amends = amends;
+    // Who changed the status, when and why
+    this.statusChange = statusChange;
+  }
+
+  // Attribution sent along with an entry's content
+  static attribution({ authorId, appointmentId } = {}) {
+    if (!authorId) {
+      throw new Error('Record entry author is required');
+    }
+    return {
+      authorId: String(authorId),
+      appointmentId: appointmentId ? String(appointmentId) : null,
+    };
+  }
+
+  isActive() {
+    return this.status === EntryStatus.ACTIVE;
+  }
+
+  close(status, { authorId, reason = null, changedAt = new Date() }) {
+    if (!this.isActive()) {
+      throw new Error(`Record entry is already ${this.status}`);
+    }
+    if (!authorId) {
+      throw new Error('Record entry author is required');
+    }
+
+    this.status = status;
+    this.statusChange = {
+      authorId,
+      reason,
+      changedAt,
+    };
+  }
+}
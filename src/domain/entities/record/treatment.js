@@ -1,8 +1,22 @@
-export class Treatment {
-  constructor(description) {
+import { RecordEntry } from './recordEntry.js';
+
+export class Treatment extends RecordEntry {
+  constructor(description, details = {}) {
+    super(details);
     this.description = description;
   }
 
+  // Builds a treatment from request data
+  static create({ description, ...attribution } = {}) {
+    if (typeof description !== 'string' || !description.trim()) {
+      throw new Error('Treatment description is required');
+    }
+    return new Treatment(
+      description.trim(),
+      RecordEntry.attribution(attribution)
+    );
+  }
+
   equals(otherTreatment) {
     return this.description === otherTreatment.description;
   }
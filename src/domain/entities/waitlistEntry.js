@@ -0,0 +1,126 @@
+import { AggregateRoot } from '../events/aggregateRoot.js';
+import { DomainEventType } from '../events/domainEvent.js';
+
+export const WaitlistStatus = Object.freeze({
+  WAITING: 'waiting',
+  OFFERED: 'offered',
+  BOOKED: 'booked',
+  CANCELLED: 'cancelled',
+});
+
+const slotKey = (doctorId, start) => `${doctorId}@${start.toISOString()}`;
+
+export class WaitlistEntry extends AggregateRoot {
+  constructor(
+    id,
+    patient,
+    doctorId,
+    specialty,
+    preferredStart,
+    preferredEnd,
+    duration,
+    reason,
+    createdAt = new Date()
+  ) {
+    super();
+
+    if (!doctorId && !specialty) {
+      throw new Error('Waitlist entry needs a doctor or a specialty');
+    }
+
+    if (preferredStart >= preferredEnd) {
+      throw new Error('Preferred range end must be after its start');
+    }
+
+    this.id = id;
+    this.patient = patient;
+    this.doctorId = doctorId || null;
+    this.specialty = specialty || null;
+    this.preferredStart = preferredStart;
+    this.preferredEnd = preferredEnd;
+    this.duration = duration ?? null;
+    this.reason = reason;
+    this.createdAt = createdAt;
+    this.status = WaitlistStatus.WAITING;
+    this.hold = null;
+    this.appointmentId = null;
+    // Slots this patient let expire or declined are not offered again
+    this.passedSlots = [];
+  }
+
+  isWaiting() {
+    return this.status === WaitlistStatus.WAITING;
+  }
+
+  matchesDoctor(doctor) {
+    if (this.doctorId) {
+      return this.doctorId === doctor.id;
+    }
+    return doctor.specialty.includes(this.specialty);
+  }
+
+  hasPassed(doctorId, start) {
+    return this.passedSlots.includes(slotKey(doctorId, start));
+  }
+
+  hasActiveHold(now) {
+    return this.status === WaitlistStatus.OFFERED && this.hold.expiresAt > now;
+  }
+
+  // A hold keeps blocking the slot until expireHolds releases it
+  holdOverlaps(doctorId, start, end) {
+    return (
+      this.status === WaitlistStatus.OFFERED &&
+      this.hold.doctorId === doctorId &&
+      this.hold.start < end &&
+      start < this.hold.end
+    );
+  }
+
+  offer(doctor, start, end, expiresAt) {
+    if (!this.isWaiting()) {
+      throw new Error('Cannot offer a slot to a waitlist entry that is ' +
+        this.status);
+    }
+
+    this.hold = {
+      doctorId: doctor.id,
+      start,
+      end,
+      expiresAt,
+    };
+    this.status = WaitlistStatus.OFFERED;
+    this.recordEvent(DomainEventType.WAITLIST_SLOT_OFFERED, {
+      entry: this,
+      doctor,
+    });
+  }
+
+  // Puts the entry back in line without the slot it was holding
+  releaseHold() {
+    if (this.status !== WaitlistStatus.OFFERED) {
+      throw new Error('Waitlist entry has no hold');
+    }
+
+    const { hold } = this;
+    this.passedSlots.push(slotKey(hold.doctorId, hold.start));
+    this.hold = null;
+    this.status = WaitlistStatus.WAITING;
+    return hold;
+  }
+
+  book(appointmentId) {
+    this.appointmentId = appointmentId;
+    this.hold = null;
+    this.status = WaitlistStatus.BOOKED;
+  }
+
+  cancel() {
+    if (this.status === WaitlistStatus.BOOKED) {
+      throw new Error('Cannot leave the waitlist after booking');
+    }
+
+    this.hold = null;
+    this.status = WaitlistStatus.CANCELLED;
+  }
+}
@@ -0,0 +1,25 @@
+import { DomainEvent } from './domainEvent.js';
+
+// Entities record what happened to them; the repository publishes the
+// recorded events once the entity has been saved.
+export class AggregateRoot {
+  constructor() {
+    // Not enumerable, so pending events never end up in API responses
+    Object.defineProperty(this, 'domainEvents', {
+      value: [],
+      writable: true,
+    });
+    // Set by the repository on every save; 0 until the aggregate is stored
+    this.version = 0;
+  }
+
+  recordEvent(type, payload) {
+    this.domainEvents.push(new DomainEvent(type, this.id, payload));
+  }
+
+  pullDomainEvents() {
+    const events = this.domainEvents;
+    this.domainEvents = [];
+    return events;
+  }
+}
@@ -0,0 +1,50 @@
+import { randomUUID } from 'node:crypto';
+
+export const DomainEventType = Object.freeze({
+  APPOINTMENT_SCHEDULED: 'AppointmentScheduled',
+  APPOINTMENT_CONFIRMED: 'AppointmentConfirmed',
+  APPOINTMENT_CHECKED_IN: 'AppointmentCheckedIn',
+  APPOINTMENT_STARTED: 'AppointmentStarted',
+  APPOINTMENT_COMPLETED: 'AppointmentCompleted',
+  APPOINTMENT_CANCELLED: 'AppointmentCancelled',
+  APPOINTMENT_NO_SHOW: 'AppointmentNoShow',
+  APPOINTMENT_RESCHEDULED: 'AppointmentRescheduled',
+  APPOINTMENT_SERIES_SCHEDULED: 'AppointmentSeriesScheduled',
+  ALLERGY_ADDED: 'AllergyAdded',
+  DIAGNOSIS_ADDED: 'DiagnosisAdded',
+  TREATMENT_ADDED: 'TreatmentAdded',
+  PRESCRIPTION_ADDED: 'PrescriptionAdded',
+  ALLERGY_UPDATED: 'AllergyUpdated',
+  ALLERGY_REMOVED: 'AllergyRemoved',
+  NO_KNOWN_ALLERGIES_RECORDED: 'NoKnownAllergiesRecorded',
+  RECORD_ENTRY_AMENDED: 'RecordEntryAmended',
+  RECORD_ENTRY_ENTERED_IN_ERROR: 'RecordEntryEnteredInError',
+  WORKING_HOURS_CHANGED: 'WorkingHoursChanged',
+  SCHEDULE_EXCEPTION_ADDED: 'ScheduleExceptionAdded',
+  SCHEDULE_EXCEPTION_REMOVED: 'ScheduleExceptionRemoved',
+  WAITLIST_SLOT_OFFERED: 'WaitlistSlotOffered',
+  EXAMINATION_ORDERED: 'ExaminationOrdered',
+  EXAMINATION_PANEL_ORDERED: 'ExaminationPanelOrdered',
+  EXAMINATION_SCHEDULED: 'ExaminationScheduled',
+  EXAMINATION_SAMPLE_COLLECTED: 'ExaminationSampleCollected',
+  EXAMINATION_ANALYSIS_STARTED: 'ExaminationAnalysisStarted',
+  EXAMINATION_RESULTED: 'ExaminationResulted',
+  EXAMINATION_REVIEWED: 'ExaminationReviewed',
+  EXAMINATION_CANCELLED: 'ExaminationCancelled',
+  EXAMINATION_ATTACHMENT_ADDED: 'ExaminationAttachmentAdded',
+  CRITICAL_RESULT_RAISED: 'CriticalResultRaised',
+  CRITICAL_RESULT_ESCALATED: 'CriticalResultEscalated',
+  CRITICAL_RESULT_ACKNOWLEDGED: 'CriticalResultAcknowledged',
+});
+
+export class DomainEvent {
+  constructor(type, aggregateId, payload = {}, occurredAt = new Date()) {
+    this.id = randomUUID();
+    this.type = type;
+    this.aggregateId = aggregateId ?? null;
+    this.payload = payload;
+    this.occurredAt = occurredAt;
+
+    Object.freeze(this);
+  }
+}
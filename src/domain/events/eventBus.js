@@ -0,0 +1,48 @@
+const ALL_EVENTS = '*';
+
+// In-process publish/subscribe. Subscribers may be async and run one after
+// the other; a failing one is logged and never undoes the save that produced
+// the event or stops other subscribers.
+export class EventBus {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  subscribe(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, []);
+    }
+    this.handlers.get(type).push(handler);
+
+    return () => {
+      this.handlers.set(
+        type,
+        this.handlers.get(type).filter((existing) => existing !== handler)
+      );
+    };
+  }
+
+  subscribeAll(handler) {
+    return this.subscribe(ALL_EVENTS, handler);
+  }
+
+  async publish(event) {
+    const typeHandlers = this.handlers.get(event.type) || [];
+    const allHandlers = this.handlers.get(ALL_EVENTS) || [];
+    const handlers = [...typeHandlers, ...allHandlers];
+
+    for (const handler of handlers) {
+      try {
+        await handler(event);
+      } catch (error) {
+        console.error(`Handler for ${event.type} failed: ${error.message}`);
+      }
+    }
+  }
+
+  async publishAll(events) {
+    for (const event of events) {
+      await this.publish(event);
+    }
+  }
+}
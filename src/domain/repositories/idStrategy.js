@@ -0,0 +1,44 @@
+import { randomBytes, randomUUID } from 'node:crypto';
+
+export const IdStrategy = Object.freeze({
+  UUID: 'uuid',
+  ULID: 'ulid',
+});
+
+const CROCKFORD_BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// 48 bits of milliseconds followed by 80 random bits, both in Crockford's
+// base 32, so ids sort by the time they were created
+export const ulid = (now = Date.now()) => {
+  let time = '';
+  for (let rest = now, digit = 0; digit < 10; digit++) {
+    time = CROCKFORD_BASE32[rest % 32] + time;
+    rest = Math.floor(rest / 32);
+  }
+
+  // 256 is a multiple of 32, so every character is equally likely
+  const random = Array.from(
+    randomBytes(16),
+    (byte) => CROCKFORD_BASE32[byte % 32]
+  ).join('');
+
+  return time + random;
+};
+
+// Returns the function repositories call to give new entities their id
+export function createIdGenerator(strategy = IdStrategy.UUID) {
+  switch (strategy) {
+  case IdStrategy.UUID:
+    return () => randomUUID();
+  case IdStrategy.ULID:
+    return () => ulid();
+  default:
+    throw new Error(`Unknown ID strategy: ${strategy}`);
+  }
+}
+
+// Ids are compared as strings, so a route param finds an entity whatever
+// type its id had when it was stored
+export const normalizeId = (id) => (id == null ? id : String(id));
+
+export const sameId = (id, otherId) => normalizeId(id) === normalizeId(otherId);
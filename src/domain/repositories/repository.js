@@ -1,37 +1,199 @@
+import { createIdGenerator, normalizeId } from './idStrategy.js';
+import { currentTransaction } from './unitOfWork.js';
+
+// Writes a storage once when the unit of work commits, and again after a
+// rollback if a later part of the commit failed
+const storageParticipant = (storage, data) => {
+  let written = false;
+
+  return {
+    begin: () => {
+      written = false;
+    },
+    commit: () => {
+      storage.save(data);
+      written = true;
+    },
+    rollback: () => {
+      if (written) {
+        storage.save(data);
+      }
+    },
+  };
+};
+
+// Raised when a write is based on a version of the entity that is no longer
+// the stored one
+export class ConcurrencyError extends Error {
+  constructor(id, expectedVersion, version) {
+    super(`Entity with id ${id} is at version ${version}, ` +
+      `not ${expectedVersion}.`);
+    this.name = 'ConcurrencyError';
+    this.id = id;
+    this.expectedVersion = expectedVersion;
+    this.version = version;
+  }
+}
+
+// Entities are served from the in-memory Map. With a storage the Map is
+// loaded from it on start and every change is written through to it.
+// The contract is Promise-based so services work the same on any storage.
+// Every save moves the entity to its next version; the stored versions are
+// kept apart from the entities, which callers may change before saving.
+// Ids are kept as strings, whatever type they are passed in as.
 export class Repository {
-  constructor() {
-    this.data = new Map();
+  constructor(
+    eventBus = null,
+    storage = null,
+    generateId = createIdGenerator()
+  ) {
+    this.eventBus = eventBus;
+    this.storage = storage;
+    this.generateId = generateId;
+    const entries = storage ? storage.load() : [];
+    this.data = new Map(Array.from(entries, ([id, entity]) =>
+      [normalizeId(id), entity]));
+    this.versions = new Map(Array.from(this.data, ([id, entity]) =>
+      [id, entity.version]));
+    this.participant = storage ? storageParticipant(storage, this.data) : null;
+  }
+
+  // Services give new entities their id before they are stored
+  nextId() {
+    return this.generateId();
   }
 
-  add(id, entity) {
-    if (this.data.has(id)) {
+  async add(id, entity) {
+    if (this.data.has(normalizeId(id))) {
       throw new Error(`Entity with id ${id} already exists.`);
     }
 
-    this.data.set(id, entity);
+    this.change(id, entity, 1);
+    await this.dispatchEvents(entity);
   }
 
-  findById(id) {
-    return this.data.get(id);
+  async findById(id) {
+    return this.track(this.lookup(id));
   }
 
-  findAll() {
-    return Array.from(this.data.values());
+  async findAll() {
+    return Array.from(this.data.values(), (entity) => this.track(entity));
   }
 
-  update(id, entity) {
-    if (!this.data.has(id)) {
+  // Without an expected version the one the entity carries is checked
+  async update(id, entity, expectedVersion = entity.version) {
+    if (!this.data.has(normalizeId(id))) {
       throw new Error(`Entity with id ${id} does not exist.`);
     }
 
-    this.data.set(id, entity);
+    const version = this.checkVersion(id, expectedVersion);
+    this.change(id, entity, version + 1);
+    await this.dispatchEvents(entity);
   }
 
-  delete(id) {
-    if (!this.data.has(id)) {
+  async delete(id, expectedVersion) {
+    if (!this.data.has(normalizeId(id))) {
       throw new Error(`Entity with id ${id} does not exist.`);
     }
 
-    this.data.delete(id);
+    this.checkVersion(id, expectedVersion);
+    this.change(id, undefined);
+  }
+
+  // Synchronous lookup for mappers linking references while loading
+  lookup(id) {
+    return this.data.get(normalizeId(id));
+  }
+
+  currentVersion(id) {
+    return this.versions.get(normalizeId(id));
+  }
+
+  // Returns the stored version, or rejects the write when the caller expects
+  // another one. Undefined means any version will do.
+  checkVersion(id, expectedVersion) {
+    const version = this.currentVersion(id);
+    if (expectedVersion !== undefined && expectedVersion !== version) {
+      throw new ConcurrencyError(id, expectedVersion, version);
+    }
+    return version;
+  }
+
+  // Inside a unit of work the old entry is journaled and the storage is
+  // written on commit; outside of one it is written through right away.
+  change(entityId, entity, version) {
+    const id = normalizeId(entityId);
+    const transaction = currentTransaction();
+    const previous = this.data.get(id);
+    const previousVersion = this.versions.get(id);
+
+    if (transaction) {
+      transaction.journal(this.data, id);
+      transaction.journal(this.versions, id);
+      transaction.track(entity);
+      if (this.participant) {
+        transaction.enlist(this.participant);
+      }
+    }
+
+    if (entity === undefined) {
+      this.data.delete(id);
+      this.versions.delete(id);
+    } else {
+      entity.version = version;
+      this.data.set(id, entity);
+      this.versions.set(id, version);
+    }
+
+    if (!transaction) {
+      this.persist(id, previous, previousVersion);
+    }
+  }
+
+  // A failed write undoes the in-memory change, so memory and disk agree
+  persist(id, previous, previousVersion) {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.save(this.data);
+    } catch (error) {
+      if (previous === undefined) {
+        this.data.delete(id);
+        this.versions.delete(id);
+      } else {
+        previous.version = previousVersion;
+        this.data.set(id, previous);
+        this.versions.set(id, previousVersion);
+      }
+      throw error;
+    }
+  }
+
+  // Entities read inside a unit of work are restored if it rolls back
+  track(entity) {
+    const transaction = currentTransaction();
+    return transaction ? transaction.track(entity) : entity;
+  }
+
+  // Events are only published after the entity was stored successfully, and
+  // inside a unit of work only once it commits
+  async dispatchEvents(entity) {
+    if (typeof entity?.pullDomainEvents !== 'function') {
+      return;
+    }
+
+    const events = entity.pullDomainEvents();
+    if (!this.eventBus) {
+      return;
+    }
+
+    const transaction = currentTransaction();
+    if (transaction) {
+      transaction.collect(this.eventBus, events);
+    } else {
+      await this.eventBus.publishAll(events);
+    }
   }
 }
@@ -0,0 +1,157 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { AggregateRoot } from '../events/aggregateRoot.js';
+
+const transactions = new AsyncLocalStorage();
+
+// The transaction of the unit of work the caller is running in, if any
+export const currentTransaction = () => transactions.getStore();
+
+// Copies an entity's own state. Frozen value objects are shared, and other
+// aggregates are kept by reference since they are restored on their own.
+const copyState = (value, root) => {
+  if (value === null || typeof value !== 'object' || Object.isFrozen(value)) {
+    return value;
+  }
+
+  if (value !== root && value instanceof AggregateRoot) {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    return new Date(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => copyState(item, root));
+  }
+
+  if (value instanceof Map) {
+    return new Map(Array.from(value, ([key, item]) =>
+      [key, copyState(item, root)]));
+  }
+
+  const copy = Object.create(Object.getPrototypeOf(value));
+  Object.keys(value).forEach((key) => {
+    copy[key] = copyState(value[key], root);
+  });
+  return copy;
+};
+
+// Everything one unit of work changed, so it can be undone as a whole
+export class Transaction {
+  constructor() {
+    this.snapshots = new Map();
+    this.journals = [];
+    this.resources = [];
+    this.events = [];
+  }
+
+  // Services change entities before saving them, so the state an entity had
+  // when it was first read in the unit is what a rollback goes back to.
+  track(entity) {
+    if (entity && typeof entity === 'object' && !this.snapshots.has(entity)) {
+      this.snapshots.set(entity, copyState(entity, entity));
+    }
+    return entity;
+  }
+
+  // Remembers what a key of a repository's map held before the unit
+  journal(map, key) {
+    if (
+      !this.journals.some((entry) => entry.map === map && entry.key === key)
+    ) {
+      this.journals.push({
+        map,
+        key,
+        existed: map.has(key),
+        previous: map.get(key),
+      });
+    }
+  }
+
+  // Storage that takes part in the unit: begin() runs when it joins,
+  // commit() or rollback() when the unit ends
+  enlist(resource) {
+    if (!this.resources.includes(resource)) {
+      resource.begin?.();
+      this.resources.push(resource);
+    }
+  }
+
+  // Events wait for the commit, so subscribers never see rolled back changes
+  collect(eventBus, events) {
+    events.forEach((event) => this.events.push({
+      eventBus,
+      event,
+    }));
+  }
+
+  commit() {
+    this.resources.forEach((resource) => resource.commit());
+  }
+
+  rollback() {
+    this.journals.reverse().forEach(({ map, key, existed, previous }) => {
+      if (existed) {
+        map.set(key, previous);
+      } else {
+        map.delete(key);
+      }
+    });
+
+    this.snapshots.forEach((snapshot, entity) => {
+      Object.keys(entity).forEach((key) => delete entity[key]);
+      Object.assign(entity, snapshot);
+      entity.pullDomainEvents?.();
+    });
+
+    this.events = [];
+    this.resources.forEach((resource) => {
+      try {
+        resource.rollback();
+      } catch (error) {
+        console.error(`Rollback failed: ${error.message}`);
+      }
+    });
+  }
+}
+
+// Runs a piece of work so that all of its writes commit or roll back together.
+// Units run one at a time; work started inside a unit joins it.
+export class UnitOfWork {
+  constructor() {
+    this.queue = Promise.resolve();
+  }
+
+  async run(work) {
+    if (currentTransaction()) {
+      return work();
+    }
+
+    const previous = this.queue;
+    let release;
+    this.queue = new Promise((resolve) => {
+      release = resolve;
+    });
+
+    let transaction;
+    let result;
+    try {
+      await previous;
+      transaction = new Transaction();
+      result = await transactions.run(transaction, work);
+      transaction.commit();
+    } catch (error) {
+      transaction?.rollback();
+      throw error;
+    } finally {
+      release();
+    }
+
+    // Published outside the unit, so subscribers that write start their own
+    for (const { eventBus, event } of transaction.events) {
+      await eventBus.publish(event);
+    }
+    return result;
+  }
+}
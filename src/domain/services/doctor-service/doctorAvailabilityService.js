@@ -1,12 +1,35 @@
 /* eslint-disable max-len */
+import { Appointment } from '../../entities/appointment.js';
+import { HolidayCalendar } from '../../entities/holidayCalendar.js';
+import { DEFAULT_TIME_ZONE, TimeZone, WEEKDAYS } from '../../value-objects/timeZone.js';
+
+const MAX_SEARCH_DAYS = 31;
+
 export class DoctorAvailabilityService {
-  constructor(appointmentRepository, doctorService) {
+  constructor(
+    appointmentRepository,
+    doctorService,
+    holidayService = null,
+    clinicTimeZone = DEFAULT_TIME_ZONE
+  ) {
     this.appointmentRepository = appointmentRepository;
     this.doctorService = doctorService;
+    // Without one no day is a holiday
+    this.holidayService = holidayService;
+    this.clinicTimeZone = new TimeZone(clinicTimeZone);
+  }
+
+  // Working hours are wall-clock rules, read in the doctor's own zone or, if
+  // none is set, the clinic's. Clinic holidays are always read in the
+  // clinic's zone.
+  getTimeZone(doctor) {
+    return doctor?.timeZone
+      ? new TimeZone(doctor.timeZone)
+      : this.clinicTimeZone;
   }
 
-  isDoctorAvailable(doctorId, date) {
-    const doctor = this.doctorService.findDoctorById(doctorId);
+  async isDoctorAvailable(doctorId, date, duration, excludeAppointmentId) {
+    const doctor = await this.doctorService.findDoctorById(doctorId);
 
     if (!doctor) {
       throw new Error('Doctor not found');
@@ -16,7 +39,12 @@ export class DoctorAvailabilityService {
       throw new Error('Invalid date');
     }
 
-    const hasAppointmentConflict = this.hasAppointmentConflict(doctorId, date);
+    const hasAppointmentConflict = await this.hasAppointmentConflict(
+      doctorId,
+      date,
+      duration,
+      excludeAppointmentId
+    );
     if (hasAppointmentConflict) {
       console.log(
         `Doctor has a conflicting appointment on ${date.toISOString()}`
@@ -24,10 +52,16 @@ export class DoctorAvailabilityService {
       return false;
     }
 
-    const isWithinWorkingHours = this.isWithinWorkingHours(doctor, date);
-    if (!isWithinWorkingHours) {
+    const end = this.buildCandidate(null, date, doctor, duration).getEndDate();
+    const isOnSchedule = this.isOnSchedule(
+      doctor,
+      date,
+      end,
+      await this.getHolidayCalendar()
+    );
+    if (!isOnSchedule) {
       console.log(
-        `Requested time ${date.toISOString()} is outside of doctor's working hours`
+        `Requested time ${date.toISOString()} is outside of doctor's schedule`
       );
       return false;
     }
@@ -35,61 +69,208 @@ export class DoctorAvailabilityService {
     return true;
   }
 
-  hasAppointmentConflict(doctorId, date) {
-    const doctorAppointments =
-      this.appointmentRepository.findByDoctorId(doctorId);
-    return doctorAppointments.some(
-      (appointment) => appointment.date.getTime() === date.getTime()
-    );
-  }
+  // Absences and blocks always win; a one-off extra shift opens time even on
+  // a clinic holiday or outside the weekly pattern.
+  isOnSchedule(doctor, start, end, holidayCalendar) {
+    if (doctor.isUnavailableBetween(start, end)) {
+      return false;
+    }
 
-  checkDate(date) {
-    const parsedDate = new Date(date);
-    if (!(parsedDate instanceof Date) || isNaN(parsedDate.getTime())) {
-      throw new Error('Invalid date');
+    if (doctor.hasExtraShiftBetween(start, end)) {
+      return true;
     }
 
-    const offset = parsedDate.getTimezoneOffset() * 60000;
-    return new Date(parsedDate.getTime() - offset);
+    if (holidayCalendar.isHoliday(start, this.clinicTimeZone)) {
+      return false;
+    }
+
+    return this.isWithinWorkingHours(doctor, start, end);
   }
 
-  isWithinWorkingHours(doctor, date) {
-    const dayOfWeek = date.toLocaleDateString('en-US', { weekday: 'long' });
-    const timeSlot = date.toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-    });
+  async hasAppointmentConflict(doctorId, date, duration, excludeAppointmentId) {
+    const doctor = await this.doctorService.findDoctorById(doctorId);
+    const candidate = this.buildCandidate(
+      excludeAppointmentId,
+      date,
+      doctor,
+      duration
+    );
 
-    return doctor.workingHours.hours.some(
-      (workingHour) =>
-        workingHour.day === dayOfWeek &&
-        this.isTimeWithinSlot(timeSlot, workingHour.timeSlot)
+    const appointments =
+      await this.appointmentRepository.findByDoctorId(doctorId);
+    return appointments.some((appointment) =>
+      candidate.hasConflict(appointment));
+  }
+
+  async hasPatientConflict(patientId, date, duration, excludeAppointmentId) {
+    const candidate = this.buildCandidate(
+      excludeAppointmentId,
+      date,
+      null,
+      duration
     );
+
+    const appointments =
+      await this.appointmentRepository.findByPatientId(patientId);
+    return appointments.some((appointment) =>
+      candidate.hasConflict(appointment));
   }
 
-  isTimeWithinSlot(time, timeSlot) {
-    const [startTime, endTime] = timeSlot.split(' - ');
+  buildCandidate(id, date, doctor, duration) {
+    return new Appointment(id, date, null, doctor, null, null, '', duration);
+  }
+
+  async getHolidayCalendar() {
+    return this.holidayService
+      ? this.holidayService.getCalendar()
+      : new HolidayCalendar();
+  }
 
-    const timeToMinutes = (timeStr) => {
-      const isPM = timeStr.includes('PM');
-      const isAM = timeStr.includes('AM');
-      const cleanTime = timeStr.replace(/AM|PM/g, '').trim();
-      const [hours, minutes] = cleanTime.split(':').map(Number);
+  isWithinWorkingHours(doctor, start, end) {
+    return doctor.workingHours.covers(start, end, this.getTimeZone(doctor));
+  }
 
-      let adjustedHours = hours;
-      if (isPM && hours !== 12) {
-        adjustedHours = hours + 12;
-      } else if (isAM && hours === 12) {
-        adjustedHours = 0;
+  async findAvailableSlots(doctorId, from, to, duration) {
+    const doctor = await this.doctorService.findDoctorById(doctorId);
+    if (!doctor) {
+      throw new Error('Doctor not found');
+    }
+
+    const timeZone = this.getTimeZone(doctor);
+    const { start, end } = this.checkSearchRange(from, to, timeZone);
+    const slotDuration =
+      duration ?? Appointment.defaultDuration(null, doctor.specialty);
+    const appointments =
+      await this.appointmentRepository.findByDoctorId(doctor.id);
+    const holidayCalendar = await this.getHolidayCalendar();
+    const slots = new Map();
+
+    this.findShiftWindows(doctor, start, end).forEach((window) => {
+      for (
+        let slotStart = window.start;
+        slotStart.getTime() + slotDuration * 60000 <= window.end.getTime();
+        slotStart = new Date(slotStart.getTime() + slotDuration * 60000)
+      ) {
+        const candidate = this.buildCandidate(
+          undefined,
+          slotStart,
+          doctor,
+          slotDuration
+        );
+        const slotEnd = candidate.getEndDate();
+
+        const isInRange = slotStart >= start && slotEnd <= end;
+        const isFree = !appointments.some((appointment) =>
+          candidate.hasConflict(appointment));
+
+        if (
+          isInRange &&
+          isFree &&
+          this.isOnSchedule(doctor, slotStart, slotEnd, holidayCalendar)
+        ) {
+          slots.set(slotStart.getTime(), {
+            start: slotStart,
+            end: slotEnd,
+            localStart: timeZone.formatISO(slotStart),
+            localEnd: timeZone.formatISO(slotEnd),
+            timeZone: timeZone.name,
+          });
+        }
       }
+    });
 
-      return adjustedHours * 60 + (minutes || 0);
-    };
+    return Array.from(slots.values()).sort((a, b) => a.start - b.start);
+  }
+
+  // Walks the calendar days of the doctor's zone, so a shift keeps its
+  // wall-clock hours across DST changes.
+  findShiftWindows(doctor, start, end) {
+    const timeZone = this.getTimeZone(doctor);
+    const windows = [];
+    const { year, month, day } = timeZone.getParts(start);
+
+    for (
+      let offset = 0;
+      timeZone.toInstant(year, month, day + offset) < end;
+      offset++
+    ) {
+      const dayOfWeek =
+        WEEKDAYS[new Date(Date.UTC(year, month - 1, day + offset)).getUTCDay()];
+
+      doctor.workingHours.rangesFor(dayOfWeek).forEach((workingHour) => {
+        windows.push({
+          start: timeZone.toInstant(
+            year,
+            month,
+            day + offset,
+            workingHour.startMinute
+          ),
+          end: timeZone.toInstant(
+            year,
+            month,
+            day + offset,
+            workingHour.endMinute
+          ),
+        });
+      });
+    }
 
-    const timeInMinutes = timeToMinutes(time);
-    const startInMinutes = timeToMinutes(startTime);
-    const endInMinutes = timeToMinutes(endTime);
+    doctor.scheduleExceptions
+      .filter((exception) =>
+        !exception.isUnavailability() && exception.overlaps(start, end))
+      .forEach((exception) =>
+        windows.push({
+          start: exception.start,
+          end: exception.end,
+        }));
 
-    return timeInMinutes >= startInMinutes && timeInMinutes <= endInMinutes;
+    return windows;
+  }
+
+  async findEarliestSlotsBySpecialty(
+    specialty,
+    from,
+    to,
+    duration,
+    limit = 10
+  ) {
+    const doctors = await this.doctorService.findDoctorsBySpecialty(specialty);
+    const slotsByDoctor = await Promise.all(doctors.map(async (doctor) => {
+      const slots = await this.findAvailableSlots(doctor.id, from, to, duration);
+      return slots.map((slot) => ({
+        doctorId: doctor.id,
+        doctorName: doctor.name,
+        ...slot,
+      }));
+    }));
+
+    return slotsByDoctor
+      .flat()
+      .sort((a, b) => a.start - b.start)
+      .slice(0, limit);
+  }
+
+  checkSearchRange(from, to, timeZone = this.clinicTimeZone) {
+    let start;
+    let end;
+    try {
+      start = timeZone.parse(from);
+      end = timeZone.parse(to);
+    } catch {
+      throw new Error('Invalid date range');
+    }
+
+    if (start >= end) {
+      throw new Error('Search range end must be after its start');
+    }
+
+    if (end - start > MAX_SEARCH_DAYS * 24 * 60 * 60000) {
+      throw new Error(`Search range cannot exceed ${MAX_SEARCH_DAYS} days`);
+    }
+
+    return {
+      start,
+      end,
+    };
   }
 }
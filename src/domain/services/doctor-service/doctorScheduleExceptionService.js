@@ -0,0 +1,75 @@
+import { UnitOfWork } from '../../repositories/unitOfWork.js';
+import { ScheduleException } from '../../value-objects/scheduleException.js';
+import { DEFAULT_TIME_ZONE, TimeZone } from '../../value-objects/timeZone.js';
+
+export class DoctorScheduleExceptionService {
+  constructor(
+    doctorRepository,
+    appointmentRepository,
+    clinicTimeZone = DEFAULT_TIME_ZONE,
+    unitOfWork = new UnitOfWork()
+  ) {
+    this.doctorRepository = doctorRepository;
+    this.appointmentRepository = appointmentRepository;
+    this.clinicTimeZone = clinicTimeZone;
+    this.unitOfWork = unitOfWork;
+  }
+
+  addScheduleException(doctorId, exceptionData) {
+    return this.unitOfWork.run(async () => {
+      const doctor = await this.getDoctor(doctorId);
+      const exception = ScheduleException.create(
+        this.doctorRepository.nextId(),
+        exceptionData,
+        new TimeZone(doctor.timeZone || this.clinicTimeZone)
+      );
+
+      doctor.addScheduleException(exception);
+      await this.doctorRepository.update(doctor.id, doctor);
+
+      return {
+        exception,
+        affectedAppointments: await this.findAffectedAppointments(
+          doctor,
+          exception
+        ),
+      };
+    });
+  }
+
+  removeScheduleException(doctorId, exceptionId) {
+    return this.unitOfWork.run(async () => {
+      const doctor = await this.getDoctor(doctorId);
+      const exception = doctor.removeScheduleException(exceptionId);
+
+      await this.doctorRepository.update(doctor.id, doctor);
+      return exception;
+    });
+  }
+
+  async listScheduleExceptions(doctorId) {
+    return (await this.getDoctor(doctorId)).scheduleExceptions;
+  }
+
+  // Appointments still to be attended that fall inside a new absence or block
+  // and therefore need to be rescheduled by staff.
+  async findAffectedAppointments(doctor, exception) {
+    if (!exception.isUnavailability()) {
+      return [];
+    }
+
+    const appointments =
+      await this.appointmentRepository.findByDoctorId(doctor.id);
+    return appointments.filter((appointment) =>
+      appointment.isActive() &&
+      exception.overlaps(appointment.getStartDate(), appointment.getEndDate()));
+  }
+
+  async getDoctor(doctorId) {
+    const doctor = await this.doctorRepository.findById(doctorId);
+    if (!doctor) {
+      throw new Error('Doctor not found');
+    }
+    return doctor;
+  }
+}
@@ -1,50 +1,76 @@
 import { Doctor } from '../../entities/doctor.js';
+import { UnitOfWork } from '../../repositories/unitOfWork.js';
 
 export class DoctorService {
-  constructor(doctorRepository) {
+  constructor(doctorRepository, unitOfWork = new UnitOfWork()) {
     this.doctorRepository = doctorRepository;
+    this.unitOfWork = unitOfWork;
   }
 
   addDoctor(doctorData) {
-    const doctor = new Doctor(
-      doctorData.id,
-      doctorData.rcm,
-      doctorData.name,
-      doctorData.specialty,
-      doctorData.phoneNumber
-    );
-
-    this.doctorRepository.add(doctor.id, doctor);
-    return doctor;
+    return this.unitOfWork.run(async () => {
+      const doctor = new Doctor(
+        this.doctorRepository.nextId(),
+        doctorData.rcm,
+        doctorData.name,
+        doctorData.specialty,
+        doctorData.phoneNumber,
+        doctorData.workingHours,
+        doctorData.timeZone
+      );
+
+      await this.doctorRepository.add(doctor.id, doctor);
+      return doctor;
+    });
   }
 
-  findDoctorById(doctorId) {
+  async findDoctorById(doctorId) {
     return this.doctorRepository.findById(doctorId);
   }
 
-  findAllDoctors() {
+  async findAllDoctors() {
     return this.doctorRepository.findAll();
   }
 
-  updateDoctor(doctorId, updatedData) {
-    const doctor = this.doctorRepository.findById(doctorId);
-    if (!doctor) {
-      throw new Error('Doctor not found');
-    }
+  async findDoctorsBySpecialty(specialty) {
+    return this.doctorRepository.findBySpecialization(specialty);
+  }
+
+  // An expected version makes the change fail if the doctor was changed
+  // since the caller read it. Only the doctor's details can be changed here;
+  // the id, version and schedule exceptions have their own ways in.
+  updateDoctor(doctorId, updatedData, expectedVersion) {
+    return this.unitOfWork.run(async () => {
+      const doctor = await this.doctorRepository.findById(doctorId);
+      if (!doctor) {
+        throw new Error('Doctor not found');
+      }
 
-    Object.assign(doctor, updatedData);
+      if (updatedData.name) doctor.name = updatedData.name;
+      if (Array.isArray(updatedData.specialty))
+        doctor.specialty = updatedData.specialty;
+      if (updatedData.phoneNumber) doctor.phoneNumber = updatedData.phoneNumber;
+      if (updatedData.timeZone !== undefined) {
+        doctor.changeTimeZone(updatedData.timeZone);
+      }
+      if (updatedData.workingHours !== undefined) {
+        doctor.changeWorkingHours(updatedData.workingHours);
+      }
 
-    this.doctorRepository.update(doctorId, doctor);
-    return doctor;
+      await this.doctorRepository.update(doctorId, doctor, expectedVersion);
+      return doctor;
+    });
   }
 
-  deleteDoctor(doctorId) {
-    const doctor = this.doctorRepository.findById(doctorId);
-    if (!doctor) {
-      throw new Error('Doctor not found');
-    }
+  deleteDoctor(doctorId, expectedVersion) {
+    return this.unitOfWork.run(async () => {
+      const doctor = await this.doctorRepository.findById(doctorId);
+      if (!doctor) {
+        throw new Error('Doctor not found');
+      }
 
-    this.doctorRepository.delete(doctor.id);
-    return doctor;
+      await this.doctorRepository.delete(doctor.id, expectedVersion);
+      return doctor;
+    });
   }
 }
@@ -3,8 +3,8 @@ export class DoctorSpecialtyService {
     this.doctorRepository = doctorRepository;
   }
 
-  addDoctorSpecialty(doctorId, specialty) {
-    const doctor = this.findDoctorById(doctorId);
+  async addDoctorSpecialty(doctorId, specialty) {
+    const doctor = await this.doctorRepository.findById(doctorId);
     if (!doctor) {
       throw new Error('Doctor not found');
     }
@@ -14,12 +14,12 @@ export class DoctorSpecialtyService {
     }
 
     doctor.specialties.push(specialty);
-    this.doctorRepository.update(doctor.id, doctor);
+    await this.doctorRepository.update(doctor.id, doctor);
     return doctor;
   }
 
-  removeSpecialty(doctorId, specialty) {
-    const doctor = this.doctorRepository.findById(doctorId);
+  async removeSpecialty(doctorId, specialty) {
+    const doctor = await this.doctorRepository.findById(doctorId);
     if (!doctor) {
       throw new Error('Doctor not found');
     }
@@ -30,12 +30,12 @@ export class DoctorSpecialtyService {
 
     doctor.specialties = doctor.specialties.filter((spec) => spec !== specialty);
 
-    this.doctorRepository.update(doctor.id, doctor);
+    await this.doctorRepository.update(doctor.id, doctor);
     return doctor;
   }
 
-  listSpecialties(doctorId) {
-    const doctor = this.doctorRepository.findById(doctorId);
+  async listSpecialties(doctorId) {
+    const doctor = await this.doctorRepository.findById(doctorId);
     if (!doctor) {
       throw new Error('Doctor not found');
     }
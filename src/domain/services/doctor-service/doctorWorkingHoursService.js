@@ -1,60 +1,46 @@
+import { UnitOfWork } from '../../repositories/unitOfWork.js';
 import { WorkingHours } from '../../value-objects/workingHours.js';
 
 export class DoctorWorkingHoursService {
-  constructor(doctorRepository) {
+  constructor(doctorRepository, unitOfWork = new UnitOfWork()) {
     this.doctorRepository = doctorRepository;
+    this.unitOfWork = unitOfWork;
   }
 
-  addDoctorWorkingHours(doctorId, day, timeSlot) {
-    const doctor = this.doctorRepository.findById(doctorId);
-    if (!doctor) {
-      throw new Error('Doctor not found');
-    }
+  addDoctorWorkingHours(doctorId, range) {
+    return this.unitOfWork.run(async () => {
+      const doctor = await this.getDoctor(doctorId);
 
-    const hasWorkingHours = doctor.workingHours.hours.some(
-      (workingHour) =>
-        workingHour.day === day && workingHour.timeSlot === timeSlot
-    );
+      if (doctor.workingHours.has(range)) {
+        throw new Error('Working hours already exists for this doctor');
+      }
 
-    if (hasWorkingHours) {
-      throw new Error('Working hours already exists for this doctor');
-    }
-
-    doctor.workingHours.hours.push({
-      day,
-      timeSlot,
+      doctor.changeWorkingHours(doctor.workingHours.add(range));
+      await this.doctorRepository.update(doctor.id, doctor);
+      return doctor;
     });
-    this.doctorRepository.update(doctor.id, doctor);
-    return doctor;
   }
 
-  removeWorkingHours(doctorId, day, timeSlot) {
-    const doctor = this.doctorRepository.findById(doctorId);
-    if (!doctor) {
-      throw new Error('Doctor not found');
-    }
+  removeWorkingHours(doctorId, range) {
+    return this.unitOfWork.run(async () => {
+      const doctor = await this.getDoctor(doctorId);
 
-    doctor.workingHours.hours = doctor.workingHours.hours.filter(
-      (hour) => hour.day !== day && hour.timeSlot !== timeSlot
-    );
+      if (!doctor.workingHours.has(range)) {
+        throw new Error('Working hours not found for this doctor');
+      }
 
-    this.doctorRepository.update(doctor.id, doctor);
-    return doctor;
+      doctor.changeWorkingHours(doctor.workingHours.remove(range));
+      await this.doctorRepository.update(doctor.id, doctor);
+      return doctor;
+    });
   }
 
-  listWorkingHours(doctorId) {
-    const doctor = this.doctorRepository.findById(doctorId);
-    if (!doctor) {
-      throw new Error('Doctor not found');
-    }
-    return doctor.workingHours.hours();
+  async listWorkingHours(doctorId) {
+    return (await this.getWorkingHours(doctorId)).toJSON();
   }
 
-  getWorkingHours(doctorId) {
-    const doctor = this.doctorRepository.findById(doctorId);
-    if (!doctor) {
-      throw new Error('Doctor not found');
-    }
+  async getWorkingHours(doctorId) {
+    const doctor = await this.getDoctor(doctorId);
     if (!doctor.workingHours) {
       doctor.workingHours = new WorkingHours();
     }
@@ -63,32 +49,14 @@ export class DoctorWorkingHoursService {
   }
 
   isWithinWorkingHours(doctor, date) {
-    const dayOfWeek = date.toLocaleDateString('en-US', { weekday: 'long' });
-    const timeSlot = date.toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-    });
-
-    return doctor.workingHours.hours.some(
-      (workingHour) =>
-        workingHour.day === dayOfWeek &&
-        this.isTimeWithinSlot(timeSlot, workingHour.timeSlot)
-    );
+    return doctor.workingHours.contains(date);
   }
 
-  isTimeWithinSlot(time, timeSlot) {
-    const [startTime, endTime] = timeSlot.split(' - ');
-
-    const timeToMinutes = (time) => {
-      const [hours, minutes] = time.split(/:| /).map(Number);
-      const period = time.includes('PM') && hours !== 12 ? 12 : 0;
-      return (hours + period) * 60 + minutes;
-    };
-
-    const timeInMinutes = timeToMinutes(time);
-    const startInMinutes = timeToMinutes(startTime);
-    const endInMinutes = timeToMinutes(endTime);
-
-    return timeInMinutes >= startInMinutes && timeInMinutes <= endInMinutes;
+  async getDoctor(doctorId) {
+    const doctor = await this.doctorRepository.findById(doctorId);
+    if (!doctor) {
+      throw new Error('Doctor not found');
+    }
+    return doctor;
   }
 }
@@ -0,0 +1,152 @@
+import { createHash } from 'node:crypto';
+import { UnitOfWork } from '../repositories/unitOfWork.js';
+import { Attachment, checkContentType, matchesContentType, SIGNATURE_LENGTH } from '../value-objects/attachment.js';
+
+export const DEFAULT_MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+
+const blobKey = (examId, attachmentId) =>
+  `examinations/${examId}/${attachmentId}`;
+
+// Stores the files of an exam in blob storage and keeps what the exam needs
+// to know about them on the exam itself
+export class ExaminationAttachmentService {
+  constructor(
+    examinationRepository,
+    blobStorage,
+    {
+      unitOfWork = new UnitOfWork(),
+      maxBytes = DEFAULT_MAX_ATTACHMENT_BYTES,
+      clock = () => new Date(),
+    } = {}
+  ) {
+    this.examinationRepository = examinationRepository;
+    this.blobStorage = blobStorage;
+    this.unitOfWork = unitOfWork;
+    this.maxBytes = maxBytes;
+    this.clock = clock;
+  }
+
+  // The content is checked while it streams to storage, so a large file is
+  // never held in memory. The blob is only kept if the exam is saved with it.
+  async addAttachment(
+    examId,
+    { fileName, contentType, content, uploadedBy = null },
+    expectedVersion
+  ) {
+    const name = Attachment.fileNameOf(fileName);
+    const type = checkContentType(contentType);
+    const exam = await this.findExamById(examId);
+    if (!exam.acceptsAttachments()) {
+      throw new Error('Cannot attach files to a cancelled examination');
+    }
+
+    const id = this.examinationRepository.nextId();
+    const key = blobKey(exam.id, id);
+    const inspection = {
+      size: 0,
+      hash: createHash('sha256'),
+    };
+    await this.blobStorage.put(key, this.inspect(content, type, inspection));
+
+    const attachment = new Attachment(
+      id,
+      name,
+      type,
+      inspection.size,
+      inspection.hash.digest('hex'),
+      {
+        uploadedBy,
+        uploadedAt: this.clock(),
+      }
+    );
+    try {
+      return await this.unitOfWork.run(async () => {
+        const examination = await this.findExamById(examId);
+        examination.attach(attachment);
+        await this.examinationRepository.update(
+          examination.id,
+          examination,
+          expectedVersion
+        );
+        return {
+          examination,
+          attachment,
+        };
+      });
+    } catch (error) {
+      await this.blobStorage.delete(key);
+      throw error;
+    }
+  }
+
+  async openAttachment(examId, attachmentId) {
+    const exam = await this.findExamById(examId);
+    const attachment = exam.findAttachment(attachmentId);
+    if (!attachment) {
+      throw new Error('Attachment not found');
+    }
+
+    let content;
+    try {
+      content = await this.blobStorage.get(blobKey(exam.id, attachment.id));
+    } catch (error) {
+      // The exam lists the file but storage lost it
+      if (error.message.startsWith('Blob not found')) {
+        throw new Error('Attachment content not found');
+      }
+      throw error;
+    }
+    return {
+      attachment,
+      content,
+    };
+  }
+
+  // Passes the content on while counting and hashing it. The first bytes
+  // have to match the declared type before any of it is passed on.
+  async *inspect(content, contentType, inspection) {
+    let head = Buffer.alloc(0);
+    let checked = false;
+
+    for await (const chunk of content) {
+      inspection.size += chunk.length;
+      if (inspection.size > this.maxBytes) {
+        throw new Error('Attachment is too large');
+      }
+      inspection.hash.update(chunk);
+
+      if (checked) {
+        yield chunk;
+        continue;
+      }
+      head = Buffer.concat([head, chunk]);
+      if (head.length >= SIGNATURE_LENGTH) {
+        this.checkSignature(contentType, head);
+        checked = true;
+        yield head;
+      }
+    }
+
+    if (!checked) {
+      this.checkSignature(contentType, head);
+      yield head;
+    }
+  }
+
+  checkSignature(contentType, head) {
+    if (head.length === 0) {
+      throw new Error('Attachment is empty');
+    }
+    if (!matchesContentType(contentType, head)) {
+      throw new Error(`Attachment content is not ${contentType}`);
+    }
+  }
+
+  async findExamById(examId) {
+    const exam = await this.examinationRepository.findById(examId);
+    if (!exam) {
+      throw new Error('Examination not found');
+    }
+    return exam;
+  }
+}
@@ -1,59 +1,363 @@
 import { Examinations } from '../entities/examinations.js';
+import { UnitOfWork } from '../repositories/unitOfWork.js';
+import { Observation } from '../value-objects/observation.js';
+import { DEFAULT_TIME_ZONE, TimeZone } from '../value-objects/timeZone.js';
+
+export const DEFAULT_ACKNOWLEDGE_MINUTES = 30;
 
 export class ExaminationService {
-  constructor(examinationRepository) {
+  constructor(
+    examinationRepository,
+    {
+      unitOfWork = new UnitOfWork(),
+      patientRepository = null,
+      doctorRepository = null,
+      clinicTimeZone = DEFAULT_TIME_ZONE,
+      referenceRanges = null,
+      examCatalog = null,
+      acknowledgeMinutes = DEFAULT_ACKNOWLEDGE_MINUTES,
+      fallbackContact = null,
+      clock = () => new Date(),
+    } = {}
+  ) {
     this.examinationRepository = examinationRepository;
+    this.unitOfWork = unitOfWork;
+    this.patientRepository = patientRepository;
+    this.doctorRepository = doctorRepository;
+    // Exam dates without an offset are wall-clock time at the clinic
+    this.clinicTimeZone = new TimeZone(clinicTimeZone);
+    // Flags lab results that come without a reference range of their own
+    this.referenceRanges = referenceRanges;
+    // Exams and panels that can be ordered by code
+    this.examCatalog = examCatalog;
+    // Critical results nobody acknowledges in time go to the fallback contact
+    this.acknowledgeMinutes = acknowledgeMinutes;
+    this.fallbackContact = fallbackContact;
+    this.clock = clock;
+  }
+
+  // Exams enter the workflow as ordered. With a date they are scheduled
+  // right away. A catalog code names the exam and fills in its lab details.
+  orderExamination(examination) {
+    return this.unitOfWork.run(async () => {
+      const catalogExam =
+        examination.code == null
+          ? null
+          : this.findCatalogExam(examination.code);
+      if (!catalogExam && !examination.type) {
+        throw new Error('Examination type is required');
+      }
+      const participants = await this.findParticipants(examination);
+
+      const exam = this.createExam(examination, participants, catalogExam);
+      exam.order();
+      this.scheduleOnOrder(exam, examination, participants);
+
+      await this.examinationRepository.add(exam.id, exam);
+      return exam;
+    });
   }
 
-  scheduleExamination(examination) {
+  // A panel is ordered as one exam per component, all for the same patient,
+  // doctor, place and date
+  orderPanel(order) {
+    return this.unitOfWork.run(async () => {
+      const panel = this.examCatalog?.findPanel(order.panelCode);
+      if (!panel) {
+        throw new Error(`Unknown exam panel: ${order.panelCode}`);
+      }
+      const participants = await this.findParticipants(order);
+
+      const exams = panel.exams.map((catalogExam) =>
+        this.createExam(order, participants, catalogExam, panel));
+      for (const [index, exam] of exams.entries()) {
+        exam.order(index === 0 ? exams : []);
+        this.scheduleOnOrder(exam, order, participants);
+        await this.examinationRepository.add(exam.id, exam);
+      }
+      return exams;
+    });
+  }
+
+  createExam(
+    details,
+    { patient, responsibleDoctor },
+    catalogExam = null,
+    panel = null
+  ) {
     const exam = new Examinations(
-      examination.id,
-      examination.type,
-      examination.result,
-      examination.date,
-      examination.local,
-      examination.responsibleDoctor,
-      examination.patient
+      this.examinationRepository.nextId(),
+      details.type,
+      null,
+      null,
+      details.local,
+      responsibleDoctor,
+      patient
     );
+    if (catalogExam) {
+      exam.describeWith(catalogExam, panel);
+    }
+    return exam;
+  }
 
-    this.examinationRepository.addExamination(exam);
+  scheduleOnOrder(exam, details, { responsibleDoctor }) {
+    if (details.date) {
+      exam.schedule(
+        this.checkDate(details.date),
+        details.changedBy ?? responsibleDoctor.id
+      );
+    }
+  }
+
+  findCatalogExam(code) {
+    const catalogExam = this.examCatalog?.findExam(code);
+    if (!catalogExam) {
+      throw new Error(`Unknown exam code: ${code}`);
+    }
+    return catalogExam;
+  }
+
+  async findExamById(examId) {
+    const exam = await this.examinationRepository.findById(examId);
+    if (!exam) {
+      throw new Error('Examination not found');
+    }
     return exam;
   }
 
-  findExamById(examId) {
-    return this.examinationRepository.getExaminationById(examId);
+  async listExaminations({ status } = {}) {
+    return status
+      ? this.examinationRepository.findByStatus(status)
+      : this.examinationRepository.findAll();
   }
 
-  findExamByPatientId(patientId) {
-    return this.examinationRepository.getExaminationByPatientId(patientId);
+  async findExamByPatientId(patientId) {
+    return this.examinationRepository.findByPatientId(patientId);
   }
 
-  findExamByType(type) {
-    return this.examinationRepository.getExaminationByType(type);
+  async findExamByType(type) {
+    return this.examinationRepository.findByType(type);
   }
 
-  findExamByDate(date) {
-    return this.examinationRepository.getExaminationByDate(date);
+  async findExamByDate(date) {
+    return this.examinationRepository.findByDate(this.checkDate(date));
   }
 
-  updateExam(examId, updatedData) {
-    const exam = this.findExamById(examId);
-    if (!exam) {
-      throw new Error('Examination not found');
+  updateExam(examId, { type, local }, expectedVersion) {
+    return this.unitOfWork.run(async () => {
+      const exam = await this.findExamById(examId);
+      this.checkEditable(exam);
+
+      exam.type = type ?? exam.type;
+      exam.local = local ?? exam.local;
+      await this.examinationRepository.update(exam.id, exam, expectedVersion);
+      return exam;
+    });
+  }
+
+  deleteExam(examId, expectedVersion) {
+    return this.unitOfWork.run(async () => {
+      const exam = await this.findExamById(examId);
+      this.checkEditable(exam);
+      // Their files would be left behind in blob storage
+      if (exam.attachments.length > 0) {
+        throw new Error('Examination with attachments cannot be deleted; cancel it instead');
+      }
+
+      await this.examinationRepository.delete(exam.id, expectedVersion);
+      return exam;
+    });
+  }
+
+  schedule(examId, date, changedBy, expectedVersion) {
+    return this.changeStatus(
+      examId,
+      (exam) => exam.schedule(this.checkDate(date), changedBy),
+      expectedVersion
+    );
+  }
+
+  collectSample(examId, changedBy, expectedVersion) {
+    return this.changeStatus(
+      examId,
+      (exam) => exam.collectSample(changedBy),
+      expectedVersion
+    );
+  }
+
+  startAnalysis(examId, changedBy, expectedVersion) {
+    return this.changeStatus(
+      examId,
+      (exam) => exam.startAnalysis(changedBy),
+      expectedVersion
+    );
+  }
+
+  recordResult(
+    examId,
+    { observations = [], result = null } = {},
+    changedBy,
+    expectedVersion
+  ) {
+    return this.changeStatus(
+      examId,
+      (exam) => {
+        if (!Array.isArray(observations)) {
+          throw new Error('Observations must be a list');
+        }
+        exam.recordResult(
+          {
+            observations: observations.map((observation) =>
+              this.interpret(exam, Observation.create(observation))),
+            result,
+          },
+          changedBy
+        );
+        if (exam.hasCriticalObservations()) {
+          const now = this.clock();
+          exam.raiseCriticalAlert(
+            now,
+            new Date(now.getTime() + this.acknowledgeMinutes * 60000)
+          );
+        }
+      },
+      expectedVersion
+    );
+  }
+
+  acknowledgeCriticalResult(examId, acknowledgedBy, expectedVersion) {
+    return this.changeStatus(
+      examId,
+      (exam) => exam.acknowledgeCriticalAlert(acknowledgedBy, this.clock()),
+      expectedVersion
+    );
+  }
+
+  // Oldest first, so the lab follows up on the longest waiting. Listing
+  // leaves escalation to the scheduled escalateCriticalResults run.
+  async listUnacknowledgedCriticalResults() {
+    const exams = await this.examinationRepository.findUnacknowledgedCritical();
+    return exams.sort((first, second) =>
+      first.criticalAlert.raisedAt - second.criticalAlert.raisedAt);
+  }
+
+  // Without a fallback contact alerts keep waiting on the responsible doctor
+  escalateCriticalResults() {
+    return this.unitOfWork.run(async () => {
+      if (!this.fallbackContact) {
+        return [];
+      }
+
+      const now = this.clock();
+      const unacknowledged =
+        await this.examinationRepository.findUnacknowledgedCritical();
+      const due = unacknowledged.filter((exam) => exam.needsEscalation(now));
+
+      for (const exam of due) {
+        exam.escalateCriticalAlert(this.fallbackContact, now);
+        await this.examinationRepository.update(exam.id, exam);
+      }
+      return due;
+    });
+  }
+
+  review(examId, doctorId, expectedVersion) {
+    return this.changeStatus(
+      examId,
+      (exam) => exam.review(doctorId),
+      expectedVersion
+    );
+  }
+
+  cancel(examId, changedBy, reason, expectedVersion) {
+    return this.changeStatus(
+      examId,
+      (exam) => exam.cancel(changedBy, reason),
+      expectedVersion
+    );
+  }
+
+  // Every value of one analyte across the patient's results, oldest first
+  async getObservationTrend(patientId, analyte) {
+    const exams = await this.examinationRepository.findByPatientId(patientId);
+
+    return exams
+      .filter((exam) => exam.hasResult())
+      .flatMap((exam) =>
+        exam.findObservations(analyte).map((observation) => ({
+          examinationId: exam.id,
+          resultedAt: exam.resultedAt(),
+          ...observation,
+        })))
+      .sort((first, second) => first.resultedAt - second.resultedAt);
+  }
+
+  changeStatus(examId, transition, expectedVersion) {
+    return this.unitOfWork.run(async () => {
+      const exam = await this.findExamById(examId);
+      transition(exam);
+      await this.examinationRepository.update(exam.id, exam, expectedVersion);
+      return exam;
+    });
+  }
+
+  // Ranges depend on the patient's gender and age on the day of the exam
+  interpret(exam, observation) {
+    const { patient } = exam;
+    const day = this.clinicTimeZone.formatDay(exam.date ?? new Date());
+    const reference = this.referenceRanges?.referenceFor(
+      observation.analyte,
+      observation.unit,
+      {
+        gender: patient?.gender ?? null,
+        age: typeof patient?.ageOn === 'function' ? patient.ageOn(day) : null,
+      }
+    );
+    return observation.interpreted(reference);
+  }
+
+  checkEditable(exam) {
+    if (!exam.isEditable()) {
+      throw new Error('Examination can only be changed before its sample is collected');
     }
+  }
 
-    Object.assign(exam, updatedData);
-    this.examinationRepository.updateExam(exam);
-    return exam;
+  async findParticipants(examination) {
+    // Handle both formats: {patientId, responsibleDoctorId} or
+    // {patient: {id}, responsibleDoctor: {id}}
+    const patientId = examination.patientId || examination.patient?.id;
+    const doctorId =
+      examination.responsibleDoctorId || examination.responsibleDoctor?.id;
+
+    if (!patientId || !doctorId) {
+      throw new Error('Patient ID and responsible doctor ID are required');
+    }
+
+    const patient = await this.patientRepository.findById(patientId);
+    if (!patient) {
+      throw new Error('Patient not found');
+    }
+
+    const responsibleDoctor = await this.doctorRepository.findById(doctorId);
+    if (!responsibleDoctor) {
+      throw new Error('Doctor not found');
+    }
+
+    return {
+      patient,
+      responsibleDoctor,
+    };
   }
 
-  deleteExame(examId) {
-    const exam = this.findExamById(examId);
-    if (!exam) {
-      throw new Error('Examination not found');
+  checkDate(date) {
+    if (!date) {
+      throw new Error('Invalid examination date');
     }
 
-    this.examinationRepository.deleteExam(examId);
-    return exam;
+    try {
+      return this.clinicTimeZone.parse(date);
+    } catch {
+      throw new Error('Invalid examination date');
+    }
   }
 }
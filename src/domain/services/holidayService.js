@@ -0,0 +1,47 @@
+import { CLINIC_HOLIDAY_CALENDAR_ID, HolidayCalendar } from '../entities/holidayCalendar.js';
+import { UnitOfWork } from '../repositories/unitOfWork.js';
+
+// Clinic holidays are kept in one calendar, stored with the first holiday
+export class HolidayService {
+  constructor(holidayCalendarRepository, unitOfWork = new UnitOfWork()) {
+    this.holidayCalendarRepository = holidayCalendarRepository;
+    this.unitOfWork = unitOfWork;
+  }
+
+  async getCalendar() {
+    const id = CLINIC_HOLIDAY_CALENDAR_ID;
+    const calendar = await this.holidayCalendarRepository.findById(id);
+    return calendar ?? new HolidayCalendar();
+  }
+
+  async listHolidays() {
+    return (await this.getCalendar()).listHolidays();
+  }
+
+  addHoliday(date, name) {
+    return this.unitOfWork.run(async () => {
+      const calendar = await this.getCalendar();
+      const holiday = calendar.addHoliday(date, name);
+
+      await this.saveCalendar(calendar);
+      return holiday;
+    });
+  }
+
+  removeHoliday(date) {
+    return this.unitOfWork.run(async () => {
+      const calendar = await this.getCalendar();
+      calendar.removeHoliday(date);
+
+      await this.saveCalendar(calendar);
+    });
+  }
+
+  async saveCalendar(calendar) {
+    if (calendar.version === undefined) {
+      await this.holidayCalendarRepository.add(calendar.id, calendar);
+    } else {
+      await this.holidayCalendarRepository.update(calendar.id, calendar);
+    }
+  }
+}
@@ -1,125 +1,388 @@
 import { Patient } from '../entities/patient.js';
-import { Allergy } from '../entities/record/allergy.js';
+import { Diagnosis } from '../entities/record/diagnosis.js';
+import { Prescription } from '../entities/record/prescription.js';
+import { sameId } from '../repositories/idStrategy.js';
+import { UnitOfWork } from '../repositories/unitOfWork.js';
+import { DEFAULT_TIME_ZONE, TimeZone } from '../value-objects/timeZone.js';
 
 export class PatientService {
-  constructor(patientRepository) {
+  // Doctors and appointments are looked up to check who wrote a medical
+  // record entry and for which appointment, the ICD-10 catalog to check the
+  // codes of diagnoses. Prescriptions are dated in the patient's time zone
+  // or, if none is set, the clinic's, and checked against the drug safety
+  // table.
+  constructor(
+    patientRepository,
+    {
+      unitOfWork = new UnitOfWork(),
+      doctorRepository = null,
+      appointmentRepository = null,
+      icd10Catalog = null,
+      clinicTimeZone = DEFAULT_TIME_ZONE,
+      drugSafetyTable = null,
+    } = {}
+  ) {
     if (!patientRepository) {
       throw new Error('PatientRepository is required');
     }
     this.patientRepository = patientRepository;
+    this.unitOfWork = unitOfWork;
+    this.doctorRepository = doctorRepository;
+    this.appointmentRepository = appointmentRepository;
+    this.icd10Catalog = icd10Catalog;
+    this.clinicTimeZone = new TimeZone(clinicTimeZone);
+    this.drugSafetyTable = drugSafetyTable;
   }
 
   addPatient(patientData) {
-    if (!(patientData instanceof Patient)) {
-      throw new Error('Invalid patient object');
-    }
+    return this.unitOfWork.run(async () => {
+      if (!(patientData instanceof Patient)) {
+        throw new Error('Invalid patient object');
+      }
 
-    const id = this.patientRepository.add(patientData);
-    const savedPatient = this.patientRepository.findById(id);
+      patientData.id = this.patientRepository.nextId();
+      await this.patientRepository.add(patientData.id, patientData);
+      const savedPatient =
+        await this.patientRepository.findById(patientData.id);
 
-    if (!savedPatient) {
-      throw new Error('Failed to save patient');
-    }
+      if (!savedPatient) {
+        throw new Error('Failed to save patient');
+      }
 
-    return savedPatient;
+      return savedPatient;
+    });
   }
 
-  findAllPatients() {
+  async findAllPatients() {
     return this.patientRepository.findAll();
   }
 
-  findPatientById(patientId) {
+  async findPatientById(patientId) {
     return this.patientRepository.findById(patientId);
   }
 
-  findPatientByName(name) {
+  async findPatientByName(name) {
     return this.patientRepository.findByName(name);
   }
 
-  findPatientByBloodType(bloodType) {
+  async findPatientByBloodType(bloodType) {
     return this.patientRepository.findByBloodType(bloodType);
   }
 
-  updatePatient(patientId, updatedData) {
-    const patient = this.findPatientById(patientId);
-    if (!patient) {
-      throw new Error('Patient not found');
-    }
+  // An expected version makes the change fail if the patient was changed
+  // since the caller read it
+  updatePatient(patientId, updatedData, expectedVersion) {
+    return this.unitOfWork.run(async () => {
+      const patient = await this.findPatientById(patientId);
+      if (!patient) {
+        throw new Error('Patient not found');
+      }
 
-    if (updatedData.name) patient.name = updatedData.name;
-    if (updatedData.phoneNumber) patient.phoneNumber = updatedData.phoneNumber;
-    if (updatedData.email) patient.email = updatedData.email;
-    if (updatedData.emergencyContact)
-      patient.emergencyContact = updatedData.emergencyContact;
-    if (updatedData.address) patient.address = updatedData.address;
+      if (updatedData.name) patient.name = updatedData.name;
+      if (updatedData.phoneNumber)
+        patient.phoneNumber = updatedData.phoneNumber;
+      if (updatedData.email) patient.email = updatedData.email;
+      if (updatedData.emergencyContact)
+        patient.emergencyContact = updatedData.emergencyContact;
+      if (updatedData.address) patient.address = updatedData.address;
 
-    this.patientRepository.update(patientId, patient);
-    return patient;
+      await this.patientRepository.update(patientId, patient, expectedVersion);
+      return patient;
+    });
   }
 
-  deletePatient(patientId) {
-    const patient = this.findPatientById(patientId);
-    if (!patient) {
-      throw new Error('Patient not found');
-    }
+  deletePatient(patientId, expectedVersion) {
+    return this.unitOfWork.run(async () => {
+      const patient = await this.findPatientById(patientId);
+      if (!patient) {
+        throw new Error('Patient not found');
+      }
 
-    this.patientRepository.delete(patient.id);
-    return patient;
+      await this.patientRepository.delete(patient.id, expectedVersion);
+      return patient;
+    });
   }
 
+  // Each change to the record is read, applied and saved as one unit, so a
+  // failed save leaves the patient as it was
   addPatientAllergy(patientId, allergy) {
-    const patient = this.findPatientById(patientId);
-    if (!patient) {
-      throw new Error('Patient not found');
-    }
+    return this.unitOfWork.run(async () => {
+      const patient = await this.getPatient(patientId);
+
+      allergy.id = this.patientRepository.nextId();
+      if (!patient.addAllergy(allergy)) {
+        throw new Error(`Allergy to ${allergy.substance} is already recorded`);
+      }
+
+      return this.savePatient(patient);
+    });
+  }
+
+  // The patient comes back with the allergy so the caller can tag the
+  // response with its new version
+  updatePatientAllergy(patientId, allergyId, allergy, expectedVersion) {
+    return this.unitOfWork.run(async () => {
+      const patient = await this.getPatient(patientId);
+      patient.updateAllergy(allergyId, allergy);
+
+      await this.savePatient(patient, expectedVersion);
+      return {
+        patient,
+        allergy,
+      };
+    });
+  }
+
+  recordNoKnownAllergies(patientId) {
+    return this.unitOfWork.run(async () => {
+      const patient = await this.getPatient(patientId);
+      patient.recordNoKnownAllergies();
+
+      return this.savePatient(patient);
+    });
+  }
+
+  addPatientDiagnosis(patientId, diagnosis) {
+    return this.addRecordEntry(patientId, diagnosis, (record) =>
+      record.addDiagnosis(diagnosis));
+  }
+
+  addPatientPrescription(patientId, prescription) {
+    return this.addRecordEntry(patientId, prescription, (record) =>
+      record.addPrescription(prescription));
+  }
+
+  addPatientTreatment(patientId, treatment) {
+    return this.addRecordEntry(patientId, treatment, (record) =>
+      record.addTreatment(treatment));
+  }
+
+  addRecordEntry(patientId, entry, add) {
+    return this.unitOfWork.run(async () => {
+      const patient = await this.getPatient(patientId);
+      await this.checkAttribution(patient, entry);
+      this.checkCode(entry);
+      this.checkStartDate(patient, entry);
+      this.checkSafety(patient, entry);
+
+      entry.id = this.patientRepository.nextId();
+      add(patient.medicalRecord);
+
+      return this.savePatient(patient);
+    });
+  }
+
+  // Medical record entries are never edited; the correction is appended and
+  // the original is kept, marked as amended. The correction is built from the
+  // data like an entry of the same kind.
+  amendRecordEntry(patientId, entryId, { reason = null, ...data } = {}) {
+    return this.unitOfWork.run(async () => {
+      const patient = await this.getPatient(patientId);
+      const entry = patient.medicalRecord.findEntry(entryId);
+      const correction = entry.constructor.create(data);
+      await this.checkAttribution(patient, correction);
+      this.checkCode(correction);
+      this.checkStartDate(patient, correction);
+      this.checkSafety(patient, correction, entryId);
+
+      correction.id = this.patientRepository.nextId();
+      patient.medicalRecord.amendEntry(entryId, correction, reason);
+
+      await this.savePatient(patient);
+      return correction;
+    });
+  }
+
+  // Rank and clinical status change by amending the diagnosis as well
+  classifyDiagnosis(
+    patientId,
+    entryId,
+    { rank, clinicalStatus, reason = null, ...attribution } = {}
+  ) {
+    return this.unitOfWork.run(async () => {
+      const patient = await this.getPatient(patientId);
+      const diagnosis = patient.medicalRecord.findEntry(entryId);
+      if (!(diagnosis instanceof Diagnosis)) {
+        throw new Error('Record entry is not a diagnosis');
+      }
+
+      const correction = diagnosis.reclassified(
+        {
+          rank,
+          clinicalStatus,
+        },
+        attribution
+      );
+      await this.checkAttribution(patient, correction);
+
+      correction.id = this.patientRepository.nextId();
+      patient.medicalRecord.amendEntry(entryId, correction, reason);
 
-    if (!(allergy instanceof Allergy)) {
-      throw new Error('Invalid allergy');
+      await this.savePatient(patient);
+      return correction;
+    });
+  }
+
+  // Stopping a prescription early amends it with a discontinued copy
+  discontinuePrescription(patientId, entryId, { reason, ...attribution } = {}) {
+    return this.unitOfWork.run(async () => {
+      const patient = await this.getPatient(patientId);
+      const prescription = patient.medicalRecord.findEntry(entryId);
+      if (!(prescription instanceof Prescription)) {
+        throw new Error('Record entry is not a prescription');
+      }
+
+      const correction = prescription.discontinued(reason, attribution);
+      await this.checkAttribution(patient, correction);
+
+      correction.id = this.patientRepository.nextId();
+      patient.medicalRecord.amendEntry(entryId, correction, reason);
+
+      await this.savePatient(patient);
+      return correction;
+    });
+  }
+
+  // Prescriptions neither discontinued nor expired on the given day, by
+  // default the patient's today
+  async getActivePrescriptions(patientId, day = null) {
+    if (day !== null && !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      throw new Error(`Invalid date: ${day}`);
     }
+    const patient = await this.getPatient(patientId);
+    const activeOn = day ?? this.today(patient);
+    return patient.medicalRecord.activePrescriptions(activeOn);
+  }
+
+  markRecordEntryInError(patientId, entryId, authorId, reason) {
+    return this.unitOfWork.run(async () => {
+      const patient = await this.getPatient(patientId);
+      await this.checkAuthor(authorId);
+
+      const entry = patient.medicalRecord.markEnteredInError(
+        entryId,
+        authorId,
+        reason
+      );
 
-    const hasAllergy = patient.allergies.some((a) => a.equals(allergy));
+      await this.savePatient(patient);
+      return entry;
+    });
+  }
+
+  removePatientAllergy(patientId, allergyId, expectedVersion) {
+    return this.unitOfWork.run(async () => {
+      const patient = await this.getPatient(patientId);
+      const allergy = patient.removeAllergy(allergyId);
+
+      await this.savePatient(patient, expectedVersion);
+      return {
+        patient,
+        allergy,
+      };
+    });
+  }
+
+  async getMedicalRecord(patientId) {
+    const patient = await this.getPatient(patientId);
+    const { diagnosis, prescriptions, treatments } = patient.medicalRecord;
+
+    return {
+      allergies: patient.allergies,
+      noKnownAllergies: patient.noKnownAllergies,
+      diagnoses: diagnosis,
+      prescriptions,
+      treatments,
+    };
+  }
+
+  async checkAttribution(patient, entry) {
+    await this.checkAuthor(entry.authorId);
+
+    if (!entry.appointmentId || !this.appointmentRepository) {
+      return;
+    }
+    const appointment =
+      await this.appointmentRepository.findById(entry.appointmentId);
+    if (!appointment || !sameId(appointment.patient?.id, patient.id)) {
+      throw new Error('Appointment not found for this patient');
+    }
+  }
 
-    if (!hasAllergy) {
-      patient.allergies.push(allergy);
-      console.log(`Allergy ${allergy.type} added to patient ${patient.name}`);
-    } else {
-      console.log(`Allergy already exists for patient ${patient.name}`);
+  // Diagnoses must use a code from the catalog and take its display when
+  // they come without a description
+  checkCode(entry) {
+    if (!(entry instanceof Diagnosis) || !this.icd10Catalog) {
+      return;
     }
 
-    this.updatePatient(patientId, patient);
-    return patient;
+    const concept = this.icd10Catalog.find(entry.code);
+    if (!concept) {
+      throw new Error(`Unknown ICD-10 code: ${entry.code}`);
+    }
+    entry.code = concept.code;
+    entry.description = entry.description || concept.display;
   }
 
-  addPatientDiagnosis(patientId, diagnosis) {
-    const patient = this.findPatientById(patientId);
-    if (!patient) {
-      throw new Error('Patient not found');
+  // Prescriptions without a start date start on the day they are written
+  checkStartDate(patient, entry) {
+    if (!(entry instanceof Prescription) || entry.startDate) {
+      return;
     }
 
-    patient.medicalRecord.addDiagnosis(diagnosis);
-    this.updatePatient(patientId, patient);
-    return patient;
+    entry.startDate = this.today(patient);
+    if (entry.endDate && entry.endDate < entry.startDate) {
+      throw new Error('Prescription cannot end before it starts');
+    }
   }
 
-  addPatientMedication(patientId, medication) {
-    const patient = this.findPatientById(patientId);
-    if (!patient) {
-      throw new Error('Patient not found');
+  // Prescriptions are checked against the patient's allergies that were not
+  // refuted and the drugs they are taking, except the one a correction
+  // replaces
+  checkSafety(patient, entry, replacedId = null) {
+    if (!(entry instanceof Prescription) || !this.drugSafetyTable) {
+      return;
     }
-    patient.medicalRecord.addMedication(medication);
 
-    this.updatePatient(patientId, patient);
-    return patient;
+    const otherDrugs = patient.medicalRecord
+      .activePrescriptions(this.today(patient))
+      .filter((prescription) => prescription.id !== replacedId)
+      .map((prescription) => prescription.drug);
+    entry.recordSafetyAlerts([
+      ...this.drugSafetyTable.allergyAlerts(
+        entry.drug,
+        patient.activeAllergies().map((allergy) => allergy.substance)
+      ),
+      ...this.drugSafetyTable.interactionAlerts(entry.drug, otherDrugs),
+    ]);
   }
 
-  addPatientTreatment(patientId, treatment) {
-    const patient = this.findPatientById(patientId);
+  today(patient) {
+    const timeZone = patient.timeZone
+      ? new TimeZone(patient.timeZone)
+      : this.clinicTimeZone;
+    return timeZone.formatDay(new Date());
+  }
+
+  async checkAuthor(authorId) {
+    if (
+      this.doctorRepository &&
+      !(await this.doctorRepository.findById(authorId))
+    ) {
+      throw new Error('Record entry author not found');
+    }
+  }
+
+  async getPatient(patientId) {
+    const patient = await this.findPatientById(patientId);
     if (!patient) {
       throw new Error('Patient not found');
     }
-    patient.medicalRecord.addTreatment(treatment);
+    return patient;
+  }
 
-    this.updatePatient(patientId, patient);
+  async savePatient(patient, expectedVersion) {
+    await this.patientRepository.update(patient.id, patient, expectedVersion);
     return patient;
   }
 }
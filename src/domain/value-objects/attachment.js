@@ -0,0 +1,70 @@
+// The files an exam can carry, each with the bytes its content starts with.
+// A declared type the content does not match is rejected, so a renamed
+// executable never passes for a PDF.
+const ATTACHMENT_TYPES = {
+  'application/pdf': [{
+    offset: 0,
+    bytes: Buffer.from('255044462d', 'hex'),
+  }],
+  'image/png': [{
+    offset: 0,
+    bytes: Buffer.from('89504e470d0a1a0a', 'hex'),
+  }],
+  'image/jpeg': [{
+    offset: 0,
+    bytes: Buffer.from('ffd8ff', 'hex'),
+  }],
+  'application/dicom': [{
+    offset: 128,
+    bytes: Buffer.from('4449434d', 'hex'),
+  }],
+};
+
+// Enough of the content to check every signature against
+export const SIGNATURE_LENGTH = 132;
+
+export const ATTACHMENT_CONTENT_TYPES =
+  Object.freeze(Object.keys(ATTACHMENT_TYPES));
+
+// "image/png; charset=binary" and "IMAGE/PNG" both mean image/png
+const baseType = (contentType) =>
+  typeof contentType === 'string'
+    ? contentType.split(';')[0].trim().toLowerCase()
+    : '';
+
+export const checkContentType = (contentType) => {
+  const type = baseType(contentType);
+  if (!ATTACHMENT_TYPES[type]) {
+    throw new Error(`Unsupported attachment type: ${contentType}`);
+  }
+  return type;
+};
+
+export const matchesContentType = (contentType, head) =>
+  ATTACHMENT_TYPES[baseType(contentType)]?.some(({ offset, bytes }) =>
+    bytes.every((byte, index) => head[offset + index] === byte)) ?? false;
+
+// A file stored with an exam: an imaging report, an ECG trace, a scanned lab
+// report. The content lives in blob storage; this is what the exam keeps
+// about it, with the SHA-256 of the content to check downloads against.
+export class Attachment {
+  constructor(id, fileName, contentType, size, checksum, details = {}) {
+    this.id = id;
+    this.fileName = fileName;
+    this.contentType = contentType;
+    this.size = size;
+    this.checksum = checksum;
+    this.uploadedBy = details.uploadedBy ?? null;
+    this.uploadedAt = details.uploadedAt ?? new Date();
+  }
+
+  // Paths are dropped from the name, since browsers send some on upload
+  static fileNameOf(fileName) {
+    const name =
+      typeof fileName === 'string' ? fileName.split(/[\\/]/).pop().trim() : '';
+    if (!name) {
+      throw new Error('Attachment file name is required');
+    }
+    return name;
+  }
+}
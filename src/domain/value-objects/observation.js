@@ -0,0 +1,142 @@
+// How a value compares to its reference range. LL and HH are past the
+// critical limits.
+export const Interpretation = Object.freeze({
+  NORMAL: 'N',
+  LOW: 'L',
+  HIGH: 'H',
+  CRITICAL_LOW: 'LL',
+  CRITICAL_HIGH: 'HH',
+});
+
+const RANGE_LIMITS = [
+  'low',
+  'high',
+  'criticalLow',
+  'criticalHigh',
+];
+
+const checkRange = (range) => {
+  if (range === null) {
+    return null;
+  }
+
+  const limits = RANGE_LIMITS.filter((limit) => range?.[limit] != null);
+  if (
+    typeof range !== 'object' ||
+    limits.length === 0 ||
+    limits.some((limit) => !Number.isFinite(range[limit])) ||
+    (limits.includes('low') &&
+      limits.includes('high') &&
+      range.low > range.high)
+  ) {
+    throw new Error('Invalid reference range');
+  }
+
+  return Object.fromEntries(RANGE_LIMITS.map((limit) =>
+    [limit, range[limit] ?? null]));
+};
+
+// Critical limits are checked first, so a value past one is never just high
+const interpret = (value, range) => {
+  if (typeof value !== 'number' || !range) {
+    return null;
+  }
+
+  const { low, high, criticalLow, criticalHigh } = range;
+  if (criticalLow !== null && value < criticalLow) {
+    return Interpretation.CRITICAL_LOW;
+  }
+  if (criticalHigh !== null && value > criticalHigh) {
+    return Interpretation.CRITICAL_HIGH;
+  }
+  if (low !== null && value < low) {
+    return Interpretation.LOW;
+  }
+  if (high !== null && value > high) {
+    return Interpretation.HIGH;
+  }
+  return low === null && high === null ? null : Interpretation.NORMAL;
+};
+
+// One measured analyte of a lab result. Numeric values are flagged against
+// their reference range; text values ("Negative") keep the flag the lab gave.
+export class Observation {
+  constructor(analyte, value, details = {}) {
+    this.analyte = analyte;
+    this.name = details.name ?? null;
+    this.value = value;
+    this.unit = details.unit ?? null;
+    this.referenceRange = details.referenceRange ?? null;
+    this.interpretation = details.interpretation ?? null;
+  }
+
+  static create({
+    analyte,
+    value,
+    unit = null,
+    referenceRange = null,
+    interpretation = null,
+  } = {}) {
+    if (typeof analyte !== 'string' || !analyte.trim()) {
+      throw new Error('Observation analyte is required');
+    }
+    if (
+      !Number.isFinite(value) &&
+      (typeof value !== 'string' || !value.trim())
+    ) {
+      throw new Error(`Observation value of ${analyte} is required`);
+    }
+    if (unit !== null && typeof unit !== 'string') {
+      throw new Error('Observation unit must be text');
+    }
+    if (
+      interpretation !== null &&
+      !Object.values(Interpretation).includes(interpretation)
+    ) {
+      throw new Error(`Unknown interpretation: ${interpretation}`);
+    }
+
+    return new Observation(analyte.trim(), value, {
+      unit: unit?.trim() || null,
+      referenceRange: checkRange(referenceRange),
+      interpretation,
+    });
+  }
+
+  // The same observation completed from a reference table entry. What the
+  // lab sent wins over the table, and the flag is worked out last.
+  interpreted(reference = null) {
+    const referenceRange =
+      this.referenceRange ?? reference?.referenceRange ?? null;
+
+    return new Observation(reference?.code ?? this.analyte, this.value, {
+      name: this.name ?? reference?.name,
+      unit: this.unit ?? reference?.unit,
+      referenceRange,
+      interpretation:
+        this.interpretation ?? interpret(this.value, referenceRange),
+    });
+  }
+
+  isAbnormal() {
+    return (
+      this.interpretation !== null &&
+      this.interpretation !== Interpretation.NORMAL
+    );
+  }
+
+  isCritical() {
+    return (
+      this.interpretation === Interpretation.CRITICAL_LOW ||
+      this.interpretation === Interpretation.CRITICAL_HIGH
+    );
+  }
+
+  equals(otherObservation) {
+    return (
+      this.analyte.toLowerCase() === otherObservation.analyte.toLowerCase() &&
+      this.value === otherObservation.value &&
+      this.unit === otherObservation.unit
+    );
+  }
+}
@@ -0,0 +1,157 @@
+import { TimeZone, WEEKDAYS } from './timeZone.js';
+import { WorkingHours } from './workingHours.js';
+
+export const RecurrenceFrequency = Object.freeze({
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+});
+
+export const MAX_OCCURRENCES = 52;
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Weeks start on Monday, as in RRULE's default WKST
+const weekdayIndex = (weekday) => (WEEKDAYS.indexOf(weekday) + 6) % 7;
+
+const toCalendarDay = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  };
+};
+
+// An RRULE-like rule: { frequency, interval, count, until, byWeekday }.
+// Occurrences keep the wall-clock time of the first one in the series zone.
+export class RecurrenceRule {
+  constructor({ frequency, interval = 1, count, until, byWeekday = [] } = {}) {
+    const normalizedFrequency = String(frequency).toLowerCase();
+    if (!Object.values(RecurrenceFrequency).includes(normalizedFrequency)) {
+      throw new Error(`Invalid recurrence frequency: ${frequency}`);
+    }
+
+    if (!Number.isInteger(interval) || interval < 1) {
+      throw new Error('Recurrence interval must be a positive integer');
+    }
+
+    if (count === undefined && until === undefined) {
+      throw new Error('Recurrence needs a count or an until date');
+    }
+
+    if (
+      count !== undefined &&
+      (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)
+    ) {
+      throw new Error('Recurrence count must be between 1 and ' +
+        MAX_OCCURRENCES);
+    }
+
+    if (until !== undefined) {
+      try {
+        new TimeZone().parse(until);
+      } catch {
+        throw new Error(`Invalid recurrence until date: ${until}`);
+      }
+    }
+
+    if (!Array.isArray(byWeekday)) {
+      throw new Error('Recurrence weekdays must be a list');
+    }
+
+    if (
+      byWeekday.length > 0 &&
+      normalizedFrequency !== RecurrenceFrequency.WEEKLY
+    ) {
+      throw new Error('Weekdays can only be set on a weekly recurrence');
+    }
+
+    this.frequency = normalizedFrequency;
+    this.interval = interval;
+    this.count = count ?? null;
+    this.until = until ?? null;
+    const days = new Set(byWeekday.map((day) => WorkingHours.parseDay(day)));
+    this.byWeekday = Object.freeze([...days].sort((a, b) =>
+      weekdayIndex(a) - weekdayIndex(b)));
+
+    Object.freeze(this);
+  }
+
+  // A date-only "until" includes the whole of that day
+  getEnd(timeZone) {
+    if (this.until === null) {
+      return null;
+    }
+
+    if (DAY.test(this.until)) {
+      const [year, month, day] = this.until.split('-').map(Number);
+      return new Date(timeZone.toInstant(year, month, day + 1).getTime() - 1);
+    }
+
+    return timeZone.parse(this.until);
+  }
+
+  occurrences(start, timeZone = new TimeZone()) {
+    const first = timeZone.getParts(start);
+    const minuteOfDay = first.hour * 60 + first.minute;
+    const end = this.getEnd(timeZone);
+    const limit = this.count ?? MAX_OCCURRENCES;
+    const occurrences = [];
+
+    for (let period = 0; ; period += this.interval) {
+      const days = this.daysInPeriod(first, period);
+
+      for (const { year, month, day } of days) {
+        const date = timeZone.toInstant(
+          year,
+          month,
+          day,
+          minuteOfDay,
+          first.second
+        );
+
+        if (date < start) {
+          continue;
+        }
+
+        if (end && date > end) {
+          return occurrences;
+        }
+
+        if (occurrences.length === limit) {
+          if (this.count === null) {
+            throw new Error('Recurrence cannot produce more than ' +
+              `${MAX_OCCURRENCES} occurrences`);
+          }
+          return occurrences;
+        }
+
+        occurrences.push(date);
+      }
+    }
+  }
+
+  daysInPeriod(first, period) {
+    if (this.frequency === RecurrenceFrequency.DAILY) {
+      return [toCalendarDay(first.year, first.month, first.day + period)];
+    }
+
+    if (this.frequency === RecurrenceFrequency.WEEKLY) {
+      const weekStart = first.day - weekdayIndex(first.weekday) + period * 7;
+      const weekdays =
+        this.byWeekday.length > 0 ? this.byWeekday : [first.weekday];
+
+      return weekdays.map((weekday) =>
+        toCalendarDay(
+          first.year,
+          first.month,
+          weekStart + weekdayIndex(weekday)
+        ));
+    }
+
+    // Months without the start's day of month are skipped, as in RRULE
+    const day = toCalendarDay(first.year, first.month + period, first.day);
+    return day.day === first.day ? [day] : [];
+  }
+}
@@ -0,0 +1,89 @@
+import { TimeZone } from './timeZone.js';
+
+export const ScheduleExceptionType = Object.freeze({
+  ABSENCE: 'absence',
+  BLOCK: 'block',
+  EXTRA_SHIFT: 'extra-shift',
+});
+
+const parseDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+
+  return match.slice(1).map(Number);
+};
+
+const parseInstant = (value, timeZone) => {
+  try {
+    return timeZone.parse(value);
+  } catch {
+    throw new Error(`Invalid date: ${value}`);
+  }
+};
+
+export class ScheduleException {
+  constructor(id, type, start, end, reason = '') {
+    if (!Object.values(ScheduleExceptionType).includes(type)) {
+      throw new Error(`Invalid schedule exception type: ${type}`);
+    }
+
+    if (!(start instanceof Date) || !(end instanceof Date) || start >= end) {
+      throw new Error('Schedule exception start must be before end');
+    }
+
+    this.id = id;
+    this.type = type;
+    this.start = start;
+    this.end = end;
+    this.reason = reason;
+
+    Object.freeze(this);
+  }
+
+  // Absences cover whole days:
+  // { startDate: '2024-07-01', endDate: '2024-07-05' } blocks the doctor from
+  // the first day's midnight until the end of the last, both read in the
+  // doctor's time zone. Blocks and extra shifts take exact { start, end }
+  // instants.
+  static create(id, data, timeZone = new TimeZone()) {
+    if (data.type === ScheduleExceptionType.ABSENCE) {
+      const [startYear, startMonth, startDay] = parseDay(data.startDate);
+      const endDate = data.endDate || data.startDate;
+      const [endYear, endMonth, endDay] = parseDay(endDate);
+      const start = timeZone.toInstant(startYear, startMonth, startDay);
+      const end = timeZone.toInstant(endYear, endMonth, endDay + 1);
+
+      return new ScheduleException(id, data.type, start, end, data.reason);
+    }
+
+    return new ScheduleException(
+      id,
+      data.type,
+      parseInstant(data.start, timeZone),
+      parseInstant(data.end, timeZone),
+      data.reason
+    );
+  }
+
+  isUnavailability() {
+    return this.type !== ScheduleExceptionType.EXTRA_SHIFT;
+  }
+
+  overlaps(start, end) {
+    return this.start < end && start < this.end;
+  }
+
+  covers(start, end) {
+    return this.start <= start && end <= this.end;
+  }
+
+  equals(otherException) {
+    return (
+      this.type === otherException.type &&
+      this.start.getTime() === otherException.start.getTime() &&
+      this.end.getTime() === otherException.end.getTime()
+    );
+  }
+}
@@ -0,0 +1,152 @@
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+export const WEEKDAYS = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+];
+
+const NAIVE_DATE_TIME =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/;
+
+const formatters = new Map();
+
+const getFormatter = (name) => {
+  if (!formatters.has(name)) {
+    formatters.set(
+      name,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: name,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return formatters.get(name);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export class TimeZone {
+  constructor(name = DEFAULT_TIME_ZONE) {
+    try {
+      getFormatter(name);
+    } catch {
+      throw new Error(`Invalid time zone: ${name}`);
+    }
+
+    this.name = name;
+    Object.freeze(this);
+  }
+
+  // Wall-clock fields of an instant as seen in this zone
+  getParts(date) {
+    const fields = getFormatter(this.name)
+      .formatToParts(date)
+      .filter((part) => part.type !== 'literal')
+      .map((part) => [part.type, Number(part.value)]);
+    const parts = Object.fromEntries(fields);
+    const { year, month, day } = parts;
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+    return {
+      ...parts,
+      weekday: WEEKDAYS[weekday],
+    };
+  }
+
+  getOffsetMinutes(date) {
+    const parts = this.getParts(date);
+    const asUtc = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    );
+
+    const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((asUtc - wholeSeconds) / 60000);
+  }
+
+  // The instant at which the wall clock in this zone shows the given day and
+  // minute of day. The offset is re-checked once so DST changes resolve.
+  toInstant(year, month, day, minuteOfDay = 0, second = 0) {
+    const wallClock = Date.UTC(year, month - 1, day, 0, minuteOfDay, second);
+    const firstOffset = this.getOffsetMinutes(new Date(wallClock));
+    const guess = wallClock - firstOffset * 60000;
+    const secondOffset = this.getOffsetMinutes(new Date(guess));
+
+    return new Date(wallClock - secondOffset * 60000);
+  }
+
+  // ISO strings with "Z" or an offset are already instants; date-times without
+  // one are read as wall-clock time in this zone.
+  parse(value) {
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) {
+        throw new Error('Invalid date');
+      }
+      return value;
+    }
+
+    const match = NAIVE_DATE_TIME.exec(String(value).trim());
+    if (match) {
+      const [year, month, day] = match.slice(1, 4).map(Number);
+      const [hours, minutes, seconds] = match
+        .slice(4)
+        .map((field) => Number(field ?? 0));
+      return this.toInstant(year, month, day, hours * 60 + minutes, seconds);
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid date');
+    }
+    return date;
+  }
+
+  formatISO(date) {
+    const parts = this.getParts(date);
+    const offset = this.getOffsetMinutes(date);
+    const sign = offset < 0 ? '-' : '+';
+    const absolute = Math.abs(offset);
+
+    return (
+      `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` +
+      `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+      `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`
+    );
+  }
+
+  // The calendar day of an instant in this zone, as YYYY-MM-DD
+  formatDay(date) {
+    const parts = this.getParts(date);
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+  }
+
+  format(date, options) {
+    return date.toLocaleString('en-US', {
+      ...options,
+      timeZone: this.name,
+    });
+  }
+
+  toJSON() {
+    return this.name;
+  }
+
+  equals(otherTimeZone) {
+    return this.name === otherTimeZone.name;
+  }
+}
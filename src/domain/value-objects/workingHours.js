@@ -1,6 +1,213 @@
+import { TimeZone, WEEKDAYS } from './timeZone.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const compareRanges = (a, b) =>
+  WEEKDAYS.indexOf(a.day) - WEEKDAYS.indexOf(b.day) ||
+  a.startMinute - b.startMinute;
+
+const insertRange = (hours, range) => {
+  const overlapping = hours.find((existing) =>
+    existing.day === range.day &&
+    existing.startMinute < range.endMinute &&
+    range.startMinute < existing.endMinute);
+
+  if (overlapping) {
+    throw new Error(`Working hours overlap on ${range.day}`);
+  }
+
+  hours.push(Object.freeze(range));
+  hours.sort(compareRanges);
+};
+
 export class WorkingHours {
-  constructor() {
+  constructor(hours = []) {
+    const ranges = Array.isArray(hours) ? hours : [];
+
     this.hours = [];
+    ranges
+      .map((range) => WorkingHours.parseRange(range))
+      .forEach((range) => insertRange(this.hours, range));
+
+    Object.freeze(this.hours);
+    Object.freeze(this);
+  }
+
+  // Accepts { day, start, end } in 24h ("17:00") or 12h ("05:00 PM") format,
+  // the legacy { day, timeSlot: '09:00 AM - 05:00 PM' } shape, or
+  // { day, startMinute, endMinute } as produced internally.
+  static parseRange(range) {
+    if (!range || typeof range !== 'object') {
+      throw new Error('Invalid working hours range');
+    }
+
+    const day = WorkingHours.parseDay(range.day);
+    let { start, end } = range;
+
+    if (range.timeSlot !== undefined) {
+      [start, end] = String(range.timeSlot).split(' - ');
+    }
+
+    const startMinute =
+      range.startMinute ?? WorkingHours.parseTime(start, false);
+    const endMinute = range.endMinute ?? WorkingHours.parseTime(end, true);
+
+    if (
+      !Number.isInteger(startMinute) ||
+      !Number.isInteger(endMinute) ||
+      startMinute < 0 ||
+      endMinute > MINUTES_PER_DAY
+    ) {
+      throw new Error('Invalid working hours range');
+    }
+
+    if (startMinute >= endMinute) {
+      throw new Error('Working hours start must be before end');
+    }
+
+    return {
+      day,
+      startMinute,
+      endMinute,
+    };
+  }
+
+  static parseDay(day) {
+    const wanted = String(day).trim().toLowerCase();
+    const weekday = WEEKDAYS.find((name) => name.toLowerCase() === wanted);
+
+    if (!weekday) {
+      throw new Error(`Invalid weekday: ${day}`);
+    }
+
+    return weekday;
+  }
+
+  // Midnight is 0 as a start time but 24:00 as an end time, so both
+  // "06:00 PM - 12:00 AM" and "18:00 - 24:00" describe the end of the day.
+  static parseTime(time, isEnd) {
+    const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i.exec(String(time).trim());
+    if (!match) {
+      throw new Error(`Invalid time: ${time}`);
+    }
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    const period = match[3]?.toUpperCase();
+
+    if (minutes > 59) {
+      throw new Error(`Invalid time: ${time}`);
+    }
+
+    if (period) {
+      if (hours < 1 || hours > 12) {
+        throw new Error(`Invalid time: ${time}`);
+      }
+      hours = (hours % 12) + (period === 'PM' ? 12 : 0);
+    } else if (hours > 24 || (hours === 24 && minutes > 0)) {
+      throw new Error(`Invalid time: ${time}`);
+    }
+
+    const totalMinutes = hours * 60 + minutes;
+    return isEnd && totalMinutes === 0 ? MINUTES_PER_DAY : totalMinutes;
+  }
+
+  static formatMinutes(totalMinutes) {
+    const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    return `${hours}:${minutes}`;
+  }
+
+  add(range) {
+    return new WorkingHours([...this.hours, range]);
+  }
+
+  remove(range) {
+    const target = WorkingHours.parseRange(range);
+
+    return new WorkingHours(this.hours.filter((hour) =>
+      hour.day !== target.day ||
+      hour.startMinute !== target.startMinute ||
+      hour.endMinute !== target.endMinute));
+  }
+
+  has(range) {
+    const target = WorkingHours.parseRange(range);
+
+    return this.hours.some((hour) =>
+      hour.day === target.day &&
+      hour.startMinute === target.startMinute &&
+      hour.endMinute === target.endMinute);
+  }
+
+  // Unlike add, merging coalesces overlapping or adjacent ranges instead of
+  // rejecting them, so two partial schedules can be combined.
+  merge(otherWorkingHours) {
+    const combined = [...this.hours, ...otherWorkingHours.hours];
+    combined.sort(compareRanges);
+
+    const merged = combined.reduce((ranges, range) => {
+      const last = ranges[ranges.length - 1];
+
+      if (
+        last &&
+        last.day === range.day &&
+        range.startMinute <= last.endMinute
+      ) {
+        last.endMinute = Math.max(last.endMinute, range.endMinute);
+      } else {
+        ranges.push({ ...range });
+      }
+
+      return ranges;
+    }, []);
+
+    return new WorkingHours(merged);
+  }
+
+  rangesFor(day) {
+    return this.hours.filter((hour) => hour.day === day);
+  }
+
+  // Ranges are wall-clock times, so the instant is read in the doctor's zone
+  contains(date, timeZone = new TimeZone()) {
+    const { weekday, hour, minute } = timeZone.getParts(date);
+    const minuteOfDay = hour * 60 + minute;
+
+    return this.rangesFor(weekday).some((range) =>
+      minuteOfDay >= range.startMinute && minuteOfDay < range.endMinute);
+  }
+
+  // The whole of [start, end) has to fit in one range of the day it starts
+  // on. An end at midnight closes a range that runs to the end of the day.
+  covers(start, end, timeZone = new TimeZone()) {
+    const from = timeZone.getParts(start);
+    const to = timeZone.getParts(end);
+    const startMinute = from.hour * 60 + from.minute;
+    let endMinute = to.hour * 60 + to.minute;
+
+    const isSameDay =
+      from.year === to.year && from.month === to.month && from.day === to.day;
+    if (!isSameDay) {
+      if (endMinute !== 0 || end - start > MINUTES_PER_DAY * 60000) {
+        return false;
+      }
+      endMinute = MINUTES_PER_DAY;
+    }
+
+    return (
+      start < end &&
+      this.rangesFor(from.weekday).some((range) =>
+        startMinute >= range.startMinute && endMinute <= range.endMinute)
+    );
+  }
+
+  toJSON() {
+    return this.hours.map((hour) => ({
+      day: hour.day,
+      start: WorkingHours.formatMinutes(hour.startMinute),
+      end: WorkingHours.formatMinutes(hour.endMinute),
+    }));
   }
 
   equals(otherWorkingHours) {
@@ -9,8 +216,12 @@ export class WorkingHours {
     }
 
     return this.hours.every((hour, index) => {
-      const other = otherWorkingHours.hour[index];
-      return hour.day === other.day && hour.timeSlot === other.timeSlot;
+      const other = otherWorkingHours.hours[index];
+      return (
+        hour.day === other.day &&
+        hour.startMinute === other.startMinute &&
+        hour.endMinute === other.endMinute
+      );
     });
   }
 }
@@ -0,0 +1,54 @@
+import { sameId } from '../../domain/repositories/idStrategy.js';
+import { silentLogger } from '../logging/silentLogger.js';
+
+export const DEFAULT_MAX_AUDIT_ENTRIES = 10000;
+
+const referenceOf = (value) =>
+  value && typeof value === 'object' && 'id' in value ? value.id : value;
+
+// Keeps a trail of the latest domain events; entities in the payload, alone
+// or in lists, are reduced to their ids so the trail does not hold on to
+// live objects. The oldest entries are dropped once it is full.
+export class AuditLog {
+  constructor(logger = silentLogger, maxEntries = DEFAULT_MAX_AUDIT_ENTRIES) {
+    this.entries = [];
+    this.logger = logger;
+    this.maxEntries = maxEntries;
+  }
+
+  record(event) {
+    const entry = {
+      eventId: event.id,
+      type: event.type,
+      aggregateId: event.aggregateId,
+      occurredAt: event.occurredAt,
+      references: this.collectReferences(event.payload),
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+    const at = entry.occurredAt.toISOString();
+    this.logger.log(`[audit] ${entry.type} on ${entry.aggregateId} at ${at}`);
+    return entry;
+  }
+
+  findByAggregateId(aggregateId) {
+    return this.entries.filter((entry) =>
+      sameId(entry.aggregateId, aggregateId));
+  }
+
+  findAll() {
+    return [...this.entries];
+  }
+
+  collectReferences(payload) {
+    return Object.fromEntries(Object.entries(payload).map(([key, value]) => {
+      const reference = Array.isArray(value)
+        ? value.map(referenceOf)
+        : referenceOf(value);
+      return [key, reference];
+    }));
+  }
+}
@@ -1,24 +1,139 @@
+import { DEFAULT_TIME_ZONE, TimeZone } from '../../domain/value-objects/timeZone.js';
+import { silentLogger } from '../logging/silentLogger.js';
+
+// Nothing is delivered yet; messages only go to the logger, which is quiet
+// unless one is passed in
 export class NotificationService {
+  constructor(logger = silentLogger) {
+    this.logger = logger;
+  }
+
   sendEmailNotification(email, message) {
-    console.log(`Sending email to ${email} with message: ${message}`);
+    this.logger.log(`Sending email to ${email} with message: ${message}`);
+  }
+
+  sendSmsNotification(phoneNumber, message) {
+    this.logger.log(`Sending SMS to ${phoneNumber} with message: ${message}`);
   }
 
   notifyAppointmentScheduled(appointment) {
-    const formattedDate = appointment.date.toLocaleDateString('en-US', {
+    const patientMessage = `Your appointment with Dr. ${
+      appointment.doctor.name
+    } is scheduled for ${this.formatAppointmentDate(appointment)}.`;
+
+    this.sendEmailNotification(appointment.patient.email, patientMessage);
+  }
+
+  notifySeriesScheduled(series, appointments) {
+    const dates = appointments
+      .map((appointment) => `- ${this.formatAppointmentDate(appointment)}`)
+      .join('\n');
+
+    const patientMessage = `Your ${appointments.length} appointments with Dr. ${
+      series.doctor.name
+    } are scheduled for:\n${dates}`;
+
+    this.sendEmailNotification(series.patient.email, patientMessage);
+  }
+
+  notifyWaitlistOffer(entry, doctor) {
+    const timeZone = entry.patient.timeZone || doctor.timeZone;
+    const slot = this.formatDate(entry.hold.start, timeZone);
+    const deadline = this.formatDate(entry.hold.expiresAt, timeZone);
+
+    const patientMessage =
+      `A slot with Dr. ${doctor.name} opened up on ${slot}. ` +
+      `It is held for you until ${deadline}; after that it goes to the next ` +
+      'patient on the waitlist.';
+
+    this.sendEmailNotification(entry.patient.email, patientMessage);
+  }
+
+  notifyExaminationOrdered(examination) {
+    this.notifyExamsOrdered(examination.type, [examination]);
+  }
+
+  notifyPanelOrdered(panel, examinations) {
+    this.notifyExamsOrdered(panel.name, examinations);
+  }
+
+  // Exams ordered together share their date; each preparation is listed once
+  notifyExamsOrdered(name, examinations) {
+    const [{ patient, responsibleDoctor: doctor, date }] = examinations;
+    const when = date ? ` for ${this.formatDate(date, patient.timeZone)}` : '';
+    const preparations = [...new Set(examinations
+      .map((examination) => examination.preparation)
+      .filter(Boolean))];
+
+    let patientMessage = `Dr. ${doctor.name} ordered ${name}${when}.`;
+    if (preparations.length > 0) {
+      patientMessage += `\nBefore the exam:\n${preparations
+        .map((preparation) => `- ${preparation}`)
+        .join('\n')}`;
+    }
+
+    this.sendEmailNotification(patient.email, patientMessage);
+  }
+
+  // Doctors are reached on their phone, which is all the clinic keeps for them
+  notifyCriticalResult(examination, observations) {
+    const exam = this.describeExamination(examination);
+    const values = this.formatObservations(observations);
+    const doctorMessage =
+      `Critical result for ${exam}: ${values}. Please acknowledge it.`;
+
+    this.sendSmsNotification(
+      examination.responsibleDoctor.phoneNumber,
+      doctorMessage
+    );
+  }
+
+  notifyCriticalResultEscalated(examination, contact) {
+    const alert = examination.criticalAlert;
+    const contactMessage =
+      `Critical result for ${this.describeExamination(examination)} ` +
+      `(${alert.analytes.join(', ')}) has not been acknowledged by Dr. ${
+        examination.responsibleDoctor.name
+      } since ${alert.raisedAt.toISOString()}.`;
+
+    this.sendEmailNotification(contact, contactMessage);
+  }
+
+  describeExamination(examination) {
+    return `${examination.type} of ${examination.patient.name}`;
+  }
+
+  formatObservations(observations) {
+    return observations
+      .map(({ analyte, value, unit, interpretation }) =>
+        [analyte, value, unit].filter(Boolean).join(' ') +
+        ` (${interpretation})`)
+      .join(', ');
+  }
+
+  // Times are shown in the patient's zone, falling back to the zone the
+  // appointment was booked in.
+  formatAppointmentDate(appointment) {
+    return this.formatDate(
+      appointment.date,
+      appointment.patient.timeZone || appointment.timeZone
+    );
+  }
+
+  formatDate(date, timeZoneName) {
+    const timeZone = new TimeZone(timeZoneName || DEFAULT_TIME_ZONE);
+    const formattedDate = timeZone.format(date, {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
       day: 'numeric',
     });
-    const formattedTime = appointment.date.toLocaleTimeString('en-US', {
+    const formattedTime = timeZone.format(date, {
       hour: '2-digit',
       minute: '2-digit',
+      timeZoneName: 'short',
     });
 
-    const patientMessage = `Your appointment with Dr. ${
-      appointment.doctor.name
-    } is scheduled for ${formattedDate} at ${formattedTime}.`;
-
-    this.sendEmailNotification(appointment.patient.email, patientMessage);
+    return `${formattedDate} at ${formattedTime}`;
   }
 }
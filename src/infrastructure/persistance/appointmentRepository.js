@@ -1,25 +1,28 @@
+import { sameId } from '../../domain/repositories/idStrategy.js';
 import { Repository } from '../../domain/repositories/repository.js';
 
 export class AppointmentRepository extends Repository {
-  constructor() {
-    super();
+  constructor(eventBus, storage, generateId) {
+    super(eventBus, storage, generateId);
   }
 
-  findByPatientId(patientId) {
-    return this.findAll().filter(
-      (appointment) => (appointment.patient.id = patientId)
-    );
+  async findByPatientId(patientId) {
+    return (await this.findAll()).filter((appointment) =>
+      sameId(appointment.patient.id, patientId));
   }
 
-  findByDoctorId(doctorId) {
-    return this.findAll().filter(
-      (appointment) => (appointment.doctor.id = doctorId)
-    );
+  async findByDoctorId(doctorId) {
+    return (await this.findAll()).filter((appointment) =>
+      sameId(appointment.doctor.id, doctorId));
   }
 
-  findByStatus(status) {
-    return this.findAll().filter(
-      (appointment) => appointment.status === status
-    );
+  async findBySeriesId(seriesId) {
+    return (await this.findAll()).filter((appointment) =>
+      sameId(appointment.seriesId, seriesId));
+  }
+
+  async findByStatus(status) {
+    return (await this.findAll()).filter((appointment) =>
+      appointment.status === status);
   }
 }
@@ -0,0 +1,13 @@
+import { sameId } from '../../domain/repositories/idStrategy.js';
+import { Repository } from '../../domain/repositories/repository.js';
+
+export class AppointmentSeriesRepository extends Repository {
+  constructor(eventBus, storage, generateId) {
+    super(eventBus, storage, generateId);
+  }
+
+  async findByPatientId(patientId) {
+    return (await this.findAll()).filter((series) =>
+      sameId(series.patient.id, patientId));
+  }
+}
@@ -0,0 +1,27 @@
+// Keys are paths of letters, digits, dashes and underscores, so no storage
+// can be asked for something outside of it
+const KEY_PATTERN = /^[\w-]+(\/[\w-]+)*$/;
+
+export const checkKey = (key) => {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid blob key: ${key}`);
+  }
+  return key;
+};
+
+// Where file content is kept, by key. put() reads the content from a stream
+// or async iterable and only makes the blob visible once it is complete;
+// get() streams it back. Implementations extend this class.
+export class BlobStorage {
+  async put() {
+    throw new Error(`${this.constructor.name} must implement put`);
+  }
+
+  async get() {
+    throw new Error(`${this.constructor.name} must implement get`);
+  }
+
+  async delete() {
+    throw new Error(`${this.constructor.name} must implement delete`);
+  }
+}
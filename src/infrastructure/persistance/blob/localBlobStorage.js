@@ -0,0 +1,47 @@
+import { randomUUID } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import { BlobStorage, checkKey } from './blobStorage.js';
+
+// Keeps each blob as a file under rootDir, the key being its path
+export class LocalBlobStorage extends BlobStorage {
+  constructor(rootDir) {
+    super();
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  // The content goes to a temporary file that is renamed into place, so a
+  // failed upload never leaves a partial blob behind
+  async put(key, content) {
+    const filePath = this.pathOf(key);
+    const tempPath = `${filePath}.${randomUUID()}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await pipeline(content, fs.createWriteStream(tempPath));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async get(key) {
+    const filePath = this.pathOf(key);
+    try {
+      await fs.promises.access(filePath);
+    } catch {
+      throw new Error(`Blob not found: ${key}`);
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.pathOf(key), { force: true });
+  }
+
+  pathOf(key) {
+    return path.join(this.rootDir, checkKey(key));
+  }
+}
@@ -1,15 +1,16 @@
 import { Repository } from '../../domain/repositories/repository.js';
 
 export class DoctorRepository extends Repository {
-  constructor() {
-    super();
+  constructor(eventBus, storage, generateId) {
+    super(eventBus, storage, generateId);
   }
 
-  findByName(name) {
-    return this.findAll().filter((doctor) => doctor.name === name);
+  async findByName(name) {
+    return (await this.findAll()).filter((doctor) => doctor.name === name);
   }
 
-  findBySpecialization(spec) {
-    return this.findAll().filter((doctor) => doctor.specialty.includes(spec));
+  async findBySpecialization(spec) {
+    return (await this.findAll()).filter((doctor) =>
+      doctor.specialty.includes(spec));
   }
 }
@@ -1,21 +1,33 @@
+import { sameId } from '../../domain/repositories/idStrategy.js';
 import { Repository } from '../../domain/repositories/repository.js';
 
 export class ExaminationRepository extends Repository {
-  constructor() {
-    super();
+  constructor(eventBus, storage, generateId) {
+    super(eventBus, storage, generateId);
   }
 
-  findByPatientId(patientId) {
-    return this.findAll().filter(
-      (examination) => (examination.patient.id = patientId)
-    );
+  async findByPatientId(patientId) {
+    return (await this.findAll()).filter((examination) =>
+      sameId(examination.patient.id, patientId));
   }
 
-  findByType(type) {
-    return this.findAll().filter((examination) => (examination.type = type));
+  async findByType(type) {
+    return (await this.findAll()).filter((examination) =>
+      examination.type === type);
   }
 
-  findByDate(date) {
-    return this.findAll().filter((examination) => examination.date === date);
+  async findByDate(date) {
+    return (await this.findAll()).filter((examination) =>
+      examination.date?.getTime() === date.getTime());
+  }
+
+  async findByStatus(status) {
+    return (await this.findAll()).filter((examination) =>
+      examination.status === status);
+  }
+
+  async findUnacknowledgedCritical() {
+    return (await this.findAll()).filter((examination) =>
+      examination.isAwaitingAcknowledgement());
   }
 }
@@ -0,0 +1,69 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const FORMAT_VERSION = 1;
+
+// Keeps one collection as a JSON file. The mapper turns entities into plain
+// records and back, so what is loaded are real domain objects again.
+export class JsonFileStorage {
+  constructor(filePath, mapper) {
+    this.filePath = filePath;
+    this.mapper = mapper;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return new Map();
+    }
+
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read ${this.filePath}: ${error.message}`);
+    }
+
+    if (content.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported storage format ${content.version} ` +
+        `in ${this.filePath}`);
+    }
+
+    // Entries keep their ids as stored; the repository turns them into
+    // strings. Files written before entities had versions start them at 1.
+    return new Map(content.entities.map(([id, record, version = 1]) => {
+      const entity = this.mapper.fromRecord(record);
+      entity.version = version;
+      return [id, entity];
+    }));
+  }
+
+  // The whole collection goes to a temporary file that then replaces the old
+  // one, so a crash mid-write never leaves a half-written file behind.
+  save(entities) {
+    const content = JSON.stringify(
+      {
+        version: FORMAT_VERSION,
+        entities: Array.from(entities, ([id, entity]) =>
+          [id, this.mapper.toRecord(entity), entity.version]),
+      },
+      null,
+      2
+    );
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    try {
+      const fd = fs.openSync(tempPath, 'w');
+      try {
+        fs.writeFileSync(fd, content);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,7 @@
+import { Repository } from '../../domain/repositories/repository.js';
+
+export class HolidayCalendarRepository extends Repository {
+  constructor(eventBus, storage, generateId) {
+    super(eventBus, storage, generateId);
+  }
+}
@@ -0,0 +1,60 @@
+import { Appointment } from '../../../domain/entities/appointment.js';
+import { resolveReference, toDate, toReference } from './mapperHelpers.js';
+
+const HISTORY_DATES = ['changedAt', 'previousDate', 'newDate'];
+
+export class AppointmentMapper {
+  constructor(patientRepository = null, doctorRepository = null) {
+    this.patientRepository = patientRepository;
+    this.doctorRepository = doctorRepository;
+  }
+
+  toRecord(appointment) {
+    return {
+      id: appointment.id,
+      date: appointment.date,
+      patient: toReference(appointment.patient),
+      doctor: toReference(appointment.doctor),
+      reason: appointment.reason,
+      status: appointment.status,
+      observations: appointment.observations,
+      duration: appointment.duration,
+      type: appointment.type,
+      timeZone: appointment.timeZone,
+      originalDate: appointment.originalDate,
+      statusHistory: appointment.statusHistory,
+      seriesId: appointment.seriesId,
+    };
+  }
+
+  // The patient can be passed in when the appointment is restored as part of
+  // that patient, before the patient repository is loaded
+  fromRecord(
+    record,
+    patient = resolveReference(record.patient, this.patientRepository)
+  ) {
+    const appointment = new Appointment(
+      record.id,
+      toDate(record.date),
+      patient,
+      resolveReference(record.doctor, this.doctorRepository),
+      record.reason,
+      record.status,
+      record.observations,
+      record.duration,
+      record.type,
+      record.timeZone
+    );
+
+    appointment.originalDate = toDate(record.originalDate);
+    appointment.statusHistory = record.statusHistory.map((change) => {
+      const restored = { ...change };
+      HISTORY_DATES.filter((field) => field in change).forEach((field) => {
+        restored[field] = toDate(change[field]);
+      });
+      return restored;
+    });
+    appointment.seriesId = record.seriesId;
+    return appointment;
+  }
+}
@@ -0,0 +1,53 @@
+import { AppointmentSeries } from '../../../domain/entities/appointmentSeries.js';
+import { resolveReference, toDate, toReference } from './mapperHelpers.js';
+
+export class AppointmentSeriesMapper {
+  constructor(patientRepository = null, doctorRepository = null) {
+    this.patientRepository = patientRepository;
+    this.doctorRepository = doctorRepository;
+  }
+
+  toRecord(series) {
+    const { recurrence } = series;
+
+    return {
+      id: series.id,
+      startDate: series.startDate,
+      patient: toReference(series.patient),
+      doctor: toReference(series.doctor),
+      recurrence: {
+        frequency: recurrence.frequency,
+        interval: recurrence.interval,
+        count: recurrence.count,
+        until: recurrence.until,
+        byWeekday: recurrence.byWeekday,
+      },
+      reason: series.reason,
+      duration: series.duration,
+      type: series.type,
+      timeZone: series.timeZone,
+    };
+  }
+
+  fromRecord(record) {
+    const { recurrence } = record;
+
+    return new AppointmentSeries(
+      record.id,
+      toDate(record.startDate),
+      resolveReference(record.patient, this.patientRepository),
+      resolveReference(record.doctor, this.doctorRepository),
+      {
+        frequency: recurrence.frequency,
+        interval: recurrence.interval,
+        count: recurrence.count ?? undefined,
+        until: recurrence.until ?? undefined,
+        byWeekday: recurrence.byWeekday,
+      },
+      record.reason,
+      record.duration,
+      record.type,
+      record.timeZone
+    );
+  }
+}
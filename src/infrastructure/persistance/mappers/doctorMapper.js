@@ -0,0 +1,47 @@
+import { Doctor } from '../../../domain/entities/doctor.js';
+import { ScheduleException } from '../../../domain/value-objects/scheduleException.js';
+import { toDate } from './mapperHelpers.js';
+
+export class DoctorMapper {
+  toRecord(doctor) {
+    return {
+      id: doctor.id,
+      rcm: doctor.rcm,
+      name: doctor.name,
+      specialty: doctor.specialty,
+      phoneNumber: doctor.phoneNumber,
+      workingHours: doctor.workingHours.toJSON(),
+      scheduleExceptions: doctor.scheduleExceptions.map((exception) => ({
+        id: exception.id,
+        type: exception.type,
+        start: exception.start,
+        end: exception.end,
+        reason: exception.reason,
+      })),
+      timeZone: doctor.timeZone,
+    };
+  }
+
+  fromRecord(record) {
+    const doctor = new Doctor(
+      record.id,
+      record.rcm,
+      record.name,
+      record.specialty,
+      record.phoneNumber,
+      record.workingHours,
+      record.timeZone
+    );
+
+    // Restored as they were, without recording events again
+    doctor.scheduleExceptions = record.scheduleExceptions.map((exception) =>
+      new ScheduleException(
+        exception.id,
+        exception.type,
+        toDate(exception.start),
+        toDate(exception.end),
+        exception.reason
+      ));
+    return doctor;
+  }
+}
@@ -0,0 +1,101 @@
+import { ExaminationStatus, Examinations } from '../../../domain/entities/examinations.js';
+import { Attachment } from '../../../domain/value-objects/attachment.js';
+import { Observation } from '../../../domain/value-objects/observation.js';
+import { resolveReference, toDate, toReference } from './mapperHelpers.js';
+
+const HISTORY_DATES = ['changedAt', 'date'];
+const ALERT_DATES = [
+  'raisedAt',
+  'escalateAt',
+  'escalatedAt',
+  'acknowledgedAt',
+];
+
+export class ExaminationMapper {
+  constructor(patientRepository = null, doctorRepository = null) {
+    this.patientRepository = patientRepository;
+    this.doctorRepository = doctorRepository;
+  }
+
+  toRecord(examination) {
+    return {
+      id: examination.id,
+      type: examination.type,
+      result: examination.result,
+      date: examination.date,
+      local: examination.local,
+      responsibleDoctor: toReference(examination.responsibleDoctor),
+      patient: toReference(examination.patient),
+      status: examination.status,
+      orderedAt: examination.orderedAt,
+      code: examination.code,
+      specimen: examination.specimen,
+      preparation: examination.preparation,
+      turnaroundHours: examination.turnaroundHours,
+      panel: examination.panel,
+      statusHistory: examination.statusHistory,
+      observations: examination.observations.map((observation) =>
+        ({ ...observation })),
+      attachments: examination.attachments.map((attachment) =>
+        ({ ...attachment })),
+      criticalAlert: examination.criticalAlert,
+    };
+  }
+
+  // Exams stored before the order workflow were created with their result,
+  // and count as resulted when they have one
+  fromRecord(record) {
+    const legacyStatus =
+      record.result == null
+        ? ExaminationStatus.ORDERED
+        : ExaminationStatus.RESULTED;
+    const examination = new Examinations(
+      record.id,
+      record.type,
+      record.result,
+      toDate(record.date),
+      record.local,
+      resolveReference(record.responsibleDoctor, this.doctorRepository),
+      resolveReference(record.patient, this.patientRepository),
+      record.status ?? legacyStatus,
+      toDate(record.orderedAt)
+    );
+
+    examination.code = record.code ?? null;
+    examination.specimen = record.specimen ?? null;
+    examination.preparation = record.preparation ?? null;
+    examination.turnaroundHours = record.turnaroundHours ?? null;
+    examination.panel = record.panel ?? null;
+    examination.statusHistory = (record.statusHistory ?? []).map((change) => {
+      const restored = { ...change };
+      HISTORY_DATES.filter((field) => field in change).forEach((field) => {
+        restored[field] = toDate(change[field]);
+      });
+      return restored;
+    });
+    const toObservation = ({ analyte, value, ...details }) =>
+      new Observation(analyte, value, details);
+    examination.observations = (record.observations ?? []).map(toObservation);
+    const toAttachment = (attachment) =>
+      new Attachment(
+        attachment.id,
+        attachment.fileName,
+        attachment.contentType,
+        attachment.size,
+        attachment.checksum,
+        {
+          uploadedBy: attachment.uploadedBy,
+          uploadedAt: toDate(attachment.uploadedAt),
+        }
+      );
+    examination.attachments = (record.attachments ?? []).map(toAttachment);
+    examination.criticalAlert = record.criticalAlert
+      ? {
+        ...record.criticalAlert,
+        ...Object.fromEntries(ALERT_DATES.map((field) =>
+          [field, toDate(record.criticalAlert[field])])),
+      }
+      : null;
+    return examination;
+  }
+}
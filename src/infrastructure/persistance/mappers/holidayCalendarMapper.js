@@ -0,0 +1,17 @@
+import { HolidayCalendar } from '../../../domain/entities/holidayCalendar.js';
+
+export class HolidayCalendarMapper {
+  toRecord(calendar) {
+    return {
+      id: calendar.id,
+      holidays: calendar.listHolidays(),
+    };
+  }
+
+  fromRecord(record) {
+    const calendar = new HolidayCalendar(record.id);
+    record.holidays.forEach(({ date, name }) =>
+      calendar.addHoliday(date, name));
+    return calendar;
+  }
+}
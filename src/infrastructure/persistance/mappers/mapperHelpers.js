@@ -0,0 +1,11 @@
+// JSON keeps dates as ISO strings
+export const toDate = (value) => (value == null ? null : new Date(value));
+
+// Other aggregates are stored by id and looked up again on load. When the
+// referenced entity is gone the bare reference is kept.
+export const toReference = (entity) =>
+  entity && typeof entity === 'object' ? { id: entity.id } : entity;
+
+export const resolveReference = (reference, repository) =>
+  (reference?.id !== undefined && repository?.lookup(reference.id)) ||
+  reference;
@@ -0,0 +1,219 @@
+import { Patient } from '../../../domain/entities/patient.js';
+import { Allergy } from '../../../domain/entities/record/allergy.js';
+import { Diagnosis } from '../../../domain/entities/record/diagnosis.js';
+import { Prescription } from '../../../domain/entities/record/prescription.js';
+import { EntryStatus } from '../../../domain/entities/record/recordEntry.js';
+import { Treatment } from '../../../domain/entities/record/treatment.js';
+import { Address } from '../../../domain/value-objects/address.js';
+import { EmergencyContact } from '../../../domain/value-objects/emergencyContact.js';
+import { AppointmentMapper } from './appointmentMapper.js';
+import { ExaminationMapper } from './examinationMapper.js';
+import { toDate } from './mapperHelpers.js';
+
+const toAddress = (address) =>
+  address
+    ? new Address(
+      address.street,
+      address.number,
+      address.city,
+      address.state,
+      address.zipCode
+    )
+    : address;
+
+const toEmergencyContact = (contact) =>
+  contact ? new EmergencyContact(contact.name, contact.phone) : contact;
+
+const toEntryRecord = (entry) => ({
+  id: entry.id,
+  authorId: entry.authorId,
+  appointmentId: entry.appointmentId,
+  recordedAt: entry.recordedAt,
+  status: entry.status,
+  amends: entry.amends,
+  statusChange: entry.statusChange,
+});
+
+// Entries stored before they were attributed have no id, author or time.
+// They get an id from their position, which never changes as the record is
+// append-only.
+const toEntryDetails = (entry, legacyId) => ({
+  id: entry.id ?? legacyId,
+  authorId: entry.authorId ?? null,
+  appointmentId: entry.appointmentId ?? null,
+  recordedAt: toDate(entry.recordedAt),
+  status: entry.status ?? EntryStatus.ACTIVE,
+  amends: entry.amends ?? null,
+  statusChange: entry.statusChange
+    ? {
+      ...entry.statusChange,
+      changedAt: toDate(entry.statusChange.changedAt),
+    }
+    : null,
+});
+
+// Diagnoses and treatments used to be stored as bare descriptions
+const toDescribedEntry = (entry) =>
+  typeof entry === 'string' ? { description: entry } : entry;
+
+// Allergies used to be stored as their bare type, without an id
+const toAllergyRecord = (allergy) =>
+  typeof allergy === 'string' ? { substance: allergy } : allergy;
+
+// Medications were stored as a name and a free-text dosage before they became
+// prescriptions
+const toPrescriptionRecord = ({ name, dosage, ...entry }) => ({
+  ...entry,
+  drug: name,
+  instructions: dosage,
+});
+
+export class PatientMapper {
+  constructor(doctorRepository = null) {
+    this.appointmentMapper = new AppointmentMapper(null, doctorRepository);
+    this.examinationMapper = new ExaminationMapper(null, doctorRepository);
+  }
+
+  toRecord(patient) {
+    const { medicalRecord } = patient;
+
+    return {
+      id: patient.id,
+      identificationDocument: patient.identificationDocument,
+      name: patient.name,
+      dateOfBirth: patient.dateOfBirth,
+      gender: patient.gender,
+      bloodType: patient.bloodType,
+      address: patient.address,
+      phoneNumber: patient.phoneNumber,
+      email: patient.email,
+      emergencyContact: patient.emergencyContact,
+      timeZone: patient.timeZone,
+      allergies: patient.allergies.map((allergy) => ({
+        id: allergy.id,
+        substance: allergy.substance,
+        category: allergy.category,
+        reaction: allergy.reaction,
+        severity: allergy.severity,
+        onsetDate: allergy.onsetDate,
+        verificationStatus: allergy.verificationStatus,
+      })),
+      noKnownAllergies: patient.noKnownAllergies,
+      appointments: patient.appointments.map((appointment) =>
+        this.appointmentMapper.toRecord(appointment)),
+      examinations: patient.examinations.map(({ exam }) =>
+        this.examinationMapper.toRecord(exam)),
+      medicalRecord: {
+        diagnosis: medicalRecord.diagnosis.map((diagnosis) => ({
+          ...toEntryRecord(diagnosis),
+          code: diagnosis.code,
+          description: diagnosis.description,
+          rank: diagnosis.rank,
+          clinicalStatus: diagnosis.clinicalStatus,
+        })),
+        treatments: medicalRecord.treatments.map((treatment) => ({
+          ...toEntryRecord(treatment),
+          description: treatment.description,
+        })),
+        prescriptions: medicalRecord.prescriptions.map((prescription) => ({
+          ...toEntryRecord(prescription),
+          drug: prescription.drug,
+          strength: prescription.strength,
+          form: prescription.form,
+          route: prescription.route,
+          frequency: prescription.frequency,
+          durationDays: prescription.durationDays,
+          quantity: prescription.quantity,
+          refills: prescription.refills,
+          instructions: prescription.instructions,
+          prescriberId: prescription.prescriberId,
+          startDate: prescription.startDate,
+          endDate: prescription.endDate,
+          discontinuation: prescription.discontinuation,
+          safetyAlerts: prescription.safetyAlerts,
+          overrideReason: prescription.overrideReason,
+        })),
+      },
+    };
+  }
+
+  fromRecord(record) {
+    const patient = new Patient(
+      record.id,
+      record.identificationDocument,
+      record.name,
+      record.dateOfBirth,
+      record.gender,
+      record.bloodType,
+      toAddress(record.address),
+      record.phoneNumber,
+      record.email,
+      toEmergencyContact(record.emergencyContact),
+      record.timeZone
+    );
+
+    // Restored as they were, without recording events again
+    patient.allergies = record.allergies
+      .map(toAllergyRecord)
+      .map((allergy, position) =>
+        new Allergy(allergy.substance, {
+          ...allergy,
+          id: allergy.id ?? `${patient.id}-allergy-${position}`,
+        }));
+    patient.noKnownAllergies = record.noKnownAllergies ?? false;
+    patient.appointments = record.appointments.map((appointment) =>
+      this.appointmentMapper.fromRecord(appointment, patient));
+    patient.examinations = record.examinations.map((exam) => {
+      const examination = this.examinationMapper.fromRecord(exam);
+      if (examination.patient?.id === patient.id) {
+        examination.patient = patient;
+      }
+      return { exam: examination };
+    });
+
+    const { medicalRecord } = patient;
+    medicalRecord.diagnosis = record.medicalRecord.diagnosis
+      .map(toDescribedEntry)
+      .map((entry, position) =>
+        new Diagnosis(entry.description, {
+          ...toEntryDetails(entry, `${patient.id}-diagnosis-${position}`),
+          code: entry.code,
+          rank: entry.rank,
+          clinicalStatus: entry.clinicalStatus,
+        }));
+    medicalRecord.treatments = record.medicalRecord.treatments
+      .map(toDescribedEntry)
+      .map((entry, position) =>
+        new Treatment(
+          entry.description,
+          toEntryDetails(entry, `${patient.id}-treatment-${position}`)
+        ));
+    medicalRecord.prescriptions = (
+      record.medicalRecord.prescriptions ??
+      record.medicalRecord.medications.map(toPrescriptionRecord)
+    ).map((entry, position) =>
+      new Prescription(entry.drug, {
+        ...toEntryDetails(entry, `${patient.id}-medication-${position}`),
+        strength: entry.strength,
+        form: entry.form,
+        route: entry.route,
+        frequency: entry.frequency,
+        durationDays: entry.durationDays,
+        quantity: entry.quantity,
+        refills: entry.refills,
+        instructions: entry.instructions,
+        prescriberId: entry.prescriberId,
+        startDate: entry.startDate,
+        endDate: entry.endDate,
+        discontinuation: entry.discontinuation
+          ? {
+            ...entry.discontinuation,
+            discontinuedAt: toDate(entry.discontinuation.discontinuedAt),
+          }
+          : null,
+        safetyAlerts: entry.safetyAlerts,
+        overrideReason: entry.overrideReason,
+      }));
+    return patient;
+  }
+}
@@ -0,0 +1,51 @@
+import { WaitlistEntry } from '../../../domain/entities/waitlistEntry.js';
+import { resolveReference, toDate, toReference } from './mapperHelpers.js';
+
+export class WaitlistEntryMapper {
+  constructor(patientRepository = null) {
+    this.patientRepository = patientRepository;
+  }
+
+  toRecord(entry) {
+    return {
+      id: entry.id,
+      patient: toReference(entry.patient),
+      doctorId: entry.doctorId,
+      specialty: entry.specialty,
+      preferredStart: entry.preferredStart,
+      preferredEnd: entry.preferredEnd,
+      duration: entry.duration,
+      reason: entry.reason,
+      createdAt: entry.createdAt,
+      status: entry.status,
+      hold: entry.hold,
+      appointmentId: entry.appointmentId,
+      passedSlots: entry.passedSlots,
+    };
+  }
+
+  fromRecord(record) {
+    const entry = new WaitlistEntry(
+      record.id,
+      resolveReference(record.patient, this.patientRepository),
+      record.doctorId,
+      record.specialty,
+      toDate(record.preferredStart),
+      toDate(record.preferredEnd),
+      record.duration,
+      record.reason,
+      toDate(record.createdAt)
+    );
+
+    entry.status = record.status;
+    entry.hold = record.hold && {
+      doctorId: record.hold.doctorId,
+      start: toDate(record.hold.start),
+      end: toDate(record.hold.end),
+      expiresAt: toDate(record.hold.expiresAt),
+    };
+    entry.appointmentId = record.appointmentId;
+    entry.passedSlots = record.passedSlots;
+    return entry;
+  }
+}
@@ -1,25 +1,16 @@
 import { Repository } from '../../domain/repositories/repository.js';
 
 export class PatientRepository extends Repository {
-  constructor() {
-    super();
-    this.currentId = 1;
+  constructor(eventBus, storage, generateId) {
+    super(eventBus, storage, generateId);
   }
 
-  add(patient) {
-    const id = this.currentId++;
-    super.add(id, {
-      ...patient,
-      id,
-    });
-    return id;
+  async findByName(name) {
+    return (await this.findAll()).filter((patient) => patient.name === name);
   }
 
-  findByName(name) {
-    return this.findAll().filter((patient) => patient.name === name);
-  }
-
-  findByBloodType(bloodType) {
-    return this.findAll().filter((patient) => patient.bloodType === bloodType);
+  async findByBloodType(bloodType) {
+    return (await this.findAll()).filter((patient) =>
+      patient.bloodType === bloodType);
   }
 }
@@ -0,0 +1,174 @@
+import path from 'node:path';
+import { createIdGenerator } from '../../domain/repositories/idStrategy.js';
+import { UnitOfWork } from '../../domain/repositories/unitOfWork.js';
+import { AppointmentRepository } from './appointmentRepository.js';
+import { AppointmentSeriesRepository } from './appointmentSeriesRepository.js';
+import { DoctorRepository } from './doctorRepository.js';
+import { ExaminationRepository } from './examinationRepository.js';
+import { JsonFileStorage } from './file/jsonFileStorage.js';
+import { HolidayCalendarRepository } from './holidayCalendarRepository.js';
+import { AppointmentMapper } from './mappers/appointmentMapper.js';
+import { AppointmentSeriesMapper } from './mappers/appointmentSeriesMapper.js';
+import { DoctorMapper } from './mappers/doctorMapper.js';
+import { ExaminationMapper } from './mappers/examinationMapper.js';
+import { HolidayCalendarMapper } from './mappers/holidayCalendarMapper.js';
+import { PatientMapper } from './mappers/patientMapper.js';
+import { WaitlistEntryMapper } from './mappers/waitlistEntryMapper.js';
+import { PatientRepository } from './patientRepository.js';
+import { openDatabase } from './sqlite/database.js';
+import { SqliteAppointmentRepository } from './sqlite/sqliteAppointmentRepository.js';
+import { SqliteAppointmentSeriesRepository } from './sqlite/sqliteAppointmentSeriesRepository.js';
+import { SqliteDoctorRepository } from './sqlite/sqliteDoctorRepository.js';
+import { SqliteExaminationRepository } from './sqlite/sqliteExaminationRepository.js';
+import { SqliteHolidayCalendarRepository } from './sqlite/sqliteHolidayCalendarRepository.js';
+import { SqlitePatientRepository } from './sqlite/sqlitePatientRepository.js';
+import { SqliteWaitlistRepository } from './sqlite/sqliteWaitlistRepository.js';
+import { WaitlistRepository } from './waitlistRepository.js';
+
+export const StorageDriver = Object.freeze({
+  MEMORY: 'memory',
+  FILE: 'file',
+  SQLITE: 'sqlite',
+});
+
+// Builds every repository on the chosen storage, plus the unit of work the
+// services share to group writes. Doctors and patients are loaded first so
+// the aggregates that reference them link to the same instances. All of them
+// give new entities ids of the chosen ID strategy.
+export function createRepositories(
+  {
+    driver = StorageDriver.MEMORY,
+    dataDir = 'data',
+    databaseFile = path.join(dataDir, 'clinic.db'),
+    idStrategy,
+  } = {},
+  eventBus = null
+) {
+  if (!Object.values(StorageDriver).includes(driver)) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+
+  const generateId = createIdGenerator(idStrategy);
+
+  if (driver === StorageDriver.SQLITE) {
+    return createSqliteRepositories(
+      openDatabase(databaseFile),
+      eventBus,
+      generateId
+    );
+  }
+
+  const storage = (name, mapper) =>
+    driver === StorageDriver.FILE
+      ? new JsonFileStorage(path.join(dataDir, `${name}.json`), mapper)
+      : null;
+
+  const doctorRepository = new DoctorRepository(
+    eventBus,
+    storage('doctors', new DoctorMapper()),
+    generateId
+  );
+  const patientRepository = new PatientRepository(
+    eventBus,
+    storage('patients', new PatientMapper(doctorRepository)),
+    generateId
+  );
+
+  return {
+    unitOfWork: new UnitOfWork(),
+    doctorRepository,
+    patientRepository,
+    appointmentRepository: new AppointmentRepository(
+      eventBus,
+      storage(
+        'appointments',
+        new AppointmentMapper(patientRepository, doctorRepository)
+      ),
+      generateId
+    ),
+    appointmentSeriesRepository: new AppointmentSeriesRepository(
+      eventBus,
+      storage(
+        'appointment-series',
+        new AppointmentSeriesMapper(patientRepository, doctorRepository)
+      ),
+      generateId
+    ),
+    examinationRepository: new ExaminationRepository(
+      eventBus,
+      storage(
+        'examinations',
+        new ExaminationMapper(patientRepository, doctorRepository)
+      ),
+      generateId
+    ),
+    waitlistRepository: new WaitlistRepository(
+      eventBus,
+      storage('waitlist', new WaitlistEntryMapper(patientRepository)),
+      generateId
+    ),
+    holidayCalendarRepository: new HolidayCalendarRepository(
+      eventBus,
+      storage('holidays', new HolidayCalendarMapper()),
+      generateId
+    ),
+  };
+}
+
+// The database is returned too so callers can close it
+export function createSqliteRepositories(
+  database,
+  eventBus = null,
+  generateId = createIdGenerator()
+) {
+  const doctorRepository = new SqliteDoctorRepository(
+    database,
+    eventBus,
+    generateId
+  );
+  const patientRepository = new SqlitePatientRepository(
+    database,
+    eventBus,
+    doctorRepository,
+    generateId
+  );
+
+  return {
+    database,
+    unitOfWork: new UnitOfWork(),
+    doctorRepository,
+    patientRepository,
+    appointmentRepository: new SqliteAppointmentRepository(
+      database,
+      eventBus,
+      patientRepository,
+      doctorRepository,
+      generateId
+    ),
+    appointmentSeriesRepository: new SqliteAppointmentSeriesRepository(
+      database,
+      eventBus,
+      patientRepository,
+      doctorRepository,
+      generateId
+    ),
+    examinationRepository: new SqliteExaminationRepository(
+      database,
+      eventBus,
+      patientRepository,
+      doctorRepository,
+      generateId
+    ),
+    waitlistRepository: new SqliteWaitlistRepository(
+      database,
+      eventBus,
+      patientRepository,
+      generateId
+    ),
+    holidayCalendarRepository: new SqliteHolidayCalendarRepository(
+      database,
+      eventBus,
+      generateId
+    ),
+  };
+}
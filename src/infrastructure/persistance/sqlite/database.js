@@ -0,0 +1,21 @@
+import Database from 'better-sqlite3';
+import fs from 'node:fs';
+import path from 'node:path';
+import { MigrationRunner } from './migrationRunner.js';
+import { migrations } from './migrations/index.js';
+
+export const IN_MEMORY_DATABASE = ':memory:';
+
+// Opens (or creates) the database file and brings its schema up to date
+export function openDatabase(filePath) {
+  if (filePath !== IN_MEMORY_DATABASE) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  const database = new Database(filePath);
+  database.pragma('journal_mode = WAL');
+  database.pragma('foreign_keys = ON');
+
+  new MigrationRunner(database, migrations).run();
+  return database;
+}
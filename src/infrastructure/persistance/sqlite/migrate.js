@@ -0,0 +1,14 @@
+import path from 'node:path';
+import { openDatabase } from './database.js';
+
+// Brings the database at DATABASE_FILE up to date without starting the API
+const databaseFile =
+  process.env.DATABASE_FILE ||
+  path.join(process.env.DATA_DIR || 'data', 'clinic.db');
+
+const database = openDatabase(databaseFile);
+const { version } = database
+  .prepare('SELECT MAX(version) AS version FROM schema_migrations')
+  .get();
+console.log(`${databaseFile} is at schema version ${version}`);
+database.close();
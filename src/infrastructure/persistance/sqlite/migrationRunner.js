@@ -0,0 +1,56 @@
+// Applies the migrations a database has not seen yet, in version order. Each
+// one runs in its own transaction together with its entry in
+// schema_migrations, so a failing migration leaves no trace.
+export class MigrationRunner {
+  constructor(database, migrations) {
+    const versions = migrations.map((migration) => migration.version);
+    if (
+      versions.some((version, index) =>
+        !Number.isInteger(version) ||
+        (index > 0 && version <= versions[index - 1]))
+    ) {
+      throw new Error('Migration versions must be increasing integers');
+    }
+
+    this.database = database;
+    this.migrations = migrations;
+  }
+
+  currentVersion() {
+    this.ensureMigrationsTable();
+    return this.database
+      .prepare('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations')
+      .get().version;
+  }
+
+  pendingMigrations() {
+    const current = this.currentVersion();
+    return this.migrations.filter((migration) => migration.version > current);
+  }
+
+  run() {
+    const pending = this.pendingMigrations();
+    const record = this.database.prepare(`INSERT INTO schema_migrations
+         (version, name, applied_at)
+       VALUES (?, ?, ?)`);
+
+    pending.forEach((migration) => {
+      this.database.transaction(() => {
+        migration.up(this.database);
+        record.run(migration.version, migration.name, new Date().toISOString());
+      })();
+    });
+
+    return pending;
+  }
+
+  ensureMigrationsTable() {
+    this.database.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+}
@@ -0,0 +1,116 @@
+// References to other aggregates (an appointment's patient, say) are plain
+// ids without foreign keys, as in the other storages; only rows owned by an
+// aggregate are tied to it and removed with it.
+export const createCoreTables = {
+  version: 1,
+  name: 'create-core-tables',
+  up(database) {
+    database.exec(`
+      CREATE TABLE doctors (
+        id TEXT PRIMARY KEY,
+        rcm TEXT NOT NULL DEFAULT '',
+        name TEXT NOT NULL DEFAULT '',
+        phone_number TEXT NOT NULL DEFAULT '',
+        time_zone TEXT
+      );
+      CREATE INDEX doctors_name ON doctors (name);
+
+      CREATE TABLE doctor_specialties (
+        doctor_id TEXT NOT NULL REFERENCES doctors (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        specialty TEXT NOT NULL,
+        PRIMARY KEY (doctor_id, position)
+      );
+      CREATE INDEX doctor_specialties_specialty
+        ON doctor_specialties (specialty);
+
+      CREATE TABLE doctor_working_hours (
+        doctor_id TEXT NOT NULL REFERENCES doctors (id) ON DELETE CASCADE,
+        day TEXT NOT NULL,
+        start_minute INTEGER NOT NULL,
+        end_minute INTEGER NOT NULL,
+        PRIMARY KEY (doctor_id, day, start_minute)
+      );
+
+      CREATE TABLE doctor_schedule_exceptions (
+        id TEXT PRIMARY KEY,
+        doctor_id TEXT NOT NULL REFERENCES doctors (id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        starts_at TEXT NOT NULL,
+        ends_at TEXT NOT NULL,
+        reason TEXT NOT NULL DEFAULT ''
+      );
+      CREATE INDEX doctor_schedule_exceptions_doctor
+        ON doctor_schedule_exceptions (doctor_id);
+
+      CREATE TABLE patients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        identification_document TEXT,
+        name TEXT,
+        date_of_birth TEXT,
+        gender TEXT,
+        blood_type TEXT,
+        address TEXT,
+        phone_number TEXT,
+        email TEXT,
+        emergency_contact TEXT,
+        time_zone TEXT,
+        appointments TEXT NOT NULL DEFAULT '[]',
+        examinations TEXT NOT NULL DEFAULT '[]'
+      );
+      CREATE INDEX patients_name ON patients (name);
+      CREATE INDEX patients_blood_type ON patients (blood_type);
+
+      CREATE TABLE patient_allergies (
+        patient_id INTEGER NOT NULL REFERENCES patients (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        PRIMARY KEY (patient_id, position)
+      );
+
+      CREATE TABLE medical_record_entries (
+        patient_id INTEGER NOT NULL REFERENCES patients (id) ON DELETE CASCADE,
+        kind TEXT NOT NULL
+          CHECK (kind IN ('diagnosis', 'treatment', 'medication')),
+        position INTEGER NOT NULL,
+        description TEXT,
+        name TEXT,
+        dosage TEXT,
+        PRIMARY KEY (patient_id, kind, position)
+      );
+
+      CREATE TABLE appointments (
+        id TEXT PRIMARY KEY,
+        patient_id TEXT,
+        doctor_id TEXT,
+        date TEXT NOT NULL,
+        duration INTEGER NOT NULL,
+        reason TEXT,
+        status TEXT NOT NULL,
+        observations TEXT,
+        type TEXT,
+        time_zone TEXT NOT NULL,
+        original_date TEXT,
+        status_history TEXT NOT NULL DEFAULT '[]',
+        series_id TEXT
+      );
+      CREATE INDEX appointments_doctor ON appointments (doctor_id, date);
+      CREATE INDEX appointments_patient ON appointments (patient_id, date);
+      CREATE INDEX appointments_status ON appointments (status);
+      CREATE INDEX appointments_series ON appointments (series_id);
+
+      CREATE TABLE examinations (
+        id TEXT PRIMARY KEY,
+        type TEXT,
+        result TEXT,
+        date TEXT,
+        local TEXT,
+        responsible_doctor_id TEXT,
+        patient_id TEXT
+      );
+      CREATE INDEX examinations_patient ON examinations (patient_id);
+      CREATE INDEX examinations_type ON examinations (type);
+      CREATE INDEX examinations_date ON examinations (date);
+    `);
+  },
+};
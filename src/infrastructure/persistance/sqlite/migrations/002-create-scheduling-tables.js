@@ -0,0 +1,43 @@
+export const createSchedulingTables = {
+  version: 2,
+  name: 'create-scheduling-tables',
+  up(database) {
+    database.exec(`
+      CREATE TABLE appointment_series (
+        id TEXT PRIMARY KEY,
+        patient_id TEXT,
+        doctor_id TEXT,
+        start_date TEXT NOT NULL,
+        recurrence TEXT NOT NULL,
+        reason TEXT,
+        duration INTEGER,
+        type TEXT,
+        time_zone TEXT NOT NULL
+      );
+      CREATE INDEX appointment_series_patient
+        ON appointment_series (patient_id);
+
+      CREATE TABLE waitlist_entries (
+        id TEXT PRIMARY KEY,
+        patient_id TEXT,
+        doctor_id TEXT,
+        specialty TEXT,
+        preferred_start TEXT NOT NULL,
+        preferred_end TEXT NOT NULL,
+        duration INTEGER,
+        reason TEXT,
+        created_at TEXT NOT NULL,
+        status TEXT NOT NULL,
+        hold_doctor_id TEXT,
+        hold_start TEXT,
+        hold_end TEXT,
+        hold_expires_at TEXT,
+        appointment_id TEXT,
+        passed_slots TEXT NOT NULL DEFAULT '[]'
+      );
+      CREATE INDEX waitlist_entries_status
+        ON waitlist_entries (status, created_at);
+      CREATE INDEX waitlist_entries_patient ON waitlist_entries (patient_id);
+    `);
+  },
+};
@@ -0,0 +1,21 @@
+const VERSIONED_TABLES = [
+  'doctors',
+  'patients',
+  'appointments',
+  'examinations',
+  'appointment_series',
+  'waitlist_entries',
+];
+
+// Rows stored before versions existed count as the first version
+export const addVersions = {
+  version: 3,
+  name: 'add-versions',
+  up(database) {
+    VERSIONED_TABLES.forEach((table) =>
+      database.exec(`
+        ALTER TABLE ${table} ADD COLUMN version INTEGER NOT NULL DEFAULT 0;
+        UPDATE ${table} SET version = 1;
+      `));
+  },
+};
@@ -0,0 +1,68 @@
+// Patients were numbered by the table; ids now come from the ID strategy like
+// every other aggregate's, so the patient tables are rebuilt with text ids.
+// The copies reference the new table, whose rename carries the references
+// along.
+export const textPatientIds = {
+  version: 4,
+  name: 'text-patient-ids',
+  up(database) {
+    database.exec(`
+      CREATE TABLE new_patients (
+        id TEXT PRIMARY KEY,
+        identification_document TEXT,
+        name TEXT,
+        date_of_birth TEXT,
+        gender TEXT,
+        blood_type TEXT,
+        address TEXT,
+        phone_number TEXT,
+        email TEXT,
+        emergency_contact TEXT,
+        time_zone TEXT,
+        appointments TEXT NOT NULL DEFAULT '[]',
+        examinations TEXT NOT NULL DEFAULT '[]',
+        version INTEGER NOT NULL DEFAULT 0
+      );
+      INSERT INTO new_patients
+        SELECT CAST(id AS TEXT), identification_document, name, date_of_birth,
+          gender, blood_type, address, phone_number, email, emergency_contact,
+          time_zone, appointments, examinations, version
+        FROM patients;
+
+      CREATE TABLE new_patient_allergies (
+        patient_id TEXT NOT NULL REFERENCES new_patients (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        PRIMARY KEY (patient_id, position)
+      );
+      INSERT INTO new_patient_allergies
+        SELECT CAST(patient_id AS TEXT), position, type FROM patient_allergies;
+
+      CREATE TABLE new_medical_record_entries (
+        patient_id TEXT NOT NULL REFERENCES new_patients (id) ON DELETE CASCADE,
+        kind TEXT NOT NULL
+          CHECK (kind IN ('diagnosis', 'treatment', 'medication')),
+        position INTEGER NOT NULL,
+        description TEXT,
+        name TEXT,
+        dosage TEXT,
+        PRIMARY KEY (patient_id, kind, position)
+      );
+      INSERT INTO new_medical_record_entries
+        SELECT CAST(patient_id AS TEXT), kind, position, description, name,
+          dosage
+        FROM medical_record_entries;
+
+      DROP TABLE patient_allergies;
+      DROP TABLE medical_record_entries;
+      DROP TABLE patients;
+
+      ALTER TABLE new_patients RENAME TO patients;
+      ALTER TABLE new_patient_allergies RENAME TO patient_allergies;
+      ALTER TABLE new_medical_record_entries RENAME TO medical_record_entries;
+
+      CREATE INDEX patients_name ON patients (name);
+      CREATE INDEX patients_blood_type ON patients (blood_type);
+    `);
+  },
+};
@@ -0,0 +1,21 @@
+// Entries recorded before they were attributed keep an unknown author and
+// time, and get an id from their position
+export const attributedRecordEntries = {
+  version: 5,
+  name: 'attributed-record-entries',
+  up(database) {
+    database.exec(`
+      ALTER TABLE medical_record_entries ADD COLUMN entry_id TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN author_id TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN appointment_id TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN recorded_at TEXT;
+      ALTER TABLE medical_record_entries
+        ADD COLUMN status TEXT NOT NULL DEFAULT 'active';
+      ALTER TABLE medical_record_entries ADD COLUMN amends TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN status_change TEXT;
+
+      UPDATE medical_record_entries
+        SET entry_id = patient_id || '-' || kind || '-' || position;
+    `);
+  },
+};
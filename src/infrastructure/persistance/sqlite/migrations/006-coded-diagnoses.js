@@ -0,0 +1,16 @@
+// Diagnoses recorded before codes were used keep a null code. The index
+// serves reports on conditions.
+export const codedDiagnoses = {
+  version: 6,
+  name: 'coded-diagnoses',
+  up(database) {
+    database.exec(`
+      ALTER TABLE medical_record_entries ADD COLUMN code TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN rank TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN clinical_status TEXT;
+
+      CREATE INDEX medical_record_entries_code
+        ON medical_record_entries (code);
+    `);
+  },
+};
@@ -0,0 +1,33 @@
+// Medications become prescriptions. Their rows keep the 'medication' kind;
+// the name becomes the drug and the free-text dosage the instructions, and
+// whoever recorded them is taken as the prescriber.
+export const structuredPrescriptions = {
+  version: 7,
+  name: 'structured-prescriptions',
+  up(database) {
+    database.exec(`
+      ALTER TABLE medical_record_entries ADD COLUMN drug TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN strength TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN form TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN route TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN frequency TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN duration_days INTEGER;
+      ALTER TABLE medical_record_entries ADD COLUMN quantity INTEGER;
+      ALTER TABLE medical_record_entries ADD COLUMN refills INTEGER;
+      ALTER TABLE medical_record_entries ADD COLUMN instructions TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN prescriber_id TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN start_date TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN end_date TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN discontinuation TEXT;
+
+      UPDATE medical_record_entries
+        SET drug = name,
+            instructions = dosage,
+            prescriber_id = author_id,
+            refills = 0,
+            name = NULL,
+            dosage = NULL
+        WHERE kind = 'medication';
+    `);
+  },
+};
@@ -0,0 +1,11 @@
+// Prescriptions written before the safety check have no alerts
+export const prescriptionSafetyAlerts = {
+  version: 8,
+  name: 'prescription-safety-alerts',
+  up(database) {
+    database.exec(`
+      ALTER TABLE medical_record_entries ADD COLUMN safety_alerts TEXT;
+      ALTER TABLE medical_record_entries ADD COLUMN override_reason TEXT;
+    `);
+  },
+};
@@ -0,0 +1,23 @@
+// The allergy type becomes its substance. Allergies recorded before stay
+// unconfirmed, without a category, and get an id from their position.
+export const structuredAllergies = {
+  version: 9,
+  name: 'structured-allergies',
+  up(database) {
+    database.exec(`
+      ALTER TABLE patient_allergies RENAME COLUMN type TO substance;
+      ALTER TABLE patient_allergies ADD COLUMN allergy_id TEXT;
+      ALTER TABLE patient_allergies ADD COLUMN category TEXT;
+      ALTER TABLE patient_allergies ADD COLUMN reaction TEXT;
+      ALTER TABLE patient_allergies ADD COLUMN severity TEXT;
+      ALTER TABLE patient_allergies ADD COLUMN onset_date TEXT;
+      ALTER TABLE patient_allergies
+        ADD COLUMN verification_status TEXT NOT NULL DEFAULT 'unconfirmed';
+      ALTER TABLE patients
+        ADD COLUMN no_known_allergies INTEGER NOT NULL DEFAULT 0;
+
+      UPDATE patient_allergies
+        SET allergy_id = patient_id || '-allergy-' || position;
+    `);
+  },
+};
@@ -0,0 +1,17 @@
+// Exams stored before the order workflow were created with their result, so
+// the ones that have one start out as resulted
+export const examinationWorkflow = {
+  version: 10,
+  name: 'examination-workflow',
+  up(database) {
+    database.exec(`
+      ALTER TABLE examinations
+        ADD COLUMN status TEXT NOT NULL DEFAULT 'ordered';
+      ALTER TABLE examinations ADD COLUMN ordered_at TEXT;
+      ALTER TABLE examinations
+        ADD COLUMN status_history TEXT NOT NULL DEFAULT '[]';
+      UPDATE examinations SET status = 'resulted' WHERE result IS NOT NULL;
+      CREATE INDEX examinations_status ON examinations (status);
+    `);
+  },
+};
@@ -0,0 +1,11 @@
+// Results recorded before observations keep their text in result
+export const labObservations = {
+  version: 11,
+  name: 'lab-observations',
+  up(database) {
+    database.exec(`
+      ALTER TABLE examinations
+        ADD COLUMN observations TEXT NOT NULL DEFAULT '[]';
+    `);
+  },
+};
@@ -0,0 +1,10 @@
+// The alert is kept as JSON; the lab lists the ones still unacknowledged
+export const criticalResultAlerts = {
+  version: 12,
+  name: 'critical-result-alerts',
+  up(database) {
+    database.exec(`
+      ALTER TABLE examinations ADD COLUMN critical_alert TEXT;
+    `);
+  },
+};
@@ -0,0 +1,15 @@
+// Exams ordered from the catalog keep its details as they were on the order;
+// earlier exams were ordered by free-text type and have none
+export const examCatalogDetails = {
+  version: 13,
+  name: 'exam-catalog-details',
+  up(database) {
+    database.exec(`
+      ALTER TABLE examinations ADD COLUMN code TEXT;
+      ALTER TABLE examinations ADD COLUMN specimen TEXT;
+      ALTER TABLE examinations ADD COLUMN preparation TEXT;
+      ALTER TABLE examinations ADD COLUMN turnaround_hours INTEGER;
+      ALTER TABLE examinations ADD COLUMN panel TEXT;
+    `);
+  },
+};
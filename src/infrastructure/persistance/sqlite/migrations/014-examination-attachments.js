@@ -0,0 +1,11 @@
+// What an exam keeps about its files; their content is in blob storage
+export const examinationAttachments = {
+  version: 14,
+  name: 'examination-attachments',
+  up(database) {
+    database.exec(`
+      ALTER TABLE examinations
+        ADD COLUMN attachments TEXT NOT NULL DEFAULT '[]';
+    `);
+  },
+};
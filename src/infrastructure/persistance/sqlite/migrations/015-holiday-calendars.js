@@ -0,0 +1,21 @@
+// Clinic holidays were only kept in memory until now
+export const holidayCalendars = {
+  version: 15,
+  name: 'holiday-calendars',
+  up(database) {
+    database.exec(`
+      CREATE TABLE holiday_calendars (
+        id TEXT PRIMARY KEY,
+        version INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE TABLE holidays (
+        calendar_id TEXT NOT NULL
+          REFERENCES holiday_calendars (id) ON DELETE CASCADE,
+        date TEXT NOT NULL,
+        name TEXT,
+        PRIMARY KEY (calendar_id, date)
+      );
+    `);
+  },
+};
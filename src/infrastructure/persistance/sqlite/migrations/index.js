@@ -0,0 +1,34 @@
+import { createCoreTables } from './001-create-core-tables.js';
+import { createSchedulingTables } from './002-create-scheduling-tables.js';
+import { addVersions } from './003-add-versions.js';
+import { textPatientIds } from './004-text-patient-ids.js';
+import { attributedRecordEntries } from './005-attributed-record-entries.js';
+import { codedDiagnoses } from './006-coded-diagnoses.js';
+import { structuredPrescriptions } from './007-structured-prescriptions.js';
+import { prescriptionSafetyAlerts } from './008-prescription-safety-alerts.js';
+import { structuredAllergies } from './009-structured-allergies.js';
+import { examinationWorkflow } from './010-examination-workflow.js';
+import { labObservations } from './011-lab-observations.js';
+import { criticalResultAlerts } from './012-critical-result-alerts.js';
+import { examCatalogDetails } from './013-exam-catalog-details.js';
+import { examinationAttachments } from './014-examination-attachments.js';
+import { holidayCalendars } from './015-holiday-calendars.js';
+
+// Append new migrations at the end; applied ones must never change
+export const migrations = [
+  createCoreTables,
+  createSchedulingTables,
+  addVersions,
+  textPatientIds,
+  attributedRecordEntries,
+  codedDiagnoses,
+  structuredPrescriptions,
+  prescriptionSafetyAlerts,
+  structuredAllergies,
+  examinationWorkflow,
+  labObservations,
+  criticalResultAlerts,
+  examCatalogDetails,
+  examinationAttachments,
+  holidayCalendars,
+];
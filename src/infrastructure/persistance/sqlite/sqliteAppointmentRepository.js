@@ -0,0 +1,92 @@
+import { AppointmentMapper } from '../mappers/appointmentMapper.js';
+import { SqliteRepository, toKey, toTimestamp } from './sqliteRepository.js';
+
+export class SqliteAppointmentRepository extends SqliteRepository {
+  constructor(
+    database,
+    eventBus = null,
+    patientRepository = null,
+    doctorRepository = null,
+    generateId
+  ) {
+    super(database, 'appointments', eventBus, generateId);
+    this.mapper = new AppointmentMapper(patientRepository, doctorRepository);
+  }
+
+  async findByPatientId(patientId) {
+    return this.select('WHERE patient_id = ?', [toKey(patientId)]);
+  }
+
+  async findByDoctorId(doctorId) {
+    return this.select('WHERE doctor_id = ?', [toKey(doctorId)]);
+  }
+
+  async findBySeriesId(seriesId) {
+    return this.select('WHERE series_id = ?', [toKey(seriesId)]);
+  }
+
+  async findByStatus(status) {
+    return this.select('WHERE status = ?', [status]);
+  }
+
+  write(id, appointment) {
+    const record = this.mapper.toRecord(appointment);
+
+    this.database
+      .prepare(`INSERT INTO appointments (
+           id, patient_id, doctor_id, date, duration, reason, status,
+           observations, type, time_zone, original_date, status_history,
+           series_id
+         ) VALUES (
+           @id, @patientId, @doctorId, @date, @duration, @reason, @status,
+           @observations, @type, @timeZone, @originalDate, @statusHistory,
+           @seriesId
+         )
+         ON CONFLICT (id) DO UPDATE SET
+           patient_id = excluded.patient_id,
+           doctor_id = excluded.doctor_id,
+           date = excluded.date,
+           duration = excluded.duration,
+           reason = excluded.reason,
+           status = excluded.status,
+           observations = excluded.observations,
+           type = excluded.type,
+           time_zone = excluded.time_zone,
+           original_date = excluded.original_date,
+           status_history = excluded.status_history,
+           series_id = excluded.series_id`)
+      .run({
+        id: toKey(id),
+        patientId: toKey(record.patient?.id),
+        doctorId: toKey(record.doctor?.id),
+        date: toTimestamp(record.date),
+        duration: record.duration,
+        reason: record.reason ?? null,
+        status: record.status,
+        observations: record.observations ?? null,
+        type: record.type,
+        timeZone: record.timeZone,
+        originalDate: toTimestamp(record.originalDate),
+        statusHistory: JSON.stringify(record.statusHistory),
+        seriesId: toKey(record.seriesId),
+      });
+  }
+
+  toEntity(row) {
+    return this.mapper.fromRecord({
+      id: row.id,
+      date: row.date,
+      patient: row.patient_id === null ? null : { id: row.patient_id },
+      doctor: row.doctor_id === null ? null : { id: row.doctor_id },
+      reason: row.reason,
+      status: row.status,
+      observations: row.observations,
+      duration: row.duration,
+      type: row.type,
+      timeZone: row.time_zone,
+      originalDate: row.original_date,
+      statusHistory: JSON.parse(row.status_history),
+      seriesId: row.series_id,
+    });
+  }
+}
@@ -0,0 +1,69 @@
+import { AppointmentSeriesMapper } from '../mappers/appointmentSeriesMapper.js';
+import { SqliteRepository, toKey, toTimestamp } from './sqliteRepository.js';
+
+export class SqliteAppointmentSeriesRepository extends SqliteRepository {
+  constructor(
+    database,
+    eventBus = null,
+    patientRepository = null,
+    doctorRepository = null,
+    generateId
+  ) {
+    super(database, 'appointment_series', eventBus, generateId);
+    this.mapper = new AppointmentSeriesMapper(
+      patientRepository,
+      doctorRepository
+    );
+  }
+
+  async findByPatientId(patientId) {
+    return this.select('WHERE patient_id = ?', [toKey(patientId)]);
+  }
+
+  write(id, series) {
+    const record = this.mapper.toRecord(series);
+
+    this.database
+      .prepare(`INSERT INTO appointment_series (
+           id, patient_id, doctor_id, start_date, recurrence, reason,
+           duration, type, time_zone
+         ) VALUES (
+           @id, @patientId, @doctorId, @startDate, @recurrence, @reason,
+           @duration, @type, @timeZone
+         )
+         ON CONFLICT (id) DO UPDATE SET
+           patient_id = excluded.patient_id,
+           doctor_id = excluded.doctor_id,
+           start_date = excluded.start_date,
+           recurrence = excluded.recurrence,
+           reason = excluded.reason,
+           duration = excluded.duration,
+           type = excluded.type,
+           time_zone = excluded.time_zone`)
+      .run({
+        id: toKey(id),
+        patientId: toKey(record.patient?.id),
+        doctorId: toKey(record.doctor?.id),
+        startDate: toTimestamp(record.startDate),
+        recurrence: JSON.stringify(record.recurrence),
+        reason: record.reason ?? null,
+        duration: record.duration ?? null,
+        type: record.type,
+        timeZone: record.timeZone,
+      });
+  }
+
+  toEntity(row) {
+    return this.mapper.fromRecord({
+      id: row.id,
+      startDate: row.start_date,
+      patient: row.patient_id === null ? null : { id: row.patient_id },
+      doctor: row.doctor_id === null ? null : { id: row.doctor_id },
+      recurrence: JSON.parse(row.recurrence),
+      reason: row.reason,
+      duration: row.duration,
+      type: row.type,
+      timeZone: row.time_zone,
+    });
+  }
+}
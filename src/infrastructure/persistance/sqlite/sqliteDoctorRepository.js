@@ -0,0 +1,99 @@
+import { DoctorMapper } from '../mappers/doctorMapper.js';
+import { SqliteRepository, toTimestamp } from './sqliteRepository.js';
+
+export class SqliteDoctorRepository extends SqliteRepository {
+  constructor(database, eventBus = null, generateId) {
+    super(database, 'doctors', eventBus, generateId);
+    this.mapper = new DoctorMapper();
+  }
+
+  async findByName(name) {
+    return this.select('WHERE name = ?', [name]);
+  }
+
+  async findBySpecialization(spec) {
+    return this.select(
+      'WHERE id IN (SELECT doctor_id FROM doctor_specialties WHERE specialty = ?)',
+      [spec]
+    );
+  }
+
+  write(id, doctor) {
+    const record = this.mapper.toRecord(doctor);
+    const doctorId = this.bindId(id);
+
+    this.database
+      .prepare(`INSERT INTO doctors (id, rcm, name, phone_number, time_zone)
+         VALUES (@id, @rcm, @name, @phoneNumber, @timeZone)
+         ON CONFLICT (id) DO UPDATE SET
+           rcm = excluded.rcm,
+           name = excluded.name,
+           phone_number = excluded.phone_number,
+           time_zone = excluded.time_zone`)
+      .run({
+        id: doctorId,
+        rcm: record.rcm ?? '',
+        name: record.name ?? '',
+        phoneNumber: record.phoneNumber ?? '',
+        timeZone: record.timeZone,
+      });
+
+    [
+      'doctor_specialties', 'doctor_working_hours', 'doctor_schedule_exceptions',
+    ].forEach((table) =>
+      this.database
+        .prepare(`DELETE FROM ${table} WHERE doctor_id = ?`)
+        .run(doctorId));
+
+    const addSpecialty = this.database.prepare(`INSERT INTO
+         doctor_specialties (doctor_id, position, specialty)
+       VALUES (?, ?, ?)`);
+    record.specialty.forEach((specialty, position) =>
+      addSpecialty.run(doctorId, position, specialty));
+
+    const addHours = this.database.prepare(`INSERT INTO
+         doctor_working_hours (doctor_id, day, start_minute, end_minute)
+       VALUES (?, ?, ?, ?)`);
+    doctor.workingHours.hours.forEach((range) =>
+      addHours.run(doctorId, range.day, range.startMinute, range.endMinute));
+
+    const addException = this.database.prepare(`INSERT INTO
+         doctor_schedule_exceptions
+         (id, doctor_id, type, starts_at, ends_at, reason)
+       VALUES (?, ?, ?, ?, ?, ?)`);
+    record.scheduleExceptions.forEach((exception) =>
+      addException.run(
+        exception.id,
+        doctorId,
+        exception.type,
+        toTimestamp(exception.start),
+        toTimestamp(exception.end),
+        exception.reason ?? ''
+      ));
+  }
+
+  toEntity(row) {
+    const rowsOf = (sql) => this.database.prepare(sql).all(row.id);
+
+    return this.mapper.fromRecord({
+      id: row.id,
+      rcm: row.rcm,
+      name: row.name,
+      phoneNumber: row.phone_number,
+      timeZone: row.time_zone,
+      specialty: rowsOf(`SELECT specialty FROM doctor_specialties
+         WHERE doctor_id = ? ORDER BY position`).map((entry) =>
+        entry.specialty),
+      workingHours: rowsOf(`SELECT day, start_minute, end_minute
+         FROM doctor_working_hours WHERE doctor_id = ?`).map((range) => ({
+        day: range.day,
+        startMinute: range.start_minute,
+        endMinute: range.end_minute,
+      })),
+      scheduleExceptions: rowsOf(`SELECT id, type, reason,
+           starts_at AS start, ends_at AS "end"
+         FROM doctor_schedule_exceptions
+         WHERE doctor_id = ? ORDER BY rowid`),
+    });
+  }
+}
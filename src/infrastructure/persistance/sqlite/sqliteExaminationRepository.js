@@ -0,0 +1,126 @@
+import { ExaminationMapper } from '../mappers/examinationMapper.js';
+import { SqliteRepository, toKey } from './sqliteRepository.js';
+
+const referenceId = (reference) =>
+  toKey(reference && typeof reference === 'object' ? reference.id : reference);
+
+const toText = (value) =>
+  value instanceof Date ? value.toISOString() : (value ?? null);
+
+export class SqliteExaminationRepository extends SqliteRepository {
+  constructor(
+    database,
+    eventBus = null,
+    patientRepository = null,
+    doctorRepository = null,
+    generateId
+  ) {
+    super(database, 'examinations', eventBus, generateId);
+    this.mapper = new ExaminationMapper(patientRepository, doctorRepository);
+  }
+
+  async findByPatientId(patientId) {
+    return this.select('WHERE patient_id = ?', [toKey(patientId)]);
+  }
+
+  async findByType(type) {
+    return this.select('WHERE type = ?', [type]);
+  }
+
+  async findByDate(date) {
+    return this.select('WHERE date = ?', [toText(date)]);
+  }
+
+  async findByStatus(status) {
+    return this.select('WHERE status = ?', [status]);
+  }
+
+  async findUnacknowledgedCritical() {
+    return this.select(`WHERE critical_alert IS NOT NULL
+         AND json_extract(critical_alert, '$.acknowledgedAt') IS NULL`);
+  }
+
+  write(id, examination) {
+    const record = this.mapper.toRecord(examination);
+
+    this.database
+      .prepare(`INSERT INTO examinations (
+           id, type, result, date, local, responsible_doctor_id, patient_id,
+           status, ordered_at, code, specimen, preparation, turnaround_hours,
+           panel, status_history, observations, attachments, critical_alert
+         ) VALUES (
+           @id, @type, @result, @date, @local, @responsibleDoctorId, @patientId,
+           @status, @orderedAt, @code, @specimen, @preparation,
+           @turnaroundHours, @panel, @statusHistory, @observations,
+           @attachments, @criticalAlert
+         )
+         ON CONFLICT (id) DO UPDATE SET
+           type = excluded.type,
+           result = excluded.result,
+           date = excluded.date,
+           local = excluded.local,
+           responsible_doctor_id = excluded.responsible_doctor_id,
+           patient_id = excluded.patient_id,
+           status = excluded.status,
+           ordered_at = excluded.ordered_at,
+           code = excluded.code,
+           specimen = excluded.specimen,
+           preparation = excluded.preparation,
+           turnaround_hours = excluded.turnaround_hours,
+           panel = excluded.panel,
+           status_history = excluded.status_history,
+           observations = excluded.observations,
+           attachments = excluded.attachments,
+           critical_alert = excluded.critical_alert`)
+      .run({
+        id: toKey(id),
+        type: toText(record.type),
+        result: toText(record.result),
+        date: toText(record.date),
+        local: toText(record.local),
+        responsibleDoctorId: referenceId(record.responsibleDoctor),
+        patientId: referenceId(record.patient),
+        status: record.status,
+        orderedAt: toText(record.orderedAt),
+        code: record.code,
+        specimen: record.specimen,
+        preparation: record.preparation,
+        turnaroundHours: record.turnaroundHours,
+        panel: record.panel === null ? null : JSON.stringify(record.panel),
+        statusHistory: JSON.stringify(record.statusHistory),
+        observations: JSON.stringify(record.observations),
+        attachments: JSON.stringify(record.attachments),
+        criticalAlert:
+          record.criticalAlert === null
+            ? null
+            : JSON.stringify(record.criticalAlert),
+      });
+  }
+
+  toEntity(row) {
+    return this.mapper.fromRecord({
+      id: row.id,
+      type: row.type,
+      result: row.result,
+      date: row.date,
+      local: row.local,
+      responsibleDoctor:
+        row.responsible_doctor_id === null
+          ? null
+          : { id: row.responsible_doctor_id },
+      patient: row.patient_id === null ? null : { id: row.patient_id },
+      status: row.status,
+      orderedAt: row.ordered_at,
+      code: row.code,
+      specimen: row.specimen,
+      preparation: row.preparation,
+      turnaroundHours: row.turnaround_hours,
+      panel: row.panel === null ? null : JSON.parse(row.panel),
+      statusHistory: JSON.parse(row.status_history),
+      observations: JSON.parse(row.observations),
+      attachments: JSON.parse(row.attachments),
+      criticalAlert:
+        row.critical_alert === null ? null : JSON.parse(row.critical_alert),
+    });
+  }
+}
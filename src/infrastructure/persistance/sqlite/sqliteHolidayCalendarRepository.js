@@ -0,0 +1,38 @@
+import { HolidayCalendarMapper } from '../mappers/holidayCalendarMapper.js';
+import { SqliteRepository } from './sqliteRepository.js';
+
+export class SqliteHolidayCalendarRepository extends SqliteRepository {
+  constructor(database, eventBus = null, generateId) {
+    super(database, 'holiday_calendars', eventBus, generateId);
+    this.mapper = new HolidayCalendarMapper();
+  }
+
+  write(id, calendar) {
+    const record = this.mapper.toRecord(calendar);
+    const calendarId = this.bindId(id);
+
+    this.database
+      .prepare(`INSERT INTO holiday_calendars (id) VALUES (?)
+         ON CONFLICT (id) DO NOTHING`)
+      .run(calendarId);
+    this.database
+      .prepare('DELETE FROM holidays WHERE calendar_id = ?')
+      .run(calendarId);
+
+    const addHoliday = this.database.prepare(`INSERT INTO holidays
+         (calendar_id, date, name)
+       VALUES (?, ?, ?)`);
+    record.holidays.forEach(({ date, name }) =>
+      addHoliday.run(calendarId, date, name ?? null));
+  }
+
+  toEntity(row) {
+    return this.mapper.fromRecord({
+      id: row.id,
+      holidays: this.database
+        .prepare(`SELECT date, name FROM holidays
+           WHERE calendar_id = ? ORDER BY date`)
+        .all(row.id),
+    });
+  }
+}
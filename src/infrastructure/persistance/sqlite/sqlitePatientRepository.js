@@ -0,0 +1,212 @@
+import { PatientMapper } from '../mappers/patientMapper.js';
+import { SqliteRepository } from './sqliteRepository.js';
+
+const toJson = (value) => (value == null ? null : JSON.stringify(value));
+const fromJson = (value) => (value == null ? null : JSON.parse(value));
+const toText = (value) =>
+  value instanceof Date ? value.toISOString() : (value ?? null);
+
+export class SqlitePatientRepository extends SqliteRepository {
+  constructor(database, eventBus = null, doctorRepository = null, generateId) {
+    super(database, 'patients', eventBus, generateId);
+    this.mapper = new PatientMapper(doctorRepository);
+  }
+
+  async findByName(name) {
+    return this.select('WHERE name = ?', [name]);
+  }
+
+  async findByBloodType(bloodType) {
+    return this.select('WHERE blood_type = ?', [bloodType]);
+  }
+
+  write(patientId, patient) {
+    const record = this.mapper.toRecord(patient);
+    const { medicalRecord } = record;
+    const id = this.bindId(patientId);
+
+    this.database
+      .prepare(`INSERT INTO patients (
+           id, identification_document, name, date_of_birth, gender,
+           blood_type, address, phone_number, email, emergency_contact,
+           time_zone, appointments, examinations, no_known_allergies
+         ) VALUES (
+           @id, @identificationDocument, @name, @dateOfBirth, @gender,
+           @bloodType, @address, @phoneNumber, @email, @emergencyContact,
+           @timeZone, @appointments, @examinations, @noKnownAllergies
+         )
+         ON CONFLICT (id) DO UPDATE SET
+           identification_document = excluded.identification_document,
+           name = excluded.name,
+           date_of_birth = excluded.date_of_birth,
+           gender = excluded.gender,
+           blood_type = excluded.blood_type,
+           address = excluded.address,
+           phone_number = excluded.phone_number,
+           email = excluded.email,
+           emergency_contact = excluded.emergency_contact,
+           time_zone = excluded.time_zone,
+           appointments = excluded.appointments,
+           examinations = excluded.examinations,
+           no_known_allergies = excluded.no_known_allergies`)
+      .run({
+        id,
+        identificationDocument: toText(record.identificationDocument),
+        name: toText(record.name),
+        dateOfBirth: toText(record.dateOfBirth),
+        gender: toText(record.gender),
+        bloodType: toText(record.bloodType),
+        address: toJson(record.address),
+        phoneNumber: toText(record.phoneNumber),
+        email: toText(record.email),
+        emergencyContact: toJson(record.emergencyContact),
+        timeZone: record.timeZone,
+        appointments: JSON.stringify(record.appointments),
+        examinations: JSON.stringify(record.examinations),
+        noKnownAllergies: record.noKnownAllergies ? 1 : 0,
+      });
+
+    ['patient_allergies', 'medical_record_entries'].forEach((table) =>
+      this.database
+        .prepare(`DELETE FROM ${table} WHERE patient_id = ?`)
+        .run(id));
+
+    const addAllergy = this.database.prepare(`INSERT INTO patient_allergies (
+         patient_id, position, allergy_id, substance, category, reaction,
+         severity, onset_date, verification_status
+       ) VALUES (
+         @patientId, @position, @id, @substance, @category, @reaction,
+         @severity, @onsetDate, @verificationStatus
+       )`);
+    record.allergies.forEach((allergy, position) =>
+      addAllergy.run({
+        patientId: id,
+        position,
+        ...allergy,
+      }));
+
+    const addEntry = this.database.prepare(`INSERT INTO medical_record_entries (
+         patient_id, kind, position, description, entry_id, author_id,
+         appointment_id, recorded_at, status, amends, status_change, code,
+         rank, clinical_status, drug, strength, form, route, frequency,
+         duration_days, quantity, refills, instructions, prescriber_id,
+         start_date, end_date, discontinuation, safety_alerts, override_reason
+       ) VALUES (
+         @patientId, @kind, @position, @description, @id, @authorId,
+         @appointmentId, @recordedAt, @status, @amends, @statusChange, @code,
+         @rank, @clinicalStatus, @drug, @strength, @form, @route, @frequency,
+         @durationDays, @quantity, @refills, @instructions, @prescriberId,
+         @startDate, @endDate, @discontinuation, @safetyAlerts, @overrideReason
+       )`);
+    const addEntries = (kind, entries) =>
+      entries.forEach((entry, position) =>
+        addEntry.run({
+          patientId: id,
+          kind,
+          position,
+          description: entry.description ?? null,
+          id: entry.id,
+          authorId: entry.authorId,
+          appointmentId: entry.appointmentId,
+          recordedAt: toText(entry.recordedAt),
+          status: entry.status,
+          amends: entry.amends,
+          statusChange: toJson(entry.statusChange),
+          code: entry.code ?? null,
+          rank: entry.rank ?? null,
+          clinicalStatus: entry.clinicalStatus ?? null,
+          drug: entry.drug ?? null,
+          strength: entry.strength ?? null,
+          form: entry.form ?? null,
+          route: entry.route ?? null,
+          frequency: entry.frequency ?? null,
+          durationDays: entry.durationDays ?? null,
+          quantity: entry.quantity ?? null,
+          refills: entry.refills ?? null,
+          instructions: entry.instructions ?? null,
+          prescriberId: entry.prescriberId ?? null,
+          startDate: entry.startDate ?? null,
+          endDate: entry.endDate ?? null,
+          discontinuation: toJson(entry.discontinuation),
+          safetyAlerts: toJson(entry.safetyAlerts),
+          overrideReason: entry.overrideReason ?? null,
+        }));
+    addEntries('diagnosis', medicalRecord.diagnosis);
+    addEntries('treatment', medicalRecord.treatments);
+    // Prescriptions are stored under the kind medications had
+    addEntries('medication', medicalRecord.prescriptions);
+  }
+
+  toEntity(row) {
+    const entries = this.database
+      .prepare(`SELECT * FROM medical_record_entries
+         WHERE patient_id = ? ORDER BY position`)
+      .all(row.id);
+    const entriesOf = (kind) =>
+      entries
+        .filter((entry) => entry.kind === kind)
+        .map((entry) => ({
+          id: entry.entry_id,
+          authorId: entry.author_id,
+          appointmentId: entry.appointment_id,
+          recordedAt: entry.recorded_at,
+          status: entry.status,
+          amends: entry.amends,
+          statusChange: fromJson(entry.status_change),
+          description: entry.description,
+          code: entry.code,
+          rank: entry.rank,
+          clinicalStatus: entry.clinical_status,
+          drug: entry.drug,
+          strength: entry.strength,
+          form: entry.form,
+          route: entry.route,
+          frequency: entry.frequency,
+          durationDays: entry.duration_days,
+          quantity: entry.quantity,
+          refills: entry.refills,
+          instructions: entry.instructions,
+          prescriberId: entry.prescriber_id,
+          startDate: entry.start_date,
+          endDate: entry.end_date,
+          discontinuation: fromJson(entry.discontinuation),
+          safetyAlerts: fromJson(entry.safety_alerts),
+          overrideReason: entry.override_reason,
+        }));
+
+    return this.mapper.fromRecord({
+      id: row.id,
+      identificationDocument: row.identification_document,
+      name: row.name,
+      dateOfBirth: row.date_of_birth,
+      gender: row.gender,
+      bloodType: row.blood_type,
+      address: fromJson(row.address),
+      phoneNumber: row.phone_number,
+      email: row.email,
+      emergencyContact: fromJson(row.emergency_contact),
+      timeZone: row.time_zone,
+      allergies: this.database
+        .prepare(`SELECT * FROM patient_allergies
+           WHERE patient_id = ? ORDER BY position`)
+        .all(row.id)
+        .map((allergy) => ({
+          id: allergy.allergy_id,
+          substance: allergy.substance,
+          category: allergy.category,
+          reaction: allergy.reaction,
+          severity: allergy.severity,
+          onsetDate: allergy.onset_date,
+          verificationStatus: allergy.verification_status,
+        })),
+      noKnownAllergies: Boolean(row.no_known_allergies),
+      appointments: JSON.parse(row.appointments),
+      examinations: JSON.parse(row.examinations),
+      medicalRecord: {
+        diagnosis: entriesOf('diagnosis'),
+        treatments: entriesOf('treatment'),
+        prescriptions: entriesOf('medication'),
+      },
+    });
+  }
+}
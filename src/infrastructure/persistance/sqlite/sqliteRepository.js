@@ -0,0 +1,171 @@
+import { Repository } from '../../../domain/repositories/repository.js';
+import { currentTransaction } from '../../../domain/repositories/unitOfWork.js';
+
+// better-sqlite3 binds numbers as REAL, which a TEXT column would store as
+// "1.0", so ids are always bound as strings
+export const toKey = (id) => (id == null ? null : String(id));
+
+export const toTimestamp = (date) =>
+  date == null ? null : new Date(date).toISOString();
+
+const participants = new WeakMap();
+
+// Every repository on a database joins a unit of work through the same
+// participant, so the whole unit is a single SQL transaction
+const participantFor = (database) => {
+  if (!participants.has(database)) {
+    participants.set(database, {
+      begin: () => database.exec('BEGIN IMMEDIATE'),
+      commit: () => database.exec('COMMIT'),
+      rollback: () => database.exec('ROLLBACK'),
+    });
+  }
+  return participants.get(database);
+};
+
+// Rows are the source of truth. Entities already loaded are kept by id so
+// every lookup returns the same instance, just like the in-memory repositories,
+// and changes a service makes before saving are seen by the next lookup.
+export class SqliteRepository extends Repository {
+  constructor(database, table, eventBus = null, generateId) {
+    super(eventBus, null, generateId);
+    this.database = database;
+    this.table = table;
+    this.loaded = new Map();
+  }
+
+  async add(id, entity) {
+    if (this.exists(id)) {
+      throw new Error(`Entity with id ${id} already exists.`);
+    }
+
+    await this.save(id, entity, 0);
+  }
+
+  async findById(id) {
+    return this.lookup(id);
+  }
+
+  async findAll() {
+    return this.select();
+  }
+
+  async update(id, entity, expectedVersion = entity.version) {
+    if (!this.exists(id)) {
+      throw new Error(`Entity with id ${id} does not exist.`);
+    }
+
+    await this.save(id, entity, expectedVersion);
+  }
+
+  async delete(id, expectedVersion) {
+    if (!this.exists(id)) {
+      throw new Error(`Entity with id ${id} does not exist.`);
+    }
+
+    this.join(id, undefined);
+    this.database.transaction(() => {
+      this.checkVersion(id, expectedVersion);
+      // Rows owned by the entity go with it through ON DELETE CASCADE
+      this.database
+        .prepare(`DELETE FROM ${this.table} WHERE id = ?`)
+        .run(this.bindId(id));
+    })();
+    this.loaded.delete(toKey(id));
+  }
+
+  // New rows start at version 0, so adding expects that one
+  async save(id, entity, expectedVersion) {
+    this.join(id, entity);
+    entity.version = this.database.transaction(() => {
+      this.write(id, entity);
+      return this.stamp(id, expectedVersion);
+    })();
+    this.remember(id, entity);
+    await this.dispatchEvents(entity);
+  }
+
+  lookup(id) {
+    return this.select('WHERE id = ?', [this.bindId(id)])[0];
+  }
+
+  // Inside a unit of work the first write opens the SQL transaction, and the
+  // loaded entity is journaled so a rollback forgets it. The id is undefined
+  // while the table has not assigned one yet.
+  join(id, entity) {
+    const transaction = currentTransaction();
+    if (!transaction) {
+      return;
+    }
+
+    transaction.enlist(participantFor(this.database));
+    if (id !== undefined) {
+      transaction.journal(this.loaded, toKey(id));
+    }
+    transaction.track(entity);
+  }
+
+  // The row's version is checked in the same transaction that writes it, so
+  // a change made through another connection in between is not overwritten
+  stamp(id, expectedVersion) {
+    const version = this.checkVersion(id, expectedVersion) + 1;
+    this.database
+      .prepare(`UPDATE ${this.table} SET version = ? WHERE id = ?`)
+      .run(version, this.bindId(id));
+    return version;
+  }
+
+  currentVersion(id) {
+    return this.database
+      .prepare(`SELECT version FROM ${this.table} WHERE id = ?`)
+      .get(this.bindId(id))?.version;
+  }
+
+  exists(id) {
+    return (
+      this.database
+        .prepare(`SELECT 1 FROM ${this.table} WHERE id = ?`)
+        .get(this.bindId(id)) !== undefined
+    );
+  }
+
+  // Rows come back in insertion order unless the clause sorts them
+  select(clause = '', params = []) {
+    const sql = /\bORDER BY\b/i.test(clause)
+      ? clause
+      : `${clause} ORDER BY rowid`;
+
+    return this.database
+      .prepare(`SELECT * FROM ${this.table} ${sql}`)
+      .all(params)
+      .map((row) => this.materialize(row));
+  }
+
+  materialize(row) {
+    const key = toKey(row.id);
+    if (!this.loaded.has(key)) {
+      const entity = this.toEntity(row);
+      entity.version = row.version;
+      this.loaded.set(key, entity);
+    }
+    return this.track(this.loaded.get(key));
+  }
+
+  remember(id, entity) {
+    this.loaded.set(toKey(id), entity);
+  }
+
+  bindId(id) {
+    return toKey(id);
+  }
+
+  // Writes the entity's rows; runs inside a transaction, which is a savepoint
+  // when a unit of work already opened one
+  write() {
+    throw new Error(`${this.constructor.name} must implement write`);
+  }
+
+  toEntity() {
+    throw new Error(`${this.constructor.name} must implement toEntity`);
+  }
+}
@@ -0,0 +1,121 @@
+import { WaitlistStatus } from '../../../domain/entities/waitlistEntry.js';
+import { WaitlistEntryMapper } from '../mappers/waitlistEntryMapper.js';
+import { SqliteRepository, toKey, toTimestamp } from './sqliteRepository.js';
+
+export class SqliteWaitlistRepository extends SqliteRepository {
+  constructor(database, eventBus = null, patientRepository = null, generateId) {
+    super(database, 'waitlist_entries', eventBus, generateId);
+    this.mapper = new WaitlistEntryMapper(patientRepository);
+  }
+
+  // First come, first served
+  async findByStatus(status) {
+    return this.select('WHERE status = ? ORDER BY created_at, rowid', [status]);
+  }
+
+  async findWaiting() {
+    return this.findByStatus(WaitlistStatus.WAITING);
+  }
+
+  async findOffered() {
+    return this.findByStatus(WaitlistStatus.OFFERED);
+  }
+
+  // Someone else's hold on an overlapping slot
+  async hasHoldOverlapping(doctorId, start, end, patientId) {
+    return (
+      this.database
+        .prepare(`SELECT 1 FROM waitlist_entries
+           WHERE status = ? AND hold_doctor_id = ?
+             AND hold_start < ? AND ? < hold_end
+             AND patient_id IS NOT ?
+           LIMIT 1`)
+        .get(
+          WaitlistStatus.OFFERED,
+          toKey(doctorId),
+          toTimestamp(end),
+          toTimestamp(start),
+          toKey(patientId)
+        ) !== undefined
+    );
+  }
+
+  async findByPatientId(patientId) {
+    return this.select('WHERE patient_id = ?', [toKey(patientId)]);
+  }
+
+  write(id, entry) {
+    const record = this.mapper.toRecord(entry);
+    const { hold } = record;
+
+    this.database
+      .prepare(`INSERT INTO waitlist_entries (
+           id, patient_id, doctor_id, specialty, preferred_start,
+           preferred_end, duration, reason, created_at, status,
+           hold_doctor_id, hold_start, hold_end, hold_expires_at,
+           appointment_id, passed_slots
+         ) VALUES (
+           @id, @patientId, @doctorId, @specialty, @preferredStart,
+           @preferredEnd, @duration, @reason, @createdAt, @status,
+           @holdDoctorId, @holdStart, @holdEnd, @holdExpiresAt,
+           @appointmentId, @passedSlots
+         )
+         ON CONFLICT (id) DO UPDATE SET
+           patient_id = excluded.patient_id,
+           doctor_id = excluded.doctor_id,
+           specialty = excluded.specialty,
+           preferred_start = excluded.preferred_start,
+           preferred_end = excluded.preferred_end,
+           duration = excluded.duration,
+           reason = excluded.reason,
+           created_at = excluded.created_at,
+           status = excluded.status,
+           hold_doctor_id = excluded.hold_doctor_id,
+           hold_start = excluded.hold_start,
+           hold_end = excluded.hold_end,
+           hold_expires_at = excluded.hold_expires_at,
+           appointment_id = excluded.appointment_id,
+           passed_slots = excluded.passed_slots`)
+      .run({
+        id: toKey(id),
+        patientId: toKey(record.patient?.id),
+        doctorId: toKey(record.doctorId),
+        specialty: record.specialty,
+        preferredStart: toTimestamp(record.preferredStart),
+        preferredEnd: toTimestamp(record.preferredEnd),
+        duration: record.duration,
+        reason: record.reason ?? null,
+        createdAt: toTimestamp(record.createdAt),
+        status: record.status,
+        holdDoctorId: toKey(hold?.doctorId),
+        holdStart: toTimestamp(hold?.start),
+        holdEnd: toTimestamp(hold?.end),
+        holdExpiresAt: toTimestamp(hold?.expiresAt),
+        appointmentId: toKey(record.appointmentId),
+        passedSlots: JSON.stringify(record.passedSlots),
+      });
+  }
+
+  toEntity(row) {
+    return this.mapper.fromRecord({
+      id: row.id,
+      patient: row.patient_id === null ? null : { id: row.patient_id },
+      doctorId: row.doctor_id,
+      specialty: row.specialty,
+      preferredStart: row.preferred_start,
+      preferredEnd: row.preferred_end,
+      duration: row.duration,
+      reason: row.reason,
+      createdAt: row.created_at,
+      status: row.status,
+      hold: row.hold_start && {
+        doctorId: row.hold_doctor_id,
+        start: row.hold_start,
+        end: row.hold_end,
+        expiresAt: row.hold_expires_at,
+      },
+      appointmentId: row.appointment_id,
+      passedSlots: JSON.parse(row.passed_slots),
+    });
+  }
+}
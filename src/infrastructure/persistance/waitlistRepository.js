@@ -0,0 +1,36 @@
+import { WaitlistStatus } from '../../domain/entities/waitlistEntry.js';
+import { sameId } from '../../domain/repositories/idStrategy.js';
+import { Repository } from '../../domain/repositories/repository.js';
+
+export class WaitlistRepository extends Repository {
+  constructor(eventBus, storage, generateId) {
+    super(eventBus, storage, generateId);
+  }
+
+  // First come, first served
+  async findByStatus(status) {
+    return (await this.findAll())
+      .filter((entry) => entry.status === status)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async findWaiting() {
+    return this.findByStatus(WaitlistStatus.WAITING);
+  }
+
+  async findOffered() {
+    return this.findByStatus(WaitlistStatus.OFFERED);
+  }
+
+  // Someone else's hold on an overlapping slot
+  async hasHoldOverlapping(doctorId, start, end, patientId) {
+    return (await this.findOffered()).some((entry) =>
+      !sameId(entry.patient.id, patientId) &&
+      entry.holdOverlaps(doctorId, start, end));
+  }
+
+  async findByPatientId(patientId) {
+    return (await this.findAll()).filter((entry) =>
+      sameId(entry.patient.id, patientId));
+  }
+}
@@ -0,0 +1,104 @@
+import fs from 'node:fs';
+
+const BUNDLED_TABLE = new URL('./drug-safety.json', import.meta.url);
+
+const normalize = (name) => String(name).trim().toLowerCase();
+
+const mostSevere = (rows) =>
+  rows.find(({ severity }) => severity === 'severe') ?? rows[0];
+
+// Which drug classes a drug belongs to, which allergies rule them out and
+// which of them interact. Like the ICD-10 catalog it ships with the
+// application, so prescriptions are checked without leaving the process.
+// Allergens and interactions name drug classes or single drugs.
+export class DrugSafetyTable {
+  constructor({ drugClasses = {}, allergens = [], interactions = [] } = {}) {
+    this.classesByDrug = new Map();
+    Object.entries(drugClasses).forEach(([drugClass, drugs]) =>
+      drugs.forEach((drug) => {
+        const classes = this.classesByDrug.get(drug) ?? [];
+        this.classesByDrug.set(drug, [...classes, drugClass]);
+      }));
+    this.allergens = allergens;
+    this.interactions = interactions;
+  }
+
+  static load(file = BUNDLED_TABLE) {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read drug safety table ${file}: ` +
+        error.message);
+    }
+    return new DrugSafetyTable(content);
+  }
+
+  // The drug itself and every class it belongs to
+  termsOf(drug) {
+    const name = normalize(drug);
+    return [name, ...(this.classesByDrug.get(name) ?? [])];
+  }
+
+  // One alert per allergy the drug conflicts with, the most severe that
+  // applies. An allergy named after the drug or one of its classes always
+  // conflicts.
+  allergyAlerts(drug, allergies) {
+    const terms = this.termsOf(drug);
+
+    return allergies.flatMap((allergy) => {
+      const allergen = normalize(allergy);
+      if (terms.includes(allergen)) {
+        return [
+          {
+            kind: 'allergy',
+            severity: 'severe',
+            allergy,
+            drugClass: allergen === terms[0] ? null : allergen,
+            note: null,
+          },
+        ];
+      }
+
+      const matches = this.allergens.filter(({ names, classes }) =>
+        names.includes(allergen) &&
+        classes.some((drugClass) => terms.includes(drugClass)));
+      const match = mostSevere(matches);
+      return match
+        ? [
+          {
+            kind: 'allergy',
+            severity: match.severity,
+            allergy,
+            drugClass: match.classes.find((drugClass) =>
+              terms.includes(drugClass)),
+            note: match.note ?? null,
+          },
+        ]
+        : [];
+    });
+  }
+
+  // One alert per drug already taken that interacts with this one
+  interactionAlerts(drug, otherDrugs) {
+    const terms = this.termsOf(drug);
+
+    return otherDrugs.flatMap((otherDrug) => {
+      const otherTerms = this.termsOf(otherDrug);
+      const matches = this.interactions.filter(({ between: [first, second] }) =>
+        (terms.includes(first) && otherTerms.includes(second)) ||
+        (terms.includes(second) && otherTerms.includes(first)));
+      const interaction = mostSevere(matches);
+      return interaction
+        ? [
+          {
+            kind: 'interaction',
+            severity: interaction.severity,
+            drug: otherDrug,
+            effect: interaction.effect,
+          },
+        ]
+        : [];
+    });
+  }
+}
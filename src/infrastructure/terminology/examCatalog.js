@@ -0,0 +1,66 @@
+import fs from 'node:fs';
+
+const BUNDLED_CATALOG = new URL('./exam-catalog.json', import.meta.url);
+
+const normalize = (code) =>
+  typeof code === 'string' ? code.trim().toUpperCase() : undefined;
+
+// The exams the clinic can order, with the specimen they need, how the
+// patient prepares for them, how long the lab takes and the analytes they
+// report. Panels group exams that are usually ordered together. Like the
+// other terminology tables it ships with the application.
+export class ExamCatalog {
+  constructor({ exams = [], panels = [] } = {}) {
+    this.exams = new Map(exams.map((exam) => [
+      normalize(exam.code),
+      Object.freeze({
+        code: exam.code,
+        name: exam.name,
+        specimen: exam.specimen ?? null,
+        preparation: exam.preparation ?? null,
+        turnaroundHours: exam.turnaroundHours ?? null,
+        analytes: Object.freeze([...(exam.analytes ?? [])]),
+      }),
+    ]));
+    this.panels = new Map(panels.map((panel) => [
+      normalize(panel.code),
+      Object.freeze({
+        code: panel.code,
+        name: panel.name,
+        exams: Object.freeze(panel.exams.map((code) => {
+          const exam = this.findExam(code);
+          if (!exam) {
+            throw new Error(`Panel ${panel.code} lists unknown exam ${code}`);
+          }
+          return exam;
+        })),
+      }),
+    ]));
+  }
+
+  static load(file = BUNDLED_CATALOG) {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read exam catalog ${file}: ${error.message}`);
+    }
+    return new ExamCatalog(content);
+  }
+
+  findExam(code) {
+    return this.exams.get(normalize(code));
+  }
+
+  findPanel(code) {
+    return this.panels.get(normalize(code));
+  }
+
+  listExams() {
+    return [...this.exams.values()];
+  }
+
+  listPanels() {
+    return [...this.panels.values()];
+  }
+}
@@ -0,0 +1,72 @@
+import fs from 'node:fs';
+
+const BUNDLED_CATALOG = new URL('./icd10-cm.json', import.meta.url);
+
+// Codes compare without their dot, so "e119" finds E11.9
+const compact = (code) => code.replace('.', '').toLowerCase();
+
+// The ICD-10 codes diagnoses are recorded with. The catalog ships with the
+// application and is read once on start, so lookups never leave the process.
+export class Icd10Catalog {
+  constructor(chapters = []) {
+    this.concepts = new Map();
+    chapters.forEach(({ number, title, range, codes }) => {
+      const chapter = Object.freeze({
+        number,
+        title,
+        range,
+      });
+      codes.forEach(([code, display]) =>
+        this.concepts.set(
+          code,
+          Object.freeze({
+            code,
+            display,
+            chapter,
+          })
+        ));
+    });
+  }
+
+  static load(file = BUNDLED_CATALOG) {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read ICD-10 catalog ${file}: ${error.message}`);
+    }
+    return new Icd10Catalog(content.chapters);
+  }
+
+  find(code) {
+    return typeof code === 'string'
+      ? this.concepts.get(code.trim().toUpperCase())
+      : undefined;
+  }
+
+  // Codes starting with the query come first, then concepts whose display
+  // contains every word of it, each in catalog order
+  search(query, limit = 20) {
+    const text = String(query ?? '')
+      .trim()
+      .toLowerCase();
+    if (!text) {
+      return [];
+    }
+
+    const words = text.split(/\s+/);
+    const byCode = [];
+    const byDisplay = [];
+    this.concepts.forEach((concept) => {
+      if (compact(concept.code).startsWith(compact(text))) {
+        byCode.push(concept);
+      } else if (
+        words.every((word) => concept.display.toLowerCase().includes(word))
+      ) {
+        byDisplay.push(concept);
+      }
+    });
+
+    return [...byCode, ...byDisplay].slice(0, limit);
+  }
+}
@@ -0,0 +1,75 @@
+import fs from 'node:fs';
+
+const BUNDLED_TABLE = new URL('./reference-ranges.json', import.meta.url);
+
+// Patients record their gender as free text ("Male", "F", ...)
+const SEXES = {
+  m: 'male',
+  f: 'female',
+};
+
+const sexOf = (gender) =>
+  SEXES[String(gender ?? '').trim().charAt(0).toLowerCase()] ?? null;
+
+// A range applies when the patient matches everything it names. Ages are
+// whole years and maxAge is exclusive.
+const applies = ({ sex, minAge, maxAge }, patientSex, age) =>
+  (!sex || sex === patientSex) &&
+  (minAge === undefined || (age !== null && age >= minAge)) &&
+  (maxAge === undefined || (age !== null && age < maxAge));
+
+// The reference ranges lab results are flagged with, by analyte code. Like the
+// other terminology tables it ships with the application. An analyte lists
+// its ranges from the most specific, and the first that applies is used.
+export class ReferenceRangeTable {
+  constructor({ analytes = [] } = {}) {
+    this.analytes = new Map(analytes.map((analyte) =>
+      [analyte.code.toUpperCase(), analyte]));
+  }
+
+  static load(file = BUNDLED_TABLE) {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read reference range table ${file}: ` +
+        error.message);
+    }
+    return new ReferenceRangeTable(content);
+  }
+
+  find(code) {
+    return typeof code === 'string'
+      ? this.analytes.get(code.trim().toUpperCase())
+      : undefined;
+  }
+
+  // The name, unit and range of an analyte for a patient of that gender and
+  // age. A result in another unit cannot be compared with the table, so it
+  // gets no reference.
+  referenceFor(code, unit = null, { gender = null, age = null } = {}) {
+    const analyte = this.find(code);
+    if (!analyte || (unit !== null && unit !== analyte.unit)) {
+      return null;
+    }
+
+    const range = analyte.ranges.find((candidate) =>
+      applies(candidate, sexOf(gender), age));
+    // Critical limits hold even when no range fits, say for an unknown sex
+    const { critical } = analyte;
+    return {
+      code: analyte.code,
+      name: analyte.name,
+      unit: analyte.unit,
+      referenceRange:
+        range || critical
+          ? {
+            low: range?.low ?? null,
+            high: range?.high ?? null,
+            criticalLow: critical?.low ?? null,
+            criticalHigh: critical?.high ?? null,
+          }
+          : null,
+    };
+  }
+}
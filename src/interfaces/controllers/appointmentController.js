@@ -9,8 +9,17 @@ export class AppointmentController {
 
   initializeRoutes() {
     this.router.post('/', this.scheduleAppointment.bind(this));
+    this.router.post('/series', this.scheduleSeries.bind(this));
+    this.router.get('/series/:seriesId', this.getSeriesById.bind(this));
     this.router.get('/:id', this.getAppointmentById.bind(this));
     this.router.get('/', this.getAllAppointments.bind(this));
+    this.router.post('/:id/confirm', this.confirmAppointment.bind(this));
+    this.router.post('/:id/check-in', this.checkInAppointment.bind(this));
+    this.router.post('/:id/start', this.startAppointment.bind(this));
+    this.router.post('/:id/complete', this.completeAppointment.bind(this));
+    this.router.post('/:id/cancel', this.cancelAppointment.bind(this));
+    this.router.post('/:id/no-show', this.markNoShow.bind(this));
+    this.router.post('/:id/reschedule', this.rescheduleAppointment.bind(this));
   }
 
   async scheduleAppointment(req, res) {
@@ -24,6 +33,25 @@ export class AppointmentController {
     }
   }
 
+  async scheduleSeries(req, res) {
+    try {
+      const result = await this.appointmentService.scheduleSeries(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.handleTransitionError(res, error);
+    }
+  }
+
+  async getSeriesById(req, res) {
+    try {
+      const { seriesId } = req.params;
+      const result = await this.appointmentService.findSeriesById(seriesId);
+      res.status(200).json(result);
+    } catch (error) {
+      this.handleTransitionError(res, error);
+    }
+  }
+
   async getAppointmentById(req, res) {
     try {
       const { id } = req.params;
@@ -43,5 +71,127 @@ export class AppointmentController {
       res.status(500).json({ error: error.message });
     }
   }
+
+  async confirmAppointment(req, res) {
+    try {
+      const { id } = req.params;
+      const { changedBy } = req.body;
+      const appointment = await this.appointmentService.confirm(id, changedBy);
+      res.status(200).json(appointment);
+    } catch (error) {
+      this.handleTransitionError(res, error);
+    }
+  }
+
+  async checkInAppointment(req, res) {
+    try {
+      const { id } = req.params;
+      const { changedBy } = req.body;
+      const appointment = await this.appointmentService.checkIn(id, changedBy);
+      res.status(200).json(appointment);
+    } catch (error) {
+      this.handleTransitionError(res, error);
+    }
+  }
+
+  async startAppointment(req, res) {
+    try {
+      const { id } = req.params;
+      const { changedBy } = req.body;
+      const appointment = await this.appointmentService.start(id, changedBy);
+      res.status(200).json(appointment);
+    } catch (error) {
+      this.handleTransitionError(res, error);
+    }
+  }
+
+  async completeAppointment(req, res) {
+    try {
+      const { id } = req.params;
+      const { changedBy } = req.body;
+      const appointment = await this.appointmentService.complete(id, changedBy);
+      res.status(200).json(appointment);
+    } catch (error) {
+      this.handleTransitionError(res, error);
+    }
+  }
+
+  async cancelAppointment(req, res) {
+    try {
+      const { id } = req.params;
+      const { changedBy, reason, scope } = req.body;
+
+      // With a scope, occurrences of a series are cancelled together
+      if (scope) {
+        const appointments = await this.appointmentService.cancelSeries(
+          id,
+          scope,
+          changedBy,
+          reason
+        );
+        return res.status(200).json(appointments);
+      }
+
+      const appointment = await this.appointmentService.cancel(
+        id,
+        changedBy,
+        reason
+      );
+      res.status(200).json(appointment);
+    } catch (error) {
+      this.handleTransitionError(res, error);
+    }
+  }
+
+  async markNoShow(req, res) {
+    try {
+      const { id } = req.params;
+      const { changedBy } = req.body;
+      const appointment = await this.appointmentService.markNoShow(
+        id,
+        changedBy
+      );
+      res.status(200).json(appointment);
+    } catch (error) {
+      this.handleTransitionError(res, error);
+    }
+  }
+
+  async rescheduleAppointment(req, res) {
+    try {
+      const { id } = req.params;
+      const { date, changedBy, reason, scope } = req.body;
+
+      if (scope) {
+        const result = await this.appointmentService.rescheduleSeries(
+          id,
+          scope,
+          date,
+          changedBy,
+          reason
+        );
+        return res.status(200).json(result);
+      }
+
+      const appointment = await this.appointmentService.reschedule(
+        id,
+        date,
+        changedBy,
+        reason
+      );
+      res.status(200).json(appointment);
+    } catch (error) {
+      this.handleTransitionError(res, error);
+    }
+  }
+
+  handleTransitionError(res, error) {
+    if (
+      error.message === 'Appointment not found' ||
+      error.message === 'Appointment series not found'
+    ) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
 }
-    
\ No newline at end of file
@@ -9,6 +9,11 @@ export class DoctorAvailabilityController {
 
   initializeRoutes() {
     this.router.post('/', this.checkAvailability.bind(this));
+    this.router.get('/:id/slots', this.getAvailableSlots.bind(this));
+    this.router.get(
+      '/specialties/:specialty/slots',
+      this.searchSlotsBySpecialty.bind(this)
+    );
   }
 
   async checkAvailability(req, res) {
@@ -33,4 +38,74 @@ export class DoctorAvailabilityController {
       }
     }
   }
+
+  async getAvailableSlots(req, res) {
+    try {
+      const { id } = req.params;
+      const { from, to } = req.query;
+      const duration = this.parseDuration(req.query.duration);
+
+      const slots = await this.doctorAvailabilityService.findAvailableSlots(
+        id,
+        from,
+        to,
+        duration
+      );
+
+      res.status(200).json(slots);
+    } catch (error) {
+      if (error.message === 'Doctor not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async searchSlotsBySpecialty(req, res) {
+    try {
+      const { specialty } = req.params;
+      const { from, to } = req.query;
+      const duration = this.parseDuration(req.query.duration);
+      const limit = this.parseLimit(req.query.limit);
+
+      const slots =
+        await this.doctorAvailabilityService.findEarliestSlotsBySpecialty(
+          specialty,
+          from,
+          to,
+          duration,
+          limit
+        );
+
+      res.status(200).json(slots);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  parseDuration(duration) {
+    if (duration === undefined) {
+      return undefined;
+    }
+
+    const minutes = Number(duration);
+    if (!Number.isInteger(minutes) || minutes <= 0) {
+      throw new Error('Duration must be a positive number of minutes');
+    }
+
+    return minutes;
+  }
+
+  parseLimit(limit) {
+    if (limit === undefined) {
+      return undefined;
+    }
+
+    const count = Number(limit);
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error('Limit must be a positive number of slots');
+    }
+
+    return count;
+  }
 }
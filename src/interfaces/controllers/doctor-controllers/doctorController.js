@@ -1,4 +1,5 @@
 import express from 'express';
+import { ifMatchVersion, setETag, statusFor } from '../../http/etag.js';
 
 export class DoctorController {
   constructor(doctorService) {
@@ -18,7 +19,7 @@ export class DoctorController {
   async createDoctor(req, res) {
     try {
       const doctor = req.body;
-      const createdDoctor = this.doctorService.addDoctor(doctor);
+      const createdDoctor = await this.doctorService.addDoctor(doctor);
       res.status(201).json(createdDoctor);
     } catch (error) {
       res.status(400).json({ error: error.message });
@@ -28,10 +29,11 @@ export class DoctorController {
   async getDoctorById(req, res) {
     try {
       const { id } = req.params;
-      const doctor = this.doctorService.findDoctorById(id);
+      const doctor = await this.doctorService.findDoctorById(id);
       if (!doctor) {
         return res.status(404).json({ error: 'Doctor not found' });
       }
+      setETag(res, doctor);
       res.status(200).json(doctor);
     } catch (error) {
       res.status(400).json({ error: error.message });
@@ -40,7 +42,7 @@ export class DoctorController {
 
   async getAllDoctors(req, res) {
     try {
-      const doctors = this.doctorService.findAllDoctors();
+      const doctors = await this.doctorService.findAllDoctors();
       res.status(200).json(doctors);
     } catch (error) {
       res.status(400).json({ error: error.message });
@@ -51,20 +53,28 @@ export class DoctorController {
     try {
       const { id } = req.params;
       const updatedData = req.body;
-      const updatedDoctor = this.doctorService.updateDoctor(id, updatedData);
+      const updatedDoctor = await this.doctorService.updateDoctor(
+        id,
+        updatedData,
+        ifMatchVersion(req)
+      );
+      setETag(res, updatedDoctor);
       res.status(200).json(updatedDoctor);
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      res.status(statusFor(req, error, 400)).json({ error: error.message });
     }
   }
 
   async deleteDoctor(req, res) {
     try {
       const { id } = req.params;
-      const deletedDoctor = this.doctorService.deleteDoctor(id);
+      const deletedDoctor = await this.doctorService.deleteDoctor(
+        id,
+        ifMatchVersion(req)
+      );
       res.status(200).json(deletedDoctor);
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      res.status(statusFor(req, error, 400)).json({ error: error.message });
     }
   }
 }
@@ -0,0 +1,66 @@
+import express from 'express';
+
+export class DoctorScheduleExceptionController {
+  constructor(scheduleExceptionService) {
+    this.scheduleExceptionService = scheduleExceptionService;
+    this.router = express.Router();
+    this.initializeRoutes();
+  }
+
+  initializeRoutes() {
+    this.router.post('/:id/exceptions', this.addException.bind(this));
+    this.router.get('/:id/exceptions', this.listExceptions.bind(this));
+    this.router.delete(
+      '/:id/exceptions/:exceptionId',
+      this.removeException.bind(this)
+    );
+  }
+
+  async addException(req, res) {
+    try {
+      const { id } = req.params;
+      const result = await this.scheduleExceptionService.addScheduleException(
+        id,
+        req.body
+      );
+      res.status(201).json(result);
+    } catch (error) {
+      this.handleError(res, error);
+    }
+  }
+
+  async listExceptions(req, res) {
+    try {
+      const { id } = req.params;
+      const exceptions =
+        await this.scheduleExceptionService.listScheduleExceptions(id);
+      res.status(200).json(exceptions);
+    } catch (error) {
+      this.handleError(res, error);
+    }
+  }
+
+  async removeException(req, res) {
+    try {
+      const { id, exceptionId } = req.params;
+      const exception =
+        await this.scheduleExceptionService.removeScheduleException(
+          id,
+          exceptionId
+        );
+      res.status(200).json(exception);
+    } catch (error) {
+      this.handleError(res, error);
+    }
+  }
+
+  handleError(res, error) {
+    if (
+      error.message === 'Doctor not found' ||
+      error.message === 'Schedule exception not found'
+    ) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+}
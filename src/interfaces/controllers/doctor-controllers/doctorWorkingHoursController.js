@@ -19,55 +19,41 @@ export class DoctorWorkingHoursController {
   async addWorkingHours(req, res) {
     try {
       const { id } = req.params;
-      const { day, timeSlot } = req.body;
-      const updatedDoctor = this.workingHoursService.addDoctorWorkingHours(
-        id,
-        day,
-        timeSlot
-      );
+      const updatedDoctor =
+        await this.workingHoursService.addDoctorWorkingHours(id, req.body);
       res.status(200).json(updatedDoctor);
     } catch (error) {
-      if (error.message === 'Doctor not found.') {
-        return res.status(404).json({ error: error.message });
-      } else if (
-        error.message === 'Working hours already exists for this doctor'
-      ) {
-        return res.status(400).json({ error: error.message });
-      }
-      res.status(500).json({ error: 'Internal server error.' });
+      this.handleError(res, error);
     }
   }
 
   async removeWorkingHours(req, res) {
     try {
       const { id } = req.params;
-      const { day, timeSlot } = req.body;
-      const updatedDoctor = this.workingHoursService.removeWorkingHours(
+      const updatedDoctor = await this.workingHoursService.removeWorkingHours(
         id,
-        day,
-        timeSlot
+        req.body
       );
       res.status(200).json(updatedDoctor);
     } catch (error) {
-      if (error.message === 'Doctor not found.') {
-        return res.status(404).json({ error: error.message });
-      } else {
-        return res.status(400).json({ error: error.message });
-      }
+      this.handleError(res, error);
     }
   }
 
   async listWorkingHours(req, res) {
     try {
       const { id } = req.params;
-      const workingHours = this.workingHoursService.listWorkingHours(id);
+      const workingHours = await this.workingHoursService.listWorkingHours(id);
       res.status(200).json(workingHours);
     } catch (error) {
-      if (error.message === 'Doctor not found.') {
-        return res.status(404).json({ error: error.message });
-      } else {
-        return res.status(400).json({ error: error.message });
-      }
+      this.handleError(res, error);
+    }
+  }
+
+  handleError(res, error) {
+    if (error.message === 'Doctor not found') {
+      return res.status(404).json({ error: error.message });
     }
+    res.status(400).json({ error: error.message });
   }
 }
@@ -1,47 +1,111 @@
+import busboy from 'busboy';
 import express from 'express';
+import { pipeline } from 'node:stream/promises';
+import { ifMatchVersion, setETag, statusFor } from '../http/etag.js';
+
+const NOT_FOUND_ERRORS = [
+  'Examination not found',
+  'Patient not found',
+  'Doctor not found',
+  'Attachment not found',
+  'Attachment content not found',
+];
+
+// Uploads whose content is not one of the accepted file types
+const UNSUPPORTED_MEDIA_ERRORS = [
+  /^Unsupported attachment type/, /^Attachment content is not/,
+];
+
+const attachmentPath = (req, examination, attachment) =>
+  `${req.baseUrl}/${examination.id}/attachments/${attachment.id}`;
 
 export class ExamController {
-  constructor(examService) {
+  constructor(examService, attachmentService = null) {
     this.examService = examService;
+    this.attachmentService = attachmentService;
     this.router = express.Router();
     this.initializeRoutes();
   }
 
   initializeRoutes() {
-    this.router.post('/', this.scheduleExam.bind(this));
+    this.router.post('/', this.orderExam.bind(this));
+    this.router.get(
+      '/critical/unacknowledged',
+      this.getUnacknowledgedCriticalResults.bind(this)
+    );
     this.router.get('/:id', this.getExamById.bind(this));
     this.router.get('/', this.getAllExams.bind(this));
     this.router.put('/:id', this.updateExam.bind(this));
     this.router.delete('/:id', this.deleteExam.bind(this));
 
+    // The order moves through its workflow one step at a time
+    this.router.post('/:id/schedule', this.scheduleExam.bind(this));
+    this.router.post('/:id/collect-sample', this.collectSample.bind(this));
+    this.router.post('/:id/start-analysis', this.startAnalysis.bind(this));
+    this.router.post('/:id/result', this.recordResult.bind(this));
+    this.router.post('/:id/review', this.reviewExam.bind(this));
+    this.router.post('/:id/cancel', this.cancelExam.bind(this));
+    this.router.post(
+      '/:id/acknowledge-critical',
+      this.acknowledgeCriticalResult.bind(this)
+    );
+
+    this.router.post('/:id/attachments', this.uploadAttachment.bind(this));
+    this.router.get(
+      '/:id/attachments/:attachmentId',
+      this.downloadAttachment.bind(this)
+    );
+
     this.router.get('/patient/:patientId', this.getExamByPatientId.bind(this));
+    this.router.get(
+      '/patient/:patientId/observations/:analyte',
+      this.getObservationTrend.bind(this)
+    );
     this.router.get('/type/:type', this.getExamByType.bind(this));
     this.router.get('/date/:date', this.getExamByDate.bind(this));
   }
 
-  async scheduleExam(req, res) {
+  // A panelCode orders every exam of the panel and returns them all
+  async orderExam(req, res) {
     try {
-      const examData = req.body;
-      const exam = this.examService.scheduleExamination(examData);
+      if (req.body.panelCode) {
+        const exams = await this.examService.orderPanel(req.body);
+        return res.status(201).json(exams);
+      }
+
+      const exam = await this.examService.orderExamination(req.body);
+      setETag(res, exam);
       res.status(201).json(exam);
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      this.handleError(req, res, error);
     }
   }
 
   async getExamById(req, res) {
     try {
       const { id } = req.params;
-      const exam = this.examService.findExamById(id);
+      const exam = await this.examService.findExamById(id);
+      setETag(res, exam);
       res.status(200).json(exam);
     } catch (error) {
-      res.status(404).json({ error: error.message });
+      this.handleError(req, res, error);
     }
   }
 
+  // ?status=resulted lists the exams waiting at one step
   async getAllExams(req, res) {
     try {
-      const exams = this.examService.examinationRepository.findAll();
+      const { status } = req.query;
+      const exams = await this.examService.listExaminations({ status });
+      res.status(200).json(exams);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async getUnacknowledgedCriticalResults(req, res) {
+    try {
+      const exams = await this.examService.listUnacknowledgedCriticalResults();
       res.status(200).json(exams);
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -51,38 +115,222 @@ export class ExamController {
   async updateExam(req, res) {
     try {
       const { id } = req.params;
-      const updatedData = req.body;
-      const updatedExam = this.examService.updateExam(id, updatedData);
+      const updatedExam = await this.examService.updateExam(
+        id,
+        req.body,
+        ifMatchVersion(req)
+      );
+      setETag(res, updatedExam);
       res.status(200).json(updatedExam);
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      this.handleError(req, res, error);
     }
   }
 
   async deleteExam(req, res) {
     try {
       const { id } = req.params;
-      const deletedExam = this.examService.deleteExam(id);
+      const deletedExam = await this.examService.deleteExam(
+        id,
+        ifMatchVersion(req)
+      );
       res.status(200).json(deletedExam);
     } catch (error) {
-      res.status(404).json({ error: error.message });
+      this.handleError(req, res, error);
     }
   }
 
+  async scheduleExam(req, res) {
+    const { date, changedBy } = req.body;
+    await this.changeStatus(req, res, (id, version) =>
+      this.examService.schedule(id, date, changedBy, version));
+  }
+
+  async collectSample(req, res) {
+    const { changedBy } = req.body;
+    await this.changeStatus(req, res, (id, version) =>
+      this.examService.collectSample(id, changedBy, version));
+  }
+
+  async startAnalysis(req, res) {
+    const { changedBy } = req.body;
+    await this.changeStatus(req, res, (id, version) =>
+      this.examService.startAnalysis(id, changedBy, version));
+  }
+
+  async recordResult(req, res) {
+    const { observations, result, changedBy } = req.body;
+    await this.changeStatus(req, res, (id, version) =>
+      this.examService.recordResult(
+        id,
+        {
+          observations,
+          result,
+        },
+        changedBy,
+        version
+      ));
+  }
+
+  async reviewExam(req, res) {
+    const { doctorId } = req.body;
+    await this.changeStatus(req, res, (id, version) =>
+      this.examService.review(id, doctorId, version));
+  }
+
+  async cancelExam(req, res) {
+    const { changedBy, reason } = req.body;
+    await this.changeStatus(req, res, (id, version) =>
+      this.examService.cancel(id, changedBy, reason, version));
+  }
+
+  async acknowledgeCriticalResult(req, res) {
+    const { acknowledgedBy } = req.body;
+    await this.changeStatus(req, res, (id, version) =>
+      this.examService.acknowledgeCriticalResult(id, acknowledgedBy, version));
+  }
+
+  async changeStatus(req, res, transition) {
+    try {
+      const exam = await transition(req.params.id, ifMatchVersion(req));
+      setETag(res, exam);
+      res.status(200).json(exam);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  // A multipart/form-data upload with the content in its "file" field. Text
+  // fields sent before it, like uploadedBy, come along with it.
+  uploadAttachment(req, res) {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        // One byte over the limit is enough to reject the file
+        limits: {
+          files: 1,
+          fileSize: this.attachmentService.maxBytes + 1,
+        },
+      });
+    } catch {
+      return res
+        .status(400)
+        .json({ error: 'Attachment must be a multipart/form-data upload' });
+    }
+
+    const fields = {};
+    let upload = null;
+    let responded = false;
+    // Whatever the outcome, the rest of the request is read and dropped
+    const respond = (send) => {
+      if (responded) {
+        return;
+      }
+      responded = true;
+      req.unpipe(parser);
+      req.resume();
+      send();
+    };
+
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+    parser.on('file', (name, file, { filename, mimeType }) => {
+      if (name !== 'file' || upload) {
+        file.resume();
+        return;
+      }
+
+      upload = this.attachmentService
+        .addAttachment(
+          req.params.id,
+          {
+            fileName: filename,
+            contentType: mimeType,
+            content: file,
+            uploadedBy: fields.uploadedBy ?? null,
+          },
+          ifMatchVersion(req)
+        )
+        .then(({ examination, attachment }) =>
+          respond(() => {
+            setETag(res, examination);
+            res
+              .status(201)
+              .location(attachmentPath(req, examination, attachment))
+              .json(attachment);
+          }))
+        .catch((error) => {
+          file.resume();
+          respond(() => this.handleError(req, res, error));
+        });
+    });
+    parser.on('close', () => {
+      if (!upload) {
+        respond(() =>
+          res.status(400).json({ error: 'Attachment file is required' }));
+      }
+    });
+    parser.on('error', (error) =>
+      respond(() => res.status(400).json({ error: error.message })));
+
+    req.pipe(parser);
+  }
+
+  // Streams the stored content back. Repr-Digest carries the SHA-256 taken on
+  // upload, so the client can check what it received.
+  async downloadAttachment(req, res) {
+    let download;
+    try {
+      download = await this.attachmentService.openAttachment(
+        req.params.id,
+        req.params.attachmentId
+      );
+    } catch (error) {
+      return this.handleError(req, res, error);
+    }
+
+    const { attachment, content } = download;
+    res.attachment(attachment.fileName);
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': String(attachment.size),
+      'Repr-Digest': `sha-256=:${Buffer.from(attachment.checksum, 'hex').toString('base64')}:`,
+    });
+    res.status(200);
+    await pipeline(content, res).catch((error) =>
+      console.error(`Streaming attachment ${attachment.id} failed: ` +
+        error.message));
+  }
+
   async getExamByPatientId(req, res) {
     try {
       const { patientId } = req.params;
-      const exams = this.examService.findExamByPatientId(patientId);
+      const exams = await this.examService.findExamByPatientId(patientId);
       res.status(200).json(exams);
     } catch (error) {
       res.status(404).json({ error: error.message });
     }
   }
 
+  async getObservationTrend(req, res) {
+    try {
+      const { patientId, analyte } = req.params;
+      const trend = await this.examService.getObservationTrend(
+        patientId,
+        analyte
+      );
+      res.status(200).json(trend);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
   async getExamByType(req, res) {
     try {
       const { type } = req.params;
-      const exams = this.examService.findExamByType(type);
+      const exams = await this.examService.findExamByType(type);
       res.status(200).json(exams);
     } catch (error) {
       res.status(404).json({ error: error.message });
@@ -92,10 +340,25 @@ export class ExamController {
   async getExamByDate(req, res) {
     try {
       const { date } = req.params;
-      const exams = this.examService.findExamByDate(date);
+      const exams = await this.examService.findExamByDate(date);
       res.status(200).json(exams);
     } catch (error) {
-      res.status(404).json({ error: error.message });
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  handleError(req, res, error) {
+    if (NOT_FOUND_ERRORS.includes(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Attachment is too large') {
+      return res.status(413).json({ error: error.message });
+    }
+    if (
+      UNSUPPORTED_MEDIA_ERRORS.some((pattern) => pattern.test(error.message))
+    ) {
+      return res.status(415).json({ error: error.message });
     }
+    res.status(statusFor(req, error, 400)).json({ error: error.message });
   }
 }
@@ -0,0 +1,43 @@
+import express from 'express';
+
+export class HolidayController {
+  constructor(holidayService) {
+    this.holidayService = holidayService;
+    this.router = express.Router();
+    this.initializeRoutes();
+  }
+
+  initializeRoutes() {
+    this.router.get('/', this.listHolidays.bind(this));
+    this.router.post('/', this.addHoliday.bind(this));
+    this.router.delete('/:date', this.removeHoliday.bind(this));
+  }
+
+  async listHolidays(req, res) {
+    try {
+      res.status(200).json(await this.holidayService.listHolidays());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async addHoliday(req, res) {
+    try {
+      const { date, name } = req.body;
+      const holiday = await this.holidayService.addHoliday(date, name);
+      res.status(201).json(holiday);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async removeHoliday(req, res) {
+    try {
+      const { date } = req.params;
+      await this.holidayService.removeHoliday(date);
+      res.status(204).send();
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  }
+}
@@ -0,0 +1,249 @@
+import express from 'express';
+import { Allergy } from '../../domain/entities/record/allergy.js';
+import { Diagnosis } from '../../domain/entities/record/diagnosis.js';
+import { PrescribingConflictError, Prescription } from '../../domain/entities/record/prescription.js';
+import { Treatment } from '../../domain/entities/record/treatment.js';
+import { ifMatchVersion, setETag, statusFor } from '../http/etag.js';
+
+// Each kind of entry in the record: how it is built from the request body and
+// the service method that adds it
+const ENTRY_KINDS = {
+  allergies: {
+    create: (data) => Allergy.create(data),
+    add: 'addPatientAllergy',
+  },
+  diagnoses: {
+    create: (data) => Diagnosis.create(data),
+    add: 'addPatientDiagnosis',
+  },
+  prescriptions: {
+    create: (data) => Prescription.create(data),
+    add: 'addPatientPrescription',
+  },
+  treatments: {
+    create: (data) => Treatment.create(data),
+    add: 'addPatientTreatment',
+  },
+};
+
+const KIND_PATH = `/:id/medical-record/:kind(${Object.keys(ENTRY_KINDS).join('|')})`;
+
+const NOT_FOUND_ERRORS = [
+  'Patient not found', 'Allergy not found', 'Record entry not found',
+];
+
+export class MedicalRecordController {
+  constructor(patientService) {
+    this.patientService = patientService;
+    this.router = express.Router();
+    this.initializeRoutes();
+  }
+
+  initializeRoutes() {
+    this.router.get('/:id/medical-record', this.getMedicalRecord.bind(this));
+    this.router.get(
+      '/:id/medical-record/prescriptions/active',
+      this.getActivePrescriptions.bind(this)
+    );
+    this.router.get(KIND_PATH, this.listEntries.bind(this));
+    this.router.post(KIND_PATH, this.addEntry.bind(this));
+    // Allergies may be revised or removed; other entries are only ever
+    // corrected
+    this.router.put(
+      '/:id/medical-record/allergies/:allergyId',
+      this.updateAllergy.bind(this)
+    );
+    this.router.delete(
+      '/:id/medical-record/allergies/:allergyId',
+      this.removeAllergy.bind(this)
+    );
+    this.router.post(
+      '/:id/medical-record/no-known-allergies',
+      this.recordNoKnownAllergies.bind(this)
+    );
+    this.router.post(
+      '/:id/medical-record/entries/:entryId/amendments',
+      this.amendEntry.bind(this)
+    );
+    this.router.post(
+      '/:id/medical-record/diagnoses/:entryId/classification',
+      this.classifyDiagnosis.bind(this)
+    );
+    this.router.post(
+      '/:id/medical-record/prescriptions/:entryId/discontinuation',
+      this.discontinuePrescription.bind(this)
+    );
+    this.router.post(
+      '/:id/medical-record/entries/:entryId/entered-in-error',
+      this.markEnteredInError.bind(this)
+    );
+  }
+
+  async getMedicalRecord(req, res) {
+    try {
+      const { id } = req.params;
+      const record = await this.patientService.getMedicalRecord(id);
+      res.status(200).json(record);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  async listEntries(req, res) {
+    try {
+      const { id, kind } = req.params;
+      const record = await this.patientService.getMedicalRecord(id);
+      res.status(200).json(record[kind]);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  // ?on=YYYY-MM-DD asks for another day than the patient's today
+  async getActivePrescriptions(req, res) {
+    try {
+      const { id } = req.params;
+      const prescriptions = await this.patientService.getActivePrescriptions(
+        id,
+        req.query.on ?? null
+      );
+      res.status(200).json(prescriptions);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  async addEntry(req, res) {
+    try {
+      const { id, kind } = req.params;
+      const { create, add } = ENTRY_KINDS[kind];
+      const entry = create(req.body);
+      await this.patientService[add](id, entry);
+      res.status(201).json(entry);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  async updateAllergy(req, res) {
+    try {
+      const { id, allergyId } = req.params;
+      const { patient, allergy } =
+        await this.patientService.updatePatientAllergy(
+          id,
+          allergyId,
+          Allergy.create(req.body),
+          ifMatchVersion(req)
+        );
+      setETag(res, patient);
+      res.status(200).json(allergy);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  async removeAllergy(req, res) {
+    try {
+      const { id, allergyId } = req.params;
+      const { patient, allergy } =
+        await this.patientService.removePatientAllergy(
+          id,
+          allergyId,
+          ifMatchVersion(req)
+        );
+      setETag(res, patient);
+      res.status(200).json(allergy);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  async recordNoKnownAllergies(req, res) {
+    try {
+      const { id } = req.params;
+      const { allergies, noKnownAllergies } =
+        await this.patientService.recordNoKnownAllergies(id);
+      res.status(200).json({
+        allergies,
+        noKnownAllergies,
+      });
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  async amendEntry(req, res) {
+    try {
+      const { id, entryId } = req.params;
+      const correction = await this.patientService.amendRecordEntry(
+        id,
+        entryId,
+        req.body
+      );
+      res.status(201).json(correction);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  async classifyDiagnosis(req, res) {
+    try {
+      const { id, entryId } = req.params;
+      const correction = await this.patientService.classifyDiagnosis(
+        id,
+        entryId,
+        req.body
+      );
+      res.status(201).json(correction);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  async discontinuePrescription(req, res) {
+    try {
+      const { id, entryId } = req.params;
+      const correction = await this.patientService.discontinuePrescription(
+        id,
+        entryId,
+        req.body
+      );
+      res.status(201).json(correction);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  async markEnteredInError(req, res) {
+    try {
+      const { id, entryId } = req.params;
+      const { authorId, reason } = req.body;
+      const entry = await this.patientService.markRecordEntryInError(
+        id,
+        entryId,
+        authorId,
+        reason
+      );
+      res.status(200).json(entry);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  handleError(req, res, error) {
+    // The prescriber sees every severe alert and may retry with an
+    // overrideReason
+    if (error instanceof PrescribingConflictError) {
+      return res
+        .status(409)
+        .json({
+          error: error.message,
+          alerts: error.alerts,
+        });
+    }
+    if (NOT_FOUND_ERRORS.includes(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(statusFor(req, error, 400)).json({ error: error.message });
+  }
+}
@@ -1,4 +1,5 @@
 import express from 'express';
+import { ifMatchVersion, setETag, statusFor } from '../http/etag.js';
 
 export class PatientController {
   constructor(patientService) {
@@ -43,6 +44,7 @@ export class PatientController {
     try {
       const { id } = req.params;
       const patient = await this.patientService.findPatientById(id);
+      setETag(res, patient);
       res.status(200).json(patient);
     } catch (error) {
       res.status(404).json({ error: error.message });
@@ -55,21 +57,26 @@ export class PatientController {
       const updatedData = req.body;
       const updatedPatient = await this.patientService.updatePatient(
         id,
-        updatedData
+        updatedData,
+        ifMatchVersion(req)
       );
+      setETag(res, updatedPatient);
       res.status(200).json(updatedPatient);
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      res.status(statusFor(req, error, 400)).json({ error: error.message });
     }
   }
 
   async deletePatient(req, res) {
     try {
       const { id } = req.params;
-      const deletedPatient = await this.patientService.deletePatient(id);
+      const deletedPatient = await this.patientService.deletePatient(
+        id,
+        ifMatchVersion(req)
+      );
       res.status(200).json(deletedPatient);
     } catch (error) {
-      res.status(404).json({ error: error.message });
+      res.status(statusFor(req, error, 404)).json({ error: error.message });
     }
   }
 
@@ -0,0 +1,60 @@
+import express from 'express';
+
+const MAX_RESULTS = 50;
+
+export class TerminologyController {
+  constructor(icd10Catalog, examCatalog = null) {
+    this.icd10Catalog = icd10Catalog;
+    this.examCatalog = examCatalog;
+    this.router = express.Router();
+    this.initializeRoutes();
+  }
+
+  initializeRoutes() {
+    this.router.get('/icd10', this.searchIcd10.bind(this));
+    this.router.get('/icd10/:code', this.getIcd10Code.bind(this));
+    this.router.get('/exams', this.listExams.bind(this));
+    this.router.get('/exams/:code', this.getExam.bind(this));
+  }
+
+  // Autocomplete for diagnosis codes: ?q= matches codes and displays
+  async searchIcd10(req, res) {
+    try {
+      const { q, limit } = req.query;
+      if (typeof q !== 'string' || !q.trim()) {
+        throw new Error('Query parameter q is required');
+      }
+
+      const count = Math.min(Number(limit) || 20, MAX_RESULTS);
+      res.status(200).json(this.icd10Catalog.search(q, count));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  async getIcd10Code(req, res) {
+    const concept = this.icd10Catalog.find(req.params.code);
+    if (!concept) {
+      return res.status(404).json({ error: 'ICD-10 code not found' });
+    }
+    res.status(200).json(concept);
+  }
+
+  async listExams(req, res) {
+    res.status(200).json({
+      exams: this.examCatalog.listExams(),
+      panels: this.examCatalog.listPanels(),
+    });
+  }
+
+  // Panel codes are looked up as well, so one route serves what can be ordered
+  async getExam(req, res) {
+    const { code } = req.params;
+    const entry =
+      this.examCatalog.findExam(code) ?? this.examCatalog.findPanel(code);
+    if (!entry) {
+      return res.status(404).json({ error: 'Exam code not found' });
+    }
+    res.status(200).json(entry);
+  }
+}
@@ -0,0 +1,93 @@
+import express from 'express';
+import { ifMatchVersion, setETag, statusFor } from '../http/etag.js';
+
+export class WaitlistController {
+  constructor(waitlistService) {
+    this.waitlistService = waitlistService;
+    this.router = express.Router();
+    this.initializeRoutes();
+  }
+
+  initializeRoutes() {
+    this.router.get('/', this.listWaitlist.bind(this));
+    this.router.post('/', this.joinWaitlist.bind(this));
+    this.router.get('/:id', this.getEntryById.bind(this));
+    this.router.post('/:id/claim', this.claimOffer.bind(this));
+    this.router.post('/:id/decline', this.declineOffer.bind(this));
+    this.router.delete('/:id', this.leaveWaitlist.bind(this));
+  }
+
+  async listWaitlist(req, res) {
+    try {
+      const { doctorId, specialty } = req.query;
+      const entries = await this.waitlistService.listWaitlist({
+        doctorId,
+        specialty,
+      });
+      res.status(200).json(entries);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async joinWaitlist(req, res) {
+    try {
+      const entry = await this.waitlistService.joinWaitlist(req.body);
+      res.status(201).json(entry);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  async getEntryById(req, res) {
+    try {
+      const { id } = req.params;
+      const entry = await this.waitlistService.findEntryById(id);
+      setETag(res, entry);
+      res.status(200).json(entry);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  async claimOffer(req, res) {
+    try {
+      const { id } = req.params;
+      const appointment = await this.waitlistService.claimOffer(id);
+      res.status(201).json(appointment);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  async declineOffer(req, res) {
+    try {
+      const { id } = req.params;
+      const entry = await this.waitlistService.declineOffer(id);
+      res.status(200).json(entry);
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  async leaveWaitlist(req, res) {
+    try {
+      const { id } = req.params;
+      await this.waitlistService.leaveWaitlist(id, ifMatchVersion(req));
+      res.status(204).send();
+    } catch (error) {
+      this.handleError(req, res, error);
+    }
+  }
+
+  handleError(req, res, error) {
+    if (
+      error.message === 'Waitlist entry not found' ||
+      error.message === 'Patient not found' ||
+      error.message === 'Doctor not found'
+    ) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(statusFor(req, error, 400)).json({ error: error.message });
+  }
+}
@@ -0,0 +1,30 @@
+import { ConcurrencyError } from '../../domain/repositories/repository.js';
+
+// The ETag of an entity is its version, so a client can send it back in
+// If-Match to change the entity only if nobody else did in between
+export const setETag = (res, entity) => {
+  if (entity?.version !== undefined) {
+    res.set('ETag', `"${entity.version}"`);
+  }
+};
+
+// The version If-Match asks for; undefined when any version will do. A tag
+// that is not one of ours never matches.
+export const ifMatchVersion = (req) => {
+  const header = req.get('If-Match')?.trim();
+  if (header === undefined || header === '*') {
+    return undefined;
+  }
+
+  const match = /^"(\d+)"$/.exec(header);
+  return match ? Number(match[1]) : NaN;
+};
+
+// A stale If-Match is a failed precondition; a stale entity saved without
+// one is a conflict
+export const statusFor = (req, error, status) => {
+  if (!(error instanceof ConcurrencyError)) {
+    return status;
+  }
+  return req.get('If-Match') ? 412 : 409;
+};
@@ -1,46 +1,180 @@
 import express from 'express';
+import path from 'node:path';
 import { setupRoutes } from './routes/apiRoutes.js';
 
+// Import events
+import { registerAuditHandlers } from '../application/event-handlers/auditHandlers.js';
+import { registerNotificationHandlers } from '../application/event-handlers/notificationHandlers.js';
+import { registerWaitlistHandlers } from '../application/event-handlers/waitlistHandlers.js';
+import { EventBus } from '../domain/events/eventBus.js';
+import { AuditLog } from '../infrastructure/audit/auditLog.js';
+
 // Import repositories
-import { AppointmentRepository } from '../infrastructure/persistance/appointmentRepository.js';
-import { DoctorRepository } from '../infrastructure/persistance/doctorRepository.js';
-import { ExaminationRepository } from '../infrastructure/persistance/examinationRepository.js';
-import { PatientRepository } from '../infrastructure/persistance/patientRepository.js';
+import { LocalBlobStorage } from '../infrastructure/persistance/blob/localBlobStorage.js';
+import { createRepositories } from '../infrastructure/persistance/repositoryFactory.js';
 
 // Import services
 import { AppointmentService } from '../application/services/AppointmentService.js';
+import { WaitlistService } from '../application/services/WaitlistService.js';
 import { DoctorAvailabilityService } from '../domain/services/doctor-service/doctorAvailabilityService.js';
+import { DoctorScheduleExceptionService } from '../domain/services/doctor-service/doctorScheduleExceptionService.js';
 import { DoctorService } from '../domain/services/doctor-service/doctorService.js';
 import { DoctorWorkingHoursService } from '../domain/services/doctor-service/doctorWorkingHoursService.js';
+import { ExaminationAttachmentService } from '../domain/services/examinationAttachmentService.js';
 import { ExaminationService } from '../domain/services/examinationService.js';
+import { HolidayService } from '../domain/services/holidayService.js';
 import { PatientService } from '../domain/services/patientService.js';
 import { NotificationService } from '../infrastructure/notification/notificationService.js';
+import { DrugSafetyTable } from '../infrastructure/terminology/drugSafetyTable.js';
+import { ExamCatalog } from '../infrastructure/terminology/examCatalog.js';
+import { Icd10Catalog } from '../infrastructure/terminology/icd10Catalog.js';
+import { ReferenceRangeTable } from '../infrastructure/terminology/referenceRangeTable.js';
+
+// Repositories publish the events of the entities they save
+const eventBus = new EventBus();
+
+// Initialize repositories: "memory" (default), "file", which keeps one JSON
+// file per collection in DATA_DIR, or "sqlite", a database at DATABASE_FILE
+// (default DATA_DIR/clinic.db). New ids are UUIDs unless ID_STRATEGY=ulid.
+const {
+  unitOfWork,
+  doctorRepository,
+  patientRepository,
+  appointmentRepository,
+  appointmentSeriesRepository,
+  examinationRepository,
+  waitlistRepository,
+  holidayCalendarRepository,
+} = createRepositories(
+  {
+    driver: process.env.STORAGE_DRIVER,
+    dataDir: process.env.DATA_DIR,
+    databaseFile: process.env.DATABASE_FILE,
+    idStrategy: process.env.ID_STRATEGY,
+  },
+  eventBus
+);
+
+// Exam attachments are files under ATTACHMENTS_DIR (default
+// DATA_DIR/attachments), at most ATTACHMENT_MAX_MB (default 20) each
+const blobStorage = new LocalBlobStorage(process.env.ATTACHMENTS_DIR ||
+  path.join(process.env.DATA_DIR || 'data', 'attachments'));
+const ATTACHMENT_MAX_BYTES =
+  (Number(process.env.ATTACHMENT_MAX_MB) || 20) * 1024 * 1024;
 
-// Initialize repositories
-const doctorRepository = new DoctorRepository();
-const patientRepository = new PatientRepository();
-const appointmentRepository = new AppointmentRepository();
-const examinationRepository = new ExaminationRepository();
+// IANA zone used for doctors that do not declare their own
+const CLINIC_TIME_ZONE = process.env.CLINIC_TIME_ZONE || 'UTC';
+// How long a freed slot is held for a waitlisted patient
+const WAITLIST_HOLD_MINUTES = Number(process.env.WAITLIST_HOLD_MINUTES) || 15;
+// How long the responsible doctor has to acknowledge a critical lab result
+// before it is escalated to the fallback contact
+const CRITICAL_RESULT_ACK_MINUTES =
+  Number(process.env.CRITICAL_RESULT_ACK_MINUTES) || 30;
+const CRITICAL_RESULT_FALLBACK_CONTACT =
+  process.env.CRITICAL_RESULT_FALLBACK_CONTACT || null;
 
-// Initialize services
-const doctorService = new DoctorService(doctorRepository);
+// Diagnoses are coded against the ICD-10 catalog bundled with the app,
+// prescriptions checked against its drug safety table, lab results flagged
+// with its reference ranges and exams ordered from its exam catalog
+const icd10Catalog = Icd10Catalog.load();
+const drugSafetyTable = DrugSafetyTable.load();
+const referenceRanges = ReferenceRangeTable.load();
+const examCatalog = ExamCatalog.load();
+
+// Initialize services. They share one unit of work, so writes that belong
+// together commit or roll back as a whole.
+const doctorService = new DoctorService(doctorRepository, unitOfWork);
 const doctorWorkingHoursService = new DoctorWorkingHoursService(
-  doctorRepository
+  doctorRepository,
+  unitOfWork
+);
+const patientService = new PatientService(patientRepository, {
+  unitOfWork,
+  doctorRepository,
+  appointmentRepository,
+  icd10Catalog,
+  clinicTimeZone: CLINIC_TIME_ZONE,
+  drugSafetyTable,
+});
+const examinationService = new ExaminationService(examinationRepository, {
+  unitOfWork,
+  patientRepository,
+  doctorRepository,
+  clinicTimeZone: CLINIC_TIME_ZONE,
+  referenceRanges,
+  examCatalog,
+  acknowledgeMinutes: CRITICAL_RESULT_ACK_MINUTES,
+  fallbackContact: CRITICAL_RESULT_FALLBACK_CONTACT,
+});
+const examinationAttachmentService = new ExaminationAttachmentService(
+  examinationRepository,
+  blobStorage,
+  {
+    unitOfWork,
+    maxBytes: ATTACHMENT_MAX_BYTES,
+  }
+);
+// Until a mail/SMS gateway is wired in, messages are printed to the console
+const notificationService = new NotificationService(console);
+const holidayService = new HolidayService(
+  holidayCalendarRepository,
+  unitOfWork
+);
+const doctorScheduleExceptionService = new DoctorScheduleExceptionService(
+  doctorRepository,
+  appointmentRepository,
+  CLINIC_TIME_ZONE,
+  unitOfWork
 );
-const patientService = new PatientService(patientRepository);
-const examinationService = new ExaminationService(examinationRepository);
-const notificationService = new NotificationService();
 const doctorAvailabilityService = new DoctorAvailabilityService(
   appointmentRepository,
-  doctorService
+  doctorService,
+  holidayService,
+  CLINIC_TIME_ZONE
 );
 const appointmentService = new AppointmentService(
   patientService,
   doctorService,
   appointmentRepository,
   doctorAvailabilityService,
-  notificationService
+  appointmentSeriesRepository,
+  waitlistRepository,
+  unitOfWork
 );
+const waitlistService = new WaitlistService(
+  waitlistRepository,
+  appointmentService,
+  doctorAvailabilityService,
+  doctorService,
+  patientService,
+  unitOfWork,
+  WAITLIST_HOLD_MINUTES
+);
+
+// Side effects subscribe to domain events instead of being called inline
+registerNotificationHandlers(eventBus, notificationService);
+registerWaitlistHandlers(eventBus, waitlistService);
+registerAuditHandlers(eventBus, new AuditLog(console));
+
+// Roll over unclaimed waitlist holds
+setInterval(
+  () =>
+    waitlistService
+      .expireHolds()
+      .catch((error) =>
+        console.error(`Expiring waitlist holds failed: ${error.message}`)),
+  60000
+).unref();
+
+// Escalate critical lab results nobody acknowledged in time
+setInterval(
+  () =>
+    examinationService
+      .escalateCriticalResults()
+      .catch((error) =>
+        console.error(`Escalating critical results failed: ${error.message}`)),
+  60000
+).unref();
 
 // Initialize Express app
 const app = express();
@@ -57,8 +191,14 @@ setupRoutes(
   patientService,
   appointmentService,
   examinationService,
+  examinationAttachmentService,
   doctorAvailabilityService,
-  doctorWorkingHoursService
+  doctorWorkingHoursService,
+  doctorScheduleExceptionService,
+  holidayService,
+  waitlistService,
+  icd10Catalog,
+  examCatalog
 );
 
 // Start server
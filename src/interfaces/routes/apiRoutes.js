@@ -1,10 +1,15 @@
 import { AppointmentController } from '../controllers/appointmentController.js';
 import { DoctorAvailabilityController } from '../controllers/doctor-controllers/doctorAvailabilityController.js';
 import { DoctorController } from '../controllers/doctor-controllers/doctorController.js';
+import { DoctorScheduleExceptionController } from '../controllers/doctor-controllers/doctorScheduleExceptionController.js';
 import { DoctorSpecialtyController } from '../controllers/doctor-controllers/doctorSpecialtyController.js';
 import { DoctorWorkingHoursController } from '../controllers/doctor-controllers/doctorWorkingHoursController.js';
 import { ExamController } from '../controllers/examsController.js';
+import { HolidayController } from '../controllers/holidayController.js';
+import { MedicalRecordController } from '../controllers/medicalRecordController.js';
 import { PatientController } from '../controllers/patientController.js';
+import { TerminologyController } from '../controllers/terminologyController.js';
+import { WaitlistController } from '../controllers/waitlistController.js';
 
 export function setupRoutes(
   app,
@@ -12,8 +17,14 @@ export function setupRoutes(
   patientService,
   appointmentService,
   examinationService,
+  examinationAttachmentService,
   doctorAvailabilityService,
-  doctorWorkingHoursService
+  doctorWorkingHoursService,
+  doctorScheduleExceptionService,
+  holidayService,
+  waitlistService,
+  icd10Catalog,
+  examCatalog
 ) {
   // Doctor routes
   const doctorController = new DoctorController(doctorService);
@@ -25,6 +36,11 @@ export function setupRoutes(
   );
   app.use('/api/doctors', doctorWorkingHoursController.router);
 
+  // Doctor schedule exception routes
+  const doctorScheduleExceptionController =
+    new DoctorScheduleExceptionController(doctorScheduleExceptionService);
+  app.use('/api/doctors', doctorScheduleExceptionController.router);
+
   // Doctor specialty routes
   const doctorSpecialtyController = new DoctorSpecialtyController(
     doctorService
@@ -41,14 +57,36 @@ export function setupRoutes(
   const patientController = new PatientController(patientService);
   app.use('/api/patients', patientController.router);
 
+  // Patient medical record routes
+  const medicalRecordController = new MedicalRecordController(patientService);
+  app.use('/api/patients', medicalRecordController.router);
+
   // Appointment routes
   const appointmentController = new AppointmentController(appointmentService);
   app.use('/api/appointments', appointmentController.router);
 
+  // Waitlist routes
+  const waitlistController = new WaitlistController(waitlistService);
+  app.use('/api/waitlist', waitlistController.router);
+
   // Examination routes
-  const examController = new ExamController(examinationService);
+  const examController = new ExamController(
+    examinationService,
+    examinationAttachmentService
+  );
   app.use('/api/examinations', examController.router);
 
+  // Clinic holiday routes
+  const holidayController = new HolidayController(holidayService);
+  app.use('/api/holidays', holidayController.router);
+
+  // Clinical terminology routes
+  const terminologyController = new TerminologyController(
+    icd10Catalog,
+    examCatalog
+  );
+  app.use('/api/terminology', terminologyController.router);
+
   // Health check route
   app.get('/health', (req, res) => {
     res.status(200).json({
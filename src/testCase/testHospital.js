@@ -5,16 +5,23 @@ import {
   patientService,
 } from './services.js';
 
-const addedDoctor = doctorService.addDoctor(doctor);
+const addedDoctor = await doctorService.addDoctor(doctor);
 
 // Add working hours to the doctor stored in repository
-addedDoctor.workingHours.hours.push({
+addedDoctor.workingHours = addedDoctor.workingHours.add({
   day: 'Monday',
-  timeSlot: '06:00 AM - 10:00 PM',
+  start: '06:00',
+  end: '22:00',
 });
 
-patientService.addPatient(patient);
+// The services give new records their own ids
+const savedPatient = await patientService.addPatient(patient);
 
-appointmentService.execute(appointment);
+await appointmentService.execute({
+  patientId: savedPatient.id,
+  doctorId: addedDoctor.id,
+  date: appointment.date,
+  reason: appointment.reason,
+});
 
 console.log('✓ Appointment scheduled successfully!');
@@ -1,6 +1,6 @@
 // Unit tests for Appointment entity
 import { expect } from 'chai';
-import { Appointment } from '../../../src/domain/entities/appointment.js';
+import { Appointment, AppointmentStatus, DEFAULT_APPOINTMENT_DURATION } from '../../../src/domain/entities/appointment.js';
 
 describe('Appointment Entity', () => {
   it('should create an Appointment instance with valid data', () => {
@@ -21,10 +21,231 @@ describe('Appointment Entity', () => {
     );
 
     expect(appointment.id).to.equal('1');
-    expect(appointment.date).to.equal('2024-07-01');
+    expect(appointment.date).to.deep.equal(new Date('2024-07-01T00:00:00Z'));
     expect(appointment.patient.id).to.equal('101');
     expect(appointment.doctor.id).to.equal('201');
     expect(appointment.reason).to.equal('Checkup');
     expect(appointment.status).to.equal('scheduled');
   });
+
+  describe('Lifecycle', () => {
+    let appointment;
+
+    beforeEach(() => {
+      appointment = new Appointment(
+        '1',
+        new Date('2024-07-01T10:00:00Z'),
+        { id: '101' },
+        { id: '201' },
+        'Checkup'
+      );
+    });
+
+    it('should default to scheduled status', () => {
+      expect(appointment.status).to.equal(AppointmentStatus.SCHEDULED);
+      expect(appointment.statusHistory).to.be.empty;
+    });
+
+    it('should reject unknown statuses', () => {
+      expect(() => new Appointment('2', new Date(), {}, {}, 'Checkup', 'unknown')).to.throw('Invalid appointment status: unknown');
+    });
+
+    it('should follow the full path to completed', () => {
+      appointment.confirm('reception');
+      appointment.checkIn('reception');
+      appointment.start('Dr. Smith');
+      appointment.complete('Dr. Smith');
+
+      const path = appointment.statusHistory.map((change) => change.to);
+      expect(appointment.status).to.equal(AppointmentStatus.COMPLETED);
+      expect(path).to.deep.equal([
+        AppointmentStatus.CONFIRMED,
+        AppointmentStatus.CHECKED_IN,
+        AppointmentStatus.IN_PROGRESS,
+        AppointmentStatus.COMPLETED,
+      ]);
+    });
+
+    it('should record who changed the status and when', () => {
+      appointment.cancel('reception', 'Patient request');
+
+      const [change] = appointment.statusHistory;
+      expect(change.from).to.equal(AppointmentStatus.SCHEDULED);
+      expect(change.to).to.equal(AppointmentStatus.CANCELLED);
+      expect(change.changedBy).to.equal('reception');
+      expect(change.changedAt).to.be.instanceOf(Date);
+      expect(change.reason).to.equal('Patient request');
+    });
+
+    it('should reject illegal transitions', () => {
+      appointment.cancel('reception');
+
+      expect(() => appointment.complete('Dr. Smith')).to.throw('Cannot change appointment status from cancelled to completed');
+      expect(appointment.status).to.equal(AppointmentStatus.CANCELLED);
+    });
+
+    it('should not complete an appointment that has not started', () => {
+      appointment.checkIn('reception');
+
+      expect(() => appointment.complete('Dr. Smith')).to.throw('Cannot change appointment status from checked-in to completed');
+    });
+
+    it('should keep the original slot when rescheduled', () => {
+      const originalDate = appointment.date;
+      const firstDate = new Date('2024-07-02T10:00:00Z');
+      const secondDate = new Date('2024-07-03T10:00:00Z');
+
+      appointment.reschedule(firstDate, 'reception');
+      appointment.reschedule(secondDate, 'reception');
+
+      expect(appointment.status).to.equal(AppointmentStatus.RESCHEDULED);
+      expect(appointment.date).to.equal(secondDate);
+      expect(appointment.originalDate).to.equal(originalDate);
+      expect(appointment.statusHistory[1].previousDate).to.equal(firstDate);
+    });
+
+    it('should allow a rescheduled appointment to be checked in', () => {
+      appointment.reschedule(new Date('2024-07-02T10:00:00Z'), 'reception');
+      appointment.checkIn('reception');
+
+      expect(appointment.status).to.equal(AppointmentStatus.CHECKED_IN);
+    });
+  });
+
+  describe('Duration and conflicts', () => {
+    const createAppointment = (id, date, duration, status) =>
+      new Appointment(
+        id,
+        new Date(date),
+        { id: '101' },
+        { id: '201' },
+        'Checkup',
+        status,
+        '',
+        duration
+      );
+
+    it('should default the duration from the appointment type', () => {
+      const appointment = new Appointment(
+        '1',
+        new Date(),
+        {},
+        { specialty: ['Psychiatry'] },
+        'Checkup',
+        null,
+        '',
+        undefined,
+        'follow-up'
+      );
+
+      expect(appointment.duration).to.equal(15);
+    });
+
+    it('should default the duration from the doctor specialty', () => {
+      const appointment = new Appointment(
+        '1',
+        new Date(),
+        {},
+        { specialty: ['Psychiatry'] },
+        'Checkup'
+      );
+
+      expect(appointment.duration).to.equal(50);
+    });
+
+    it('should fall back to the clinic default duration', () => {
+      const appointment = new Appointment('1', new Date(), {}, {}, 'Checkup');
+
+      expect(appointment.duration).to.equal(DEFAULT_APPOINTMENT_DURATION);
+    });
+
+    it('should reject a non-positive duration', () => {
+      expect(() => createAppointment('1', '2024-07-01T10:00:00Z', 0)).to.throw('Appointment duration must be a positive number of minutes');
+    });
+
+    it('should compute the end date from the duration', () => {
+      const appointment = createAppointment('1', '2024-07-01T10:00:00Z', 45);
+
+      expect(appointment.getEndDate().toISOString()).to.equal('2024-07-01T10:45:00.000Z');
+    });
+
+    it('should detect partially overlapping appointments', () => {
+      const first = createAppointment('1', '2024-07-01T10:00:00Z', 30);
+      const second = createAppointment('2', '2024-07-01T10:15:00Z', 30);
+
+      expect(first.hasConflict(second)).to.be.true;
+      expect(second.hasConflict(first)).to.be.true;
+    });
+
+    it('should allow back-to-back appointments', () => {
+      const first = createAppointment('1', '2024-07-01T10:00:00Z', 30);
+      const second = createAppointment('2', '2024-07-01T10:30:00Z', 30);
+
+      expect(first.hasConflict(second)).to.be.false;
+    });
+
+    it('should ignore cancelled appointments', () => {
+      const first = createAppointment('1', '2024-07-01T10:00:00Z', 30);
+      const second = createAppointment(
+        '2',
+        '2024-07-01T10:00:00Z',
+        30,
+        'cancelled'
+      );
+
+      expect(first.hasConflict(second)).to.be.false;
+    });
+
+    it('should not conflict with itself', () => {
+      const appointment = createAppointment('1', '2024-07-01T10:00:00Z', 30);
+      const sameId = createAppointment('1', '2024-07-01T10:00:00Z', 30);
+
+      expect(appointment.hasConflict(sameId)).to.be.false;
+    });
+  });
+
+  describe('Time zones', () => {
+    it('should read a date without an offset in the booking zone', () => {
+      const appointment = new Appointment(
+        '1',
+        '2024-07-01T09:00',
+        {},
+        {},
+        'Checkup',
+        null,
+        '',
+        30,
+        null,
+        'America/Sao_Paulo'
+      );
+
+      expect(appointment.date.toISOString()).to.equal('2024-07-01T12:00:00.000Z');
+      expect(appointment.getLocalDate()).to.equal('2024-07-01T09:00:00-03:00');
+    });
+
+    it('should render both UTC and local dates as JSON', () => {
+      const appointment = new Appointment(
+        '1',
+        '2024-07-01T12:00:00Z',
+        {},
+        {},
+        'Checkup',
+        null,
+        '',
+        30,
+        null,
+        'America/Sao_Paulo'
+      );
+
+      const json = JSON.parse(JSON.stringify(appointment));
+
+      expect(json.date).to.equal('2024-07-01T12:00:00.000Z');
+      expect(json.localDate).to.equal('2024-07-01T09:00:00-03:00');
+      expect(json.timeZone).to.equal('America/Sao_Paulo');
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() => new Appointment('1', 'not a date', {}, {}, 'Checkup')).to.throw('Invalid appointment date');
+    });
+  });
 });
@@ -0,0 +1,156 @@
+// Unit tests for the Examinations entity
+import { expect } from 'chai';
+import { ExaminationStatus, Examinations } from '../../../src/domain/entities/examinations.js';
+import { DomainEventType } from '../../../src/domain/events/domainEvent.js';
+import { Attachment } from '../../../src/domain/value-objects/attachment.js';
+import { Interpretation, Observation } from '../../../src/domain/value-objects/observation.js';
+
+describe('Examinations Entity', () => {
+  let exam;
+
+  beforeEach(() => {
+    exam = new Examinations(
+      '1',
+      'Blood Test',
+      null,
+      null,
+      'Lab 1',
+      { id: '101' },
+      { id: 'p1' }
+    );
+  });
+
+  it('should start as ordered without a result', () => {
+    expect(exam.status).to.equal(ExaminationStatus.ORDERED);
+    expect(exam.result).to.be.null;
+    expect(exam.orderedAt).to.be.instanceOf(Date);
+    expect(exam.statusHistory).to.be.empty;
+  });
+
+  it('should reject an unknown status', () => {
+    expect(() => new Examinations('1', 'X-Ray', null, null, null, null, null, 'lost')).to.throw('Invalid examination status: lost');
+  });
+
+  it('should follow the order to a signed result', () => {
+    const date = new Date('2024-07-01T09:00:00Z');
+
+    exam.schedule(date, 'reception');
+    exam.collectSample('nurse');
+    exam.startAnalysis('lab');
+    exam.recordResult({ result: 'Normal' }, 'lab');
+    exam.review('101');
+
+    expect(exam.status).to.equal(ExaminationStatus.REVIEWED);
+    expect(exam.date).to.equal(date);
+    expect(exam.result).to.equal('Normal');
+    const steps = exam.statusHistory.map(({ from, to, changedBy }) =>
+      [from, to, changedBy]);
+    expect(steps).to.deep.equal([
+      ['ordered', 'scheduled', 'reception'],
+      ['scheduled', 'sample-collected', 'nurse'],
+      ['sample-collected', 'in-analysis', 'lab'],
+      ['in-analysis', 'resulted', 'lab'],
+      ['resulted', 'reviewed', '101'],
+    ]);
+    expect(exam.statusHistory[0].date).to.equal(date);
+    expect(exam.statusHistory[4].changedAt).to.be.instanceOf(Date);
+  });
+
+  it('should record an event for every step', () => {
+    exam.order();
+    exam.schedule(new Date('2024-07-01T09:00:00Z'), 'reception');
+    exam.cancel('reception', 'Patient request');
+
+    const events = exam.pullDomainEvents();
+    expect(events).to.have.lengthOf(3);
+    const [ordered, scheduled, cancelled] = events;
+    expect(ordered.type).to.equal(DomainEventType.EXAMINATION_ORDERED);
+    expect(scheduled.type).to.equal(DomainEventType.EXAMINATION_SCHEDULED);
+    expect(cancelled.type).to.equal(DomainEventType.EXAMINATION_CANCELLED);
+    expect(exam.statusHistory[1].reason).to.equal('Patient request');
+  });
+
+  it('should reject steps out of order', () => {
+    expect(() => exam.recordResult({ result: 'Normal' }, 'lab')).to.throw('Cannot change examination status from ordered to resulted');
+
+    exam.cancel('reception');
+    expect(() =>
+      exam.schedule(new Date('2024-07-01T09:00:00Z'), 'reception')).to.throw('Cannot change examination status from cancelled to scheduled');
+  });
+
+  it('should not cancel an exam once resulted', () => {
+    exam.schedule(new Date('2024-07-01T09:00:00Z'), 'reception');
+    exam.collectSample('nurse');
+    exam.startAnalysis('lab');
+    exam.recordResult({ result: 'Normal' }, 'lab');
+
+    expect(() => exam.cancel('reception')).to.throw('Cannot change examination status from resulted to cancelled');
+  });
+
+  it('should require a result and the responsible doctor to sign it', () => {
+    exam.schedule(new Date('2024-07-01T09:00:00Z'), 'reception');
+    exam.collectSample('nurse');
+    exam.startAnalysis('lab');
+
+    expect(() => exam.recordResult({ result: '  ' }, 'lab')).to.throw('Examination result is required');
+    exam.recordResult({ result: 'Normal' }, 'lab');
+    expect(() => exam.review('102')).to.throw('Only the responsible doctor can review the examination');
+    expect(exam.status).to.equal(ExaminationStatus.RESULTED);
+  });
+
+  it('should track a critical result until it is acknowledged', () => {
+    const raisedAt = new Date('2024-07-01T15:00:00Z');
+    const escalateAt = new Date('2024-07-01T15:30:00Z');
+    const { CRITICAL_HIGH, NORMAL } = Interpretation;
+    const potassium = new Observation('K', 6.9, { interpretation: CRITICAL_HIGH });
+    const sodium = new Observation('NA', 140, { interpretation: NORMAL });
+    exam.schedule(new Date('2024-07-01T09:00:00Z'), 'reception');
+    exam.collectSample('nurse');
+    exam.startAnalysis('lab');
+    exam.recordResult({ observations: [potassium, sodium] }, 'lab');
+    exam.pullDomainEvents();
+
+    exam.raiseCriticalAlert(raisedAt, escalateAt);
+    expect(exam.isAwaitingAcknowledgement()).to.be.true;
+    expect(exam.needsEscalation(raisedAt)).to.be.false;
+    expect(exam.needsEscalation(escalateAt)).to.be.true;
+
+    exam.escalateCriticalAlert('supervisor@example.com', escalateAt);
+    expect(exam.needsEscalation(escalateAt)).to.be.false;
+    expect(() => exam.acknowledgeCriticalAlert(null, escalateAt)).to.throw('Who acknowledged the critical result is required');
+    exam.acknowledgeCriticalAlert('101', escalateAt);
+
+    expect(exam.isAwaitingAcknowledgement()).to.be.false;
+    expect(exam.criticalAlert).to.include({
+      escalatedTo: 'supervisor@example.com',
+      acknowledgedBy: '101',
+      acknowledgedAt: escalateAt,
+    });
+    const events = exam.pullDomainEvents();
+    expect(events).to.have.lengthOf(3);
+    const [raised, escalated, acknowledged] = events;
+    expect(raised.type).to.equal(DomainEventType.CRITICAL_RESULT_RAISED);
+    expect(escalated.type)
+      .to.equal(DomainEventType.CRITICAL_RESULT_ESCALATED);
+    expect(acknowledged.type)
+      .to.equal(DomainEventType.CRITICAL_RESULT_ACKNOWLEDGED);
+  });
+
+  it('should not raise an alert for a result without critical values', () => {
+    expect(exam.hasCriticalObservations()).to.be.false;
+    expect(() => exam.raiseCriticalAlert(new Date(), new Date())).to.throw('Examination has no critical result');
+  });
+
+  it('should keep attachments, except on a cancelled exam', () => {
+    const report = new Attachment('a1', 'ct.pdf', 'application/pdf', 10, 'ab');
+
+    exam.attach(report);
+    expect(exam.findAttachment('a1')).to.equal(report);
+    expect(exam.pullDomainEvents().map((event) => event.type)).to.deep.equal([
+      DomainEventType.EXAMINATION_ATTACHMENT_ADDED,
+    ]);
+
+    exam.cancel('reception');
+    expect(() => exam.attach(report)).to.throw('Cannot attach files to a cancelled examination');
+  });
+});
@@ -21,4 +21,24 @@ describe('Patient Entity', () => {
     expect(patient.name).to.equal('John Doe');
     expect(patient.identificationDocument).to.equal('123.456.789-00');
   });
+
+  it('should count whole years of age on a day', () => {
+    const patient = new Patient(
+      '1',
+      '123.456.789-00',
+      'John Doe',
+      '1990-07-15',
+      'Male',
+      'O+',
+      {},
+      '+1234567890',
+      'john@example.com',
+      {}
+    );
+
+    expect(patient.ageOn('2024-07-14')).to.equal(33);
+    expect(patient.ageOn('2024-07-15')).to.equal(34);
+    patient.dateOfBirth = null;
+    expect(patient.ageOn('2024-07-15')).to.be.null;
+  });
 });
@@ -0,0 +1,132 @@
+// Unit tests for events recorded by entities and published on save
+import { expect } from 'chai';
+import { Appointment } from '../../../src/domain/entities/appointment.js';
+import { Doctor } from '../../../src/domain/entities/doctor.js';
+import { Patient } from '../../../src/domain/entities/patient.js';
+import { Allergy } from '../../../src/domain/entities/record/allergy.js';
+import { Diagnosis } from '../../../src/domain/entities/record/diagnosis.js';
+import { DomainEventType } from '../../../src/domain/events/domainEvent.js';
+import { EventBus } from '../../../src/domain/events/eventBus.js';
+import { AppointmentRepository } from '../../../src/infrastructure/persistance/appointmentRepository.js';
+import { PatientRepository } from '../../../src/infrastructure/persistance/patientRepository.js';
+
+describe('Domain events', () => {
+  let eventBus;
+  let published;
+
+  const createPatient = (id = null) =>
+    new Patient(
+      id,
+      '123.456.789-00',
+      'John Doe',
+      '1990-01-01',
+      'Male',
+      'O+',
+      {},
+      '+1234567890',
+      'john@example.com',
+      {}
+    );
+
+  const createAppointment = () =>
+    new Appointment(
+      '201',
+      '2024-07-01T10:00:00Z',
+      { id: '1' },
+      { id: '101' },
+      'Checkup'
+    );
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    published = [];
+    eventBus.subscribeAll((event) => published.push(event));
+  });
+
+  it('should publish recorded events only once the entity is saved', async () => {
+    const repository = new AppointmentRepository(eventBus);
+    const appointment = createAppointment();
+
+    appointment.book();
+    expect(published).to.be.empty;
+
+    await repository.add(appointment.id, appointment);
+
+    expect(published.map((event) => event.type)).to.deep.equal([
+      DomainEventType.APPOINTMENT_SCHEDULED,
+    ]);
+    expect(published[0].aggregateId).to.equal('201');
+  });
+
+  it('should not publish the same event twice', async () => {
+    const repository = new AppointmentRepository(eventBus);
+    const appointment = createAppointment();
+    appointment.book();
+    await repository.add(appointment.id, appointment);
+
+    appointment.cancel('reception', 'Patient request');
+    await repository.update(appointment.id, appointment);
+
+    const [scheduled, cancelled] = published;
+    expect(published).to.have.lengthOf(2);
+    expect(scheduled.type).to.equal(DomainEventType.APPOINTMENT_SCHEDULED);
+    expect(cancelled.type).to.equal(DomainEventType.APPOINTMENT_CANCELLED);
+    expect(published[1].payload.reason).to.equal('Patient request');
+  });
+
+  it('should carry the previous date of a rescheduled appointment', () => {
+    const appointment = createAppointment();
+
+    appointment.reschedule(new Date('2024-07-02T10:00:00Z'), 'reception');
+
+    const [event] = appointment.pullDomainEvents();
+    expect(event.type).to.equal(DomainEventType.APPOINTMENT_RESCHEDULED);
+    expect(event.payload.previousDate.toISOString()).to.equal('2024-07-01T10:00:00.000Z');
+  });
+
+  it('should keep pending events out of JSON', () => {
+    const appointment = createAppointment();
+    appointment.book();
+
+    expect(JSON.parse(JSON.stringify(appointment))).to.not.have.property('domainEvents');
+  });
+
+  it('should publish allergies and diagnoses under the patient id', async () => {
+    const repository = new PatientRepository(eventBus);
+    const id = repository.nextId();
+    await repository.add(id, createPatient(id));
+    const patient = await repository.findById(id);
+
+    patient.addAllergy(new Allergy('Peanuts'));
+    patient.addAllergy(new Allergy('Peanuts'));
+    patient.medicalRecord.addDiagnosis(new Diagnosis('Hypertension', { authorId: '101' }));
+    await repository.update(id, patient);
+
+    expect(published.map((event) => event.type)).to.deep.equal([
+      DomainEventType.ALLERGY_ADDED, DomainEventType.DIAGNOSIS_ADDED,
+    ]);
+    expect(published.every((event) => event.aggregateId === id)).to.be.true;
+    expect(published[1].payload.diagnosis.description).to.equal('Hypertension');
+  });
+
+  it('should record working hour changes of a doctor', () => {
+    const doctor = new Doctor('101', 'CRM101', 'Smith', ['Cardiology'], '', [
+      {
+        day: 'Monday',
+        start: '09:00',
+        end: '12:00',
+      },
+    ]);
+
+    doctor.changeWorkingHours(doctor.workingHours.add({
+      day: 'Tuesday',
+      start: '09:00',
+      end: '12:00',
+    }));
+
+    const [event] = doctor.pullDomainEvents();
+    expect(event.type).to.equal(DomainEventType.WORKING_HOURS_CHANGED);
+    expect(event.payload.previousWorkingHours.toJSON()).to.have.lengthOf(1);
+    expect(event.payload.workingHours.toJSON()).to.have.lengthOf(2);
+  });
+});
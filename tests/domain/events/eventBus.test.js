@@ -0,0 +1,83 @@
+// Unit tests for EventBus
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { DomainEvent } from '../../../src/domain/events/domainEvent.js';
+import { EventBus } from '../../../src/domain/events/eventBus.js';
+
+describe('EventBus', () => {
+  let eventBus;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should deliver an event to the subscribers of its type', async () => {
+    const scheduled = sinon.stub();
+    const cancelled = sinon.stub();
+    eventBus.subscribe('AppointmentScheduled', scheduled);
+    eventBus.subscribe('AppointmentCancelled', cancelled);
+
+    const event = new DomainEvent('AppointmentScheduled', '1');
+    await eventBus.publish(event);
+
+    expect(scheduled.calledOnceWith(event)).to.be.true;
+    expect(cancelled.called).to.be.false;
+  });
+
+  it('should deliver every event to catch-all subscribers', async () => {
+    const handler = sinon.stub();
+    eventBus.subscribeAll(handler);
+
+    await eventBus.publishAll([
+      new DomainEvent('AppointmentScheduled', '1'), new DomainEvent('AllergyAdded', '2'),
+    ]);
+
+    expect(handler.callCount).to.equal(2);
+  });
+
+  it('should stop delivering after unsubscribing', async () => {
+    const handler = sinon.stub();
+    const unsubscribe = eventBus.subscribe('AllergyAdded', handler);
+
+    unsubscribe();
+    await eventBus.publish(new DomainEvent('AllergyAdded', '1'));
+
+    expect(handler.called).to.be.false;
+  });
+
+  it('should keep notifying other subscribers when one fails', async () => {
+    sinon.stub(console, 'error');
+    const handler = sinon.stub();
+    eventBus.subscribe('AllergyAdded', () => {
+      throw new Error('Mail server down');
+    });
+    eventBus.subscribe('AllergyAdded', handler);
+
+    await eventBus.publish(new DomainEvent('AllergyAdded', '1'));
+
+    expect(handler.calledOnce).to.be.true;
+    expect(console.error.calledOnce).to.be.true;
+  });
+
+  it('should wait for async subscribers and log their rejections', async () => {
+    sinon.stub(console, 'error');
+    const delivered = [];
+    eventBus.subscribe('AllergyAdded', async () => {
+      await Promise.resolve();
+      delivered.push('first');
+    });
+    eventBus.subscribe('AllergyAdded', async () => {
+      throw new Error('Mail server down');
+    });
+    eventBus.subscribe('AllergyAdded', () => delivered.push('second'));
+
+    await eventBus.publish(new DomainEvent('AllergyAdded', '1'));
+
+    expect(delivered).to.deep.equal(['first', 'second']);
+    expect(console.error.calledOnce).to.be.true;
+  });
+});
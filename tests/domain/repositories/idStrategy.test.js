@@ -0,0 +1,37 @@
+// Unit tests for ID strategies
+import { expect } from 'chai';
+import { createIdGenerator, IdStrategy, sameId, ulid } from '../../../src/domain/repositories/idStrategy.js';
+
+describe('ID strategies', () => {
+  it('should generate UUIDs by default', () => {
+    const generateId = createIdGenerator();
+
+    const uuid = new RegExp('^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$');
+
+    expect(generateId()).to.match(uuid);
+    expect(generateId()).to.not.equal(generateId());
+  });
+
+  it('should generate ULIDs', () => {
+    const id = createIdGenerator(IdStrategy.ULID)();
+
+    expect(id).to.match(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+  });
+
+  it('should sort ULIDs by the time they were created', () => {
+    const earlier = ulid(Date.parse('2024-07-01T09:00:00Z'));
+    const later = ulid(Date.parse('2024-07-01T09:00:00.001Z'));
+
+    expect(earlier < later).to.be.true;
+    expect(ulid(0).slice(0, 10)).to.equal('0000000000');
+  });
+
+  it('should reject an unknown strategy', () => {
+    expect(() => createIdGenerator('sequence')).to.throw('Unknown ID strategy: sequence');
+  });
+
+  it('should compare ids as strings', () => {
+    expect(sameId(1, '1')).to.be.true;
+    expect(sameId('1', '2')).to.be.false;
+  });
+});
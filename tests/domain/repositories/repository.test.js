@@ -1,35 +1,77 @@
 // Unit tests for Repository interface
 import { expect } from 'chai';
-import { Repository } from '../../../src/domain/repositories/repository.js';
+import { ConcurrencyError, Repository } from '../../../src/domain/repositories/repository.js';
+import { expectRejection } from '../../support/expectRejection.js';
 
 describe('Repository', () => {
-  it('should add and retrieve entities', () => {
+  it('should add and retrieve entities', async () => {
     const repo = new Repository();
     const entity = { name: 'Test Entity' };
 
-    repo.add('1', entity);
-    const retrieved = repo.findById('1');
+    await repo.add('1', entity);
+    const retrieved = await repo.findById('1');
 
     expect(retrieved).to.equal(entity);
   });
 
-  it('should throw error when adding duplicate id', () => {
+  it('should throw error when adding duplicate id', async () => {
     const repo = new Repository();
     const entity = { name: 'Test' };
 
-    repo.add('1', entity);
-    expect(() => repo.add('1', entity)).to.throw(
+    await repo.add('1', entity);
+    await expectRejection(
+      repo.add('1', entity),
       'Entity with id 1 already exists'
     );
   });
 
-  it('should return all entities', () => {
+  it('should return all entities', async () => {
     const repo = new Repository();
-    repo.add('1', { name: 'Entity 1' });
-    repo.add('2', { name: 'Entity 2' });
+    await repo.add('1', { name: 'Entity 1' });
+    await repo.add('2', { name: 'Entity 2' });
 
-    const all = repo.findAll();
+    const all = await repo.findAll();
     expect(all).to.have.lengthOf(2);
   });
+
+  it('should move an entity to its next version on every save', async () => {
+    const repo = new Repository();
+    const entity = { name: 'Test' };
+
+    await repo.add('1', entity);
+    expect(entity.version).to.equal(1);
+
+    await repo.update('1', entity);
+    expect(entity.version).to.equal(2);
+  });
+
+  it('should reject a save based on a stale version', async () => {
+    const repo = new Repository();
+    await repo.add('1', { name: 'Test' });
+
+    const error = await expectRejection(
+      repo.update('1', {
+        name: 'Stale',
+        version: 0,
+      }),
+      'Entity with id 1 is at version 1, not 0'
+    );
+    expect(error).to.be.instanceOf(ConcurrencyError);
+    expect((await repo.findById('1')).name).to.equal('Test');
+  });
+
+  it('should check the expected version even if the entity was changed', async () => {
+    const repo = new Repository();
+    const entity = { name: 'Test' };
+    await repo.add('1', entity);
+    await repo.update('1', entity);
+
+    entity.version = 1;
+    await expectRejection(repo.update('1', entity), 'is at version 2');
+    await expectRejection(repo.delete('1', 1), 'is at version 2');
+
+    await repo.delete('1', 2);
+    expect(await repo.findById('1')).to.be.undefined;
+  });
 });
 
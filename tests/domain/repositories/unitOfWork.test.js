@@ -0,0 +1,174 @@
+// Unit tests for UnitOfWork
+import { expect } from 'chai';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Appointment } from '../../../src/domain/entities/appointment.js';
+import { Doctor } from '../../../src/domain/entities/doctor.js';
+import { DomainEventType } from '../../../src/domain/events/domainEvent.js';
+import { EventBus } from '../../../src/domain/events/eventBus.js';
+import { currentTransaction, UnitOfWork } from '../../../src/domain/repositories/unitOfWork.js';
+import { AppointmentRepository } from '../../../src/infrastructure/persistance/appointmentRepository.js';
+import { createRepositories, createSqliteRepositories, StorageDriver } from '../../../src/infrastructure/persistance/repositoryFactory.js';
+import { IN_MEMORY_DATABASE, openDatabase } from '../../../src/infrastructure/persistance/sqlite/database.js';
+import { expectRejection } from '../../support/expectRejection.js';
+
+describe('UnitOfWork', () => {
+  let eventBus;
+  let published;
+  let unitOfWork;
+
+  const createAppointment = (id) =>
+    new Appointment(
+      id,
+      '2024-07-01T10:00:00Z',
+      { id: '1' },
+      { id: '101' },
+      'Checkup'
+    );
+
+  const createDoctor = () =>
+    new Doctor('101', 'CRM101', 'Smith', ['Cardiology'], '', [
+      {
+        day: 'Monday',
+        start: '09:00',
+        end: '12:00',
+      },
+    ]);
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    published = [];
+    eventBus.subscribeAll((event) => published.push(event.type));
+    unitOfWork = new UnitOfWork();
+  });
+
+  it('should return the result of the work', async () => {
+    expect(await unitOfWork.run(async () => 42)).to.equal(42);
+  });
+
+  it('should roll back every write when the work fails', async () => {
+    const repository = new AppointmentRepository(eventBus);
+    const existing = createAppointment('201');
+    await repository.add(existing.id, existing);
+
+    await expectRejection(
+      unitOfWork.run(async () => {
+        const appointment = await repository.findById('201');
+        appointment.cancel('reception', 'Sick');
+        await repository.update(appointment.id, appointment);
+
+        const added = createAppointment('202');
+        added.book();
+        await repository.add(added.id, added);
+
+        throw new Error('Notification queue is down');
+      }),
+      'Notification queue is down'
+    );
+
+    expect(await repository.findById('202')).to.be.undefined;
+    expect(existing.status).to.equal('scheduled');
+    expect(existing.version).to.equal(1);
+    expect(existing.statusHistory).to.be.empty;
+    expect(existing.pullDomainEvents()).to.be.empty;
+    expect(published).to.be.empty;
+  });
+
+  it('should publish events only once the unit commits', async () => {
+    const repository = new AppointmentRepository(eventBus);
+
+    await unitOfWork.run(async () => {
+      const appointment = createAppointment('201');
+      appointment.book();
+      await repository.add(appointment.id, appointment);
+
+      expect(published).to.be.empty;
+    });
+
+    expect(published).to.deep.equal([DomainEventType.APPOINTMENT_SCHEDULED]);
+  });
+
+  it('should let nested work join the running unit', async () => {
+    let inner;
+
+    await unitOfWork.run(() =>
+      new UnitOfWork().run(async () => {
+        inner = currentTransaction();
+      }));
+
+    expect(inner).to.exist;
+    expect(currentTransaction()).to.be.undefined;
+  });
+
+  it('should run units one at a time', async () => {
+    const steps = [];
+    const work = (name) => async () => {
+      steps.push(`${name} started`);
+      await new Promise((resolve) => setImmediate(resolve));
+      steps.push(`${name} finished`);
+    };
+
+    await Promise.all([unitOfWork.run(work('a')), unitOfWork.run(work('b'))]);
+
+    expect(steps).to.deep.equal([
+      'a started',
+      'a finished',
+      'b started',
+      'b finished',
+    ]);
+  });
+
+  it('should write file storage on commit only', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clinic-'));
+    try {
+      const { doctorRepository } = createRepositories({
+        driver: StorageDriver.FILE,
+        dataDir,
+      });
+
+      await expectRejection(unitOfWork.run(async () => {
+        await doctorRepository.add('101', createDoctor());
+        throw new Error('Rejected');
+      }));
+      expect(fs.existsSync(path.join(dataDir, 'doctors.json'))).to.be.false;
+
+      await unitOfWork.run(() => doctorRepository.add('101', createDoctor()));
+      const reloaded = createRepositories({
+        driver: StorageDriver.FILE,
+        dataDir,
+      });
+      expect(await reloaded.doctorRepository.findById('101')).to.exist;
+    } finally {
+      fs.rmSync(dataDir, {
+        recursive: true,
+        force: true,
+      });
+    }
+  });
+
+  it('should roll back a SQLite transaction', async () => {
+    const database = openDatabase(IN_MEMORY_DATABASE);
+    try {
+      const { doctorRepository } = createSqliteRepositories(database);
+      const doctor = createDoctor();
+      await doctorRepository.add(doctor.id, doctor);
+
+      await expectRejection(unitOfWork.run(async () => {
+        const stored = await doctorRepository.findById('101');
+        stored.changeWorkingHours([]);
+        await doctorRepository.update(stored.id, stored);
+        await doctorRepository.add('102', createDoctor());
+        throw new Error('Rejected');
+      }));
+
+      expect(database.inTransaction).to.be.false;
+      expect(await doctorRepository.findById('102')).to.be.undefined;
+      expect(doctor.workingHours.toJSON()).to.have.lengthOf(1);
+      const reloaded = createSqliteRepositories(database);
+      expect((await reloaded.doctorRepository.findById('101')).workingHours.toJSON()).to.have.lengthOf(1);
+    } finally {
+      database.close();
+    }
+  });
+});
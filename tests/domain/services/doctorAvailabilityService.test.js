@@ -0,0 +1,460 @@
+// Unit tests for DoctorAvailabilityService
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { Appointment } from '../../../src/domain/entities/appointment.js';
+import { Doctor } from '../../../src/domain/entities/doctor.js';
+import { DoctorAvailabilityService } from '../../../src/domain/services/doctor-service/doctorAvailabilityService.js';
+import { HolidayService } from '../../../src/domain/services/holidayService.js';
+import { ScheduleException } from '../../../src/domain/value-objects/scheduleException.js';
+import { WorkingHours } from '../../../src/domain/value-objects/workingHours.js';
+import { AppointmentRepository } from '../../../src/infrastructure/persistance/appointmentRepository.js';
+import { HolidayCalendarRepository } from '../../../src/infrastructure/persistance/holidayCalendarRepository.js';
+import { expectRejection } from '../../support/expectRejection.js';
+
+describe('DoctorAvailabilityService', () => {
+  let appointmentRepository;
+  let doctorService;
+  let availabilityService;
+  let holidayService;
+  let doctor;
+  let otherDoctor;
+
+  // 2024-07-01 is a Monday; the clinic zone defaults to UTC
+  const monday = (hours, minutes = 0) =>
+    new Date(Date.UTC(2024, 6, 1, hours, minutes));
+  const patient = {
+    id: '1',
+    name: 'John Doe',
+  };
+  const otherPatient = {
+    id: '2',
+    name: 'Jane Doe',
+  };
+
+  const book = async (id, date, bookedDoctor, bookedPatient, duration = 30) => {
+    const appointment = new Appointment(
+      id,
+      new Date(date),
+      bookedPatient,
+      bookedDoctor,
+      'Checkup',
+      null,
+      '',
+      duration
+    );
+    await appointmentRepository.add(id, appointment);
+    return appointment;
+  };
+
+  beforeEach(() => {
+    doctor = new Doctor(
+      '101',
+      'CRM101',
+      'Smith',
+      ['Cardiology'],
+      '',
+      new WorkingHours([
+        {
+          day: 'Monday',
+          start: '09:00',
+          end: '10:30',
+        },
+      ])
+    );
+    otherDoctor = new Doctor(
+      '102',
+      'CRM102',
+      'Jones',
+      ['Cardiology'],
+      '',
+      new WorkingHours([
+        {
+          day: 'Monday',
+          start: '08:00 AM',
+          end: '09:00 AM',
+        },
+      ])
+    );
+    holidayService = new HolidayService(new HolidayCalendarRepository());
+    appointmentRepository = new AppointmentRepository();
+    doctorService = {
+      findDoctorById: sinon
+        .stub()
+        .callsFake((id) =>
+          [doctor, otherDoctor].find((candidate) => candidate.id === id)),
+      findDoctorsBySpecialty: sinon.stub().returns([doctor, otherDoctor]),
+    };
+    availabilityService = new DoctorAvailabilityService(
+      appointmentRepository,
+      doctorService,
+      holidayService
+    );
+  });
+
+  describe('hasAppointmentConflict', () => {
+    it('should flag an appointment starting inside an existing one', async () => {
+      await book('1', '2024-07-01T10:00:00Z', doctor, patient);
+
+      const conflict = await availabilityService.hasAppointmentConflict(
+        '101',
+        new Date('2024-07-01T10:15:00Z'),
+        30
+      );
+
+      expect(conflict).to.be.true;
+    });
+
+    it('should use the doctor specialty duration when none is given', async () => {
+      await book('1', '2024-07-01T10:00:00Z', doctor, patient);
+
+      const conflict = await availabilityService.hasAppointmentConflict(
+        '101',
+        new Date('2024-07-01T09:45:00Z')
+      );
+
+      expect(conflict).to.be.true;
+    });
+
+    it('should ignore other doctors and cancelled appointments', async () => {
+      await book('1', '2024-07-01T10:00:00Z', otherDoctor, patient);
+      (await book('2', '2024-07-01T10:00:00Z', doctor, patient)).cancel('reception');
+
+      const conflict = await availabilityService.hasAppointmentConflict(
+        '101',
+        new Date('2024-07-01T10:00:00Z'),
+        30
+      );
+
+      expect(conflict).to.be.false;
+    });
+
+    it('should ignore the appointment being rescheduled', async () => {
+      await book('1', '2024-07-01T10:00:00Z', doctor, patient);
+
+      const conflict = await availabilityService.hasAppointmentConflict(
+        '101',
+        new Date('2024-07-01T10:15:00Z'),
+        30,
+        '1'
+      );
+
+      expect(conflict).to.be.false;
+    });
+  });
+
+  describe('hasPatientConflict', () => {
+    it('should flag overlapping appointments with any doctor', async () => {
+      await book('1', '2024-07-01T10:00:00Z', otherDoctor, patient, 60);
+
+      const conflict = await availabilityService.hasPatientConflict(
+        '1',
+        new Date('2024-07-01T10:30:00Z'),
+        30
+      );
+
+      expect(conflict).to.be.true;
+    });
+
+    it('should not flag other patients', async () => {
+      await book('1', '2024-07-01T10:00:00Z', doctor, otherPatient);
+
+      const conflict = await availabilityService.hasPatientConflict(
+        '1',
+        new Date('2024-07-01T10:00:00Z'),
+        30
+      );
+
+      expect(conflict).to.be.false;
+    });
+  });
+
+  describe('findAvailableSlots', () => {
+    it('should split working hours into slots of the requested duration', async () => {
+      const slots = await availabilityService.findAvailableSlots(
+        '101',
+        monday(0),
+        monday(23),
+        30
+      );
+
+      expect(slots.map((slot) => slot.start)).to.deep.equal([
+        monday(9), monday(9, 30), monday(10),
+      ]);
+      expect(slots[0].end).to.deep.equal(monday(9, 30));
+    });
+
+    it('should leave out slots taken by existing appointments', async () => {
+      await book('1', monday(9, 15), doctor, patient, 30);
+
+      const slots = await availabilityService.findAvailableSlots(
+        '101',
+        monday(0),
+        monday(23),
+        30
+      );
+
+      expect(slots.map((slot) => slot.start)).to.deep.equal([monday(10)]);
+    });
+
+    it('should only return slots inside the search range', async () => {
+      const slots = await availabilityService.findAvailableSlots(
+        '101',
+        monday(9, 30),
+        monday(10, 30),
+        30
+      );
+
+      expect(slots.map((slot) => slot.start)).to.deep.equal([
+        monday(9, 30), monday(10),
+      ]);
+    });
+
+    it('should reject an inverted range', async () => {
+      await expectRejection(
+        availabilityService.findAvailableSlots('101', monday(10), monday(9)),
+        'Search range end must be after its start'
+      );
+    });
+
+    it('should throw when the doctor does not exist', async () => {
+      await expectRejection(
+        availabilityService.findAvailableSlots('999', monday(0), monday(23)),
+        'Doctor not found'
+      );
+    });
+  });
+
+  describe('findEarliestSlotsBySpecialty', () => {
+    it('should merge slots across doctors in chronological order', async () => {
+      const slots = await availabilityService.findEarliestSlotsBySpecialty(
+        'Cardiology',
+        new Date(Date.UTC(2024, 6, 1)),
+        new Date(Date.UTC(2024, 6, 2)),
+        30,
+        3
+      );
+
+      expect(slots.map((slot) => slot.doctorId)).to.deep.equal([
+        '102', '102', '101',
+      ]);
+      expect(slots[0].start).to.deep.equal(new Date(Date.UTC(2024, 6, 1, 8)));
+      expect(doctorService.findDoctorsBySpecialty.calledWith('Cardiology')).to
+        .be.true;
+    });
+  });
+
+  describe('schedule exceptions', () => {
+    const addException = (data) =>
+      doctor.addScheduleException(ScheduleException.create('e1', data));
+
+    it('should be available inside working hours by default', async () => {
+      expect(await availabilityService.isDoctorAvailable('101', monday(9), 30))
+        .to.be.true;
+    });
+
+    it('should not be available for a booking that runs past closing time', async () => {
+      expect(await availabilityService.isDoctorAvailable('101', monday(10), 30))
+        .to.be.true;
+      expect(await availabilityService.isDoctorAvailable('101', monday(10), 60))
+        .to.be.false;
+    });
+
+    it('should not be available during a full-day absence', async () => {
+      addException({
+        type: 'absence',
+        startDate: '2024-06-28',
+        endDate: '2024-07-01',
+        reason: 'Vacation',
+      });
+
+      expect(await availabilityService.isDoctorAvailable('101', monday(9), 30))
+        .to.be.false;
+    });
+
+    it('should not be available during a partial block', async () => {
+      addException({
+        type: 'block',
+        start: monday(9, 15),
+        end: monday(9, 45),
+      });
+
+      expect(await availabilityService.isDoctorAvailable('101', monday(9), 30))
+        .to.be.false;
+      expect(await availabilityService.isDoctorAvailable('101', monday(10), 30))
+        .to.be.true;
+    });
+
+    it('should be available during an extra shift outside working hours', async () => {
+      addException({
+        type: 'extra-shift',
+        start: monday(14),
+        end: monday(16),
+      });
+
+      expect(await availabilityService.isDoctorAvailable('101', monday(14), 30))
+        .to.be.true;
+      expect(await availabilityService.isDoctorAvailable('101', monday(15, 45), 30)).to.be.false;
+    });
+
+    it('should not be available on a clinic holiday', async () => {
+      await holidayService.addHoliday('2024-07-01', 'Founders Day');
+
+      expect(await availabilityService.isDoctorAvailable('101', monday(9), 30))
+        .to.be.false;
+    });
+
+    it('should exclude blocked and holiday time from free slots', async () => {
+      addException({
+        type: 'block',
+        start: monday(9),
+        end: monday(9, 30),
+      });
+
+      const slots = await availabilityService.findAvailableSlots(
+        '101',
+        monday(0),
+        monday(23),
+        30
+      );
+      expect(slots.map((slot) => slot.start)).to.deep.equal([
+        monday(9, 30), monday(10),
+      ]);
+
+      await holidayService.addHoliday('2024-07-01', 'Founders Day');
+      expect(await availabilityService.findAvailableSlots(
+        '101',
+        monday(0),
+        monday(23),
+        30
+      )).to.be.empty;
+    });
+
+    it('should offer slots from extra shifts', async () => {
+      addException({
+        type: 'extra-shift',
+        start: monday(18),
+        end: monday(19),
+      });
+
+      const slots = await availabilityService.findAvailableSlots(
+        '101',
+        monday(12),
+        monday(23),
+        30
+      );
+      expect(slots.map((slot) => slot.start)).to.deep.equal([
+        monday(18), monday(18, 30),
+      ]);
+    });
+  });
+
+  describe('time zones', () => {
+    const zonedDoctor = (id, timeZone) =>
+      new Doctor(
+        id,
+        `CRM${id}`,
+        'Costa',
+        ['Cardiology'],
+        '',
+        new WorkingHours([
+          {
+            day: 'Monday',
+            start: '09:00',
+            end: '10:00',
+          },
+        ]),
+        timeZone
+      );
+
+    it('should read working hours in the doctor time zone', async () => {
+      doctorService.findDoctorById
+        .withArgs('103')
+        .returns(zonedDoctor('103', 'America/Sao_Paulo'));
+
+      // 09:00 in São Paulo is 12:00 UTC
+      expect(await availabilityService.isDoctorAvailable('103', monday(12), 30))
+        .to.be.true;
+      expect(await availabilityService.isDoctorAvailable('103', monday(9), 30))
+        .to.be.false;
+    });
+
+    it('should render slots in UTC and local time', async () => {
+      doctorService.findDoctorById
+        .withArgs('103')
+        .returns(zonedDoctor('103', 'America/Sao_Paulo'));
+
+      const [slot] = await availabilityService.findAvailableSlots(
+        '103',
+        '2024-07-01T00:00',
+        '2024-07-01T23:00',
+        60
+      );
+
+      expect(slot.start.toISOString()).to.equal('2024-07-01T12:00:00.000Z');
+      expect(slot.localStart).to.equal('2024-07-01T09:00:00-03:00');
+      expect(slot.localEnd).to.equal('2024-07-01T10:00:00-03:00');
+      expect(slot.timeZone).to.equal('America/Sao_Paulo');
+    });
+
+    it('should keep wall-clock hours across a DST change', async () => {
+      doctorService.findDoctorById
+        .withArgs('104')
+        .returns(zonedDoctor('104', 'America/New_York'));
+
+      // Clocks in New York moved forward on 2024-03-10
+      const slots = await availabilityService.findAvailableSlots(
+        '104',
+        '2024-03-04T00:00',
+        '2024-03-12T00:00',
+        60
+      );
+
+      expect(slots.map((slot) => slot.start.toISOString())).to.deep.equal([
+        '2024-03-04T14:00:00.000Z', '2024-03-11T13:00:00.000Z',
+      ]);
+    });
+
+    it('should read clinic holidays in the clinic time zone', async () => {
+      // 22:00 on Monday in São Paulo is already Tuesday in the UTC clinic
+      doctorService.findDoctorById.withArgs('105').returns(new Doctor(
+        '105',
+        'CRM105',
+        'Costa',
+        ['Cardiology'],
+        '',
+        new WorkingHours([
+          {
+            day: 'Monday',
+            start: '22:00',
+            end: '23:00',
+          },
+        ]),
+        'America/Sao_Paulo'
+      ));
+      const lateMonday = new Date('2024-07-02T01:00:00Z');
+
+      await holidayService.addHoliday('2024-07-01', 'Founders Day');
+      expect(await availabilityService.isDoctorAvailable('105', lateMonday, 30))
+        .to.be.true;
+
+      await holidayService.addHoliday('2024-07-02', 'Clinic Day');
+      expect(await availabilityService.isDoctorAvailable('105', lateMonday, 30))
+        .to.be.false;
+    });
+
+    it('should fall back to the clinic time zone', async () => {
+      availabilityService = new DoctorAvailabilityService(
+        appointmentRepository,
+        doctorService,
+        holidayService,
+        'Asia/Tokyo'
+      );
+
+      // 09:00 in Tokyo is 00:00 UTC
+      expect(await availabilityService.isDoctorAvailable('101', monday(0), 30))
+        .to.be.true;
+      expect(await availabilityService.isDoctorAvailable('101', monday(9), 30))
+        .to.be.false;
+    });
+  });
+});
@@ -0,0 +1,129 @@
+// Unit tests for DoctorScheduleExceptionService
+import { expect } from 'chai';
+import { Appointment } from '../../../src/domain/entities/appointment.js';
+import { Doctor } from '../../../src/domain/entities/doctor.js';
+import { DoctorScheduleExceptionService } from '../../../src/domain/services/doctor-service/doctorScheduleExceptionService.js';
+import { AppointmentRepository } from '../../../src/infrastructure/persistance/appointmentRepository.js';
+import { DoctorRepository } from '../../../src/infrastructure/persistance/doctorRepository.js';
+import { expectRejection } from '../../support/expectRejection.js';
+
+describe('DoctorScheduleExceptionService', () => {
+  let doctorRepository;
+  let appointmentRepository;
+  let scheduleExceptionService;
+  let doctor;
+
+  const book = async (id, date, status) => {
+    const appointment = new Appointment(
+      id,
+      date,
+      { id: '1' },
+      doctor,
+      'Checkup',
+      status,
+      '',
+      30
+    );
+    await appointmentRepository.add(id, appointment);
+    return appointment;
+  };
+
+  beforeEach(async () => {
+    doctorRepository = new DoctorRepository();
+    appointmentRepository = new AppointmentRepository();
+    scheduleExceptionService = new DoctorScheduleExceptionService(
+      doctorRepository,
+      appointmentRepository
+    );
+
+    doctor = new Doctor('101', 'CRM101', 'Smith', ['Cardiology']);
+    await doctorRepository.add(doctor.id, doctor);
+  });
+
+  it('should list active appointments affected by a new absence', async () => {
+    await book('1', new Date(Date.UTC(2024, 6, 1, 9)));
+    await book('2', new Date(Date.UTC(2024, 6, 2, 9)), 'cancelled');
+    await book('3', new Date(Date.UTC(2024, 6, 8, 9)));
+
+    const { exception, affectedAppointments } =
+      await scheduleExceptionService.addScheduleException('101', {
+        type: 'absence',
+        startDate: '2024-07-01',
+        endDate: '2024-07-05',
+        reason: 'Vacation',
+      });
+
+    expect(exception.id).to.be.a('string');
+    expect(affectedAppointments.map((appointment) => appointment.id)).to.deep.equal(['1']);
+    expect(doctor.scheduleExceptions).to.have.lengthOf(1);
+  });
+
+  it('should not report affected appointments for an extra shift', async () => {
+    await book('1', new Date(Date.UTC(2024, 6, 1, 18)));
+
+    const { affectedAppointments } =
+      await scheduleExceptionService.addScheduleException('101', {
+        type: 'extra-shift',
+        start: new Date(Date.UTC(2024, 6, 1, 18)),
+        end: new Date(Date.UTC(2024, 6, 1, 20)),
+      });
+
+    expect(affectedAppointments).to.be.empty;
+  });
+
+  it('should reject an exception that ends before it starts', async () => {
+    await expectRejection(
+      scheduleExceptionService.addScheduleException('101', {
+        type: 'block',
+        start: new Date(Date.UTC(2024, 6, 1, 12)),
+        end: new Date(Date.UTC(2024, 6, 1, 11)),
+      }),
+      'Schedule exception start must be before end'
+    );
+  });
+
+  it('should remove an exception by id', async () => {
+    const { exception } = await scheduleExceptionService.addScheduleException(
+      '101',
+      {
+        type: 'block',
+        start: new Date(Date.UTC(2024, 6, 1, 11)),
+        end: new Date(Date.UTC(2024, 6, 1, 12)),
+      }
+    );
+
+    await scheduleExceptionService.removeScheduleException('101', exception.id);
+
+    expect(await scheduleExceptionService.listScheduleExceptions('101')).to.be
+      .empty;
+    await expectRejection(
+      scheduleExceptionService.removeScheduleException('101', exception.id),
+      'Schedule exception not found'
+    );
+  });
+
+  it('should read absence days in the doctor time zone', async () => {
+    doctor = new Doctor(
+      '102',
+      'CRM102',
+      'Costa',
+      ['Cardiology'],
+      '',
+      [],
+      'America/Sao_Paulo'
+    );
+    await doctorRepository.add(doctor.id, doctor);
+
+    const { exception } = await scheduleExceptionService.addScheduleException(
+      '102',
+      {
+        type: 'absence',
+        startDate: '2024-07-01',
+        endDate: '2024-07-01',
+      }
+    );
+
+    expect(exception.start.toISOString()).to.equal('2024-07-01T03:00:00.000Z');
+    expect(exception.end.toISOString()).to.equal('2024-07-02T03:00:00.000Z');
+  });
+});
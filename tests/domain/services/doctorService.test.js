@@ -0,0 +1,68 @@
+// Unit tests for DoctorService
+import { expect } from 'chai';
+import { ConcurrencyError } from '../../../src/domain/repositories/repository.js';
+import { DoctorService } from '../../../src/domain/services/doctor-service/doctorService.js';
+import { DoctorRepository } from '../../../src/infrastructure/persistance/doctorRepository.js';
+import { expectRejection } from '../../support/expectRejection.js';
+
+describe('DoctorService', () => {
+  let doctorRepository;
+  let doctorService;
+  let doctor;
+
+  beforeEach(async () => {
+    doctorRepository = new DoctorRepository();
+    doctorService = new DoctorService(doctorRepository);
+
+    doctor = await doctorService.addDoctor({
+      rcm: 'CRM101',
+      name: 'Smith',
+      specialty: ['Cardiology'],
+      timeZone: 'Europe/Lisbon',
+    });
+  });
+
+  it('should change the time zone of a doctor', async () => {
+    const updated = await doctorService.updateDoctor(doctor.id, { timeZone: 'America/Sao_Paulo' });
+
+    expect(updated.timeZone).to.equal('America/Sao_Paulo');
+  });
+
+  it('should reject an invalid time zone and keep the previous one', async () => {
+    await expectRejection(
+      doctorService.updateDoctor(doctor.id, { timeZone: 'Mars/Phobos' }),
+      'Invalid time zone: Mars/Phobos'
+    );
+
+    const stored = await doctorService.findDoctorById(doctor.id);
+    expect(stored.timeZone).to.equal('Europe/Lisbon');
+  });
+
+  it('should only change the details of a doctor', async () => {
+    const updated = await doctorService.updateDoctor(doctor.id, {
+      id: '999',
+      name: 'Jones',
+      phoneNumber: '555-0101',
+      version: 7,
+      scheduleExceptions: [{ type: 'absence' }],
+    });
+
+    expect(updated).to.include({
+      id: doctor.id,
+      name: 'Jones',
+      phoneNumber: '555-0101',
+      version: 2,
+    });
+    expect(updated.scheduleExceptions).to.be.empty;
+    expect(await doctorService.findDoctorById('999')).to.be.undefined;
+  });
+
+  it('should take the expected version from the caller only', async () => {
+    const error = await expectRejection(doctorService.updateDoctor(doctor.id, {
+      name: 'Jones',
+      version: 1,
+    }, 0));
+
+    expect(error).to.be.instanceOf(ConcurrencyError);
+  });
+});
@@ -0,0 +1,162 @@
+// Unit tests for ExaminationAttachmentService
+import { expect } from 'chai';
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { Examinations } from '../../../src/domain/entities/examinations.js';
+import { ConcurrencyError } from '../../../src/domain/repositories/repository.js';
+import { ExaminationAttachmentService } from '../../../src/domain/services/examinationAttachmentService.js';
+import { LocalBlobStorage } from '../../../src/infrastructure/persistance/blob/localBlobStorage.js';
+import { ExaminationRepository } from '../../../src/infrastructure/persistance/examinationRepository.js';
+import { expectRejection } from '../../support/expectRejection.js';
+
+describe('ExaminationAttachmentService', () => {
+  const PDF = Buffer.from('%PDF-1.4\nECG trace\n%%EOF\n');
+
+  let rootDir;
+  let examinationRepository;
+  let attachmentService;
+  let exam;
+
+  const upload = (details = {}, expectedVersion) =>
+    attachmentService.addAttachment(
+      'e1',
+      {
+        fileName: 'ecg.pdf',
+        contentType: 'application/pdf',
+        content: Readable.from([PDF]),
+        uploadedBy: 'nurse',
+        ...details,
+      },
+      expectedVersion
+    );
+
+  const read = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  };
+
+  const storedFiles = () =>
+    fs.existsSync(path.join(rootDir, 'examinations/e1'))
+      ? fs.readdirSync(path.join(rootDir, 'examinations/e1'))
+      : [];
+
+  beforeEach(async () => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+    examinationRepository = new ExaminationRepository();
+    attachmentService = new ExaminationAttachmentService(
+      examinationRepository,
+      new LocalBlobStorage(rootDir),
+      {
+        maxBytes: 64,
+        clock: () => new Date('2024-07-01T12:00:00Z'),
+      }
+    );
+
+    exam = new Examinations(
+      'e1',
+      'ECG',
+      null,
+      null,
+      'Room 2',
+      { id: '101' },
+      { id: 'p1' }
+    );
+    await examinationRepository.add('e1', exam);
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, {
+      recursive: true,
+      force: true,
+    });
+  });
+
+  it('should store a file with its size and SHA-256', async () => {
+    const { examination, attachment } = await upload();
+
+    expect(attachment).to.include({
+      fileName: 'ecg.pdf',
+      contentType: 'application/pdf',
+      size: PDF.length,
+      checksum: createHash('sha256').update(PDF).digest('hex'),
+      uploadedBy: 'nurse',
+    });
+    expect(examination.version).to.equal(2);
+    expect(examination.findAttachment(attachment.id)).to.equal(attachment);
+
+    const download = await attachmentService.openAttachment(
+      'e1',
+      attachment.id
+    );
+    expect((await read(download.content)).equals(PDF)).to.be.true;
+  });
+
+  it('should reject content that is not of the declared type', async () => {
+    await expectRejection(
+      upload({ content: Readable.from([Buffer.from('MZ fake pdf')]) }),
+      'Attachment content is not application/pdf'
+    );
+    await expectRejection(
+      upload({ contentType: 'text/html' }),
+      'Unsupported attachment type: text/html'
+    );
+    await expectRejection(
+      upload({ content: Readable.from([]) }),
+      'Attachment is empty'
+    );
+
+    expect(storedFiles()).to.be.empty;
+    expect(exam.attachments).to.be.empty;
+  });
+
+  it('should reject a file over the size limit', async () => {
+    const content = Readable.from([PDF, PDF, PDF]);
+
+    await expectRejection(upload({ content }), 'Attachment is too large');
+
+    expect(storedFiles()).to.be.empty;
+  });
+
+  it('should not attach files to a cancelled exam', async () => {
+    exam.cancel('reception');
+
+    await expectRejection(
+      upload(),
+      'Cannot attach files to a cancelled examination'
+    );
+  });
+
+  it('should drop the stored file when the exam changed meanwhile', async () => {
+    const error = await expectRejection(upload({}, 0));
+
+    expect(error).to.be.instanceOf(ConcurrencyError);
+    expect(storedFiles()).to.be.empty;
+  });
+
+  it('should report unknown exams and attachments', async () => {
+    await expectRejection(
+      attachmentService.openAttachment('missing', 'a1'),
+      'Examination not found'
+    );
+    await expectRejection(
+      attachmentService.openAttachment('e1', 'a1'),
+      'Attachment not found'
+    );
+  });
+
+  it('should report an attachment whose content is missing', async () => {
+    const { attachment } = await upload();
+    fs.rmSync(path.join(rootDir, 'examinations/e1', attachment.id));
+
+    await expectRejection(
+      attachmentService.openAttachment('e1', attachment.id),
+      'Attachment content not found'
+    );
+  });
+});
@@ -0,0 +1,554 @@
+// Unit tests for ExaminationService
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { registerNotificationHandlers } from '../../../src/application/event-handlers/notificationHandlers.js';
+import { Doctor } from '../../../src/domain/entities/doctor.js';
+import { ExaminationStatus } from '../../../src/domain/entities/examinations.js';
+import { Patient } from '../../../src/domain/entities/patient.js';
+import { EventBus } from '../../../src/domain/events/eventBus.js';
+import { ConcurrencyError } from '../../../src/domain/repositories/repository.js';
+import { ExaminationService } from '../../../src/domain/services/examinationService.js';
+import { Attachment } from '../../../src/domain/value-objects/attachment.js';
+import { Interpretation } from '../../../src/domain/value-objects/observation.js';
+import { DoctorRepository } from '../../../src/infrastructure/persistance/doctorRepository.js';
+import { ExaminationRepository } from '../../../src/infrastructure/persistance/examinationRepository.js';
+import { PatientRepository } from '../../../src/infrastructure/persistance/patientRepository.js';
+import { ExamCatalog } from '../../../src/infrastructure/terminology/examCatalog.js';
+import { ReferenceRangeTable } from '../../../src/infrastructure/terminology/referenceRangeTable.js';
+import { expectRejection } from '../../support/expectRejection.js';
+
+describe('ExaminationService', () => {
+  let examinationRepository;
+  let examinationService;
+  let patient;
+  let referenceRanges;
+  let examCatalog;
+  let notificationService;
+  let now;
+
+  before(() => {
+    referenceRanges = ReferenceRangeTable.load();
+    examCatalog = ExamCatalog.load();
+  });
+
+  const order = (details = {}) =>
+    examinationService.orderExamination({
+      type: 'Blood Test',
+      local: 'Lab 1',
+      patientId: 'p1',
+      responsibleDoctorId: '101',
+      ...details,
+    });
+
+  beforeEach(async () => {
+    const eventBus = new EventBus();
+    examinationRepository = new ExaminationRepository(eventBus);
+    const patientRepository = new PatientRepository();
+    const doctorRepository = new DoctorRepository();
+    examinationService = new ExaminationService(examinationRepository, {
+      patientRepository,
+      doctorRepository,
+      clinicTimeZone: 'America/Sao_Paulo',
+      referenceRanges,
+      examCatalog,
+      acknowledgeMinutes: 30,
+      fallbackContact: 'lab-supervisor@example.com',
+      clock: () => now,
+    });
+    now = new Date('2024-07-01T15:00:00Z');
+
+    notificationService = {
+      notifyExaminationOrdered: sinon.stub(),
+      notifyPanelOrdered: sinon.stub(),
+      notifyCriticalResult: sinon.stub(),
+      notifyCriticalResultEscalated: sinon.stub(),
+    };
+    registerNotificationHandlers(eventBus, notificationService);
+
+    patient = new Patient(
+      'p1',
+      '123.456.789-00',
+      'Jane Doe',
+      '1990-07-15',
+      'Female',
+      'O+',
+      null,
+      '+1234567890',
+      'jane@example.com',
+      null
+    );
+    await patientRepository.add('p1', patient);
+    await doctorRepository.add(
+      '101',
+      new Doctor('101', 'CRM101', 'Smith', ['Cardiology'])
+    );
+  });
+
+  it('should order an exam for a known patient and doctor', async () => {
+    const exam = await order();
+
+    expect(exam.id).to.be.a('string');
+    expect(exam.status).to.equal(ExaminationStatus.ORDERED);
+    expect(exam.patient.id).to.equal('p1');
+    expect(exam.responsibleDoctor.id).to.equal('101');
+    expect(await examinationRepository.findById(exam.id)).to.equal(exam);
+  });
+
+  it('should schedule an exam ordered with a date in the clinic zone', async () => {
+    const exam = await order({ date: '2024-07-01T09:00' });
+
+    expect(exam.status).to.equal(ExaminationStatus.SCHEDULED);
+    expect(exam.date.toISOString()).to.equal('2024-07-01T12:00:00.000Z');
+    expect(exam.statusHistory[0].changedBy).to.equal('101');
+  });
+
+  it('should order a catalog exam by its code', async () => {
+    const exam = await order({
+      type: undefined,
+      code: 'glu',
+    });
+
+    expect(exam).to.include({
+      type: 'Fasting glucose',
+      code: 'GLU',
+      specimen: 'Plasma (fluoride)',
+      preparation: 'Fast for 8 hours before the sample; water is allowed.',
+      turnaroundHours: 4,
+      panel: null,
+    });
+    expect(notificationService.notifyExaminationOrdered.calledOnceWith(exam)).to
+      .be.true;
+    await expectRejection(order({ code: 'XYZ' }), 'Unknown exam code: XYZ');
+  });
+
+  it('should order every exam of a panel and announce them once', async () => {
+    const exams = await examinationService.orderPanel({
+      panelCode: 'LIPID',
+      patientId: 'p1',
+      responsibleDoctorId: '101',
+      local: 'Lab 1',
+      date: '2024-07-01T07:30',
+    });
+
+    expect(exams.map((exam) => exam.code)).to.deep.equal([
+      'CHOL', 'LDL', 'HDL',
+    ]);
+    exams.forEach((exam) => {
+      expect(exam.panel).to.deep.equal({
+        code: 'LIPID',
+        name: 'Lipid panel',
+      });
+      expect(exam.status).to.equal(ExaminationStatus.SCHEDULED);
+      expect(exam.local).to.equal('Lab 1');
+    });
+    expect(await examinationRepository.findAll()).to.have.lengthOf(3);
+    expect(notificationService.notifyExaminationOrdered.called).to.be.false;
+    expect(notificationService.notifyPanelOrdered.calledOnce).to.be.true;
+    const [panel, announced] =
+      notificationService.notifyPanelOrdered.firstCall.args;
+    expect(panel.name).to.equal('Lipid panel');
+    expect(announced).to.deep.equal(exams);
+  });
+
+  it('should reject an unknown panel without ordering anything', async () => {
+    await expectRejection(
+      examinationService.orderPanel({
+        panelCode: 'NOPE',
+        patientId: 'p1',
+        responsibleDoctorId: '101',
+      }),
+      'Unknown exam panel: NOPE'
+    );
+    await expectRejection(
+      examinationService.orderPanel({
+        panelCode: 'CBC',
+        patientId: 'p1',
+      }),
+      'Patient ID and responsible doctor ID are required'
+    );
+    expect(await examinationRepository.findAll()).to.be.empty;
+  });
+
+  it('should reject an order without type, patient or doctor', async () => {
+    await expectRejection(
+      order({ type: undefined }),
+      'Examination type is required'
+    );
+    await expectRejection(
+      order({ patientId: undefined }),
+      'Patient ID and responsible doctor ID are required'
+    );
+    await expectRejection(order({ patientId: 'p2' }), 'Patient not found');
+    await expectRejection(
+      order({ responsibleDoctorId: '102' }),
+      'Doctor not found'
+    );
+    expect(await examinationRepository.findAll()).to.be.empty;
+  });
+
+  it('should move an exam through its workflow', async () => {
+    const { id } = await order();
+
+    await examinationService.schedule(id, '2024-07-01T09:00', 'reception');
+    await examinationService.collectSample(id, 'nurse');
+    await examinationService.startAnalysis(id, 'lab');
+    await examinationService.recordResult(id, { result: 'Normal' }, 'lab');
+    const exam = await examinationService.review(id, '101');
+
+    expect(exam.status).to.equal(ExaminationStatus.REVIEWED);
+    expect(exam.version).to.equal(6);
+    const status = ExaminationStatus.REVIEWED;
+    const reviewed = await examinationService.listExaminations({ status });
+    expect(reviewed).to.deep.equal([exam]);
+  });
+
+  // Takes an exam ordered for the given day to the point of its result
+  const analyse = async (date = '2024-07-01T09:00') => {
+    const { id } = await order({ date });
+    await examinationService.collectSample(id, 'nurse');
+    await examinationService.startAnalysis(id, 'lab');
+    return id;
+  };
+
+  it('should flag results with the range for the patient sex and age', async () => {
+    const id = await analyse();
+
+    const exam = await examinationService.recordResult(
+      id,
+      {
+        observations: [
+          {
+            analyte: 'hgb',
+            value: 16,
+          },
+          {
+            analyte: 'K',
+            value: 6.5,
+            unit: 'mmol/L',
+          },
+          {
+            analyte: 'GLU',
+            value: 5.2,
+            unit: 'mmol/L',
+          },
+          {
+            analyte: 'Urine culture',
+            value: 'Negative',
+          },
+        ],
+      },
+      'lab'
+    );
+
+    const [hemoglobin,
+      potassium,
+      glucose,
+      culture] = exam.observations;
+    expect(hemoglobin).to.include({
+      analyte: 'HGB',
+      name: 'Hemoglobin',
+      unit: 'g/dL',
+      interpretation: Interpretation.HIGH,
+    });
+    expect(hemoglobin.referenceRange).to.include({
+      low: 12,
+      high: 15.5,
+    });
+    expect(potassium.interpretation).to.equal(Interpretation.CRITICAL_HIGH);
+    expect(potassium.isCritical()).to.be.true;
+    // Another unit than the table's cannot be compared with it
+    expect(glucose.referenceRange).to.be.null;
+    expect(glucose.interpretation).to.be.null;
+    expect(culture.interpretation).to.be.null;
+  });
+
+  it('should use the child range until the patient is old enough', async () => {
+    patient.dateOfBirth = '2012-07-02';
+
+    const id = await analyse('2024-07-01T09:00');
+    const exam = await examinationService.recordResult(
+      id,
+      {
+        observations: [{
+          analyte: 'HGB',
+          value: 15,
+        }],
+      },
+      'lab'
+    );
+
+    expect(exam.observations[0].referenceRange).to.include({
+      low: 11.5,
+      high: 15.5,
+    });
+    expect(exam.observations[0].interpretation).to.equal(Interpretation.NORMAL);
+  });
+
+  it('should keep a range the lab sent with the result', async () => {
+    const id = await analyse();
+
+    const exam = await examinationService.recordResult(
+      id,
+      {
+        observations: [
+          {
+            analyte: 'HGB',
+            value: 16,
+            referenceRange: {
+              low: 12,
+              high: 16.5,
+            },
+          },
+        ],
+      },
+      'lab'
+    );
+
+    expect(exam.observations[0].interpretation).to.equal(Interpretation.NORMAL);
+  });
+
+  it('should trend one analyte across the patient results', async () => {
+    const first = await analyse('2024-07-01T09:00');
+    await examinationService.recordResult(
+      first,
+      {
+        observations: [{
+          analyte: 'HGB',
+          value: 11.1,
+        }],
+      },
+      'lab'
+    );
+    const second = await analyse('2024-08-01T09:00');
+    await examinationService.recordResult(
+      second,
+      {
+        observations: [
+          {
+            analyte: 'HGB',
+            value: 12.4,
+          },
+          {
+            analyte: 'PLT',
+            value: 250,
+          },
+        ],
+      },
+      'lab'
+    );
+    await analyse('2024-09-01T09:00');
+
+    const trend = await examinationService.getObservationTrend('p1', 'hgb');
+
+    expect(trend.map(({ examinationId, value, interpretation }) => [
+      examinationId, value, interpretation,
+    ])).to.deep.equal([
+      [first, 11.1, 'L'], [second, 12.4, 'N'],
+    ]);
+    expect(trend[0].resultedAt).to.be.instanceOf(Date);
+  });
+
+  it('should reject invalid observations', async () => {
+    const id = await analyse();
+
+    await expectRejection(
+      examinationService.recordResult(
+        id,
+        { observations: [{ analyte: 'HGB' }] },
+        'lab'
+      ),
+      'Observation value of HGB is required'
+    );
+    await expectRejection(
+      examinationService.recordResult(id, { observations: 'HGB 13' }, 'lab'),
+      'Observations must be a list'
+    );
+    const unchanged = await examinationService.findExamById(id);
+    expect(unchanged.status).to.equal(ExaminationStatus.IN_ANALYSIS);
+  });
+
+  const recordCriticalPotassium = async () => {
+    const id = await analyse();
+    return examinationService.recordResult(
+      id,
+      {
+        observations: [
+          {
+            analyte: 'K',
+            value: 6.9,
+            unit: 'mmol/L',
+          },
+          {
+            analyte: 'NA',
+            value: 140,
+            unit: 'mmol/L',
+          },
+        ],
+      },
+      'lab'
+    );
+  };
+
+  it('should alert the responsible doctor about a critical result', async () => {
+    const exam = await recordCriticalPotassium();
+
+    expect(exam.criticalAlert).to.include({
+      escalatedAt: null,
+      acknowledgedBy: null,
+      acknowledgedAt: null,
+    });
+    expect(exam.criticalAlert.analytes).to.deep.equal(['K']);
+    expect(exam.criticalAlert.escalateAt.toISOString()).to.equal('2024-07-01T15:30:00.000Z');
+    expect(notificationService.notifyCriticalResult.calledOnce).to.be.true;
+    const [notified, observations] =
+      notificationService.notifyCriticalResult.firstCall.args;
+    expect(notified.responsibleDoctor.name).to.equal('Smith');
+    expect(observations.map(({ analyte }) => analyte)).to.deep.equal(['K']);
+  });
+
+  it('should not alert about results without critical values', async () => {
+    const id = await analyse();
+
+    const exam = await examinationService.recordResult(
+      id,
+      {
+        observations: [{
+          analyte: 'K',
+          value: 5.4,
+          unit: 'mmol/L',
+        }],
+      },
+      'lab'
+    );
+
+    expect(exam.observations[0].interpretation).to.equal(Interpretation.HIGH);
+    expect(exam.criticalAlert).to.be.null;
+    expect(notificationService.notifyCriticalResult.called).to.be.false;
+  });
+
+  it('should escalate a critical result not acknowledged in time', async () => {
+    const { id } = await recordCriticalPotassium();
+
+    now = new Date('2024-07-01T15:29:00Z');
+    expect(await examinationService.escalateCriticalResults()).to.be.empty;
+
+    now = new Date('2024-07-01T15:30:00Z');
+    const [escalated] = await examinationService.escalateCriticalResults();
+    expect(escalated.id).to.equal(id);
+    expect(escalated.criticalAlert).to.include({
+      escalatedAt: now,
+      escalatedTo: 'lab-supervisor@example.com',
+    });
+    expect(notificationService.notifyCriticalResultEscalated.calledOnceWith(
+      escalated,
+      'lab-supervisor@example.com'
+    )).to.be.true;
+
+    // Escalated once, it stays on the list until acknowledged
+    now = new Date('2024-07-01T16:30:00Z');
+    expect(await examinationService.escalateCriticalResults()).to.be.empty;
+    const pending =
+      await examinationService.listUnacknowledgedCriticalResults();
+    expect(pending).to.have.lengthOf(1);
+  });
+
+  it('should record who acknowledged a critical result and when', async () => {
+    const { id } = await recordCriticalPotassium();
+    now = new Date('2024-07-01T15:10:00Z');
+
+    const exam = await examinationService.acknowledgeCriticalResult(id, '101');
+
+    expect(exam.criticalAlert).to.include({
+      acknowledgedBy: '101',
+      acknowledgedAt: now,
+    });
+    expect(await examinationService.listUnacknowledgedCriticalResults()).to.be
+      .empty;
+    now = new Date('2024-07-01T16:00:00Z');
+    expect(await examinationService.escalateCriticalResults()).to.be.empty;
+    await expectRejection(
+      examinationService.acknowledgeCriticalResult(id, '101'),
+      'Critical result is already acknowledged'
+    );
+  });
+
+  it('should reject acknowledging an exam without a critical result', async () => {
+    const { id } = await order();
+
+    await expectRejection(
+      examinationService.acknowledgeCriticalResult(id, '101'),
+      'Examination has no critical result'
+    );
+  });
+
+  it('should list unacknowledged critical results oldest first', async () => {
+    const first = await recordCriticalPotassium();
+    now = new Date('2024-07-01T15:05:00Z');
+    const second = await recordCriticalPotassium();
+
+    const results =
+      await examinationService.listUnacknowledgedCriticalResults();
+
+    expect(results.map(({ id }) => id)).to.deep.equal([first.id, second.id]);
+  });
+
+  it('should not escalate critical results while listing them', async () => {
+    await recordCriticalPotassium();
+    now = new Date('2024-07-01T16:00:00Z');
+
+    const [listed] =
+      await examinationService.listUnacknowledgedCriticalResults();
+
+    expect(listed.criticalAlert.escalatedAt).to.be.null;
+    expect(notificationService.notifyCriticalResultEscalated.called).to.be
+      .false;
+  });
+
+  it('should reject a step based on a stale version', async () => {
+    const { id } = await order();
+
+    const error = await expectRejection(examinationService.cancel(id, 'reception', 'Duplicate', 0));
+
+    expect(error).to.be.instanceOf(ConcurrencyError);
+  });
+
+  it('should only change or delete an exam before its sample is collected', async () => {
+    const { id } = await order({ date: '2024-07-01T09:00' });
+
+    const exam = await examinationService.updateExam(id, { local: 'Lab 2' });
+    expect(exam.local).to.equal('Lab 2');
+    expect(exam.type).to.equal('Blood Test');
+
+    await examinationService.collectSample(id, 'nurse');
+    await expectRejection(
+      examinationService.updateExam(id, { type: 'X-Ray' }),
+      'Examination can only be changed before its sample is collected'
+    );
+    await expectRejection(
+      examinationService.deleteExam(id),
+      'Examination can only be changed before its sample is collected'
+    );
+  });
+
+  it('should not delete an exam that has attachments', async () => {
+    const exam = await order();
+    exam.attachments.push(new Attachment('a1', 'referral.pdf', 'application/pdf', 10, 'abc'));
+
+    await expectRejection(
+      examinationService.deleteExam(exam.id),
+      'Examination with attachments cannot be deleted; cancel it instead'
+    );
+  });
+
+  it('should find exams by type and date', async () => {
+    await order({ date: '2024-07-01T09:00' });
+    await order({ type: 'X-Ray' });
+
+    expect(await examinationService.findExamByType('X-Ray')).to.have.lengthOf(1);
+    expect(await examinationService.findExamByDate('2024-07-01T09:00')).to.have.lengthOf(1);
+    await expectRejection(
+      examinationService.findExamById('missing'),
+      'Examination not found'
+    );
+  });
+});
@@ -0,0 +1,62 @@
+// Unit tests for HolidayService
+import { expect } from 'chai';
+import { CLINIC_HOLIDAY_CALENDAR_ID } from '../../../src/domain/entities/holidayCalendar.js';
+import { HolidayService } from '../../../src/domain/services/holidayService.js';
+import { HolidayCalendarRepository } from '../../../src/infrastructure/persistance/holidayCalendarRepository.js';
+import { expectRejection } from '../../support/expectRejection.js';
+
+describe('HolidayService', () => {
+  let holidayCalendarRepository;
+  let holidayService;
+
+  beforeEach(() => {
+    holidayCalendarRepository = new HolidayCalendarRepository();
+    holidayService = new HolidayService(holidayCalendarRepository);
+  });
+
+  it('should store the calendar with its first holiday', async () => {
+    expect(await holidayService.listHolidays()).to.be.empty;
+
+    await holidayService.addHoliday('2024-12-25', 'Christmas');
+    await holidayService.addHoliday('2024-01-01', 'New Year');
+
+    const calendar =
+      await holidayCalendarRepository.findById(CLINIC_HOLIDAY_CALENDAR_ID);
+    expect(calendar.version).to.equal(2);
+    expect(calendar.listHolidays().map(({ date }) => date)).to.deep.equal([
+      '2024-01-01', '2024-12-25',
+    ]);
+  });
+
+  it('should leave the calendar as it was when a change is rejected', async () => {
+    await holidayService.addHoliday('2024-12-25', 'Christmas');
+
+    await expectRejection(
+      holidayService.addHoliday('2024-12-25', 'Christmas Day'),
+      'Holiday already exists on 2024-12-25'
+    );
+    await expectRejection(
+      holidayService.removeHoliday('2024-01-01'),
+      'Holiday not found on 2024-01-01'
+    );
+    expect((await holidayService.getCalendar()).version).to.equal(1);
+  });
+
+  it('should reject days that are not on the calendar', async () => {
+    await expectRejection(
+      holidayService.addHoliday('2026-02-31', 'Nobody'),
+      'Invalid date: 2026-02-31'
+    );
+    await expectRejection(
+      holidayService.addHoliday('2026-13-01', 'Nobody'),
+      'Invalid date: 2026-13-01'
+    );
+    await expectRejection(
+      holidayService.addHoliday('2026-1-1', 'Nobody'),
+      'Invalid date: 2026-1-1'
+    );
+
+    await holidayService.addHoliday('2024-02-29', 'Leap Day');
+    expect(await holidayService.listHolidays()).to.have.lengthOf(1);
+  });
+});
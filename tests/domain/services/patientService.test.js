@@ -2,25 +2,50 @@
 import { expect } from 'chai';
 import sinon from 'sinon';
 import { Patient } from '../../../src/domain/entities/patient.js';
+import { Allergy, AllergyCategory, VerificationStatus } from '../../../src/domain/entities/record/allergy.js';
+import { ClinicalStatus, Diagnosis, DiagnosisRank } from '../../../src/domain/entities/record/diagnosis.js';
+import { MedicationRoute, PrescribingConflictError, Prescription } from '../../../src/domain/entities/record/prescription.js';
+import { EntryStatus } from '../../../src/domain/entities/record/recordEntry.js';
+import { UnitOfWork } from '../../../src/domain/repositories/unitOfWork.js';
 import { PatientService } from '../../../src/domain/services/patientService.js';
+import { DrugSafetyTable } from '../../../src/infrastructure/terminology/drugSafetyTable.js';
+import { Icd10Catalog } from '../../../src/infrastructure/terminology/icd10Catalog.js';
+import { expectRejection } from '../../support/expectRejection.js';
 
 describe('PatientService', () => {
   let patientService;
   let patientRepository;
+  let doctorRepository;
+  let appointmentRepository;
 
   beforeEach(() => {
     patientRepository = {
+      nextId: sinon.stub().returns('p1'),
       add: sinon.stub(),
       findById: sinon.stub(),
       findAll: sinon.stub(),
+      update: sinon.stub(),
       delete: sinon.stub(),
     };
-    patientService = new PatientService(patientRepository);
+    doctorRepository = {
+      findById: sinon
+        .stub()
+        .callsFake(async (id) => (id === '101' ? { id } : undefined)),
+    };
+    appointmentRepository = { findById: sinon.stub() };
+    patientService = new PatientService(patientRepository, {
+      unitOfWork: new UnitOfWork(),
+      doctorRepository,
+      appointmentRepository,
+      icd10Catalog: Icd10Catalog.load(),
+      clinicTimeZone: 'UTC',
+      drugSafetyTable: DrugSafetyTable.load(),
+    });
   });
 
-  it('should add a patient', () => {
-    const patient = new Patient(
-      null,
+  const createPatient = (id = null) =>
+    new Patient(
+      id,
       '123.456.789-00',
       'John Doe',
       '1990-01-01',
@@ -32,12 +57,390 @@ describe('PatientService', () => {
       {}
     );
 
-    patientRepository.add.returns('1');
+  it('should add a patient', async () => {
+    const patient = createPatient();
     patientRepository.findById.returns(patient);
 
-    const result = patientService.addPatient(patient);
+    const result = await patientService.addPatient(patient);
 
-    expect(patientRepository.add.calledOnce).to.be.true;
+    expect(patientRepository.add.calledOnceWith('p1', patient)).to.be.true;
     expect(result).to.equal(patient);
+    expect(patient.id).to.equal('p1');
+  });
+
+  it('should give a new allergy an id and refuse to record it twice', async () => {
+    const patient = createPatient('p1');
+    patientRepository.findById.resolves(patient);
+    patientRepository.nextId.returns('a1');
+
+    await patientService.addPatientAllergy(
+      'p1',
+      Allergy.create({
+        substance: 'Peanuts',
+        category: AllergyCategory.FOOD,
+      })
+    );
+
+    expect(patient.allergies[0].id).to.equal('a1');
+    await expectRejection(
+      patientService.addPatientAllergy(
+        'p1',
+        Allergy.create({
+          substance: 'peanuts',
+          category: AllergyCategory.FOOD,
+        })
+      ),
+      'Allergy to peanuts is already recorded'
+    );
+    expect(patientRepository.update.calledOnce).to.be.true;
+  });
+
+  it('should revise and remove allergies by id', async () => {
+    const patient = createPatient('p1');
+    patient.addAllergy(new Allergy('Peanuts', { id: 'a1' }));
+    patient.addAllergy(new Allergy('Latex', { id: 'a2' }));
+    patientRepository.findById.resolves(patient);
+
+    const { allergy: confirmed } = await patientService.updatePatientAllergy(
+      'p1',
+      'a2',
+      Allergy.create({
+        substance: 'Latex',
+        category: AllergyCategory.ENVIRONMENTAL,
+        reaction: 'Hives',
+        verificationStatus: VerificationStatus.CONFIRMED,
+      })
+    );
+    const { allergy: removed } =
+      await patientService.removePatientAllergy('p1', 'a1');
+
+    expect(confirmed.id).to.equal('a2');
+    expect(removed.substance).to.equal('Peanuts');
+    expect((await patientService.getMedicalRecord('p1')).allergies).to.deep.equal([confirmed]);
+    await expectRejection(
+      patientService.removePatientAllergy('p1', 'a1'),
+      'Allergy not found'
+    );
+  });
+
+  it('should save allergy changes against the expected version', async () => {
+    const patient = createPatient('p1');
+    patient.addAllergy(new Allergy('Peanuts', { id: 'a1' }));
+    patient.addAllergy(new Allergy('Latex', { id: 'a2' }));
+    patientRepository.findById.resolves(patient);
+
+    const updated = await patientService.updatePatientAllergy(
+      'p1',
+      'a2',
+      new Allergy('Latex'),
+      3
+    );
+    await patientService.removePatientAllergy('p1', 'a1', 4);
+
+    expect(updated.patient).to.equal(patient);
+    expect(patientRepository.update.firstCall.args).to.deep.equal(['p1', patient, 3]);
+    expect(patientRepository.update.secondCall.args).to.deep.equal(['p1', patient, 4]);
+  });
+
+  it('should record that a patient has no known allergies', async () => {
+    const patient = createPatient('p1');
+    patient.addAllergy(new Allergy('Latex', {
+      id: 'a1',
+      verificationStatus: VerificationStatus.REFUTED,
+    }));
+    patientRepository.findById.resolves(patient);
+
+    await patientService.recordNoKnownAllergies('p1');
+
+    expect((await patientService.getMedicalRecord('p1')).noKnownAllergies).to.be
+      .true;
+    await patientService.addPatientAllergy('p1', new Allergy('Peanuts'));
+    expect(patient.noKnownAllergies).to.be.false;
+    await expectRejection(
+      patientService.recordNoKnownAllergies('p1'),
+      'Patient has recorded allergies'
+    );
+  });
+
+  it('should give a new record entry an id and save it', async () => {
+    const patient = createPatient('p1');
+    patientRepository.findById.resolves(patient);
+    patientRepository.nextId.returns('d1');
+    appointmentRepository.findById.resolves({ patient: { id: 'p1' } });
+
+    await patientService.addPatientDiagnosis(
+      'p1',
+      new Diagnosis('Hypertension', {
+        code: 'I10',
+        authorId: '101',
+        appointmentId: '201',
+      })
+    );
+
+    expect(patient.medicalRecord.diagnosis[0].id).to.equal('d1');
+    expect(patientRepository.update.calledOnceWith('p1', patient)).to.be.true;
+  });
+
+  it('should reject entries by unknown authors or for other appointments', async () => {
+    patientRepository.findById.resolves(createPatient('p1'));
+    appointmentRepository.findById.resolves({ patient: { id: 'p2' } });
+
+    await expectRejection(
+      patientService.addPatientDiagnosis(
+        'p1',
+        new Diagnosis('Hypertension', { authorId: '999' })
+      ),
+      'Record entry author not found'
+    );
+    await expectRejection(
+      patientService.addPatientDiagnosis(
+        'p1',
+        new Diagnosis('Hypertension', {
+          authorId: '101',
+          appointmentId: '201',
+        })
+      ),
+      'Appointment not found for this patient'
+    );
+    expect(patientRepository.update.called).to.be.false;
+  });
+
+  it('should amend an entry with one built like it', async () => {
+    const patient = createPatient('p1');
+    patient.medicalRecord.addDiagnosis(new Diagnosis('Diabetes', {
+      id: 'd1',
+      authorId: '101',
+    }));
+    patientRepository.findById.resolves(patient);
+    patientRepository.nextId.returns('d2');
+
+    const correction = await patientService.amendRecordEntry('p1', 'd1', {
+      code: 'e11.9',
+      authorId: '101',
+      reason: 'More specific',
+    });
+
+    expect(correction).to.be.instanceOf(Diagnosis);
+    expect(correction).to.include({
+      id: 'd2',
+      amends: 'd1',
+      code: 'E11.9',
+      description: 'Type 2 diabetes mellitus without complications',
+    });
+    const [amended] = patient.medicalRecord.diagnosis;
+    expect(amended.status).to.equal(EntryStatus.AMENDED);
+    expect(amended.statusChange.reason).to.equal('More specific');
+  });
+
+  it('should only record diagnoses with a code from the catalog', async () => {
+    patientRepository.findById.resolves(createPatient('p1'));
+
+    await expectRejection(
+      patientService.addPatientDiagnosis(
+        'p1',
+        Diagnosis.create({
+          code: 'X99.9',
+          authorId: '101',
+        })
+      ),
+      'Unknown ICD-10 code: X99.9'
+    );
+    expect(patientRepository.update.called).to.be.false;
+  });
+
+  it('should resolve a diagnosis by amending it', async () => {
+    const patient = createPatient('p1');
+    patient.medicalRecord.addDiagnosis(Diagnosis.create({
+      code: 'J20.9',
+      rank: DiagnosisRank.PRIMARY,
+      authorId: '101',
+      appointmentId: '201',
+    }));
+    patient.medicalRecord.diagnosis[0].id = 'd1';
+    patientRepository.findById.resolves(patient);
+    patientRepository.nextId.returns('d2');
+    appointmentRepository.findById.resolves({ patient: { id: 'p1' } });
+
+    const resolved = await patientService.classifyDiagnosis('p1', 'd1', {
+      clinicalStatus: ClinicalStatus.RESOLVED,
+      authorId: '101',
+    });
+
+    expect(resolved).to.include({
+      code: 'J20.9',
+      rank: DiagnosisRank.PRIMARY,
+      clinicalStatus: ClinicalStatus.RESOLVED,
+      appointmentId: '201',
+      amends: 'd1',
+    });
+    const [amended] = patient.medicalRecord.diagnosis;
+    expect(amended.status).to.equal(EntryStatus.AMENDED);
+  });
+
+  describe('prescriptions', () => {
+    let clock;
+
+    const request = (details = {}) => ({
+      drug: 'Amoxicillin',
+      strength: '500 mg',
+      form: 'capsule',
+      route: MedicationRoute.ORAL,
+      frequency: 'every 8 hours',
+      durationDays: 7,
+      authorId: '101',
+      ...details,
+    });
+    const prescribe = (details) => Prescription.create(request(details));
+
+    beforeEach(() => {
+      // 02:00 UTC is still the previous day in São Paulo
+      clock = sinon.useFakeTimers(new Date('2024-07-10T02:00:00Z'));
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should start a prescription on the day it is written for the patient', async () => {
+      const patient = createPatient('p1');
+      patient.timeZone = 'America/Sao_Paulo';
+      patientRepository.findById.resolves(patient);
+
+      await patientService.addPatientPrescription('p1', prescribe());
+
+      expect(patient.medicalRecord.prescriptions[0].startDate).to.equal('2024-07-09');
+    });
+
+    it('should list prescriptions neither discontinued nor expired', async () => {
+      const patient = createPatient('p1');
+      patientRepository.findById.resolves(patient);
+      patientRepository.nextId.onFirstCall().returns('m1');
+      patientRepository.nextId.onSecondCall().returns('m2');
+      patientRepository.nextId.onThirdCall().returns('m3');
+      await patientService.addPatientPrescription(
+        'p1',
+        prescribe({ startDate: '2024-07-01' })
+      );
+      await patientService.addPatientPrescription(
+        'p1',
+        prescribe({
+          drug: 'Ibuprofen',
+          durationDays: undefined,
+        })
+      );
+
+      await patientService.discontinuePrescription('p1', 'm2', {
+        reason: 'Stomach pain',
+        authorId: '101',
+      });
+
+      expect(await patientService.getActivePrescriptions('p1', '2024-07-07')).to.deep.equal([patient.medicalRecord.prescriptions[0]]);
+      expect(await patientService.getActivePrescriptions('p1')).to.be.empty;
+      await expectRejection(
+        patientService.getActivePrescriptions('p1', 'tomorrow'),
+        'Invalid date: tomorrow'
+      );
+    });
+
+    it('should only discontinue prescriptions', async () => {
+      const patient = createPatient('p1');
+      patient.medicalRecord.addDiagnosis(new Diagnosis('Hypertension', {
+        id: 'd1',
+        authorId: '101',
+      }));
+      patientRepository.findById.resolves(patient);
+
+      await expectRejection(
+        patientService.discontinuePrescription('p1', 'd1', {
+          reason: 'Resolved',
+          authorId: '101',
+        }),
+        'Record entry is not a prescription'
+      );
+    });
+
+    it('should refuse a drug the patient is allergic to', async () => {
+      const patient = createPatient('p1');
+      patient.addAllergy(new Allergy('Penicillin'));
+      patientRepository.findById.resolves(patient);
+
+      const error = await patientService
+        .addPatientPrescription('p1', prescribe())
+        .catch((thrown) => thrown);
+
+      expect(error).to.be.instanceOf(PrescribingConflictError);
+      expect(error.alerts[0]).to.include({
+        kind: 'allergy',
+        allergy: 'Penicillin',
+      });
+      expect(patient.medicalRecord.prescriptions).to.be.empty;
+      expect(patientRepository.update.called).to.be.false;
+    });
+
+    it('should not alert on allergies that were refuted', async () => {
+      const patient = createPatient('p1');
+      patient.addAllergy(new Allergy('Penicillin', { verificationStatus: VerificationStatus.REFUTED }));
+      patientRepository.findById.resolves(patient);
+
+      await patientService.addPatientPrescription('p1', prescribe());
+
+      expect(patient.medicalRecord.prescriptions[0].safetyAlerts).to.be.empty;
+    });
+
+    it('should record why a conflict was overridden', async () => {
+      const patient = createPatient('p1');
+      patient.addAllergy(new Allergy('Penicillin'));
+      patientRepository.findById.resolves(patient);
+
+      await patientService.addPatientPrescription(
+        'p1',
+        prescribe({ overrideReason: 'Desensitized in hospital' })
+      );
+
+      const [prescription] = patient.medicalRecord.prescriptions;
+      expect(prescription.overrideReason).to.equal('Desensitized in hospital');
+      expect(prescription.safetyAlerts[0].severity).to.equal('severe');
+      expect(patientRepository.update.calledOnce).to.be.true;
+    });
+
+    it('should check interactions with the drugs still being taken', async () => {
+      const patient = createPatient('p1');
+      patientRepository.findById.resolves(patient);
+      patientRepository.nextId.onFirstCall().returns('m1');
+      patientRepository.nextId.onSecondCall().returns('m2');
+      patientRepository.nextId.onThirdCall().returns('m3');
+      await patientService.addPatientPrescription(
+        'p1',
+        prescribe({
+          drug: 'Ibuprofen',
+          startDate: '2024-06-01',
+        })
+      );
+      await patientService.addPatientPrescription(
+        'p1',
+        prescribe({
+          drug: 'Warfarin',
+          durationDays: undefined,
+        })
+      );
+
+      await expectRejection(
+        patientService.addPatientPrescription(
+          'p1',
+          prescribe({ drug: 'Naproxen' })
+        ),
+        'Prescribing Naproxen conflicts with Warfarin (Increased risk of bleeding)'
+      );
+      const correction = await patientService.amendRecordEntry(
+        'p1',
+        'm2',
+        request({
+          drug: 'Warfarin',
+          strength: '2.5 mg',
+          durationDays: null,
+        })
+      );
+      expect(correction.safetyAlerts).to.be.empty;
+    });
   });
 });
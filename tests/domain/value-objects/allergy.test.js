@@ -1,20 +1,66 @@
 // Unit tests for Allergy value object
 import { expect } from 'chai';
-import { Allergy } from '../../../src/domain/entities/record/allergy.js';
+import { Allergy, AllergyCategory, AllergySeverity, VerificationStatus } from '../../../src/domain/entities/record/allergy.js';
 
 describe('Allergy Value Object', () => {
   it('should create an Allergy instance with valid data', () => {
     const allergy = new Allergy('Peanuts');
 
-    expect(allergy.type).to.equal('Peanuts');
+    expect(allergy.substance).to.equal('Peanuts');
+    expect(allergy.category).to.be.null;
+    expect(allergy.verificationStatus).to.equal(VerificationStatus.UNCONFIRMED);
   });
 
-  it('should check equality between allergies', () => {
+  it('should check equality between allergies by substance', () => {
     const allergy1 = new Allergy('Peanuts');
-    const allergy2 = new Allergy('Peanuts');
+    const allergy2 = new Allergy('peanuts', { severity: AllergySeverity.MILD });
     const allergy3 = new Allergy('Shellfish');
 
     expect(allergy1.equals(allergy2)).to.be.true;
     expect(allergy1.equals(allergy3)).to.be.false;
   });
+
+  it('should build an Allergy from request data', () => {
+    const allergy = Allergy.create({
+      substance: ' Penicillin ',
+      category: AllergyCategory.DRUG,
+      reaction: 'Anaphylaxis',
+      severity: AllergySeverity.SEVERE,
+      onsetDate: '2015-03-02',
+      verificationStatus: VerificationStatus.CONFIRMED,
+    });
+
+    expect(allergy).to.include({
+      substance: 'Penicillin',
+      category: 'drug',
+      reaction: 'Anaphylaxis',
+      severity: 'severe',
+      onsetDate: '2015-03-02',
+      verificationStatus: 'confirmed',
+    });
+    expect(allergy.isRefuted()).to.be.false;
+  });
+
+  it('should reject incomplete or unknown allergy data', () => {
+    expect(() => Allergy.create({ category: 'food' })).to.throw('Allergy substance is required');
+    expect(() => Allergy.create({ substance: 'Peanuts' })).to.throw('Unknown allergy category: undefined');
+    expect(() =>
+      Allergy.create({
+        substance: 'Peanuts',
+        category: 'food',
+        severity: 'bad',
+      })).to.throw('Unknown allergy severity: bad');
+    expect(() =>
+      Allergy.create({
+        substance: 'Peanuts',
+        category: 'food',
+        verificationStatus: 'maybe',
+      })).to.throw('Unknown allergy verification status: maybe');
+    expect(() =>
+      Allergy.create({
+        substance: 'Peanuts',
+        category: 'food',
+        onsetDate: 'childhood',
+      })).to.throw('Invalid allergy onset date: childhood');
+  });
 });
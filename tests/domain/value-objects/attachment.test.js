@@ -0,0 +1,36 @@
+import { expect } from 'chai';
+import { Attachment, checkContentType, matchesContentType } from '../../../src/domain/value-objects/attachment.js';
+
+describe('Attachment', () => {
+  const dicom = () => {
+    const head = Buffer.alloc(132);
+    head.write('DICM', 128, 'latin1');
+    return head;
+  };
+
+  it('should accept the supported types, whatever their case', () => {
+    expect(checkContentType('application/pdf')).to.equal('application/pdf');
+    expect(checkContentType('IMAGE/PNG; charset=binary')).to.equal('image/png');
+    expect(() => checkContentType('text/html')).to.throw('Unsupported attachment type: text/html');
+    expect(() => checkContentType(undefined)).to.throw('Unsupported attachment type');
+  });
+
+  it('should check the content against the declared type', () => {
+    expect(matchesContentType('application/pdf', Buffer.from('%PDF-1.7'))).to.be
+      .true;
+    expect(matchesContentType('image/jpeg', Buffer.from([0xff, 0xd8, 0xff]))).to
+      .be.true;
+    expect(matchesContentType('application/dicom', dicom())).to.be.true;
+    expect(matchesContentType('application/pdf', Buffer.from('MZ\x90'))).to.be
+      .false;
+    expect(matchesContentType('image/png', Buffer.from('%PDF-1.7'))).to.be
+      .false;
+    expect(matchesContentType('text/plain', Buffer.from('hello'))).to.be.false;
+  });
+
+  it('should keep only the name of an uploaded file', () => {
+    expect(Attachment.fileNameOf('C:\\scans\\ecg.pdf')).to.equal('ecg.pdf');
+    expect(Attachment.fileNameOf('reports/ct.png')).to.equal('ct.png');
+    expect(() => Attachment.fileNameOf('  ')).to.throw('Attachment file name is required');
+  });
+});
@@ -1,6 +1,6 @@
 // Unit tests for Diagnosis value object
 import { expect } from 'chai';
-import { Diagnosis } from '../../../../src/domain/entities/record/diagnosis.js';
+import { ClinicalStatus, Diagnosis, DiagnosisRank } from '../../../../src/domain/entities/record/diagnosis.js';
 
 describe('Diagnosis Value Object', () => {
   it('should create a Diagnosis instance with valid data', () => {
@@ -8,4 +8,60 @@ describe('Diagnosis Value Object', () => {
 
     expect(diagnosis.description).to.equal('Hypertension');
   });
+
+  it('should build a coded diagnosis from request data', () => {
+    const diagnosis = Diagnosis.create({
+      code: ' i10 ',
+      rank: DiagnosisRank.PRIMARY,
+      authorId: '101',
+    });
+
+    expect(diagnosis.code).to.equal('I10');
+    expect(diagnosis.description).to.be.null;
+    expect(diagnosis.isPrimary()).to.be.true;
+    expect(diagnosis.isResolved()).to.be.false;
+  });
+
+  it('should reject a diagnosis without a code or with an unknown status', () => {
+    expect(() =>
+      Diagnosis.create({
+        description: 'Hypertension',
+        authorId: '101',
+      })).to.throw('Diagnosis code is required');
+    expect(() =>
+      Diagnosis.create({
+        code: 'I10',
+        rank: 'main',
+        authorId: '101',
+      })).to.throw('Unknown diagnosis rank: main');
+    expect(() =>
+      Diagnosis.create({
+        code: 'I10',
+        clinicalStatus: 'gone',
+        authorId: '101',
+      })).to.throw('Unknown clinical status: gone');
+  });
+
+  it('should copy itself with another clinical status', () => {
+    const diagnosis = Diagnosis.create({
+      code: 'I10',
+      description: 'Hypertension',
+      authorId: '101',
+    });
+
+    const resolved = diagnosis.reclassified(
+      { clinicalStatus: ClinicalStatus.RESOLVED },
+      { authorId: '102' }
+    );
+
+    expect(resolved).to.not.equal(diagnosis);
+    expect(resolved).to.include({
+      code: 'I10',
+      description: 'Hypertension',
+      rank: DiagnosisRank.SECONDARY,
+      clinicalStatus: ClinicalStatus.RESOLVED,
+      authorId: '102',
+    });
+    expect(diagnosis.isResolved()).to.be.false;
+  });
 });
@@ -1,38 +1,111 @@
 // Unit tests for MedicalRecord value object
 import { expect } from 'chai';
-import { Medication } from '../../../../src/domain/entities/medication.js';
 import { Diagnosis } from '../../../../src/domain/entities/record/diagnosis.js';
 import { MedicalRecord } from '../../../../src/domain/entities/record/medicalRecord.js';
+import { Prescription } from '../../../../src/domain/entities/record/prescription.js';
+import { EntryStatus } from '../../../../src/domain/entities/record/recordEntry.js';
 import { Treatment } from '../../../../src/domain/entities/record/treatment.js';
 
 describe('MedicalRecord Value Object', () => {
   let record;
 
+  const byDoctor = (id = null) => ({
+    id,
+    authorId: '101',
+    appointmentId: '201',
+  });
+
   beforeEach(() => {
     record = new MedicalRecord();
   });
 
   it('should create a MedicalRecord instance with empty arrays', () => {
     expect(record.diagnosis).to.be.an('array').that.is.empty;
-    expect(record.medications).to.be.an('array').that.is.empty;
+    expect(record.prescriptions).to.be.an('array').that.is.empty;
     expect(record.treatments).to.be.an('array').that.is.empty;
   });
 
   it('should add a valid diagnosis', () => {
-    const diagnosis = new Diagnosis('Diabetes');
+    const diagnosis = new Diagnosis('Diabetes', byDoctor());
     record.addDiagnosis(diagnosis);
     expect(record.diagnosis).to.include(diagnosis);
   });
 
-  it('should add a valid medication', () => {
-    const medication = new Medication('Aspirin', '100mg Daily');
-    record.addMedication(medication);
-    expect(record.medications).to.include(medication);
+  it('should add a valid prescription', () => {
+    const prescription = new Prescription('Aspirin', byDoctor());
+    record.addPrescription(prescription);
+    expect(record.prescriptions).to.include(prescription);
+  });
+
+  it('should list only prescriptions the patient is still taking', () => {
+    const prescribe = (id, details) => {
+      record.addPrescription(new Prescription('Aspirin', {
+        ...byDoctor(id),
+        startDate: '2024-07-01',
+        ...details,
+      }));
+    };
+    prescribe('ongoing');
+    prescribe('expired', { endDate: '2024-07-09' });
+    prescribe('course', { durationDays: 10 });
+    prescribe('in-error');
+    record.markEnteredInError('in-error', '101', 'Wrong patient');
+    prescribe('discontinued');
+    record.amendEntry(
+      'discontinued',
+      record.prescriptions[4].discontinued('Bleeding', byDoctor('stopped'))
+    );
+
+    expect(record.activePrescriptions('2024-07-10').map(({ id }) => id)).to.deep.equal(['ongoing', 'course']);
   });
 
   it('should add a valid treatment', () => {
-    const treatment = new Treatment('Physical Therapy');
+    const treatment = new Treatment('Physical Therapy', byDoctor());
     record.addTreatment(treatment);
     expect(record.treatments).to.include(treatment);
   });
+
+  it('should only accept entries with an author', () => {
+    expect(() => record.addDiagnosis(new Diagnosis('Diabetes'))).to.throw('Record entry author is required');
+  });
+
+  it('should keep an amended entry next to its correction', () => {
+    const original = new Diagnosis('Diabetes', byDoctor('d1'));
+    record.addDiagnosis(original);
+    const correction = new Diagnosis('Type 2 diabetes', {
+      id: 'd2',
+      authorId: '102',
+    });
+
+    record.amendEntry('d1', correction, 'More specific');
+
+    expect(record.diagnosis).to.deep.equal([original, correction]);
+    expect(original.description).to.equal('Diabetes');
+    expect(original.status).to.equal(EntryStatus.AMENDED);
+    expect(original.statusChange).to.include({
+      authorId: '102',
+      reason: 'More specific',
+    });
+    expect(correction.amends).to.equal('d1');
+    expect(correction.isActive()).to.be.true;
+  });
+
+  it('should only amend an entry with one of the same kind', () => {
+    record.addDiagnosis(new Diagnosis('Diabetes', byDoctor('d1')));
+
+    expect(() =>
+      record.amendEntry('d1', new Treatment('Insulin', byDoctor('t1')))).to.throw('An amendment must be of the same kind as the entry');
+  });
+
+  it('should mark an entry as entered in error without removing it', () => {
+    const prescription = new Prescription('Aspirin', byDoctor('m1'));
+    record.addPrescription(prescription);
+
+    record.markEnteredInError('m1', '101', 'Wrong patient');
+
+    expect(record.prescriptions).to.deep.equal([prescription]);
+    expect(prescription.status).to.equal(EntryStatus.ENTERED_IN_ERROR);
+    expect(() => record.markEnteredInError('m1', '101')).to.throw('Record entry is already entered-in-error');
+    expect(() => record.markEnteredInError('x', '101')).to.throw('Record entry not found');
+  });
 });
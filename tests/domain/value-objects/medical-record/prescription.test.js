@@ -0,0 +1,140 @@
+// Unit tests for Prescription value object
+import { expect } from 'chai';
+import { AlertSeverity, MedicationRoute, PrescribingConflictError, Prescription } from '../../../../src/domain/entities/record/prescription.js';
+import { EntryStatus } from '../../../../src/domain/entities/record/recordEntry.js';
+
+describe('Prescription Value Object', () => {
+  const request = (overrides = {}) => ({
+    drug: 'Amoxicillin',
+    strength: '500 mg',
+    form: 'capsule',
+    route: MedicationRoute.ORAL,
+    frequency: 'every 8 hours',
+    durationDays: 7,
+    quantity: 21,
+    startDate: '2024-07-01',
+    authorId: 101,
+    appointmentId: '201',
+    ...overrides,
+  });
+
+  it('should build a prescription from request data', () => {
+    const prescription = Prescription.create(request());
+
+    expect(prescription).to.include({
+      drug: 'Amoxicillin',
+      strength: '500 mg',
+      form: 'capsule',
+      route: 'oral',
+      frequency: 'every 8 hours',
+      durationDays: 7,
+      quantity: 21,
+      refills: 0,
+      authorId: '101',
+      prescriberId: '101',
+      appointmentId: '201',
+      startDate: '2024-07-01',
+      endDate: null,
+      discontinuation: null,
+    });
+  });
+
+  it('should reject incomplete or inconsistent prescriptions', () => {
+    expect(() => Prescription.create(request({ drug: ' ' }))).to.throw('Prescription drug is required');
+    expect(() =>
+      Prescription.create(request({ strength: undefined }))).to.throw('Prescription strength is required');
+    expect(() => Prescription.create(request({ route: 'by mouth' }))).to.throw('Unknown medication route: by mouth');
+    expect(() => Prescription.create(request({ refills: -1 }))).to.throw('Prescription refills must be a whole number from 0');
+    expect(() =>
+      Prescription.create(request({ startDate: '01/07/2024' }))).to.throw('Invalid prescription start date: 01/07/2024');
+    expect(() =>
+      Prescription.create(request({ endDate: '2024-06-30' }))).to.throw('Prescription cannot end before it starts');
+    expect(() =>
+      Prescription.create(request({ authorId: undefined }))).to.throw('Record entry author is required');
+  });
+
+  it('should last for its duration unless it has an end date', () => {
+    const course = Prescription.create(request());
+    const longTerm = Prescription.create(request({
+      durationDays: undefined,
+      endDate: '2024-12-31',
+    }));
+    const ongoing = Prescription.create(request({ durationDays: undefined }));
+
+    expect(course.lastDay()).to.equal('2024-07-07');
+    expect(course.isActiveOn('2024-07-07')).to.be.true;
+    expect(course.isActiveOn('2024-07-08')).to.be.false;
+    expect(longTerm.lastDay()).to.equal('2024-12-31');
+    expect(ongoing.lastDay()).to.be.null;
+    expect(ongoing.isActiveOn('2030-01-01')).to.be.true;
+  });
+
+  it('should copy itself as discontinued, keeping the prescriber', () => {
+    const prescription = Prescription.create(request());
+
+    const stopped = prescription.discontinued(' Rash ', { authorId: '102' });
+
+    expect(stopped).to.not.equal(prescription);
+    expect(stopped).to.include({
+      drug: 'Amoxicillin',
+      authorId: '102',
+      prescriberId: '101',
+      appointmentId: '201',
+      status: EntryStatus.ACTIVE,
+    });
+    expect(stopped.discontinuation.reason).to.equal('Rash');
+    expect(stopped.discontinuation.discontinuedAt).to.be.instanceOf(Date);
+    expect(stopped.isActiveOn('2024-07-02')).to.be.false;
+    expect(prescription.isDiscontinued()).to.be.false;
+    expect(() => prescription.discontinued('', { authorId: '102' })).to.throw('Discontinue reason is required');
+    expect(() => stopped.discontinued('Again', { authorId: '102' })).to.throw('Prescription is already discontinued');
+  });
+
+  describe('safety alerts', () => {
+    const allergy = {
+      kind: 'allergy',
+      severity: AlertSeverity.SEVERE,
+      allergy: 'Penicillin',
+      drugClass: 'penicillins',
+      note: null,
+    };
+    const interaction = {
+      kind: 'interaction',
+      severity: AlertSeverity.MODERATE,
+      drug: 'Warfarin',
+      effect: 'Stronger anticoagulant effect',
+    };
+
+    it('should block severe alerts without an override reason', () => {
+      const prescription = Prescription.create(request());
+
+      let error;
+      try {
+        prescription.recordSafetyAlerts([allergy, interaction]);
+      } catch (thrown) {
+        error = thrown;
+      }
+
+      expect(error).to.be.instanceOf(PrescribingConflictError);
+      expect(error.message).to.equal('Prescribing Amoxicillin conflicts with an allergy to Penicillin');
+      expect(error.alerts).to.deep.equal([allergy]);
+      expect(prescription.safetyAlerts).to.be.empty;
+    });
+
+    it('should keep moderate alerts and overridden severe ones', () => {
+      const moderate = Prescription.create(request());
+      const overridden = Prescription.create(request({ overrideReason: ' Tolerated a full course in 2022 ' }));
+
+      moderate.recordSafetyAlerts([interaction]);
+      overridden.recordSafetyAlerts([allergy, interaction]);
+
+      expect(moderate.safetyAlerts).to.deep.equal([interaction]);
+      expect(overridden.safetyAlerts).to.deep.equal([allergy, interaction]);
+      expect(overridden.overrideReason).to.equal('Tolerated a full course in 2022');
+      expect(overridden.discontinued('Rash', { authorId: '101' })).to.deep.include({
+        safetyAlerts: [allergy, interaction],
+        overrideReason: 'Tolerated a full course in 2022',
+      });
+    });
+  });
+});
@@ -0,0 +1,93 @@
+// Unit tests for Observation value object
+import { expect } from 'chai';
+import { Interpretation, Observation } from '../../../src/domain/value-objects/observation.js';
+
+describe('Observation Value Object', () => {
+  const range = {
+    low: 3.5,
+    high: 5.1,
+    criticalLow: 2.8,
+    criticalHigh: 6.2,
+  };
+
+  const flag = (value) =>
+    Observation.create({
+      analyte: 'K',
+      value,
+      referenceRange: range,
+    }).interpreted().interpretation;
+
+  it('should flag a value against its range, critical limits first', () => {
+    expect(flag(4.2)).to.equal(Interpretation.NORMAL);
+    expect(flag(3.1)).to.equal(Interpretation.LOW);
+    expect(flag(5.5)).to.equal(Interpretation.HIGH);
+    expect(flag(2.5)).to.equal(Interpretation.CRITICAL_LOW);
+    expect(flag(7)).to.equal(Interpretation.CRITICAL_HIGH);
+  });
+
+  it('should complete an observation from a reference', () => {
+    const observation = Observation.create({
+      analyte: 'k',
+      value: 6.5,
+    });
+
+    const interpreted = observation.interpreted({
+      code: 'K',
+      name: 'Potassium',
+      unit: 'mmol/L',
+      referenceRange: range,
+    });
+
+    expect(interpreted).to.include({
+      analyte: 'K',
+      name: 'Potassium',
+      unit: 'mmol/L',
+      interpretation: 'HH',
+    });
+    expect(interpreted.isAbnormal()).to.be.true;
+    expect(interpreted.isCritical()).to.be.true;
+  });
+
+  it('should keep the flag given to a text value', () => {
+    const observation = Observation.create({
+      analyte: 'HIV antibodies',
+      value: 'Reactive',
+      interpretation: Interpretation.CRITICAL_HIGH,
+    }).interpreted();
+
+    expect(observation.interpretation).to.equal('HH');
+    expect(Observation.create({
+      analyte: 'Culture',
+      value: 'Negative',
+    }).interpreted().interpretation).to.be.null;
+  });
+
+  it('should reject incomplete or invalid observations', () => {
+    expect(() => Observation.create({ value: 1 })).to.throw('Observation analyte is required');
+    expect(() => Observation.create({
+      analyte: 'K',
+      value: ' ',
+    })).to.throw('Observation value of K is required');
+    expect(() =>
+      Observation.create({
+        analyte: 'K',
+        value: 4,
+        interpretation: 'X',
+      })).to.throw('Unknown interpretation: X');
+    expect(() =>
+      Observation.create({
+        analyte: 'K',
+        value: 4,
+        referenceRange: {
+          low: 5,
+          high: 3,
+        },
+      })).to.throw('Invalid reference range');
+    expect(() =>
+      Observation.create({
+        analyte: 'K',
+        value: 4,
+        referenceRange: {},
+      })).to.throw('Invalid reference range');
+  });
+});
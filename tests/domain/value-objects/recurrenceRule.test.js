@@ -0,0 +1,88 @@
+// Unit tests for RecurrenceRule value object
+import { expect } from 'chai';
+import { RecurrenceRule } from '../../../src/domain/value-objects/recurrenceRule.js';
+import { TimeZone } from '../../../src/domain/value-objects/timeZone.js';
+
+describe('RecurrenceRule Value Object', () => {
+  const toISO = (dates) => dates.map((date) => date.toISOString());
+
+  it('should repeat weekly on the start weekday by default', () => {
+    const rule = new RecurrenceRule({
+      frequency: 'weekly',
+      count: 3,
+    });
+
+    expect(toISO(rule.occurrences(new Date('2024-07-01T09:00:00Z')))).to.deep.equal([
+      '2024-07-01T09:00:00.000Z', '2024-07-08T09:00:00.000Z', '2024-07-15T09:00:00.000Z',
+    ]);
+  });
+
+  it('should repeat on several weekdays every other week', () => {
+    const rule = new RecurrenceRule({
+      frequency: 'weekly',
+      interval: 2,
+      byWeekday: ['thursday', 'Monday'],
+      until: '2024-07-18',
+    });
+
+    // Starts on a Wednesday, so that week only keeps the Thursday
+    expect(toISO(rule.occurrences(new Date('2024-07-03T09:00:00Z')))).to.deep.equal([
+      '2024-07-04T09:00:00.000Z', '2024-07-15T09:00:00.000Z', '2024-07-18T09:00:00.000Z',
+    ]);
+  });
+
+  it('should skip months without the start day', () => {
+    const rule = new RecurrenceRule({
+      frequency: 'monthly',
+      count: 3,
+    });
+
+    expect(toISO(rule.occurrences(new Date('2024-01-31T09:00:00Z')))).to.deep.equal([
+      '2024-01-31T09:00:00.000Z', '2024-03-31T09:00:00.000Z', '2024-05-31T09:00:00.000Z',
+    ]);
+  });
+
+  it('should keep the wall-clock time across a DST change', () => {
+    const rule = new RecurrenceRule({
+      frequency: 'daily',
+      interval: 7,
+      count: 2,
+    });
+    const newYork = new TimeZone('America/New_York');
+
+    expect(toISO(rule.occurrences(newYork.parse('2024-03-04T09:00'), newYork))).to.deep.equal(['2024-03-04T14:00:00.000Z', '2024-03-11T13:00:00.000Z']);
+  });
+
+  it('should require a count or an until date', () => {
+    expect(() => new RecurrenceRule({ frequency: 'weekly' })).to.throw('Recurrence needs a count or an until date');
+  });
+
+  it('should reject invalid rules', () => {
+    expect(() =>
+      new RecurrenceRule({
+        frequency: 'hourly',
+        count: 2,
+      })).to.throw('Invalid recurrence frequency: hourly');
+    expect(() =>
+      new RecurrenceRule({
+        frequency: 'weekly',
+        interval: 0,
+        count: 2,
+      })).to.throw('Recurrence interval must be a positive integer');
+    expect(() =>
+      new RecurrenceRule({
+        frequency: 'daily',
+        count: 2,
+        byWeekday: ['Monday'],
+      })).to.throw('Weekdays can only be set on a weekly recurrence');
+  });
+
+  it('should refuse an until date that yields too many occurrences', () => {
+    const rule = new RecurrenceRule({
+      frequency: 'daily',
+      until: '2025-07-01',
+    });
+
+    expect(() => rule.occurrences(new Date('2024-07-01T09:00:00Z'))).to.throw('Recurrence cannot produce more than 52 occurrences');
+  });
+});
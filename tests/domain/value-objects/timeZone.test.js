@@ -0,0 +1,51 @@
+// Unit tests for TimeZone value object
+import { expect } from 'chai';
+import { TimeZone } from '../../../src/domain/value-objects/timeZone.js';
+
+describe('TimeZone Value Object', () => {
+  const saoPaulo = new TimeZone('America/Sao_Paulo');
+  const newYork = new TimeZone('America/New_York');
+
+  it('should default to UTC', () => {
+    expect(new TimeZone().name).to.equal('UTC');
+  });
+
+  it('should reject unknown zones', () => {
+    expect(() => new TimeZone('Mars/Olympus_Mons')).to.throw('Invalid time zone: Mars/Olympus_Mons');
+  });
+
+  it('should read the wall clock of an instant', () => {
+    const parts = saoPaulo.getParts(new Date('2024-07-02T01:30:00Z'));
+
+    expect(parts).to.include({
+      year: 2024,
+      month: 7,
+      day: 1,
+      hour: 22,
+      minute: 30,
+      weekday: 'Monday',
+    });
+  });
+
+  it('should parse dates without an offset as wall-clock time', () => {
+    expect(saoPaulo.parse('2024-07-01T09:00').toISOString()).to.equal('2024-07-01T12:00:00.000Z');
+    expect(saoPaulo.parse('2024-07-01').toISOString()).to.equal('2024-07-01T03:00:00.000Z');
+  });
+
+  it('should keep explicit offsets when parsing', () => {
+    expect(saoPaulo.parse('2024-07-01T09:00:00Z').toISOString()).to.equal('2024-07-01T09:00:00.000Z');
+    expect(() => saoPaulo.parse('soon')).to.throw('Invalid date');
+  });
+
+  it('should resolve wall-clock times on both sides of a DST change', () => {
+    expect(newYork.toInstant(2024, 3, 9, 9 * 60).toISOString()).to.equal('2024-03-09T14:00:00.000Z');
+    expect(newYork.toInstant(2024, 3, 11, 9 * 60).toISOString()).to.equal('2024-03-11T13:00:00.000Z');
+  });
+
+  it('should format an instant with its local offset', () => {
+    const date = new Date('2024-07-01T12:00:00Z');
+
+    expect(saoPaulo.formatISO(date)).to.equal('2024-07-01T09:00:00-03:00');
+    expect(new TimeZone().formatISO(date)).to.equal('2024-07-01T12:00:00+00:00');
+  });
+});
@@ -0,0 +1,227 @@
+// Unit tests for WorkingHours value object
+import { expect } from 'chai';
+import { TimeZone } from '../../../src/domain/value-objects/timeZone.js';
+import { WorkingHours } from '../../../src/domain/value-objects/workingHours.js';
+
+describe('WorkingHours Value Object', () => {
+  it('should accept 24h and 12h input as the same range', () => {
+    const twentyFour = new WorkingHours([
+      {
+        day: 'Monday',
+        start: '09:00',
+        end: '17:00',
+      },
+    ]);
+    const twelve = new WorkingHours([
+      {
+        day: 'monday',
+        start: '09:00 AM',
+        end: '05:00 PM',
+      },
+    ]);
+
+    expect(twentyFour.equals(twelve)).to.be.true;
+    expect(twentyFour.hours[0].startMinute).to.equal(540);
+    expect(twentyFour.hours[0].endMinute).to.equal(1020);
+  });
+
+  it('should accept the legacy timeSlot format', () => {
+    const workingHours = new WorkingHours([
+      {
+        day: 'Monday',
+        timeSlot: '06:00 AM - 10:00 PM',
+      },
+    ]);
+
+    expect(workingHours.toJSON()).to.deep.equal([
+      {
+        day: 'Monday',
+        start: '06:00',
+        end: '22:00',
+      },
+    ]);
+  });
+
+  it('should treat 12 AM as midnight at the start and end of the day', () => {
+    const early = new WorkingHours([
+      {
+        day: 'Monday',
+        start: '12:00 AM',
+        end: '06:00 AM',
+      },
+    ]);
+    const late = new WorkingHours([
+      {
+        day: 'Monday',
+        start: '06:00 PM',
+        end: '12:00 AM',
+      },
+    ]);
+
+    expect(early.hours[0].startMinute).to.equal(0);
+    expect(late.hours[0].endMinute).to.equal(24 * 60);
+  });
+
+  it('should reject inverted ranges', () => {
+    expect(() =>
+      new WorkingHours([
+        {
+          day: 'Monday',
+          start: '17:00',
+          end: '09:00',
+        },
+      ])).to.throw('Working hours start must be before end');
+  });
+
+  it('should reject overlapping ranges on the same day', () => {
+    const workingHours = new WorkingHours([
+      {
+        day: 'Monday',
+        start: '09:00',
+        end: '12:00',
+      },
+    ]);
+
+    expect(() =>
+      workingHours.add({
+        day: 'Monday',
+        start: '11:00',
+        end: '13:00',
+      })).to.throw('Working hours overlap on Monday');
+  });
+
+  it('should reject unknown weekdays and malformed times', () => {
+    expect(() =>
+      new WorkingHours().add({
+        day: 'Funday',
+        start: '09:00',
+        end: '10:00',
+      })).to.throw('Invalid weekday: Funday');
+    expect(() =>
+      new WorkingHours().add({
+        day: 'Monday',
+        start: '13:00 PM',
+        end: '14:00',
+      })).to.throw('Invalid time: 13:00 PM');
+  });
+
+  it('should be immutable', () => {
+    const workingHours = new WorkingHours();
+    const updated = workingHours.add({
+      day: 'Monday',
+      start: '09:00',
+      end: '10:00',
+    });
+
+    expect(workingHours.hours).to.be.empty;
+    expect(updated.hours).to.have.lengthOf(1);
+    expect(() => updated.hours.push({})).to.throw(TypeError);
+  });
+
+  it('should check whether a date falls inside a range', () => {
+    const workingHours = new WorkingHours([
+      {
+        day: 'Monday',
+        start: '09:00',
+        end: '17:00',
+      },
+    ]);
+
+    // 2024-07-01 is a Monday
+    expect(workingHours.contains(new Date('2024-07-01T09:00:00Z'))).to.be.true;
+    expect(workingHours.contains(new Date('2024-07-01T16:59:00Z'))).to.be.true;
+    expect(workingHours.contains(new Date('2024-07-01T17:00:00Z'))).to.be.false;
+    expect(workingHours.contains(new Date('2024-07-02T10:00:00Z'))).to.be.false;
+  });
+
+  it('should check that a whole period fits inside one range', () => {
+    const workingHours = new WorkingHours([
+      {
+        day: 'Monday',
+        start: '09:00',
+        end: '17:00',
+      },
+      {
+        day: 'Monday',
+        start: '20:00',
+        end: '24:00',
+      },
+    ]);
+    const covers = (start, end) =>
+      workingHours.covers(new Date(start), new Date(end));
+
+    expect(covers('2024-07-01T16:00:00Z', '2024-07-01T17:00:00Z')).to.be.true;
+    expect(covers('2024-07-01T16:45:00Z', '2024-07-01T17:45:00Z')).to.be.false;
+    expect(covers('2024-07-01T16:30:00Z', '2024-07-01T20:30:00Z')).to.be.false;
+    expect(covers('2024-07-01T23:30:00Z', '2024-07-02T00:00:00Z')).to.be.true;
+    expect(covers('2024-07-01T23:30:00Z', '2024-07-02T00:30:00Z')).to.be.false;
+  });
+
+  it('should check a date against the hours of a given time zone', () => {
+    const workingHours = new WorkingHours([
+      {
+        day: 'Monday',
+        start: '20:00',
+        end: '23:00',
+      },
+    ]);
+    const saoPaulo = new TimeZone('America/Sao_Paulo');
+
+    // Tuesday 00:30 UTC is still Monday 21:30 in São Paulo
+    const date = new Date('2024-07-02T00:30:00Z');
+    expect(workingHours.contains(date, saoPaulo)).to.be.true;
+    expect(workingHours.contains(date)).to.be.false;
+  });
+
+  it('should merge overlapping and adjacent ranges', () => {
+    const morning = new WorkingHours([
+      {
+        day: 'Monday',
+        start: '08:00',
+        end: '12:00',
+      },
+    ]);
+    const afternoon = new WorkingHours([
+      {
+        day: 'Monday',
+        start: '11:00',
+        end: '14:00',
+      },
+      {
+        day: 'Monday',
+        start: '14:00',
+        end: '18:00',
+      },
+      {
+        day: 'Tuesday',
+        start: '08:00',
+        end: '12:00',
+      },
+    ]);
+
+    expect(morning.merge(afternoon).toJSON()).to.deep.equal([
+      {
+        day: 'Monday',
+        start: '08:00',
+        end: '18:00',
+      },
+      {
+        day: 'Tuesday',
+        start: '08:00',
+        end: '12:00',
+      },
+    ]);
+  });
+
+  it('should remove a range', () => {
+    const range = {
+      day: 'Monday',
+      start: '09:00',
+      end: '10:00',
+    };
+    const workingHours = new WorkingHours([range]);
+
+    expect(workingHours.has(range)).to.be.true;
+    expect(workingHours.remove(range).hours).to.be.empty;
+  });
+});
@@ -0,0 +1,72 @@
+// Unit tests for AuditLog
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { DomainEvent, DomainEventType } from '../../../src/domain/events/domainEvent.js';
+import { AuditLog } from '../../../src/infrastructure/audit/auditLog.js';
+
+describe('AuditLog', () => {
+  const ordered = (aggregateId, payload = {}) =>
+    new DomainEvent(DomainEventType.EXAMINATION_ORDERED, aggregateId, payload);
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should reduce entities in the payload to their ids', () => {
+    const auditLog = new AuditLog();
+
+    const entry = auditLog.record(new DomainEvent(DomainEventType.EXAMINATION_PANEL_ORDERED, 'e1', {
+      panel: {
+        code: 'BMP',
+        name: 'Basic metabolic panel',
+      },
+      examinations: [{ id: 'e1' }, { id: 'e2' }],
+      reason: 'Checkup',
+    }));
+
+    expect(entry.references).to.deep.equal({
+      panel: {
+        code: 'BMP',
+        name: 'Basic metabolic panel',
+      },
+      examinations: ['e1', 'e2'],
+      reason: 'Checkup',
+    });
+  });
+
+  it('should drop the oldest entries once full', () => {
+    const auditLog = new AuditLog(undefined, 2);
+
+    ['e1', 'e2', 'e3'].forEach((id) => auditLog.record(ordered(id)));
+
+    expect(auditLog.findAll().map(({ aggregateId }) => aggregateId)).to.deep.equal(['e2', 'e3']);
+  });
+
+  it('should find entries by aggregate id given as a number', () => {
+    const auditLog = new AuditLog();
+    auditLog.record(ordered('1'));
+    auditLog.record(ordered('2'));
+
+    const found = auditLog.findByAggregateId(1);
+
+    expect(found).to.have.lengthOf(1);
+    expect(found[0].aggregateId).to.equal('1');
+  });
+
+  it('should write each entry to the logger it is given', () => {
+    const logger = { log: sinon.spy() };
+
+    new AuditLog(logger).record(ordered('e1'));
+
+    expect(logger.log.calledOnce).to.be.true;
+    expect(logger.log.firstCall.args[0]).to.include('ExaminationOrdered on e1');
+  });
+
+  it('should not write to the console by default', () => {
+    const log = sinon.stub(console, 'log');
+
+    new AuditLog().record(ordered('e1'));
+
+    expect(log.called).to.be.false;
+  });
+});
@@ -0,0 +1,71 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { DoctorAvailabilityService } from '../../../src/domain/services/doctor-service/doctorAvailabilityService.js';
+import { DoctorAvailabilityController } from '../../../src/interfaces/controllers/doctor-controllers/doctorAvailabilityController.js';
+
+describe('DoctorAvailabilityController', () => {
+  let controller;
+  let availabilityService;
+  let sandbox;
+  let res;
+
+  const search = (query) => controller.searchSlotsBySpecialty(
+    {
+      params: { specialty: 'Cardiology' },
+      query: {
+        from: '2024-07-01',
+        to: '2024-07-05',
+        ...query,
+      },
+    },
+    res
+  );
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    availabilityService = sandbox.createStubInstance(DoctorAvailabilityService);
+    availabilityService.findEarliestSlotsBySpecialty.resolves([]);
+    controller = new DoctorAvailabilityController(availabilityService);
+    res = {
+      status: sandbox.stub().returnsThis(),
+      json: sandbox.stub(),
+    };
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('should pass the limit on as a number', async () => {
+    await search({ limit: '3' });
+
+    const { args } = availabilityService.findEarliestSlotsBySpecialty.firstCall;
+    expect(args[4]).to.equal(3);
+    expect(res.status.calledWith(200)).to.be.true;
+  });
+
+  it('should leave the limit to the service when none is given', async () => {
+    await search({});
+
+    const { args } = availabilityService.findEarliestSlotsBySpecialty.firstCall;
+    expect(args[4]).to.be.undefined;
+  });
+
+  [
+    '0',
+    '-2',
+    '1.5',
+    'ten',
+    '',
+  ].forEach((limit) => {
+    it(`should reject a limit of '${limit}'`, async () => {
+      await search({ limit });
+
+      expect(availabilityService.findEarliestSlotsBySpecialty.called).to.be
+        .false;
+      expect(res.status.calledWith(400)).to.be.true;
+      const error = 'Limit must be a positive number of slots';
+      expect(res.json.calledWith({ error })).to.be.true;
+    });
+  });
+});
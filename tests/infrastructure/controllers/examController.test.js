@@ -0,0 +1,387 @@
+import { expect } from 'chai';
+import { PassThrough, Readable } from 'node:stream';
+import sinon from 'sinon';
+import { Examinations } from '../../../src/domain/entities/examinations.js';
+import { ConcurrencyError } from '../../../src/domain/repositories/repository.js';
+import { ExaminationAttachmentService } from '../../../src/domain/services/examinationAttachmentService.js';
+import { ExaminationService } from '../../../src/domain/services/examinationService.js';
+import { Attachment } from '../../../src/domain/value-objects/attachment.js';
+import { ExamController } from '../../../src/interfaces/controllers/examsController.js';
+
+describe('ExamController', () => {
+  let controller;
+  let examService;
+  let attachmentService;
+  let sandbox;
+  let res;
+
+  const request = (params, body = {}, headers = {}) => ({
+    params,
+    body,
+    query: {},
+    get: (name) => headers[name],
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    examService = sandbox.createStubInstance(ExaminationService);
+    attachmentService =
+      sandbox.createStubInstance(ExaminationAttachmentService);
+    attachmentService.maxBytes = 1024;
+    controller = new ExamController(examService, attachmentService);
+    res = {
+      status: sandbox.stub().returnsThis(),
+      json: sandbox.stub(),
+      set: sandbox.stub(),
+    };
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('should order an exam with 201 and its ETag', async () => {
+    const exam = new Examinations('e1', 'Blood Test');
+    exam.version = 1;
+    examService.orderExamination.resolves(exam);
+    const body = {
+      type: 'Blood Test',
+      patientId: 'p1',
+    };
+
+    await controller.orderExam(request({}, body), res);
+
+    expect(examService.orderExamination.calledWith(body)).to.be.true;
+    expect(res.status.calledWith(201)).to.be.true;
+    expect(res.set.calledWith('ETag', '"1"')).to.be.true;
+  });
+
+  it('should order a whole panel when given a panel code', async () => {
+    const exams = [new Examinations('e1', 'Total cholesterol')];
+    examService.orderPanel.resolves(exams);
+    const body = {
+      panelCode: 'LIPID',
+      patientId: 'p1',
+    };
+
+    await controller.orderExam(request({}, body), res);
+
+    expect(examService.orderPanel.calledWith(body)).to.be.true;
+    expect(examService.orderExamination.called).to.be.false;
+    expect(res.status.calledWith(201)).to.be.true;
+    expect(res.json.calledWith(exams)).to.be.true;
+  });
+
+  it('should list the exams at one step', async () => {
+    examService.listExaminations.resolves([]);
+
+    await controller.getAllExams({ query: { status: 'resulted' } }, res);
+
+    expect(examService.listExaminations.calledWith({ status: 'resulted' })).to
+      .be.true;
+    expect(res.status.calledWith(200)).to.be.true;
+  });
+
+  it('should record a result with the version from If-Match', async () => {
+    const exam = new Examinations('e1', 'Blood Test');
+    exam.version = 5;
+    examService.recordResult.resolves(exam);
+
+    await controller.recordResult(
+      request(
+        { id: 'e1' },
+        {
+          observations: [{
+            analyte: 'HGB',
+            value: 13.2,
+          }],
+          result: 'Normal',
+          changedBy: 'lab',
+        },
+        { 'If-Match': '"4"' }
+      ),
+      res
+    );
+
+    expect(examService.recordResult.calledWith(
+      'e1',
+      {
+        observations: [{
+          analyte: 'HGB',
+          value: 13.2,
+        }],
+        result: 'Normal',
+      },
+      'lab',
+      4
+    )).to.be.true;
+    expect(res.status.calledWith(200)).to.be.true;
+    expect(res.set.calledWith('ETag', '"5"')).to.be.true;
+  });
+
+  it('should list the values of one analyte for a patient', async () => {
+    const trend = [{
+      examinationId: 'e1',
+      analyte: 'HGB',
+      value: 13.2,
+    }];
+    examService.getObservationTrend.resolves(trend);
+
+    await controller.getObservationTrend(
+      request({
+        patientId: 'p1',
+        analyte: 'HGB',
+      }),
+      res
+    );
+
+    expect(examService.getObservationTrend.calledWith('p1', 'HGB')).to.be.true;
+    expect(res.json.calledWith(trend)).to.be.true;
+  });
+
+  it('should list the critical results waiting for acknowledgement', async () => {
+    const exams = [new Examinations('e1', 'Blood Test')];
+    examService.listUnacknowledgedCriticalResults.resolves(exams);
+
+    await controller.getUnacknowledgedCriticalResults(request({}), res);
+
+    expect(res.status.calledWith(200)).to.be.true;
+    expect(res.json.calledWith(exams)).to.be.true;
+  });
+
+  it('should acknowledge a critical result with the version from If-Match', async () => {
+    const exam = new Examinations('e1', 'Blood Test');
+    exam.version = 4;
+    examService.acknowledgeCriticalResult.resolves(exam);
+
+    await controller.acknowledgeCriticalResult(
+      request({ id: 'e1' }, { acknowledgedBy: '101' }, { 'If-Match': '"3"' }),
+      res
+    );
+
+    expect(examService.acknowledgeCriticalResult.calledWith('e1', '101', 3)).to
+      .be.true;
+    expect(res.set.calledWith('ETag', '"4"')).to.be.true;
+  });
+
+  it('should reject an illegal step with 400', async () => {
+    examService.review.rejects(new Error('Cannot change examination status from ordered to reviewed'));
+
+    await controller.reviewExam(
+      request({ id: 'e1' }, { doctorId: '101' }),
+      res
+    );
+
+    expect(res.status.calledWith(400)).to.be.true;
+  });
+
+  it('should return 412 when If-Match is stale', async () => {
+    examService.cancel.rejects(new ConcurrencyError('e1', 1, 2));
+
+    await controller.cancelExam(
+      request({ id: 'e1' }, { changedBy: 'reception' }, { 'If-Match': '"1"' }),
+      res
+    );
+
+    expect(res.status.calledWith(412)).to.be.true;
+  });
+
+  it('should return 404 for an unknown exam', async () => {
+    examService.findExamById.rejects(new Error('Examination not found'));
+
+    await controller.getExamById(request({ id: 'missing' }), res);
+
+    expect(res.status.calledWith(404)).to.be.true;
+  });
+
+  // A multipart/form-data request with one text field and one file
+  const upload = (parts, headers = {}) => {
+    const boundary = 'exam-boundary';
+    const body = parts
+      .map(({ name, value, fileName, contentType }) =>
+        fileName
+          ? `--${boundary}\r\nContent-Disposition: form-data; ` +
+            `name="${name}"; filename="${fileName}"\r\n` +
+            `Content-Type: ${contentType}\r\n\r\n${value}\r\n`
+          : `--${boundary}\r\nContent-Disposition: form-data; name="${name}"` +
+            `\r\n\r\n${value}\r\n`)
+      .join('');
+    const req = Readable.from([Buffer.from(`${body}--${boundary}--\r\n`)]);
+    return Object.assign(req, {
+      params: { id: 'e1' },
+      baseUrl: '/api/examinations',
+      headers: {
+        'content-type': `multipart/form-data; boundary=${boundary}`,
+        ...headers,
+      },
+      get: (name) => headers[name],
+    });
+  };
+
+  const responded = () => new Promise((resolve) => res.json.callsFake(resolve));
+
+  it('should store an uploaded file and point to its download', async () => {
+    const exam = new Examinations('e1', 'ECG');
+    exam.version = 3;
+    const attachment = new Attachment(
+      'a1',
+      'ecg.pdf',
+      'application/pdf',
+      9,
+      'ab'
+    );
+    attachmentService.addAttachment.callsFake(async (id, details) => {
+      for await (const chunk of details.content) {
+        expect(chunk.toString()).to.equal('%PDF-1.4\n');
+      }
+      return {
+        examination: exam,
+        attachment,
+      };
+    });
+    res.location = sandbox.stub().returnsThis();
+
+    const response = responded();
+    controller.uploadAttachment(
+      upload(
+        [
+          {
+            name: 'uploadedBy',
+            value: 'nurse',
+          },
+          {
+            name: 'file',
+            value: '%PDF-1.4\n',
+            fileName: 'ecg.pdf',
+            contentType: 'application/pdf',
+          },
+        ],
+        { 'If-Match': '"2"' }
+      ),
+      res
+    );
+    await response;
+
+    const [id, details, version] =
+      attachmentService.addAttachment.firstCall.args;
+    expect(id).to.equal('e1');
+    expect(details).to.include({
+      fileName: 'ecg.pdf',
+      contentType: 'application/pdf',
+      uploadedBy: 'nurse',
+    });
+    expect(version).to.equal(2);
+    expect(res.status.calledWith(201)).to.be.true;
+    expect(res.set.calledWith('ETag', '"3"')).to.be.true;
+    expect(res.location.calledWith('/api/examinations/e1/attachments/a1')).to.be
+      .true;
+  });
+
+  it('should answer 413 and 415 for rejected files', async () => {
+    const send = async (message) => {
+      attachmentService.addAttachment.rejects(new Error(message));
+      const response = responded();
+      controller.uploadAttachment(
+        upload([
+          {
+            name: 'file',
+            value: 'MZ',
+            fileName: 'scan.pdf',
+            contentType: 'application/pdf',
+          },
+        ]),
+        res
+      );
+      await response;
+      return res.status.lastCall.args[0];
+    };
+
+    expect(await send('Attachment is too large')).to.equal(413);
+    expect(await send('Attachment content is not application/pdf')).to.equal(415);
+    expect(await send('Unsupported attachment type: text/html')).to.equal(415);
+  });
+
+  it('should require a file in the upload', async () => {
+    const response = responded();
+    controller.uploadAttachment(
+      upload([{
+        name: 'uploadedBy',
+        value: 'x',
+      }]),
+      res
+    );
+    await response;
+
+    expect(res.status.calledWith(400)).to.be.true;
+    expect(res.json.calledWith({ error: 'Attachment file is required' })).to.be
+      .true;
+    expect(attachmentService.addAttachment.called).to.be.false;
+  });
+
+  it('should stream an attachment with its checksum', async () => {
+    const attachment = new Attachment(
+      'a1',
+      'ecg.pdf',
+      'application/pdf',
+      9,
+      'fdf33983e28e325b114739c652fe4fda24610c4400ee4a8421688ebc7de44444'
+    );
+    attachmentService.openAttachment.resolves({
+      attachment,
+      content: Readable.from([Buffer.from('%PDF-1.4\n')]),
+    });
+    const body = new PassThrough();
+    const chunks = [];
+    body.on('data', (chunk) => chunks.push(chunk));
+    Object.assign(body, {
+      status: sandbox.stub().returnsThis(),
+      set: sandbox.stub(),
+      attachment: sandbox.stub(),
+    });
+
+    await controller.downloadAttachment(
+      request({
+        id: 'e1',
+        attachmentId: 'a1',
+      }),
+      body
+    );
+
+    expect(attachmentService.openAttachment.calledWith('e1', 'a1')).to.be.true;
+    expect(body.attachment.calledWith('ecg.pdf')).to.be.true;
+    expect(body.set.firstCall.args[0]).to.include({
+      'Content-Type': 'application/pdf',
+      'Content-Length': '9',
+      'Repr-Digest': 'sha-256=:/fM5g+KOMlsRRznGUv5P2iRhDEQA7kqEIWiOvH3kREQ=:',
+    });
+    expect(Buffer.concat(chunks).toString()).to.equal('%PDF-1.4\n');
+  });
+
+  it('should return 404 for an unknown attachment', async () => {
+    attachmentService.openAttachment.rejects(new Error('Attachment not found'));
+
+    await controller.downloadAttachment(
+      request({
+        id: 'e1',
+        attachmentId: 'missing',
+      }),
+      res
+    );
+
+    expect(res.status.calledWith(404)).to.be.true;
+  });
+
+  it('should return 404 for an attachment whose content is missing', async () => {
+    attachmentService.openAttachment.rejects(new Error('Attachment content not found'));
+
+    await controller.downloadAttachment(
+      request({
+        id: 'e1',
+        attachmentId: 'a1',
+      }),
+      res
+    );
+
+    expect(res.status.calledWith(404)).to.be.true;
+  });
+});
@@ -0,0 +1,362 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { Allergy } from '../../../src/domain/entities/record/allergy.js';
+import { PrescribingConflictError, Prescription } from '../../../src/domain/entities/record/prescription.js';
+import { ConcurrencyError } from '../../../src/domain/repositories/repository.js';
+import { PatientService } from '../../../src/domain/services/patientService.js';
+import { MedicalRecordController } from '../../../src/interfaces/controllers/medicalRecordController.js';
+
+describe('MedicalRecordController', () => {
+  let controller;
+  let patientService;
+  let sandbox;
+  let res;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    patientService = sandbox.createStubInstance(PatientService);
+    controller = new MedicalRecordController(patientService);
+    res = {
+      status: sandbox.stub().returnsThis(),
+      json: sandbox.stub(),
+      set: sandbox.stub(),
+    };
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('should return the whole medical record', async () => {
+    const record = {
+      allergies: [new Allergy('Peanuts')],
+      diagnoses: [],
+      prescriptions: [],
+      treatments: [],
+    };
+    patientService.getMedicalRecord.resolves(record);
+
+    await controller.getMedicalRecord({ params: { id: 'p1' } }, res);
+
+    expect(patientService.getMedicalRecord.calledWith('p1')).to.be.true;
+    expect(res.status.calledWith(200)).to.be.true;
+    expect(res.json.calledWith(record)).to.be.true;
+  });
+
+  it('should list one kind of entry', async () => {
+    const allergies = [new Allergy('Peanuts')];
+    patientService.getMedicalRecord.resolves({ allergies });
+
+    await controller.listEntries(
+      {
+        params: {
+          id: 'p1',
+          kind: 'allergies',
+        },
+      },
+      res
+    );
+
+    expect(res.json.calledWith(allergies)).to.be.true;
+  });
+
+  it('should add a prescription built from the request body', async () => {
+    const req = {
+      params: {
+        id: 'p1',
+        kind: 'prescriptions',
+      },
+      body: {
+        drug: 'Losartan',
+        strength: '50 mg',
+        form: 'tablet',
+        route: 'oral',
+        frequency: 'once daily',
+        authorId: '101',
+      },
+    };
+
+    await controller.addEntry(req, res);
+
+    const [patientId, prescription] =
+      patientService.addPatientPrescription.firstCall.args;
+    expect(patientId).to.equal('p1');
+    expect(prescription).to.be.an.instanceOf(Prescription);
+    expect(prescription.strength).to.equal('50 mg');
+    expect(prescription.prescriberId).to.equal('101');
+    expect(res.status.calledWith(201)).to.be.true;
+  });
+
+  it('should list active prescriptions, on another day if asked', async () => {
+    const active = [new Prescription('Losartan')];
+    patientService.getActivePrescriptions.resolves(active);
+
+    await controller.getActivePrescriptions(
+      {
+        params: { id: 'p1' },
+        query: { on: '2024-07-10' },
+      },
+      res
+    );
+
+    expect(patientService.getActivePrescriptions.calledWith('p1', '2024-07-10'))
+      .to.be.true;
+    expect(res.json.calledWith(active)).to.be.true;
+  });
+
+  it('should return 409 with the alerts of a blocked prescription', async () => {
+    const alerts = [
+      {
+        kind: 'allergy',
+        severity: 'severe',
+        allergy: 'Penicillin',
+      },
+    ];
+    patientService.addPatientPrescription.rejects(new PrescribingConflictError('Amoxicillin', alerts));
+    const req = {
+      params: {
+        id: 'p1',
+        kind: 'prescriptions',
+      },
+      body: {
+        drug: 'Amoxicillin',
+        strength: '500 mg',
+        form: 'capsule',
+        route: 'oral',
+        frequency: 'every 8 hours',
+        authorId: '101',
+      },
+    };
+
+    await controller.addEntry(req, res);
+
+    expect(res.status.calledWith(409)).to.be.true;
+    expect(res.json.calledWith({
+      error:
+          'Prescribing Amoxicillin conflicts with an allergy to Penicillin',
+      alerts,
+    })).to.be.true;
+  });
+
+  it('should discontinue a prescription', async () => {
+    const body = {
+      reason: 'Cough',
+      authorId: '101',
+    };
+
+    await controller.discontinuePrescription(
+      {
+        params: {
+          id: 'p1',
+          entryId: 'm1',
+        },
+        body,
+      },
+      res
+    );
+
+    expect(patientService.discontinuePrescription.calledWith('p1', 'm1', body))
+      .to.be.true;
+    expect(res.status.calledWith(201)).to.be.true;
+  });
+
+  it('should reject an invalid entry with 400', async () => {
+    const req = {
+      params: {
+        id: 'p1',
+        kind: 'allergies',
+      },
+      body: {},
+    };
+
+    await controller.addEntry(req, res);
+
+    expect(patientService.addPatientAllergy.called).to.be.false;
+    expect(res.status.calledWith(400)).to.be.true;
+    expect(res.json.calledWith({ error: 'Allergy substance is required' })).to
+      .be.true;
+  });
+
+  it('should replace an allergy with one built from the request body', async () => {
+    patientService.updatePatientAllergy.callsFake(async (...args) => ({
+      patient: { version: 4 },
+      allergy: args[2],
+    }));
+
+    await controller.updateAllergy(
+      {
+        params: {
+          id: 'p1',
+          allergyId: 'a1',
+        },
+        body: {
+          substance: 'Penicillin',
+          category: 'drug',
+          reaction: 'Anaphylaxis',
+          severity: 'severe',
+          verificationStatus: 'confirmed',
+        },
+        get: (name) => (name === 'If-Match' ? '"3"' : undefined),
+      },
+      res
+    );
+
+    const { args } = patientService.updatePatientAllergy.firstCall;
+    const [, allergyId, allergy] = args;
+    expect(allergyId).to.equal('a1');
+    expect(allergy).to.be.an.instanceOf(Allergy);
+    expect(allergy.verificationStatus).to.equal('confirmed');
+    expect(args[3]).to.equal(3);
+    expect(res.set.calledWith('ETag', '"4"')).to.be.true;
+    expect(res.status.calledWith(200)).to.be.true;
+    expect(res.json.calledWith(allergy)).to.be.true;
+  });
+
+  it('should remove an allergy with the version from If-Match', async () => {
+    const allergy = new Allergy('Peanuts', { id: 'a1' });
+    patientService.removePatientAllergy.resolves({
+      patient: { version: 5 },
+      allergy,
+    });
+
+    await controller.removeAllergy(
+      {
+        params: {
+          id: 'p1',
+          allergyId: 'a1',
+        },
+        get: (name) => (name === 'If-Match' ? '"4"' : undefined),
+      },
+      res
+    );
+
+    expect(patientService.removePatientAllergy.calledWith('p1', 'a1', 4)).to
+      .be.true;
+    expect(res.set.calledWith('ETag', '"5"')).to.be.true;
+    expect(res.json.calledWith(allergy)).to.be.true;
+  });
+
+  it('should return 412 when an allergy is changed with a stale If-Match', async () => {
+    patientService.updatePatientAllergy.rejects(new ConcurrencyError('p1', 1, 2));
+
+    await controller.updateAllergy(
+      {
+        params: {
+          id: 'p1',
+          allergyId: 'a1',
+        },
+        body: {
+          substance: 'Penicillin',
+          category: 'drug',
+        },
+        get: (name) => (name === 'If-Match' ? '"1"' : undefined),
+      },
+      res
+    );
+
+    expect(res.status.calledWith(412)).to.be.true;
+  });
+
+  it('should return 412 when an allergy is removed with a stale If-Match', async () => {
+    patientService.removePatientAllergy.rejects(new ConcurrencyError('p1', 1, 2));
+
+    await controller.removeAllergy(
+      {
+        params: {
+          id: 'p1',
+          allergyId: 'a1',
+        },
+        get: (name) => (name === 'If-Match' ? '"1"' : undefined),
+      },
+      res
+    );
+
+    expect(res.status.calledWith(412)).to.be.true;
+  });
+
+  it('should record that the patient has no known allergies', async () => {
+    patientService.recordNoKnownAllergies.resolves({
+      allergies: [],
+      noKnownAllergies: true,
+    });
+
+    await controller.recordNoKnownAllergies({ params: { id: 'p1' } }, res);
+
+    expect(res.status.calledWith(200)).to.be.true;
+    expect(res.json.calledWith({
+      allergies: [],
+      noKnownAllergies: true,
+    })).to.be
+      .true;
+  });
+
+  it('should append an amendment to an entry', async () => {
+    const correction = {
+      id: 'd2',
+      amends: 'd1',
+    };
+    patientService.amendRecordEntry.resolves(correction);
+    const body = {
+      description: 'Type 2 diabetes',
+      authorId: '101',
+      reason: 'More specific',
+    };
+
+    await controller.amendEntry(
+      {
+        params: {
+          id: 'p1',
+          entryId: 'd1',
+        },
+        body,
+      },
+      res
+    );
+
+    expect(patientService.amendRecordEntry.calledWith('p1', 'd1', body)).to.be
+      .true;
+    expect(res.status.calledWith(201)).to.be.true;
+    expect(res.json.calledWith(correction)).to.be.true;
+  });
+
+  it('should mark an entry as entered in error', async () => {
+    await controller.markEnteredInError(
+      {
+        params: {
+          id: 'p1',
+          entryId: 'd1',
+        },
+        body: {
+          authorId: '101',
+          reason: 'Wrong patient',
+        },
+      },
+      res
+    );
+
+    expect(patientService.markRecordEntryInError.calledWith(
+      'p1',
+      'd1',
+      '101',
+      'Wrong patient'
+    )).to.be.true;
+    expect(res.status.calledWith(200)).to.be.true;
+  });
+
+  it('should return 404 for an unknown patient or entry', async () => {
+    patientService.markRecordEntryInError.rejects(new Error('Record entry not found'));
+
+    await controller.markEnteredInError(
+      {
+        params: {
+          id: 'p1',
+          entryId: 'x',
+        },
+        body: { authorId: '101' },
+      },
+      res
+    );
+
+    expect(res.status.calledWith(404)).to.be.true;
+  });
+});
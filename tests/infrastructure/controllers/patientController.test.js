@@ -1,6 +1,7 @@
 import { expect } from 'chai';
 import sinon from 'sinon';
 import { Patient } from '../../../src/domain/entities/patient.js';
+import { ConcurrencyError } from '../../../src/domain/repositories/repository.js';
 import { PatientService } from '../../../src/domain/services/patientService.js';
 import { PatientController } from '../../../src/interfaces/controllers/patientController.js';
 
@@ -49,6 +50,7 @@ describe('PatientController', () => {
       const res = {
         status: sandbox.stub().returnsThis(),
         json: sandbox.stub(),
+        set: sandbox.stub(),
       };
 
       patientService.addPatient.resolves(mockPatientData);
@@ -63,10 +65,14 @@ describe('PatientController', () => {
 
   describe('getPatientById', () => {
     it('should return a patient when found', async () => {
-      const req = { params: { id: '1' } };
+      const req = {
+        params: { id: '1' },
+        get: sandbox.stub(),
+      };
       const res = {
         status: sandbox.stub().returnsThis(),
         json: sandbox.stub(),
+        set: sandbox.stub(),
       };
 
       const mockPatient = createPatient('1');
@@ -79,11 +85,35 @@ describe('PatientController', () => {
       expect(res.json.calledWith(mockPatient)).to.be.true;
     });
 
+    it('should tag the patient with its version', async () => {
+      const req = {
+        params: { id: '1' },
+        get: sandbox.stub(),
+      };
+      const res = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub(),
+        set: sandbox.stub(),
+      };
+
+      const mockPatient = createPatient('1');
+      mockPatient.version = 3;
+      patientService.findPatientById.resolves(mockPatient);
+
+      await patientController.getPatientById(req, res);
+
+      expect(res.set.calledWith('ETag', '"3"')).to.be.true;
+    });
+
     it('should return 404 when patient not found', async () => {
-      const req = { params: { id: '2' } };
+      const req = {
+        params: { id: '2' },
+        get: sandbox.stub(),
+      };
       const res = {
         status: sandbox.stub().returnsThis(),
         json: sandbox.stub(),
+        set: sandbox.stub(),
       };
 
       const error = new Error('Patient not found');
@@ -98,10 +128,14 @@ describe('PatientController', () => {
 
   describe('deletePatient', () => {
     it('should delete a patient when found', async () => {
-      const req = { params: { id: '1' } };
+      const req = {
+        params: { id: '1' },
+        get: sandbox.stub(),
+      };
       const res = {
         status: sandbox.stub().returnsThis(),
         json: sandbox.stub(),
+        set: sandbox.stub(),
       };
 
       const mockPatient = createPatient('1');
@@ -115,10 +149,14 @@ describe('PatientController', () => {
     });
 
     it('should return 404 when trying to delete a non-existent patient', async () => {
-      const req = { params: { id: '2' } };
+      const req = {
+        params: { id: '2' },
+        get: sandbox.stub(),
+      };
       const res = {
         status: sandbox.stub().returnsThis(),
         json: sandbox.stub(),
+        set: sandbox.stub(),
       };
 
       const error = new Error('Patient not found');
@@ -136,10 +174,12 @@ describe('PatientController', () => {
       const req = {
         params: { id: '1' },
         body: { name: 'Jane Doe' },
+        get: sandbox.stub(),
       };
       const res = {
         status: sandbox.stub().returnsThis(),
         json: sandbox.stub(),
+        set: sandbox.stub(),
       };
 
       const updatedPatient = createPatient('1');
@@ -152,5 +192,46 @@ describe('PatientController', () => {
       expect(res.status.calledWith(200)).to.be.true;
       expect(res.json.calledWith(updatedPatient)).to.be.true;
     });
+
+    it('should pass the version from If-Match to the service', async () => {
+      const req = {
+        params: { id: '1' },
+        body: { name: 'Jane Doe' },
+        get: sandbox.stub().withArgs('If-Match').returns('"2"'),
+      };
+      const res = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub(),
+        set: sandbox.stub(),
+      };
+
+      const updatedPatient = createPatient('1');
+      updatedPatient.version = 3;
+      patientService.updatePatient.resolves(updatedPatient);
+
+      await patientController.updatePatient(req, res);
+
+      expect(patientService.updatePatient.calledWith('1', { name: 'Jane Doe' }, 2)).to.be.true;
+      expect(res.set.calledWith('ETag', '"3"')).to.be.true;
+    });
+
+    it('should return 412 when If-Match is stale', async () => {
+      const req = {
+        params: { id: '1' },
+        body: { name: 'Jane Doe' },
+        get: sandbox.stub().withArgs('If-Match').returns('"1"'),
+      };
+      const res = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub(),
+        set: sandbox.stub(),
+      };
+
+      patientService.updatePatient.rejects(new ConcurrencyError('1', 1, 2));
+
+      await patientController.updatePatient(req, res);
+
+      expect(res.status.calledWith(412)).to.be.true;
+    });
   });
 });
@@ -0,0 +1,75 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { ExamCatalog } from '../../../src/infrastructure/terminology/examCatalog.js';
+import { Icd10Catalog } from '../../../src/infrastructure/terminology/icd10Catalog.js';
+import { TerminologyController } from '../../../src/interfaces/controllers/terminologyController.js';
+
+describe('TerminologyController', () => {
+  let controller;
+  let res;
+
+  beforeEach(() => {
+    controller = new TerminologyController(
+      Icd10Catalog.load(),
+      ExamCatalog.load()
+    );
+    res = {
+      status: sinon.stub().returnsThis(),
+      json: sinon.stub(),
+    };
+  });
+
+  it('should search ICD-10 codes for autocomplete', async () => {
+    await controller.searchIcd10(
+      {
+        query: {
+          q: 'hypertension',
+          limit: '1',
+        },
+      },
+      res
+    );
+
+    expect(res.status.calledWith(200)).to.be.true;
+    const [concepts] = res.json.firstCall.args;
+    expect(concepts).to.have.lengthOf(1);
+    expect(concepts[0].code).to.equal('I10');
+  });
+
+  it('should require a query', async () => {
+    await controller.searchIcd10({ query: {} }, res);
+
+    expect(res.status.calledWith(400)).to.be.true;
+    expect(res.json.calledWith({ error: 'Query parameter q is required' })).to
+      .be.true;
+  });
+
+  it('should look up a single code', async () => {
+    await controller.getIcd10Code({ params: { code: 'e11.9' } }, res);
+
+    expect(res.status.calledWith(200)).to.be.true;
+    expect(res.json.firstCall.args[0].display).to.equal('Type 2 diabetes mellitus without complications');
+  });
+
+  it('should return 404 for an unknown code', async () => {
+    await controller.getIcd10Code({ params: { code: 'X99.9' } }, res);
+
+    expect(res.status.calledWith(404)).to.be.true;
+  });
+
+  it('should list the exams and panels that can be ordered', async () => {
+    await controller.listExams({}, res);
+
+    const [{ exams, panels }] = res.json.firstCall.args;
+    expect(exams.map((exam) => exam.code)).to.include('GLU');
+    expect(panels.map((panel) => panel.code)).to.include('LIPID');
+  });
+
+  it('should look up an exam or a panel by code', async () => {
+    await controller.getExam({ params: { code: 'cbc' } }, res);
+    await controller.getExam({ params: { code: 'XYZ' } }, res);
+
+    expect(res.json.firstCall.args[0].name).to.equal('Complete blood count');
+    expect(res.status.secondCall.calledWith(404)).to.be.true;
+  });
+});
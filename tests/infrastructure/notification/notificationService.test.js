@@ -0,0 +1,45 @@
+// Unit tests for NotificationService
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { NotificationService } from '../../../src/infrastructure/notification/notificationService.js';
+
+describe('NotificationService', () => {
+  const examination = {
+    type: 'Electrolytes',
+    patient: { name: 'John Doe' },
+    responsibleDoctor: {
+      name: 'Smith',
+      phoneNumber: '555-0101',
+    },
+  };
+  const observations = [
+    {
+      analyte: 'K',
+      value: 6.9,
+      unit: 'mmol/L',
+      interpretation: 'HH',
+    },
+  ];
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should send critical results to the doctor by SMS', () => {
+    const logger = { log: sinon.spy() };
+    const notificationService = new NotificationService(logger);
+
+    notificationService.notifyCriticalResult(examination, observations);
+
+    expect(logger.log.calledOnce).to.be.true;
+    expect(logger.log.firstCall.args[0]).to.include('555-0101');
+  });
+
+  it('should not write messages to the console by default', () => {
+    const log = sinon.stub(console, 'log');
+
+    new NotificationService().notifyCriticalResult(examination, observations);
+
+    expect(log.called).to.be.false;
+  });
+});
@@ -0,0 +1,271 @@
+// Integration tests for the file-backed repositories
+import { expect } from 'chai';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import sinon from 'sinon';
+import { Appointment } from '../../../src/domain/entities/appointment.js';
+import { Doctor } from '../../../src/domain/entities/doctor.js';
+import { Patient } from '../../../src/domain/entities/patient.js';
+import { Allergy } from '../../../src/domain/entities/record/allergy.js';
+import { Diagnosis } from '../../../src/domain/entities/record/diagnosis.js';
+import { MedicalRecord } from '../../../src/domain/entities/record/medicalRecord.js';
+import { Prescription } from '../../../src/domain/entities/record/prescription.js';
+import { EntryStatus } from '../../../src/domain/entities/record/recordEntry.js';
+import { HolidayService } from '../../../src/domain/services/holidayService.js';
+import { Address } from '../../../src/domain/value-objects/address.js';
+import { ScheduleException } from '../../../src/domain/value-objects/scheduleException.js';
+import { WorkingHours } from '../../../src/domain/value-objects/workingHours.js';
+import { createRepositories, StorageDriver } from '../../../src/infrastructure/persistance/repositoryFactory.js';
+import { expectRejection } from '../../support/expectRejection.js';
+
+describe('File storage', () => {
+  let dataDir;
+
+  const open = () =>
+    createRepositories({
+      driver: StorageDriver.FILE,
+      dataDir,
+    });
+
+  const createPatient = (id = 'p1') =>
+    new Patient(
+      id,
+      '123.456.789-00',
+      'John Doe',
+      '1990-01-01',
+      'Male',
+      'O+',
+      new Address('Main St', '123', 'Cityville', 'State', '12345'),
+      '+1234567890',
+      'john@example.com',
+      null,
+      'America/Sao_Paulo'
+    );
+
+  const createDoctor = () =>
+    new Doctor('101', 'CRM101', 'Smith', ['Cardiology'], '', [
+      {
+        day: 'Monday',
+        start: '09:00',
+        end: '12:00',
+      },
+    ]);
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clinic-'));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    fs.rmSync(dataDir, {
+      recursive: true,
+      force: true,
+    });
+  });
+
+  it('should start empty without data files', async () => {
+    const { patientRepository } = open();
+
+    expect(await patientRepository.findAll()).to.be.empty;
+  });
+
+  it('should restore patients as Patient instances', async () => {
+    const { patientRepository } = open();
+    await patientRepository.add('p1', createPatient());
+    const saved = await patientRepository.findById('p1');
+    saved.addAllergy(new Allergy('Peanuts'));
+    saved.medicalRecord.addDiagnosis(new Diagnosis('Hypertension', {
+      id: 'd1',
+      code: 'I10',
+      authorId: '101',
+      recordedAt: '2024-07-01T10:00:00Z',
+    }));
+    saved.medicalRecord.markEnteredInError('d1', '102', 'Wrong patient');
+    await patientRepository.update('p1', saved);
+
+    const patient = await open().patientRepository.findById('p1');
+
+    expect(patient).to.be.instanceOf(Patient);
+    expect(patient.address).to.be.instanceOf(Address);
+    expect(patient.address.city).to.equal('Cityville');
+    expect(patient.timeZone).to.equal('America/Sao_Paulo');
+    expect(patient.allergies[0]).to.be.instanceOf(Allergy);
+    expect(patient.medicalRecord).to.be.instanceOf(MedicalRecord);
+    const [diagnosis] = patient.medicalRecord.diagnosis;
+    expect(diagnosis.description).to.equal('Hypertension');
+    expect(diagnosis.code).to.equal('I10');
+    expect(diagnosis.authorId).to.equal('101');
+    expect(diagnosis.recordedAt).to.deep.equal(new Date('2024-07-01T10:00:00Z'));
+    expect(diagnosis.status).to.equal(EntryStatus.ENTERED_IN_ERROR);
+    expect(diagnosis.statusChange.changedAt).to.be.instanceOf(Date);
+    expect(patient.pullDomainEvents()).to.be.empty;
+  });
+
+  it('should give record entries stored as bare descriptions an id', async () => {
+    await open().patientRepository.add('p1', createPatient());
+    const file = path.join(dataDir, 'patients.json');
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    content.entities[0][1].medicalRecord.diagnosis = ['Hypertension'];
+    content.entities[0][1].allergies = ['Peanuts'];
+    fs.writeFileSync(file, JSON.stringify(content));
+
+    const patient = await open().patientRepository.findById('p1');
+
+    const [diagnosis] = patient.medicalRecord.diagnosis;
+    expect(diagnosis).to.be.instanceOf(Diagnosis);
+    expect(diagnosis.id).to.equal('p1-diagnosis-0');
+    expect(diagnosis.authorId).to.be.null;
+    expect(diagnosis.status).to.equal(EntryStatus.ACTIVE);
+    expect(patient.allergies[0]).to.include({
+      id: 'p1-allergy-0',
+      substance: 'Peanuts',
+      category: null,
+    });
+    expect(patient.noKnownAllergies).to.be.false;
+  });
+
+  it('should read stored medications as prescriptions', async () => {
+    await open().patientRepository.add('p1', createPatient());
+    const file = path.join(dataDir, 'patients.json');
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const { medicalRecord } = content.entities[0][1];
+    delete medicalRecord.prescriptions;
+    medicalRecord.medications = [
+      {
+        name: 'Losartan',
+        dosage: '50mg once daily',
+        authorId: '101',
+      },
+    ];
+    fs.writeFileSync(file, JSON.stringify(content));
+
+    const patient = await open().patientRepository.findById('p1');
+
+    const [prescription] = patient.medicalRecord.prescriptions;
+    expect(prescription).to.be.instanceOf(Prescription);
+    expect(prescription).to.include({
+      id: 'p1-medication-0',
+      drug: 'Losartan',
+      instructions: '50mg once daily',
+      prescriberId: '101',
+    });
+  });
+
+  it('should find entities stored with numeric ids by their route param', async () => {
+    const { patientRepository } = open();
+    await patientRepository.add(1, createPatient(1));
+
+    const restored = open().patientRepository;
+
+    expect(await restored.findById('1')).to.be.instanceOf(Patient);
+    await restored.update('1', await restored.findById(1));
+    expect((await open().patientRepository.findById('1')).version).to.equal(2);
+  });
+
+  it('should keep versions across a restart', async () => {
+    const { doctorRepository } = open();
+    const doctor = createDoctor();
+    await doctorRepository.add(doctor.id, doctor);
+    await doctorRepository.update(doctor.id, doctor);
+
+    const restored = await open().doctorRepository.findById('101');
+
+    expect(restored.version).to.equal(2);
+  });
+
+  it('should keep clinic holidays across a restart', async () => {
+    const holidayService = new HolidayService(open().holidayCalendarRepository);
+    await holidayService.addHoliday('2024-12-25', 'Christmas');
+    await holidayService.addHoliday('2024-01-01', 'New Year');
+    await holidayService.removeHoliday('2024-12-25');
+
+    const restored = new HolidayService(open().holidayCalendarRepository);
+
+    expect(await restored.listHolidays()).to.deep.equal([
+      {
+        date: '2024-01-01',
+        name: 'New Year',
+      },
+    ]);
+  });
+
+  it('should restore doctors with their schedule', async () => {
+    const { doctorRepository } = open();
+    const doctor = createDoctor();
+    doctor.addScheduleException(new ScheduleException(
+      'e1',
+      'block',
+      new Date('2024-07-01T10:00:00Z'),
+      new Date('2024-07-01T11:00:00Z')
+    ));
+    await doctorRepository.add(doctor.id, doctor);
+
+    const restored = await open().doctorRepository.findById('101');
+
+    expect(restored).to.be.instanceOf(Doctor);
+    expect(restored.workingHours).to.be.instanceOf(WorkingHours);
+    expect(restored.workingHours.toJSON()).to.deep.equal([
+      {
+        day: 'Monday',
+        start: '09:00',
+        end: '12:00',
+      },
+    ]);
+    expect(restored.scheduleExceptions[0]).to.be.instanceOf(ScheduleException);
+    expect(restored.isUnavailableBetween(
+      new Date('2024-07-01T10:30:00Z'),
+      new Date('2024-07-01T10:45:00Z')
+    )).to.be.true;
+  });
+
+  it('should link restored appointments to the stored patient and doctor', async () => {
+    const repositories = open();
+    const patientId = 'p1';
+    await repositories.patientRepository.add(patientId, createPatient());
+    const doctor = createDoctor();
+    await repositories.doctorRepository.add(doctor.id, doctor);
+    const appointment = new Appointment(
+      '201',
+      '2024-07-01T09:00:00Z',
+      await repositories.patientRepository.findById(patientId),
+      doctor,
+      'Checkup'
+    );
+    await repositories.appointmentRepository.add(appointment.id, appointment);
+    appointment.reschedule(new Date('2024-07-08T09:00:00Z'), 'reception');
+    await repositories.appointmentRepository.update(
+      appointment.id,
+      appointment
+    );
+
+    const { appointmentRepository, patientRepository } = open();
+    const restored = await appointmentRepository.findById('201');
+
+    expect(restored).to.be.instanceOf(Appointment);
+    const patient = await patientRepository.findById(patientId);
+    expect(restored.patient).to.equal(patient);
+    expect(restored.getStartDate().toISOString())
+      .to.equal('2024-07-08T09:00:00.000Z');
+    expect(restored.originalDate).to.be.instanceOf(Date);
+    expect(restored.statusHistory[0].previousDate).to.be.instanceOf(Date);
+    expect(await appointmentRepository.findByDoctorId('101')).to.have.lengthOf(1);
+  });
+
+  it('should leave memory and disk untouched when a write fails', async () => {
+    const { doctorRepository } = open();
+    const doctor = createDoctor();
+    await doctorRepository.add(doctor.id, doctor);
+    sinon.stub(fs, 'renameSync').throws(new Error('Disk full'));
+
+    await expectRejection(doctorRepository.delete('101'), 'Disk full');
+
+    expect(await doctorRepository.findById('101')).to.equal(doctor);
+    expect(open().doctorRepository.findById('101')).to.exist;
+    expect(fs.readdirSync(dataDir)).to.deep.equal(['doctors.json']);
+  });
+
+  it('should reject an unknown storage driver', () => {
+    expect(() => createRepositories({ driver: 'tape' })).to.throw('Unknown storage driver: tape');
+  });
+});
@@ -0,0 +1,74 @@
+import { expect } from 'chai';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { LocalBlobStorage } from '../../../src/infrastructure/persistance/blob/localBlobStorage.js';
+import { expectRejection } from '../../support/expectRejection.js';
+
+describe('LocalBlobStorage', () => {
+  let rootDir;
+  let storage;
+
+  const read = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+  };
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blobs-'));
+    storage = new LocalBlobStorage(rootDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, {
+      recursive: true,
+      force: true,
+    });
+  });
+
+  it('should store content under its key and stream it back', async () => {
+    await storage.put('examinations/e1/a1', Readable.from(['report ', 'text']));
+
+    expect(fs.existsSync(path.join(rootDir, 'examinations/e1/a1'))).to.be.true;
+    expect(await read(await storage.get('examinations/e1/a1'))).to.equal('report text');
+  });
+
+  it('should leave nothing behind when the content fails', async () => {
+    async function* failing() {
+      yield 'partial';
+      throw new Error('Upload aborted');
+    }
+
+    await expectRejection(
+      storage.put('examinations/e1/a1', failing()),
+      'Upload aborted'
+    );
+
+    expect(fs.readdirSync(path.join(rootDir, 'examinations/e1'))).to.be.empty;
+    await expectRejection(
+      storage.get('examinations/e1/a1'),
+      'Blob not found: examinations/e1/a1'
+    );
+  });
+
+  it('should delete a blob, even one already gone', async () => {
+    await storage.put('a1', Readable.from(['x']));
+
+    await storage.delete('a1');
+    await storage.delete('a1');
+
+    await expectRejection(storage.get('a1'), 'Blob not found');
+  });
+
+  it('should reject keys that leave its directory', async () => {
+    await expectRejection(
+      storage.put('../outside', Readable.from(['x'])),
+      'Invalid blob key: ../outside'
+    );
+    await expectRejection(storage.get('/etc/passwd'), 'Invalid blob key');
+  });
+});
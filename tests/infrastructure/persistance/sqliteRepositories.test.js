@@ -0,0 +1,640 @@
+// Integration tests for the SQLite repositories and migration runner
+import Database from 'better-sqlite3';
+import { expect } from 'chai';
+import { Appointment } from '../../../src/domain/entities/appointment.js';
+import { Doctor } from '../../../src/domain/entities/doctor.js';
+import { ExaminationStatus, Examinations } from '../../../src/domain/entities/examinations.js';
+import { Patient } from '../../../src/domain/entities/patient.js';
+import { Allergy, AllergyCategory, AllergySeverity, VerificationStatus } from '../../../src/domain/entities/record/allergy.js';
+import { ClinicalStatus, Diagnosis, DiagnosisRank } from '../../../src/domain/entities/record/diagnosis.js';
+import { MedicationRoute, Prescription } from '../../../src/domain/entities/record/prescription.js';
+import { EntryStatus } from '../../../src/domain/entities/record/recordEntry.js';
+import { WaitlistEntry } from '../../../src/domain/entities/waitlistEntry.js';
+import { HolidayService } from '../../../src/domain/services/holidayService.js';
+import { Address } from '../../../src/domain/value-objects/address.js';
+import { Attachment } from '../../../src/domain/value-objects/attachment.js';
+import { Observation } from '../../../src/domain/value-objects/observation.js';
+import { createSqliteRepositories } from '../../../src/infrastructure/persistance/repositoryFactory.js';
+import { IN_MEMORY_DATABASE, openDatabase } from '../../../src/infrastructure/persistance/sqlite/database.js';
+import { MigrationRunner } from '../../../src/infrastructure/persistance/sqlite/migrationRunner.js';
+import { migrations } from '../../../src/infrastructure/persistance/sqlite/migrations/index.js';
+import { ExamCatalog } from '../../../src/infrastructure/terminology/examCatalog.js';
+import { expectRejection } from '../../support/expectRejection.js';
+
+describe('SQLite storage', () => {
+  let database;
+  let repositories;
+
+  // New repositories on the same database start with nothing loaded, as
+  // after a restart
+  const reopen = () => createSqliteRepositories(database);
+
+  const createPatient = (name = 'John Doe', bloodType = 'O+') =>
+    new Patient(
+      null,
+      '123.456.789-00',
+      name,
+      '1990-01-01',
+      'Male',
+      bloodType,
+      new Address('Main St', '123', 'Cityville', 'State', '12345'),
+      '+1234567890',
+      'john@example.com',
+      null
+    );
+
+  const createDoctor = (id, specialty) =>
+    new Doctor(id, `CRM${id}`, `Doctor ${id}`, [specialty], '', [
+      {
+        day: 'Monday',
+        start: '09:00',
+        end: '12:00',
+      },
+    ]);
+
+  // Patients get their id from the repository, as PatientService does
+  const addPatient = async (patient = createPatient()) => {
+    patient.id = repositories.patientRepository.nextId();
+    await repositories.patientRepository.add(patient.id, patient);
+    return patient.id;
+  };
+
+  beforeEach(() => {
+    database = openDatabase(IN_MEMORY_DATABASE);
+    repositories = reopen();
+  });
+
+  afterEach(() => {
+    database.close();
+  });
+
+  describe('migrations', () => {
+    it('should record every applied migration once', () => {
+      const runner = new MigrationRunner(database, migrations);
+
+      expect(runner.currentVersion()).to.equal(migrations.length);
+      expect(runner.run()).to.be.empty;
+    });
+
+    it('should roll back a failing migration', () => {
+      const fresh = new Database(IN_MEMORY_DATABASE);
+      const runner = new MigrationRunner(fresh, [
+        ...migrations,
+        {
+          version: 99,
+          name: 'broken',
+          up(db) {
+            db.exec('CREATE TABLE half_done (id TEXT)');
+            db.exec('INSERT INTO missing_table VALUES (1)');
+          },
+        },
+      ]);
+
+      expect(() => runner.run()).to.throw('no such table: missing_table');
+      expect(runner.currentVersion()).to.equal(migrations.length);
+      expect(fresh
+        .prepare('SELECT name FROM sqlite_master WHERE name = ?')
+        .get('half_done')).to.be.undefined;
+      fresh.close();
+    });
+
+    it('should keep numbered patients under text ids', async () => {
+      const fresh = new Database(IN_MEMORY_DATABASE);
+      fresh.pragma('foreign_keys = ON');
+      new MigrationRunner(fresh, migrations.slice(0, 3)).run();
+      fresh
+        .prepare('INSERT INTO patients (name, version) VALUES (?, 1)')
+        .run('John Doe');
+      fresh
+        .prepare('INSERT INTO patient_allergies (patient_id, position, type) VALUES (1, 0, ?)')
+        .run('Peanuts');
+
+      new MigrationRunner(fresh, migrations).run();
+      const { patientRepository } = createSqliteRepositories(fresh);
+      const patient = await patientRepository.findById('1');
+
+      expect(patient.name).to.equal('John Doe');
+      expect(patient.allergies[0]).to.include({
+        id: '1-allergy-0',
+        substance: 'Peanuts',
+        verificationStatus: VerificationStatus.UNCONFIRMED,
+      });
+      expect(patient.noKnownAllergies).to.be.false;
+      await patientRepository.delete('1');
+      expect(fresh.prepare('SELECT COUNT(*) AS count FROM patient_allergies').get()
+        .count).to.equal(0);
+      fresh.close();
+    });
+
+    it('should give record entries written before attribution an id', async () => {
+      const fresh = new Database(IN_MEMORY_DATABASE);
+      new MigrationRunner(fresh, migrations.slice(0, 4)).run();
+      fresh
+        .prepare('INSERT INTO patients (id, name) VALUES (?, ?)')
+        .run('p1', 'John Doe');
+      fresh
+        .prepare(`INSERT INTO medical_record_entries
+             (patient_id, kind, position, description)
+           VALUES ('p1', 'diagnosis', 0, ?)`)
+        .run('Hypertension');
+
+      new MigrationRunner(fresh, migrations).run();
+      const { patientRepository } = createSqliteRepositories(fresh);
+      const [diagnosis] = (await patientRepository.findById('p1')).medicalRecord
+        .diagnosis;
+
+      expect(diagnosis.id).to.equal('p1-diagnosis-0');
+      expect(diagnosis.description).to.equal('Hypertension');
+      expect(diagnosis.status).to.equal(EntryStatus.ACTIVE);
+      expect(diagnosis.recordedAt).to.be.null;
+      fresh.close();
+    });
+
+    it('should turn stored medications into prescriptions', async () => {
+      const fresh = new Database(IN_MEMORY_DATABASE);
+      new MigrationRunner(fresh, migrations.slice(0, 6)).run();
+      fresh
+        .prepare('INSERT INTO patients (id, name) VALUES (?, ?)')
+        .run('p1', 'John Doe');
+      fresh
+        .prepare(`INSERT INTO medical_record_entries
+             (patient_id, kind, position, name, dosage, entry_id, author_id)
+           VALUES ('p1', 'medication', 0, ?, ?, 'm1', '101')`)
+        .run('Losartan', '50mg once daily');
+
+      new MigrationRunner(fresh, migrations).run();
+      const { patientRepository } = createSqliteRepositories(fresh);
+      const [prescription] = (await patientRepository.findById('p1'))
+        .medicalRecord.prescriptions;
+
+      expect(prescription).to.be.instanceOf(Prescription);
+      expect(prescription).to.include({
+        id: 'm1',
+        drug: 'Losartan',
+        instructions: '50mg once daily',
+        prescriberId: '101',
+        refills: 0,
+        startDate: null,
+      });
+      expect(prescription.isActiveOn('2030-01-01')).to.be.true;
+      fresh.close();
+    });
+
+    it('should count stored exams with a result as resulted', async () => {
+      const fresh = new Database(IN_MEMORY_DATABASE);
+      new MigrationRunner(fresh, migrations.slice(0, 9)).run();
+      const insert = fresh.prepare('INSERT INTO examinations (id, type, result, version) VALUES (?, ?, ?, 1)');
+      insert.run('e1', 'Blood Test', 'Normal');
+      insert.run('e2', 'X-Ray', null);
+
+      new MigrationRunner(fresh, migrations).run();
+      const { examinationRepository } = createSqliteRepositories(fresh);
+
+      expect((await examinationRepository.findById('e1')).status).to.equal(ExaminationStatus.RESULTED);
+      const pending = await examinationRepository.findById('e2');
+      expect(pending.status).to.equal(ExaminationStatus.ORDERED);
+      expect(pending.statusHistory).to.deep.equal([]);
+      fresh.close();
+    });
+
+    it('should reject migrations out of order', () => {
+      expect(() => new MigrationRunner(database, [...migrations].reverse())).to.throw('Migration versions must be increasing integers');
+    });
+  });
+
+  it('should return the same instance for every lookup', async () => {
+    const id = await addPatient();
+
+    const { patientRepository } = repositories;
+    const [listed] = await patientRepository.findAll();
+    expect(await patientRepository.findById(id)).to.equal(listed);
+  });
+
+  it('should store the medical record as rows of its own', async () => {
+    const { patientRepository } = repositories;
+    const id = await addPatient();
+    const patient = await patientRepository.findById(id);
+    patient.addAllergy(new Allergy('Peanuts', {
+      id: 'a1',
+      category: AllergyCategory.FOOD,
+      reaction: 'Anaphylaxis',
+      severity: AllergySeverity.SEVERE,
+      onsetDate: '2010-05-01',
+      verificationStatus: VerificationStatus.CONFIRMED,
+    }));
+    patient.medicalRecord.addDiagnosis(new Diagnosis('Essential (primary) hypertension', {
+      id: 'd1',
+      authorId: '101',
+      code: 'I10',
+      rank: DiagnosisRank.PRIMARY,
+    }));
+    const prescribe = (details) =>
+      new Prescription('Losartan', {
+        form: 'tablet',
+        route: MedicationRoute.ORAL,
+        frequency: 'once daily',
+        durationDays: 30,
+        startDate: '2024-07-01',
+        ...details,
+      });
+    patient.medicalRecord.addPrescription(prescribe({
+      id: 'm1',
+      strength: '50 mg',
+      authorId: '101',
+      appointmentId: 'a1',
+    }));
+    patient.medicalRecord.amendEntry(
+      'm1',
+      prescribe({
+        id: 'm2',
+        strength: '100 mg',
+        authorId: '102',
+        safetyAlerts: [
+          {
+            kind: 'interaction',
+            severity: 'severe',
+            drug: 'Spironolactone',
+            effect: 'Risk of hyperkalemia',
+          },
+        ],
+        overrideReason: 'Potassium is monitored weekly',
+      }),
+      'Dose was misread'
+    );
+    const discontinued = patient.medicalRecord.prescriptions[1].discontinued(
+      'Cough',
+      { authorId: '101' }
+    );
+    discontinued.id = 'm3';
+    patient.medicalRecord.amendEntry('m2', discontinued, 'Cough');
+    await patientRepository.update(id, patient);
+
+    const restored = await reopen().patientRepository.findById(id);
+
+    expect(restored).to.be.instanceOf(Patient);
+    expect(restored.address).to.be.instanceOf(Address);
+    expect(restored.allergies[0]).to.be.instanceOf(Allergy);
+    expect(restored.allergies[0]).to.deep.equal(patient.allergies[0]);
+    expect(restored.medicalRecord.diagnosis[0]).to.include({
+      code: 'I10',
+      description: 'Essential (primary) hypertension',
+      rank: DiagnosisRank.PRIMARY,
+      clinicalStatus: ClinicalStatus.ACTIVE,
+    });
+    const [original, correction, stopped] =
+      restored.medicalRecord.prescriptions;
+    expect(original).to.include({
+      strength: '50 mg',
+      route: MedicationRoute.ORAL,
+      durationDays: 30,
+      startDate: '2024-07-01',
+      appointmentId: 'a1',
+      status: EntryStatus.AMENDED,
+    });
+    expect(original.statusChange.reason).to.equal('Dose was misread');
+    expect(correction.amends).to.equal('m1');
+    expect(correction.recordedAt).to.be.instanceOf(Date);
+    expect(correction.safetyAlerts[0].drug).to.equal('Spironolactone');
+    expect(correction.overrideReason).to.equal('Potassium is monitored weekly');
+    expect(original.safetyAlerts).to.be.empty;
+    expect(stopped).to.include({
+      prescriberId: '102',
+      authorId: '101',
+    });
+    expect(stopped.discontinuation.discontinuedAt).to.be.instanceOf(Date);
+    expect(restored.medicalRecord.activePrescriptions('2024-07-02')).to.be
+      .empty;
+    expect(database
+      .prepare('SELECT kind FROM medical_record_entries WHERE patient_id = ? ORDER BY kind')
+      .all(id)).to.deep.equal([
+      { kind: 'diagnosis' },
+      { kind: 'medication' },
+      { kind: 'medication' },
+      { kind: 'medication' },
+    ]);
+  });
+
+  it('should find patients and doctors in SQL', async () => {
+    await addPatient(createPatient('John Doe', 'O+'));
+    await addPatient(createPatient('Jane Doe', 'A-'));
+    await repositories.doctorRepository.add(
+      '101',
+      createDoctor('101', 'Cardiology')
+    );
+    await repositories.doctorRepository.add(
+      '102',
+      createDoctor('102', 'Pediatrics')
+    );
+
+    const { patientRepository, doctorRepository } = reopen();
+
+    expect((await patientRepository.findByBloodType('A-')).map((patient) => patient.name)).to.deep.equal(['Jane Doe']);
+    expect((await doctorRepository.findBySpecialization('Cardiology')).map((doctor) => doctor.id)).to.deep.equal(['101']);
+    expect((await doctorRepository.findById('102')).workingHours.toJSON()).to.have.lengthOf(1);
+  });
+
+  it('should find appointments by doctor, patient and status', async () => {
+    const patientId = await addPatient();
+    const patient = await repositories.patientRepository.findById(patientId);
+    await repositories.doctorRepository.add(
+      '101',
+      createDoctor('101', 'Cardiology')
+    );
+    const doctor = await repositories.doctorRepository.findById('101');
+
+    for (const [index, id] of ['201', '202'].entries()) {
+      await repositories.appointmentRepository.add(
+        id,
+        new Appointment(
+          id,
+          `2024-07-0${index + 1}T09:00:00Z`,
+          patient,
+          doctor,
+          'Checkup'
+        )
+      );
+    }
+    const cancelled = await repositories.appointmentRepository.findById('202');
+    cancelled.cancel('reception');
+    await repositories.appointmentRepository.update('202', cancelled);
+
+    const { appointmentRepository, patientRepository } = reopen();
+
+    expect(await appointmentRepository.findByDoctorId('101')).to.have.lengthOf(2);
+    expect((await appointmentRepository.findByStatus('cancelled')).map((a) => a.id)).to.deep.equal(['202']);
+    const [first] = await appointmentRepository.findByPatientId(patientId);
+    expect(first.patient).to.equal(await patientRepository.findById(patientId));
+    expect(first.date.toISOString()).to.equal('2024-07-01T09:00:00.000Z');
+  });
+
+  it('should keep the steps and observations of an exam', async () => {
+    const patientId = await addPatient();
+    await repositories.doctorRepository.add(
+      '101',
+      createDoctor('101', 'Cardiology')
+    );
+    const exam = new Examinations(
+      'e1',
+      'Blood Test',
+      null,
+      null,
+      'Lab 1',
+      await repositories.doctorRepository.findById('101'),
+      await repositories.patientRepository.findById(patientId)
+    );
+    exam.schedule(new Date('2024-07-01T09:00:00Z'), 'reception');
+    exam.collectSample('nurse');
+    await repositories.examinationRepository.add(exam.id, exam);
+    exam.startAnalysis('lab');
+    exam.recordResult(
+      {
+        observations: [
+          Observation.create({
+            analyte: 'HGB',
+            value: 16,
+            unit: 'g/dL',
+            referenceRange: {
+              low: 12,
+              high: 15.5,
+            },
+          }).interpreted(),
+        ],
+        result: 'Mild polycythemia',
+      },
+      'lab'
+    );
+    await repositories.examinationRepository.update(exam.id, exam);
+
+    const { examinationRepository } = reopen();
+    const [collected] =
+      await examinationRepository.findByStatus(ExaminationStatus.RESULTED);
+
+    expect(collected.id).to.equal('e1');
+    expect(collected.orderedAt).to.be.instanceOf(Date);
+    expect(collected.date.toISOString()).to.equal('2024-07-01T09:00:00.000Z');
+    expect(collected.statusHistory.map((change) => change.to)).to.deep.equal([
+      'scheduled',
+      'sample-collected',
+      'in-analysis',
+      'resulted',
+    ]);
+    expect(collected.result).to.equal('Mild polycythemia');
+    expect(collected.observations[0]).to.be.instanceOf(Observation);
+    expect(collected.observations[0]).to.include({
+      analyte: 'HGB',
+      value: 16,
+      interpretation: 'H',
+    });
+    expect(collected.statusHistory[0].date).to.be.instanceOf(Date);
+    expect(await examinationRepository.findByDate(new Date('2024-07-01T09:00:00Z'))).to.have.lengthOf(1);
+  });
+
+  it('should keep the catalog details of an exam', async () => {
+    const patientId = await addPatient();
+    const exam = new Examinations(
+      'e1',
+      null,
+      null,
+      null,
+      'Lab 1',
+      { id: '101' },
+      { id: patientId }
+    );
+    exam.describeWith(ExamCatalog.load().findExam('CHOL'), {
+      code: 'LIPID',
+      name: 'Lipid panel',
+    });
+    await repositories.examinationRepository.add('e1', exam);
+
+    const { examinationRepository } = reopen();
+    const stored = await examinationRepository.findById('e1');
+
+    expect(stored).to.include({
+      type: 'Total cholesterol',
+      code: 'CHOL',
+      specimen: 'Serum',
+      turnaroundHours: 24,
+    });
+    expect(stored.preparation).to.match(/^Fast for 12 hours/);
+    expect(stored.panel).to.deep.equal({
+      code: 'LIPID',
+      name: 'Lipid panel',
+    });
+  });
+
+  it('should keep the attachments of an exam', async () => {
+    const patientId = await addPatient();
+    const exam = new Examinations(
+      'e1',
+      'ECG',
+      null,
+      null,
+      'Room 2',
+      { id: '101' },
+      { id: patientId }
+    );
+    exam.attach(new Attachment('a1', 'ecg.pdf', 'application/pdf', 2048, 'c0ffee', {
+      uploadedBy: 'nurse',
+      uploadedAt: new Date('2024-07-01T12:00:00Z'),
+    }));
+    await repositories.examinationRepository.add('e1', exam);
+
+    const { examinationRepository } = reopen();
+    const stored = await examinationRepository.findById('e1');
+    const attachment = stored.findAttachment('a1');
+
+    expect(attachment).to.be.instanceOf(Attachment);
+    expect(attachment).to.include({
+      fileName: 'ecg.pdf',
+      contentType: 'application/pdf',
+      size: 2048,
+      checksum: 'c0ffee',
+      uploadedBy: 'nurse',
+    });
+    expect(attachment.uploadedAt.toISOString()).to.equal('2024-07-01T12:00:00.000Z');
+  });
+
+  it('should keep critical alerts and find the unacknowledged ones', async () => {
+    const patientId = await addPatient();
+    const critical = (id) => {
+      const exam = new Examinations(
+        id,
+        'Blood Test',
+        null,
+        null,
+        'Lab 1',
+        { id: '101' },
+        { id: patientId },
+        ExaminationStatus.IN_ANALYSIS
+      );
+      exam.recordResult(
+        {
+          observations: [
+            Observation.create({
+              analyte: 'K',
+              value: 6.9,
+              referenceRange: { criticalHigh: 6.2 },
+            }).interpreted(),
+          ],
+        },
+        'lab'
+      );
+      exam.raiseCriticalAlert(
+        new Date('2024-07-01T15:00:00Z'),
+        new Date('2024-07-01T15:30:00Z')
+      );
+      return exam;
+    };
+    const acknowledged = critical('e1');
+    acknowledged.acknowledgeCriticalAlert(
+      '101',
+      new Date('2024-07-01T15:10:00Z')
+    );
+    await repositories.examinationRepository.add('e1', acknowledged);
+    await repositories.examinationRepository.add('e2', critical('e2'));
+
+    const { examinationRepository } = reopen();
+    const [waiting] = await examinationRepository.findUnacknowledgedCritical();
+    const done = await examinationRepository.findById('e1');
+
+    expect(waiting.id).to.equal('e2');
+    expect(waiting.criticalAlert.analytes).to.deep.equal(['K']);
+    expect(waiting.criticalAlert.escalateAt).to.be.instanceOf(Date);
+    expect(waiting.criticalAlert.escalatedAt).to.be.null;
+    expect(done.criticalAlert.acknowledgedBy).to.equal('101');
+    expect(done.criticalAlert.acknowledgedAt.toISOString()).to.equal('2024-07-01T15:10:00.000Z');
+  });
+
+  it('should find overlapping waitlist holds in SQL', async () => {
+    const entry = new WaitlistEntry(
+      'w1',
+      { id: '1' },
+      '101',
+      null,
+      new Date('2024-07-01T00:00:00Z'),
+      new Date('2024-07-02T00:00:00Z'),
+      30
+    );
+    entry.offer(
+      { id: '101' },
+      new Date('2024-07-01T09:00:00Z'),
+      new Date('2024-07-01T09:30:00Z'),
+      new Date('2024-06-30T12:15:00Z')
+    );
+    await repositories.waitlistRepository.add(entry.id, entry);
+
+    const { waitlistRepository } = reopen();
+    const overlaps = (patientId, start) =>
+      waitlistRepository.hasHoldOverlapping(
+        '101',
+        new Date(start),
+        new Date(new Date(start).getTime() + 30 * 60000),
+        patientId
+      );
+
+    expect(await overlaps('2', '2024-07-01T09:15:00Z')).to.be.true;
+    expect(await overlaps('1', '2024-07-01T09:15:00Z')).to.be.false;
+    expect(await overlaps('2', '2024-07-01T09:30:00Z')).to.be.false;
+    const [offered] = await waitlistRepository.findOffered();
+    expect(offered.hold.expiresAt).to.be.instanceOf(Date);
+  });
+
+  it('should keep clinic holidays as rows of their own', async () => {
+    const { holidayCalendarRepository } = repositories;
+    const holidayService = new HolidayService(holidayCalendarRepository);
+    await holidayService.addHoliday('2024-12-25', 'Christmas');
+    await holidayService.addHoliday('2024-01-01', 'New Year');
+    await holidayService.removeHoliday('2024-12-25');
+
+    const reopened = new HolidayService(reopen().holidayCalendarRepository);
+    const calendar = await reopened.getCalendar();
+
+    expect(calendar.version).to.equal(3);
+    expect(calendar.listHolidays()).to.deep.equal([
+      {
+        date: '2024-01-01',
+        name: 'New Year',
+      },
+    ]);
+    expect(database.prepare('SELECT COUNT(*) AS count FROM holidays').get().count).to.equal(1);
+  });
+
+  it('should remove the rows owned by a deleted doctor', async () => {
+    await repositories.doctorRepository.add(
+      '101',
+      createDoctor('101', 'Cardiology')
+    );
+
+    await repositories.doctorRepository.delete('101');
+
+    expect(await repositories.doctorRepository.findById('101')).to.be.undefined;
+    expect(database
+      .prepare('SELECT COUNT(*) AS count FROM doctor_working_hours')
+      .get().count).to.equal(0);
+  });
+
+  it('should keep versions in the rows', async () => {
+    const id = await addPatient();
+    const patient = await repositories.patientRepository.findById(id);
+    await repositories.patientRepository.update(id, patient);
+
+    expect(patient.version).to.equal(2);
+    expect((await reopen().patientRepository.findById(id)).version).to.equal(2);
+  });
+
+  it('should reject a save over a row changed by someone else', async () => {
+    const doctor = createDoctor('101', 'Cardiology');
+    await repositories.doctorRepository.add('101', doctor);
+
+    // A second process saves the doctor after this one loaded it
+    const other = reopen().doctorRepository;
+    await other.update('101', await other.findById('101'));
+
+    doctor.name = 'Doctor Who';
+    await expectRejection(
+      repositories.doctorRepository.update('101', doctor),
+      'Entity with id 101 is at version 2, not 1'
+    );
+    expect(database.prepare('SELECT name FROM doctors WHERE id = ?').get('101').name).to.equal('Doctor 101');
+  });
+});
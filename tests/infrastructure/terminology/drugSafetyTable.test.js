@@ -0,0 +1,79 @@
+import { expect } from 'chai';
+import { DrugSafetyTable } from '../../../src/infrastructure/terminology/drugSafetyTable.js';
+
+describe('DrugSafetyTable', () => {
+  let table;
+
+  before(() => {
+    table = DrugSafetyTable.load();
+  });
+
+  it('should know the classes of a drug, whatever its case', () => {
+    expect(table.termsOf(' Amoxicillin ')).to.deep.equal([
+      'amoxicillin', 'penicillins',
+    ]);
+    expect(table.termsOf('Unknownium')).to.deep.equal(['unknownium']);
+  });
+
+  it('should flag drugs of a class the patient is allergic to', () => {
+    expect(table.allergyAlerts('Amoxicillin', ['Penicillin', 'Latex'])).to.deep.equal([
+      {
+        kind: 'allergy',
+        severity: 'severe',
+        allergy: 'Penicillin',
+        drugClass: 'penicillins',
+        note: null,
+      },
+    ]);
+  });
+
+  it('should flag possible cross-reactions as moderate', () => {
+    const [alert] = table.allergyAlerts('Cephalexin', ['penicillin']);
+
+    expect(alert).to.include({
+      severity: 'moderate',
+      drugClass: 'cephalosporins',
+    });
+    expect(alert.note).to.include('Cross-reactivity');
+  });
+
+  it('should flag an allergy named after the drug or its class', () => {
+    expect(table.allergyAlerts('Ibuprofen', ['Ibuprofen'])[0]).to.include({
+      severity: 'severe',
+      drugClass: null,
+    });
+    expect(table.allergyAlerts('Naproxen', ['NSAIDs'])[0]).to.include({
+      severity: 'severe',
+      drugClass: 'nsaids',
+    });
+    expect(table.allergyAlerts('Unknownium', ['Peanuts'])).to.be.empty;
+  });
+
+  it('should flag interactions with the drugs already taken', () => {
+    expect(table.interactionAlerts('Ibuprofen', [
+      'Warfarin', 'Losartan', 'Sertraline',
+    ])).to.deep.equal([
+      {
+        kind: 'interaction',
+        severity: 'severe',
+        drug: 'Warfarin',
+        effect: 'Increased risk of bleeding',
+      },
+      {
+        kind: 'interaction',
+        severity: 'moderate',
+        drug: 'Sertraline',
+        effect: 'Increased risk of bleeding',
+      },
+    ]);
+    expect(table.interactionAlerts('Spironolactone', ['lisinopril'])[0]).to.include({
+      severity: 'moderate',
+      effect: 'Risk of hyperkalemia',
+    });
+  });
+
+  it('should report a table file it cannot read', () => {
+    expect(() =>
+      DrugSafetyTable.load('/nonexistent/drug-safety.json')).to.throw('Cannot read drug safety table');
+  });
+});
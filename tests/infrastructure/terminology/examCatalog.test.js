@@ -0,0 +1,53 @@
+import { expect } from 'chai';
+import { ExamCatalog } from '../../../src/infrastructure/terminology/examCatalog.js';
+
+describe('ExamCatalog', () => {
+  let catalog;
+
+  before(() => {
+    catalog = ExamCatalog.load();
+  });
+
+  it('should find exams by code, whatever its case', () => {
+    expect(catalog.findExam(' glu ')).to.deep.equal({
+      code: 'GLU',
+      name: 'Fasting glucose',
+      specimen: 'Plasma (fluoride)',
+      preparation: 'Fast for 8 hours before the sample; water is allowed.',
+      turnaroundHours: 4,
+      analytes: ['GLU'],
+    });
+    expect(catalog.findExam('XYZ')).to.be.undefined;
+    expect(catalog.findExam(null)).to.be.undefined;
+  });
+
+  it('should expand panels into their exams', () => {
+    const panel = catalog.findPanel('lipid');
+
+    expect(panel.name).to.equal('Lipid panel');
+    expect(panel.exams.map((exam) => exam.code)).to.deep.equal([
+      'CHOL', 'LDL', 'HDL',
+    ]);
+    expect(panel.exams[0]).to.equal(catalog.findExam('CHOL'));
+    expect(catalog.listPanels().map((entry) => entry.code)).to.include('CBC');
+  });
+
+  it('should reject a panel listing an exam it does not have', () => {
+    expect(() =>
+      new ExamCatalog({
+        exams: [{
+          code: 'HGB',
+          name: 'Hemoglobin',
+        }],
+        panels: [{
+          code: 'CBC',
+          name: 'Blood count',
+          exams: ['HGB', 'WBC'],
+        }],
+      })).to.throw('Panel CBC lists unknown exam WBC');
+  });
+
+  it('should fail loudly when the catalog file is missing', () => {
+    expect(() => ExamCatalog.load('/nonexistent/exam-catalog.json')).to.throw('Cannot read exam catalog');
+  });
+});
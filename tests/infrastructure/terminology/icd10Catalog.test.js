@@ -0,0 +1,48 @@
+import { expect } from 'chai';
+import { Icd10Catalog } from '../../../src/infrastructure/terminology/icd10Catalog.js';
+
+describe('Icd10Catalog', () => {
+  let catalog;
+
+  before(() => {
+    catalog = Icd10Catalog.load();
+  });
+
+  it('should find a code with its display and chapter', () => {
+    const concept = catalog.find('i10');
+
+    expect(concept.code).to.equal('I10');
+    expect(concept.display).to.equal('Essential (primary) hypertension');
+    expect(concept.chapter).to.deep.equal({
+      number: 'IX',
+      title: 'Diseases of the circulatory system',
+      range: 'I00-I99',
+    });
+    expect(catalog.find('X99.9')).to.be.undefined;
+  });
+
+  it('should search codes by prefix, with or without the dot', () => {
+    expect(catalog.search('E11').map((concept) => concept.code)).to.deep.equal([
+      'E11.65', 'E11.9',
+    ]);
+    expect(catalog.search('e119')[0].code).to.equal('E11.9');
+  });
+
+  it('should search displays by every word of the query', () => {
+    const codes = catalog
+      .search('diabetes type')
+      .map((concept) => concept.code);
+
+    expect(codes).to.include.members(['E10.9', 'E11.65', 'E11.9']);
+    expect(codes).to.not.include('O24.419');
+  });
+
+  it('should limit the results and ignore empty queries', () => {
+    expect(catalog.search('unspecified', 5)).to.have.lengthOf(5);
+    expect(catalog.search('  ')).to.be.empty;
+  });
+
+  it('should report a catalog file it cannot read', () => {
+    expect(() => Icd10Catalog.load('/nonexistent/icd10.json')).to.throw('Cannot read ICD-10 catalog');
+  });
+});
@@ -0,0 +1,64 @@
+import { expect } from 'chai';
+import { ReferenceRangeTable } from '../../../src/infrastructure/terminology/referenceRangeTable.js';
+
+describe('ReferenceRangeTable', () => {
+  let table;
+
+  before(() => {
+    table = ReferenceRangeTable.load();
+  });
+
+  it('should find analytes by code, whatever its case', () => {
+    expect(table.find(' hgb ').name).to.equal('Hemoglobin');
+    expect(table.find('XYZ')).to.be.undefined;
+  });
+
+  it('should pick the range for the patient sex and age', () => {
+    const range = (gender, age) =>
+      table.referenceFor('HGB', null, {
+        gender,
+        age,
+      }).referenceRange;
+
+    expect(range('Male', 40)).to.deep.equal({
+      low: 13.5,
+      high: 17.5,
+      criticalLow: 7,
+      criticalHigh: 20,
+    });
+    expect(range('F', 40)).to.include({
+      low: 12,
+      high: 15.5,
+    });
+    expect(range('female', 8)).to.include({
+      low: 11.5,
+      high: 15.5,
+    });
+  });
+
+  it('should keep the critical limits when no range fits', () => {
+    expect(table.referenceFor('HGB', 'g/dL', {
+      gender: null,
+      age: 40,
+    })
+      .referenceRange).to.deep.equal({
+      low: null,
+      high: null,
+      criticalLow: 7,
+      criticalHigh: 20,
+    });
+  });
+
+  it('should not give a reference for another unit or analyte', () => {
+    expect(table.referenceFor('GLU', 'mmol/L')).to.be.null;
+    expect(table.referenceFor('Unknownium')).to.be.null;
+    expect(table.referenceFor('GLU', 'mg/dL').referenceRange).to.include({
+      low: 70,
+      high: 99,
+    });
+  });
+
+  it('should fail clearly when the table cannot be read', () => {
+    expect(() => ReferenceRangeTable.load('/nonexistent.json')).to.throw('Cannot read reference range table');
+  });
+});
@@ -2,9 +2,9 @@
 import { expect } from 'chai';
 import { Appointment } from '../../../src/domain/entities/appointment.js';
 import { Doctor } from '../../../src/domain/entities/doctor.js';
-import { Medication } from '../../../src/domain/entities/medication.js';
 import { Patient } from '../../../src/domain/entities/patient.js';
 import { Diagnosis } from '../../../src/domain/entities/record/diagnosis.js';
+import { MedicationRoute, Prescription } from '../../../src/domain/entities/record/prescription.js';
 import { PatientService } from '../../../src/domain/services/patientService.js';
 import { Address } from '../../../src/domain/value-objects/address.js';
 import { EmergencyContact } from '../../../src/domain/value-objects/emergencyContact.js';
@@ -29,7 +29,7 @@ describe('Patient Appointment Workflow - Full Integration Test', () => {
     patientService = new PatientService(patientRepo);
   });
 
-  it('should complete full workflow: register patient, doctor, create appointment, and update medical record', () => {
+  it('should complete full workflow: register patient, doctor, create appointment, and update medical record', async () => {
     // Step 1: Register a new patient
     const patientAddress = new Address(
       '123 Main St',
@@ -58,7 +58,7 @@ describe('Patient Appointment Workflow - Full Integration Test', () => {
       emergencyContact
     );
 
-    const savedPatient = patientService.addPatient(patient);
+    const savedPatient = await patientService.addPatient(patient);
     expect(savedPatient).to.not.be.null;
     expect(savedPatient.id).to.not.be.null;
     expect(savedPatient.name).to.equal('John Doe');
@@ -84,8 +84,8 @@ describe('Patient Appointment Workflow - Full Integration Test', () => {
       workingHours
     );
 
-    doctorRepo.add(doctorId, doctor);
-    const savedDoctor = doctorRepo.findById(doctorId);
+    await doctorRepo.add(doctorId, doctor);
+    const savedDoctor = await doctorRepo.findById(doctorId);
 
     expect(savedDoctor).to.not.be.null;
     expect(savedDoctor.name).to.equal('Dr. Sarah Smith');
@@ -104,8 +104,8 @@ describe('Patient Appointment Workflow - Full Integration Test', () => {
       'Patient reports occasional chest discomfort'
     );
 
-    appointmentRepo.add(appointmentId, appointment);
-    const savedAppointment = appointmentRepo.findById(appointmentId);
+    await appointmentRepo.add(appointmentId, appointment);
+    const savedAppointment = await appointmentRepo.findById(appointmentId);
 
     expect(savedAppointment).to.not.be.null;
     expect(savedAppointment.status).to.equal('scheduled');
@@ -114,19 +114,32 @@ describe('Patient Appointment Workflow - Full Integration Test', () => {
 
     // Step 4: Complete appointment and update medical record with diagnosis
     const diagnosis = new Diagnosis(
-      'Mild Hypertension - Stage 1 hypertension, blood pressure 145/92'
+      'Mild Hypertension - Stage 1 hypertension, blood pressure 145/92',
+      {
+        authorId: doctorId,
+        appointmentId,
+      }
     );
 
     savedPatient.medicalRecord.addDiagnosis(diagnosis);
 
-    // Add prescribed medication
-    const medication = new Medication('Lisinopril', '10mg once daily');
+    // Prescribe medication
+    const prescription = Prescription.create({
+      drug: 'Lisinopril',
+      strength: '10 mg',
+      form: 'tablet',
+      route: MedicationRoute.ORAL,
+      frequency: 'once daily',
+      startDate: '2024-07-01',
+      authorId: doctorId,
+      appointmentId,
+    });
 
-    savedPatient.medicalRecord.addMedication(medication);
+    savedPatient.medicalRecord.addPrescription(prescription);
 
     // Update patient in repository
-    patientService.updatePatient(savedPatient.id, savedPatient);
-    const updatedPatient = patientRepo.findById(savedPatient.id);
+    await patientService.updatePatient(savedPatient.id, savedPatient);
+    const updatedPatient = await patientRepo.findById(savedPatient.id);
 
     // Step 5: Verify the complete workflow
     expect(updatedPatient).to.not.be.null;
@@ -134,28 +147,29 @@ describe('Patient Appointment Workflow - Full Integration Test', () => {
     expect(updatedPatient.medicalRecord.diagnosis[0].description).to.include(
       'Mild Hypertension'
     );
-    expect(updatedPatient.medicalRecord.medications).to.have.lengthOf(1);
-    expect(updatedPatient.medicalRecord.medications[0]).to.not.be.undefined;
-    expect(updatedPatient.medicalRecord.medications[0].name).to.equal(
-      'Lisinopril'
-    );
+    expect(updatedPatient.medicalRecord.prescriptions).to.have.lengthOf(1);
+    expect(updatedPatient.medicalRecord.prescriptions[0]).to.include({
+      drug: 'Lisinopril',
+      strength: '10 mg',
+      prescriberId: doctorId,
+    });
 
     // Verify appointment is still accessible
-    const retrievedAppointment = appointmentRepo.findById(appointmentId);
+    const retrievedAppointment = await appointmentRepo.findById(appointmentId);
     expect(retrievedAppointment).to.not.be.null;
     expect(retrievedAppointment.patient.name).to.equal('John Doe');
     expect(retrievedAppointment.doctor.name).to.equal('Dr. Sarah Smith');
 
     // Step 6: Update appointment status to completed
     savedAppointment.status = 'completed';
-    appointmentRepo.update(appointmentId, savedAppointment);
-    const completedAppointment = appointmentRepo.findById(appointmentId);
+    await appointmentRepo.update(appointmentId, savedAppointment);
+    const completedAppointment = await appointmentRepo.findById(appointmentId);
     expect(completedAppointment.status).to.equal('completed');
 
     // Final verification: retrieve all entities to ensure persistence
-    const allPatients = patientRepo.findAll();
-    const allDoctors = doctorRepo.findAll();
-    const allAppointments = appointmentRepo.findAll();
+    const allPatients = await patientRepo.findAll();
+    const allDoctors = await doctorRepo.findAll();
+    const allAppointments = await appointmentRepo.findAll();
 
     expect(allPatients).to.have.lengthOf(1);
     expect(allDoctors).to.have.lengthOf(1);
@@ -0,0 +1,17 @@
+import { expect } from 'chai';
+
+// The async counterpart of expect(fn).to.throw(message)
+export async function expectRejection(promise, message) {
+  let error;
+  try {
+    await promise;
+  } catch (rejection) {
+    error = rejection;
+  }
+
+  expect(error, 'expected the promise to reject').to.be.an('error');
+  if (message) {
+    expect(error.message).to.include(message);
+  }
+  return error;
+}
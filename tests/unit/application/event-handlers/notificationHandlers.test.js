@@ -0,0 +1,73 @@
+// Unit tests for the notification event handlers
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { registerNotificationHandlers } from '../../../../src/application/event-handlers/notificationHandlers.js';
+import { DomainEvent, DomainEventType } from '../../../../src/domain/events/domainEvent.js';
+import { EventBus } from '../../../../src/domain/events/eventBus.js';
+import { NotificationService } from '../../../../src/infrastructure/notification/notificationService.js';
+
+describe('Notification handlers', () => {
+  let eventBus;
+  let logger;
+
+  const examination = {
+    id: 'e1',
+    type: 'Electrolytes',
+    patient: { name: 'John Doe' },
+    responsibleDoctor: {
+      name: 'Smith',
+      phoneNumber: '555-0101',
+    },
+    criticalAlert: {
+      analytes: ['K'],
+      raisedAt: new Date('2024-07-01T15:00:00Z'),
+    },
+  };
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    logger = { log: sinon.spy() };
+    registerNotificationHandlers(eventBus, new NotificationService(logger));
+  });
+
+  it('should text the responsible doctor about a critical result', async () => {
+    const observations = [
+      {
+        analyte: 'K',
+        value: 6.9,
+        unit: 'mmol/L',
+        interpretation: 'HH',
+      },
+    ];
+
+    await eventBus.publish(new DomainEvent(
+      DomainEventType.CRITICAL_RESULT_RAISED,
+      'e1',
+      {
+        examination,
+        observations,
+      }
+    ));
+
+    expect(logger.log.calledOnce).to.be.true;
+    const [message] = logger.log.firstCall.args;
+    expect(message).to.include('Sending SMS to 555-0101');
+    expect(message).to.include('K 6.9 mmol/L (HH)');
+  });
+
+  it('should email the escalation contact', async () => {
+    await eventBus.publish(new DomainEvent(
+      DomainEventType.CRITICAL_RESULT_ESCALATED,
+      'e1',
+      {
+        examination,
+        contact: 'lab-supervisor@example.com',
+      }
+    ));
+
+    expect(logger.log.calledOnce).to.be.true;
+    const [message] = logger.log.firstCall.args;
+    expect(message).to.include('Sending email to lab-supervisor@example.com');
+    expect(message).to.include('not been acknowledged by Dr. Smith');
+  });
+});
@@ -1 +1,445 @@
 // Unit tests for AppointmentService
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { AppointmentService } from '../../../../src/application/services/AppointmentService.js';
+import { Appointment, AppointmentStatus } from '../../../../src/domain/entities/appointment.js';
+import { Doctor } from '../../../../src/domain/entities/doctor.js';
+import { DomainEventType } from '../../../../src/domain/events/domainEvent.js';
+import { EventBus } from '../../../../src/domain/events/eventBus.js';
+import { DoctorAvailabilityService } from '../../../../src/domain/services/doctor-service/doctorAvailabilityService.js';
+import { HolidayService } from '../../../../src/domain/services/holidayService.js';
+import { TimeZone } from '../../../../src/domain/value-objects/timeZone.js';
+import { AppointmentRepository } from '../../../../src/infrastructure/persistance/appointmentRepository.js';
+import { AppointmentSeriesRepository } from '../../../../src/infrastructure/persistance/appointmentSeriesRepository.js';
+import { HolidayCalendarRepository } from '../../../../src/infrastructure/persistance/holidayCalendarRepository.js';
+import { expectRejection } from '../../../support/expectRejection.js';
+
+describe('AppointmentService', () => {
+  let appointmentService;
+  let patientService;
+  let doctorService;
+  let appointmentRepository;
+  let doctorAvailabilityService;
+
+  const patient = {
+    id: '1',
+    name: 'John Doe',
+    email: 'john@example.com',
+  };
+  const doctor = {
+    id: '101',
+    name: 'Smith',
+  };
+
+  beforeEach(() => {
+    patientService = { findPatientById: sinon.stub().returns(patient) };
+    doctorService = { findDoctorById: sinon.stub().returns(doctor) };
+    appointmentRepository = {
+      nextId: sinon.stub().returns('201'),
+      add: sinon.stub(),
+      findById: sinon.stub(),
+      findAll: sinon.stub(),
+      update: sinon.stub(),
+    };
+    doctorAvailabilityService = {
+      isDoctorAvailable: sinon.stub().returns(true),
+      hasPatientConflict: sinon.stub().returns(false),
+      getTimeZone: sinon.stub().returns(new TimeZone()),
+    };
+
+    appointmentService = new AppointmentService(
+      patientService,
+      doctorService,
+      appointmentRepository,
+      doctorAvailabilityService
+    );
+  });
+
+  describe('execute', () => {
+    it('should create a scheduled Appointment regardless of input status', async () => {
+      const appointment = await appointmentService.execute({
+        date: '2024-07-01T10:00:00Z',
+        patientId: '1',
+        doctorId: '101',
+        reason: 'Checkup',
+        status: 'completed',
+      });
+
+      expect(appointment).to.be.instanceOf(Appointment);
+      expect(appointment.status).to.equal(AppointmentStatus.SCHEDULED);
+      expect(appointmentRepository.add.calledWith('201', appointment)).to.be
+        .true;
+    });
+
+    it('should give the appointment an id of its own', async () => {
+      const appointment = await appointmentService.execute({
+        id: 'chosen-by-client',
+        date: '2024-07-01T10:00:00Z',
+        patientId: '1',
+        doctorId: '101',
+      });
+
+      expect(appointment.id).to.equal('201');
+    });
+
+    it('should record that the appointment was scheduled', async () => {
+      const appointment = await appointmentService.execute({
+        date: '2024-07-01T10:00:00Z',
+        patientId: '1',
+        doctorId: '101',
+      });
+
+      const [event] = appointment.pullDomainEvents();
+      expect(event.type).to.equal(DomainEventType.APPOINTMENT_SCHEDULED);
+      expect(event.aggregateId).to.equal('201');
+      expect(event.payload.appointment).to.equal(appointment);
+    });
+  });
+
+  describe('conflicts', () => {
+    it('should pass the appointment duration to the availability check', async () => {
+      await appointmentService.execute({
+        date: '2024-07-01T10:00:00Z',
+        patientId: '1',
+        doctorId: '101',
+        duration: 45,
+      });
+
+      expect(doctorAvailabilityService.isDoctorAvailable.calledWith(
+        '101',
+        sinon.match.date,
+        45,
+        '201'
+      )).to.be.true;
+    });
+
+    it('should refuse to double-book the patient', async () => {
+      doctorAvailabilityService.hasPatientConflict.returns(true);
+
+      await expectRejection(
+        appointmentService.execute({
+          date: '2024-07-01T10:00:00Z',
+          patientId: '1',
+          doctorId: '101',
+        }),
+        'Patient already has an appointment at the requested time'
+      );
+      expect(appointmentRepository.add.called).to.be.false;
+    });
+  });
+
+  describe('time zones', () => {
+    it('should read a date without an offset in the doctor time zone', async () => {
+      doctorAvailabilityService.getTimeZone.returns(new TimeZone('America/Sao_Paulo'));
+
+      const appointment = await appointmentService.execute({
+        date: '2024-07-01T09:00',
+        patientId: '1',
+        doctorId: '101',
+        reason: 'Checkup',
+      });
+
+      expect(appointment.date.toISOString()).to.equal('2024-07-01T12:00:00.000Z');
+      expect(appointment.timeZone).to.equal('America/Sao_Paulo');
+      expect(appointment.getLocalDate()).to.equal('2024-07-01T09:00:00-03:00');
+    });
+
+    it('should reject an invalid date', async () => {
+      await expectRejection(
+        appointmentService.execute({
+          date: 'tomorrow',
+          patientId: '1',
+          doctorId: '101',
+        }),
+        'Invalid appointment date'
+      );
+    });
+  });
+
+  describe('status transitions', () => {
+    let appointment;
+
+    beforeEach(() => {
+      appointment = new Appointment(
+        '201',
+        new Date('2024-07-01T10:00:00Z'),
+        patient,
+        doctor,
+        'Checkup'
+      );
+      appointmentRepository.findById.withArgs('201').returns(appointment);
+    });
+
+    it('should cancel and persist the appointment', async () => {
+      const result = await appointmentService.cancel(
+        '201',
+        'reception',
+        'Sick'
+      );
+
+      expect(result.status).to.equal(AppointmentStatus.CANCELLED);
+      expect(appointmentRepository.update.calledWith('201', appointment)).to.be
+        .true;
+    });
+
+    it('should throw when the appointment does not exist', async () => {
+      await expectRejection(
+        appointmentService.checkIn('999', 'reception'),
+        'Appointment not found'
+      );
+    });
+
+    it('should not persist an illegal transition', async () => {
+      await expectRejection(
+        appointmentService.complete('201', 'Dr. Smith'),
+        'Cannot change appointment status from scheduled to completed'
+      );
+      expect(appointmentRepository.update.called).to.be.false;
+    });
+
+    it('should check doctor availability before rescheduling', async () => {
+      const result = await appointmentService.reschedule(
+        '201',
+        '2024-07-02T10:00:00Z',
+        'reception'
+      );
+
+      const [doctorId, date] =
+        doctorAvailabilityService.isDoctorAvailable.firstCall.args;
+      expect(doctorId).to.equal('101');
+      expect(date.toISOString()).to.equal('2024-07-02T10:00:00.000Z');
+      expect(result.status).to.equal(AppointmentStatus.RESCHEDULED);
+      expect(result.originalDate.toISOString()).to.equal('2024-07-01T10:00:00.000Z');
+    });
+
+    it('should refuse to reschedule into an unavailable slot', async () => {
+      doctorAvailabilityService.isDoctorAvailable.returns(false);
+
+      await expectRejection(
+        appointmentService.reschedule('201', '2024-07-02T10:00:00Z'),
+        'Doctor is not available at the requested time'
+      );
+      expect(appointment.status).to.equal(AppointmentStatus.SCHEDULED);
+    });
+
+    it('should refuse to reschedule a completed appointment', async () => {
+      appointment.checkIn();
+      appointment.start();
+      appointment.complete();
+
+      await expectRejection(
+        appointmentService.reschedule('201', '2024-07-02T10:00:00Z'),
+        'Cannot reschedule an appointment that is completed'
+      );
+      expect(doctorAvailabilityService.isDoctorAvailable.called).to.be.false;
+    });
+  });
+
+  describe('appointment series', () => {
+    // Occurrences are numbered after the series, so tests can name them
+    const sequence = (prefix) => {
+      let next = 0;
+      return () => `${prefix}-${++next}`;
+    };
+
+    let holidayService;
+    let physiotherapist;
+    let published;
+
+    beforeEach(() => {
+      physiotherapist = new Doctor(
+        '102',
+        'CRM102',
+        'Costa',
+        ['Physiotherapy'],
+        '',
+        [
+          {
+            day: 'Monday',
+            start: '08:00',
+            end: '12:00',
+          },
+          {
+            day: 'Thursday',
+            start: '08:00',
+            end: '12:00',
+          },
+        ]
+      );
+      doctorService.findDoctorById.withArgs('102').returns(physiotherapist);
+      holidayService = new HolidayService(new HolidayCalendarRepository());
+      published = [];
+      const eventBus = new EventBus();
+      eventBus.subscribeAll((event) => published.push(event.type));
+      appointmentRepository = new AppointmentRepository(
+        eventBus,
+        null,
+        sequence('physio')
+      );
+
+      appointmentService = new AppointmentService(
+        patientService,
+        doctorService,
+        appointmentRepository,
+        new DoctorAvailabilityService(
+          appointmentRepository,
+          doctorService,
+          holidayService
+        ),
+        new AppointmentSeriesRepository(eventBus, null, () => 'physio')
+      );
+    });
+
+    const scheduleWeekly = (count) =>
+      appointmentService.scheduleSeries({
+        date: '2024-07-01T09:00',
+        patientId: '1',
+        doctorId: '102',
+        reason: 'Knee rehab',
+        recurrence: {
+          frequency: 'weekly',
+          byWeekday: ['Monday', 'Thursday'],
+          count,
+        },
+      });
+
+    it('should book every available occurrence and report the rest', async () => {
+      await holidayService.addHoliday('2024-07-04', 'Independence Day');
+
+      const { series, appointments, unbooked } = await scheduleWeekly(4);
+
+      expect(series.id).to.equal('physio');
+      const localDates = appointments.map((appointment) =>
+        appointment.getLocalDate());
+      expect(localDates).to.deep.equal([
+        '2024-07-01T09:00:00+00:00', '2024-07-08T09:00:00+00:00', '2024-07-11T09:00:00+00:00',
+      ]);
+      expect(appointments[0].duration).to.equal(45);
+      expect(appointments.every((a) => a.seriesId === 'physio')).to.be.true;
+      expect(unbooked).to.deep.equal([
+        {
+          date: new Date('2024-07-04T09:00:00Z'),
+          localDate: '2024-07-04T09:00:00+00:00',
+          reason: 'Doctor is not available at the requested time',
+        },
+      ]);
+      const seriesEvents = published.filter((type) =>
+        type === DomainEventType.APPOINTMENT_SERIES_SCHEDULED);
+      expect(seriesEvents).to.have.lengthOf(1);
+    });
+
+    it('should refuse a series with no bookable occurrence', async () => {
+      await expectRejection(
+        appointmentService.scheduleSeries({
+          date: '2024-07-02T09:00',
+          patientId: '1',
+          doctorId: '102',
+          recurrence: {
+            frequency: 'weekly',
+            count: 2,
+          },
+        }),
+        'No occurrence of the series could be booked'
+      );
+      expect(await appointmentRepository.findAll()).to.be.empty;
+    });
+
+    it('should cancel this and the following occurrences', async () => {
+      await scheduleWeekly(4);
+
+      const cancelled = await appointmentService.cancelSeries(
+        'physio-3',
+        'following',
+        'reception',
+        'Discharged'
+      );
+
+      expect(cancelled.map((appointment) => appointment.id)).to.deep.equal([
+        'physio-3', 'physio-4',
+      ]);
+      expect((await appointmentService.findById('physio-2')).status).to.equal(AppointmentStatus.SCHEDULED);
+    });
+
+    it('should cancel the whole series from any occurrence', async () => {
+      await scheduleWeekly(3);
+
+      const cancelled = await appointmentService.cancelSeries(
+        'physio-2',
+        'series'
+      );
+
+      expect(cancelled).to.have.lengthOf(3);
+      expect(cancelled.every((appointment) =>
+        appointment.status === AppointmentStatus.CANCELLED)).to.be.true;
+    });
+
+    it('should cancel a single occurrence', async () => {
+      await scheduleWeekly(3);
+
+      const cancelled = await appointmentService.cancelSeries(
+        'physio-2',
+        'occurrence'
+      );
+
+      expect(cancelled.map((appointment) => appointment.id)).to.deep.equal([
+        'physio-2',
+      ]);
+      expect((await appointmentService.findById('physio-3')).isActive()).to.be
+        .true;
+    });
+
+    it('should move the following occurrences by the same shift', async () => {
+      await scheduleWeekly(4);
+
+      const { rescheduled, unbooked } =
+        await appointmentService.rescheduleSeries(
+          'physio-2',
+          'following',
+          '2024-07-04T10:30',
+          'reception'
+        );
+
+      const localDates = rescheduled.map((appointment) =>
+        appointment.getLocalDate());
+      expect(localDates).to.deep.equal([
+        '2024-07-04T10:30:00+00:00', '2024-07-08T10:30:00+00:00', '2024-07-11T10:30:00+00:00',
+      ]);
+      expect(unbooked).to.be.empty;
+      expect((await appointmentService.findById('physio-1')).getLocalDate()).to.equal('2024-07-01T09:00:00+00:00');
+    });
+
+    it('should report occurrences that cannot be moved', async () => {
+      await scheduleWeekly(2);
+
+      await holidayService.addHoliday('2024-07-11', 'Clinic closed');
+
+      const { rescheduled, unbooked } =
+        await appointmentService.rescheduleSeries(
+          'physio-1',
+          'series',
+          '2024-07-08T09:00',
+          'reception'
+        );
+
+      expect(rescheduled.map((appointment) => appointment.getLocalDate())).to.deep.equal(['2024-07-08T09:00:00+00:00']);
+      expect(unbooked).to.deep.equal([
+        {
+          id: 'physio-2',
+          date: new Date('2024-07-11T09:00:00Z'),
+          localDate: '2024-07-11T09:00:00+00:00',
+          reason: 'Doctor is not available at the requested time',
+        },
+      ]);
+      expect((await appointmentService.findById('physio-2')).status).to.equal(AppointmentStatus.SCHEDULED);
+    });
+
+    it('should reject an unknown scope', async () => {
+      await scheduleWeekly(2);
+
+      await expectRejection(
+        appointmentService.cancelSeries('physio-1', 'everything'),
+        'Invalid series scope: everything'
+      );
+    });
+  });
+});
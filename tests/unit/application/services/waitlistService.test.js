@@ -0,0 +1,258 @@
+// Unit tests for WaitlistService
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { registerNotificationHandlers } from '../../../../src/application/event-handlers/notificationHandlers.js';
+import { registerWaitlistHandlers } from '../../../../src/application/event-handlers/waitlistHandlers.js';
+import { AppointmentService } from '../../../../src/application/services/AppointmentService.js';
+import { WaitlistService } from '../../../../src/application/services/WaitlistService.js';
+import { Doctor } from '../../../../src/domain/entities/doctor.js';
+import { WaitlistStatus } from '../../../../src/domain/entities/waitlistEntry.js';
+import { EventBus } from '../../../../src/domain/events/eventBus.js';
+import { UnitOfWork } from '../../../../src/domain/repositories/unitOfWork.js';
+import { DoctorAvailabilityService } from '../../../../src/domain/services/doctor-service/doctorAvailabilityService.js';
+import { DoctorScheduleExceptionService } from '../../../../src/domain/services/doctor-service/doctorScheduleExceptionService.js';
+import { AppointmentRepository } from '../../../../src/infrastructure/persistance/appointmentRepository.js';
+import { DoctorRepository } from '../../../../src/infrastructure/persistance/doctorRepository.js';
+import { WaitlistRepository } from '../../../../src/infrastructure/persistance/waitlistRepository.js';
+import { expectRejection } from '../../../support/expectRejection.js';
+
+describe('WaitlistService', () => {
+  let now;
+  let doctorRepository;
+  let appointmentRepository;
+  let waitlistRepository;
+  let notificationService;
+  let appointmentService;
+  let scheduleExceptionService;
+  let waitlistService;
+  let first9am;
+  let first930am;
+
+  const patients = {
+    1: {
+      id: '1',
+      name: 'John Doe',
+    },
+    2: {
+      id: '2',
+      name: 'Jane Doe',
+    },
+    3: {
+      id: '3',
+      name: 'Max Mustermann',
+    },
+  };
+
+  const book = (patientId, date) =>
+    appointmentService.execute({
+      patientId,
+      doctorId: '102',
+      date,
+      duration: 30,
+    });
+
+  const join = (patientId) =>
+    waitlistService.joinWaitlist({
+      patientId,
+      doctorId: '102',
+      from: '2024-07-01T00:00',
+      to: '2024-07-02T00:00',
+      duration: 30,
+    });
+
+  beforeEach(async () => {
+    now = new Date('2024-06-30T12:00:00Z');
+    const eventBus = new EventBus();
+    const unitOfWork = new UnitOfWork();
+    doctorRepository = new DoctorRepository(eventBus);
+    await doctorRepository.add(
+      '102',
+      new Doctor('102', 'CRM102', 'Costa', ['Physiotherapy'], '', [
+        {
+          day: 'Monday',
+          start: '09:00',
+          end: '10:00',
+        },
+      ])
+    );
+    const findDoctorById = (id) => doctorRepository.findById(id);
+    const doctorService = { findDoctorById };
+    const patientService = { findPatientById: (id) => patients[id] };
+
+    appointmentRepository = new AppointmentRepository(eventBus);
+    waitlistRepository = new WaitlistRepository(eventBus);
+    notificationService = {
+      notifyAppointmentScheduled: sinon.stub(),
+      notifyWaitlistOffer: sinon.stub(),
+    };
+
+    const availabilityService = new DoctorAvailabilityService(
+      appointmentRepository,
+      doctorService
+    );
+    appointmentService = new AppointmentService(
+      patientService,
+      doctorService,
+      appointmentRepository,
+      availabilityService,
+      null,
+      waitlistRepository,
+      unitOfWork
+    );
+    scheduleExceptionService = new DoctorScheduleExceptionService(
+      doctorRepository,
+      appointmentRepository
+    );
+    waitlistService = new WaitlistService(
+      waitlistRepository,
+      appointmentService,
+      availabilityService,
+      doctorService,
+      patientService,
+      unitOfWork,
+      15,
+      () => now
+    );
+
+    registerNotificationHandlers(eventBus, notificationService);
+    registerWaitlistHandlers(eventBus, waitlistService);
+
+    // The doctor is fully booked on Monday
+    first9am = await book('3', '2024-07-01T09:00');
+    first930am = await book('3', '2024-07-01T09:30');
+  });
+
+  it('should hold a cancelled slot for the earliest waitlisted patient', async () => {
+    const first = await join('1');
+    const second = await join('2');
+
+    await appointmentService.cancel(first9am.id, 'reception');
+
+    expect(first.status).to.equal(WaitlistStatus.OFFERED);
+    expect(first.hold.start.toISOString()).to.equal('2024-07-01T09:00:00.000Z');
+    expect(first.hold.expiresAt.toISOString()).to.equal('2024-06-30T12:15:00.000Z');
+    expect(second.status).to.equal(WaitlistStatus.WAITING);
+    expect(notificationService.notifyWaitlistOffer.calledOnce).to.be.true;
+  });
+
+  it('should keep a held slot from being booked by someone else', async () => {
+    await join('1');
+    await appointmentService.cancel(first9am.id, 'reception');
+
+    await expectRejection(
+      book('2', '2024-07-01T09:00'),
+      'The requested time is on hold for a waitlisted patient'
+    );
+  });
+
+  it('should book the held slot when the patient claims it', async () => {
+    const entry = await join('1');
+    await appointmentService.cancel(first9am.id, 'reception');
+
+    const appointment = await waitlistService.claimOffer(entry.id);
+
+    expect(appointment.patient.id).to.equal('1');
+    expect(appointment.date.toISOString()).to.equal('2024-07-01T09:00:00.000Z');
+    expect(entry.status).to.equal(WaitlistStatus.BOOKED);
+    expect(entry.appointmentId).to.equal(appointment.id);
+  });
+
+  it('should roll an expired hold to the next patient', async () => {
+    const first = await join('1');
+    const second = await join('2');
+    await appointmentService.cancel(first9am.id, 'reception');
+
+    now = new Date('2024-06-30T12:16:00Z');
+    await waitlistService.expireHolds();
+
+    expect(first.status).to.equal(WaitlistStatus.WAITING);
+    expect(second.status).to.equal(WaitlistStatus.OFFERED);
+    await expectRejection(
+      waitlistService.claimOffer(first.id),
+      'Waitlist entry has no active hold'
+    );
+  });
+
+  it('should leave lapsed holds out of the list without releasing them', async () => {
+    const first = await join('1');
+    const second = await join('2');
+    await appointmentService.cancel(first9am.id, 'reception');
+
+    now = new Date('2024-06-30T12:16:00Z');
+    const entries = await waitlistService.listWaitlist();
+
+    expect(entries.map(({ id }) => id)).to.deep.equal([second.id]);
+    expect(first.status).to.equal(WaitlistStatus.OFFERED);
+    expect(second.status).to.equal(WaitlistStatus.WAITING);
+  });
+
+  it('should roll a declined offer to the next patient', async () => {
+    const first = await join('1');
+    const second = await join('2');
+    await appointmentService.cancel(first9am.id, 'reception');
+
+    await waitlistService.declineOffer(first.id);
+
+    expect(first.passedSlots).to.have.lengthOf(1);
+    expect(second.status).to.equal(WaitlistStatus.OFFERED);
+  });
+
+  it('should offer time opened by an extra shift', async () => {
+    const entry = await join('1');
+
+    await scheduleExceptionService.addScheduleException('102', {
+      type: 'extra-shift',
+      start: '2024-07-01T14:00:00Z',
+      end: '2024-07-01T15:00:00Z',
+    });
+
+    expect(entry.hold.start.toISOString()).to.equal('2024-07-01T14:00:00.000Z');
+  });
+
+  it('should offer the slot an appointment was moved away from', async () => {
+    const entry = await join('1');
+
+    await appointmentService.reschedule(
+      first930am.id,
+      '2024-07-08T09:30',
+      'reception'
+    );
+
+    expect(entry.hold.start.toISOString()).to.equal('2024-07-01T09:30:00.000Z');
+  });
+
+  it('should not offer slots outside the preferred range', async () => {
+    const entry = await waitlistService.joinWaitlist({
+      patientId: '1',
+      doctorId: '102',
+      from: '2024-07-08T00:00',
+      to: '2024-07-09T00:00',
+    });
+
+    await appointmentService.cancel(first9am.id, 'reception');
+
+    expect(entry.status).to.equal(WaitlistStatus.WAITING);
+  });
+
+  it('should pass the hold on when a patient leaves the waitlist', async () => {
+    const first = await join('1');
+    const second = await join('2');
+    await appointmentService.cancel(first9am.id, 'reception');
+
+    await waitlistService.leaveWaitlist(first.id);
+
+    expect(first.status).to.equal(WaitlistStatus.CANCELLED);
+    expect(second.status).to.equal(WaitlistStatus.OFFERED);
+  });
+
+  it('should require a doctor or a specialty', async () => {
+    await expectRejection(
+      waitlistService.joinWaitlist({
+        patientId: '1',
+        from: '2024-07-01T00:00',
+        to: '2024-07-02T00:00',
+      }),
+      'Waitlist entry needs a doctor or a specialty'
+    );
+  });
+});
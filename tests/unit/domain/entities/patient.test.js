@@ -1,5 +1,6 @@
 import { expect } from 'chai';
 import sinon from 'sinon';
+import { Appointment } from '../../../../src/domain/entities/appointment.js';
 import { Patient } from '../../../../src/domain/entities/patient.js';
 import { Address } from '../../../../src/domain/value-objects/address.js';
 import { EmergencyContact } from '../../../../src/domain/value-objects/emergencyContact.js';
@@ -95,4 +96,37 @@ describe('Patient Entity', () => {
       );
     });
   });
+
+  describe('scheduleAppointment', () => {
+    const doctor = {
+      id: '101',
+      name: 'Smith',
+    };
+
+    const createAppointment = (id, date) =>
+      new Appointment(id, new Date(date), {}, doctor, 'Checkup', null, '', 30);
+
+    beforeEach(() => {
+      sinon.stub(console, 'log');
+    });
+
+    it('should add non-overlapping appointments', () => {
+      const patient = createPatient();
+
+      patient.scheduleAppointment(createAppointment('1', '2024-07-01T10:00:00Z'));
+      patient.scheduleAppointment(createAppointment('2', '2024-07-01T10:30:00Z'));
+
+      expect(patient.appointments).to.have.lengthOf(2);
+    });
+
+    it('should skip an appointment that overlaps an existing one', () => {
+      const patient = createPatient();
+
+      patient.scheduleAppointment(createAppointment('1', '2024-07-01T10:00:00Z'));
+      patient.scheduleAppointment(createAppointment('2', '2024-07-01T10:15:00Z'));
+
+      expect(patient.appointments).to.have.lengthOf(1);
+      expect(patient.appointments[0].id).to.equal('1');
+    });
+  });
 });